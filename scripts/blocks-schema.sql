@@ -0,0 +1,73 @@
+-- Blocks Schema: user blocking and muting
+-- Run this after messages-schema.sql
+
+-- A block works both ways: neither user can follow, like, comment on or
+-- message the other, and each is hidden from the other's search, profile
+-- lookups and feeds
+CREATE TABLE user_blocks (
+  blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK (blocker_id != blocked_id)
+);
+
+-- A mute only hides the muted user's content from the muter's feeds
+CREATE TABLE user_mutes (
+  muter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  muted_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (muter_id, muted_id),
+  CHECK (muter_id != muted_id)
+);
+
+-- Lookups from the other side (who blocked me) and newest-first lists
+CREATE INDEX idx_user_blocks_blocked ON user_blocks(blocked_id);
+CREATE INDEX idx_user_blocks_list ON user_blocks(blocker_id, created_at DESC);
+CREATE INDEX idx_user_mutes_list ON user_mutes(muter_id, created_at DESC);
+
+-- Enable RLS (blocks and mutes are written through the backend)
+ALTER TABLE user_blocks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_mutes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own blocks" ON user_blocks
+  FOR SELECT USING (auth.uid() = blocker_id);
+
+CREATE POLICY "Users can view own mutes" ON user_mutes
+  FOR SELECT USING (auth.uid() = muter_id);
+
+-- User search leaves out the searcher's blocked users (see search-schema.sql)
+DROP FUNCTION IF EXISTS search_users(TEXT, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_users(
+  search_query TEXT,
+  max_results INTEGER,
+  skip INTEGER,
+  exclude_ids UUID[] DEFAULT '{}'
+)
+RETURNS TABLE (id UUID, rank REAL, total_count BIGINT) AS $$
+  WITH query AS (
+    SELECT to_tsquery('simple', search_query) AS q
+  ),
+  matches AS (
+    SELECT p.id, p.created_at, ts_rank(p.search_vector, query.q) AS rank
+    FROM profiles p
+    JOIN users u ON u.id = p.id
+    CROSS JOIN query
+    WHERE u.status = 'active'
+      AND p.search_vector @@ query.q
+      AND p.id <> ALL(exclude_ids)
+  )
+  SELECT page.id, page.rank, totals.total_count
+  FROM (SELECT COUNT(*) AS total_count FROM matches) totals
+  LEFT JOIN LATERAL (
+    SELECT m.id, m.rank
+    FROM matches m
+    ORDER BY m.rank DESC, m.created_at DESC
+    LIMIT max_results OFFSET skip
+  ) page ON true;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION search_users(TEXT, INTEGER, INTEGER, UUID[]) TO authenticated, anon;
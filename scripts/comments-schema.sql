@@ -0,0 +1,54 @@
+-- Comments Schema: threaded comments on tracks and reels
+-- Run this after phase4-schema-updates.sql
+
+-- Comments (top-level when parent_id is NULL, replies otherwise)
+CREATE TABLE comments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  content_type content_type NOT NULL,
+  content_id UUID NOT NULL,
+  parent_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  is_hidden BOOLEAN NOT NULL DEFAULT false,
+  edited_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CHECK (char_length(body) > 0)
+);
+
+-- Indexes for cursor pagination per content item and per thread
+CREATE INDEX idx_comments_content ON comments(content_type, content_id, created_at DESC, id DESC)
+  WHERE parent_id IS NULL;
+CREATE INDEX idx_comments_parent ON comments(parent_id, created_at, id) WHERE parent_id IS NOT NULL;
+CREATE INDEX idx_comments_user_id ON comments(user_id);
+
+-- Enable RLS
+ALTER TABLE comments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Visible comments are public" ON comments
+  FOR SELECT USING (
+    is_hidden = false AND
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = comments.user_id
+      AND status != 'banned'
+    )
+  );
+
+CREATE POLICY "Active users can comment" ON comments
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id AND
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid()
+      AND status = 'active'
+    )
+  );
+
+CREATE POLICY "Authors can edit own comments" ON comments
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Authors can delete own comments" ON comments
+  FOR DELETE USING (auth.uid() = user_id);
+
+COMMENT ON COLUMN comments.is_hidden IS 'Set by moderation to hide a comment without deleting it';
@@ -0,0 +1,35 @@
+-- Fair Feed Schema: reel views per user and creator exposure for the fair-discovery feed
+-- Run this after feed-schema.sql
+
+-- Reels each signed-in user has viewed (first view only)
+CREATE TABLE reel_views (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reel_id UUID NOT NULL REFERENCES reels(id) ON DELETE CASCADE,
+  viewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (user_id, reel_id)
+);
+
+CREATE INDEX idx_reel_views_user_viewed_at ON reel_views(user_id, viewed_at DESC);
+
+-- Enable RLS (views are written through the backend)
+ALTER TABLE reel_views ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own reel views" ON reel_views
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Follower count and creator approval time for a set of creators
+CREATE OR REPLACE FUNCTION get_creator_exposure(creator_ids UUID[])
+RETURNS TABLE (creator_id UUID, follower_count BIGINT, approved_at TIMESTAMPTZ) AS $$
+  SELECT
+    c.id,
+    (SELECT COUNT(*) FROM follows f WHERE f.following_id = c.id),
+    (
+      SELECT MAX(a.reviewed_at)
+      FROM creator_applications a
+      WHERE a.user_id = c.id AND a.status = 'approved'
+    )
+  FROM unnest(creator_ids) AS c(id);
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_creator_exposure(UUID[]) TO authenticated, anon;
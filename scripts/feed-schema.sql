@@ -0,0 +1,6 @@
+-- Feed Schema: indexes for the following feed
+-- Run this after phase4-schema-updates.sql
+
+-- Newest active content per creator, read with a (created_at, id) cursor
+CREATE INDEX IF NOT EXISTS idx_tracks_user_feed ON tracks(user_id, created_at DESC, id DESC) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_reels_user_feed ON reels(user_id, created_at DESC, id DESC) WHERE is_active = true;
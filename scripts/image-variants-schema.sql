@@ -0,0 +1,11 @@
+-- Image Variants Schema: processed avatars and track covers with square thumbnails
+-- Run this after phase4-schema-updates.sql
+
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS avatar_variants JSONB;
+
+ALTER TABLE tracks
+ADD COLUMN IF NOT EXISTS cover_variants JSONB;
+
+COMMENT ON COLUMN profiles.avatar_variants IS 'Storage paths of the square avatar thumbnails, keyed by size name (small, medium, large)';
+COMMENT ON COLUMN tracks.cover_variants IS 'Storage paths of the square cover thumbnails, keyed by size name (small, medium, large)';
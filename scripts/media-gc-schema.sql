@@ -0,0 +1,33 @@
+-- Media GC Schema: orphaned storage file cleanup history
+-- Run this after phase4-schema-updates.sql
+
+CREATE TABLE media_gc_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trigger TEXT NOT NULL CHECK (trigger IN ('scheduled', 'manual')),
+  status TEXT NOT NULL CHECK (status IN ('completed', 'skipped', 'failed')),
+  dry_run BOOLEAN NOT NULL DEFAULT TRUE,
+  grace_hours INTEGER,
+  scanned_count INTEGER NOT NULL DEFAULT 0,
+  referenced_count INTEGER NOT NULL DEFAULT 0,
+  orphan_count INTEGER NOT NULL DEFAULT 0,
+  orphan_bytes BIGINT NOT NULL DEFAULT 0,
+  deleted_count INTEGER NOT NULL DEFAULT 0,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  -- First 1000 orphans: [{ "key", "size", "last_modified" }]
+  orphans JSONB NOT NULL DEFAULT '[]',
+  message TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_media_gc_runs_started_at ON media_gc_runs(started_at DESC);
+
+-- Only the service role (backend) reads and writes run history
+ALTER TABLE media_gc_runs ENABLE ROW LEVEL SECURITY;
+
+-- Scheduler settings (scheduled deletion is off by default)
+INSERT INTO settings (key, value) VALUES
+  ('media_gc_enabled', 'false'),
+  ('media_gc_grace_hours', '24'),
+  ('media_gc_interval_minutes', '1440')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,91 @@
+-- Messages Schema: 1:1 direct messages with message requests and read receipts
+-- Run this after notifications-schema.sql
+
+-- One conversation per pair of users (user_a is the smaller ID)
+CREATE TABLE conversations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_a UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_b UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  last_message_id UUID,
+  last_message_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(user_a, user_b),
+  CHECK (user_a < user_b)
+);
+
+-- Each participant's view of a conversation. A conversation started by
+-- someone the recipient does not follow is a 'request' for the recipient
+-- until they accept it (or reply); 'declined' hides it.
+CREATE TABLE conversation_members (
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'accepted' CHECK (status IN ('accepted', 'request', 'declined')),
+  unread_count INTEGER NOT NULL DEFAULT 0,
+  last_read_at TIMESTAMPTZ,
+  last_message_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (conversation_id, user_id)
+);
+
+CREATE TABLE messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CHECK (char_length(body) > 0)
+);
+
+ALTER TABLE conversations
+  ADD CONSTRAINT conversations_last_message_id_fkey
+  FOREIGN KEY (last_message_id) REFERENCES messages(id) ON DELETE SET NULL;
+
+-- Indexes for the inbox (by latest message) and cursor pagination per conversation
+CREATE INDEX idx_conversation_members_inbox ON conversation_members(user_id, status, last_message_at DESC, conversation_id DESC);
+CREATE INDEX idx_messages_conversation ON messages(conversation_id, created_at DESC, id DESC);
+
+-- A new message moves the conversation to the top of both inboxes, counts as
+-- unread for the recipient and marks the conversation read for the sender
+CREATE OR REPLACE FUNCTION handle_new_message()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE conversations
+  SET last_message_id = NEW.id, last_message_at = NEW.created_at
+  WHERE id = NEW.conversation_id;
+
+  UPDATE conversation_members
+  SET last_message_at = NEW.created_at,
+      unread_count = CASE WHEN user_id = NEW.sender_id THEN 0 ELSE unread_count + 1 END,
+      last_read_at = CASE WHEN user_id = NEW.sender_id THEN NEW.created_at ELSE last_read_at END
+  WHERE conversation_id = NEW.conversation_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER on_message_created
+  AFTER INSERT ON messages
+  FOR EACH ROW EXECUTE FUNCTION handle_new_message();
+
+-- Enable RLS (messages are written through the backend)
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Participants can view their conversations" ON conversations
+  FOR SELECT USING (auth.uid() = user_a OR auth.uid() = user_b);
+
+CREATE POLICY "Users can view own conversation state" ON conversation_members
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Participants can view messages" ON messages
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM conversation_members
+      WHERE conversation_id = messages.conversation_id
+      AND user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,113 @@
+-- Notifications Schema: in-app notifications with grouped bursts
+-- Run this after fair-feed-schema.sql
+
+-- One row per notification shown to a user. Bursts of the same event on the
+-- same target ("12 people liked your track") share one row: actor_id is the
+-- latest actor and actor_count the number of distinct actors.
+CREATE TABLE notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(30) NOT NULL CHECK (type IN ('follow', 'like', 'application_approved', 'application_rejected')),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_count INTEGER NOT NULL DEFAULT 0,
+  content_type content_type,
+  content_id UUID,
+  data JSONB NOT NULL DEFAULT '{}',
+  is_read BOOLEAN NOT NULL DEFAULT false,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Distinct actors behind each notification (so a like, unlike and like again counts once)
+CREATE TABLE notification_actors (
+  notification_id UUID NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+  actor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (notification_id, actor_id)
+);
+
+-- Indexes for the newest-first list (by latest activity) and unread counts
+CREATE INDEX idx_notifications_user ON notifications(user_id, updated_at DESC, id DESC);
+CREATE INDEX idx_notifications_unread ON notifications(user_id, type, content_id, updated_at DESC)
+  WHERE is_read = false;
+
+-- Enable RLS (notifications are written through the backend)
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_actors ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own notifications" ON notifications
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Add a notification, folding it into an unread one for the same type and
+-- target from the last group_window_minutes when there is an actor. Events
+-- without an actor (application decisions) are never grouped. Returns the
+-- notification's ID.
+CREATE OR REPLACE FUNCTION add_notification(
+  recipient_id UUID,
+  notification_type TEXT,
+  actor UUID,
+  target_type content_type,
+  target_id UUID,
+  payload JSONB,
+  group_window_minutes INTEGER
+)
+RETURNS UUID AS $$
+DECLARE
+  existing_id UUID;
+  new_id UUID;
+BEGIN
+  IF actor IS NOT NULL THEN
+    -- Serialize concurrent events for the same group so a burst lands in one row
+    PERFORM pg_advisory_xact_lock(
+      hashtext(recipient_id::TEXT || notification_type || COALESCE(target_id::TEXT, ''))
+    );
+
+    SELECT n.id INTO existing_id
+    FROM notifications n
+    WHERE n.user_id = recipient_id
+      AND n.type = notification_type
+      AND n.content_id IS NOT DISTINCT FROM target_id
+      AND n.is_read = false
+      AND n.updated_at >= NOW() - make_interval(mins => group_window_minutes)
+    ORDER BY n.updated_at DESC
+    LIMIT 1;
+
+    IF existing_id IS NOT NULL THEN
+      INSERT INTO notification_actors (notification_id, actor_id)
+      VALUES (existing_id, actor)
+      ON CONFLICT DO NOTHING;
+
+      IF FOUND THEN
+        UPDATE notifications
+        SET actor_id = actor,
+            actor_count = actor_count + 1,
+            data = payload,
+            updated_at = NOW()
+        WHERE id = existing_id;
+      END IF;
+
+      RETURN existing_id;
+    END IF;
+  END IF;
+
+  INSERT INTO notifications (user_id, type, actor_id, actor_count, content_type, content_id, data)
+  VALUES (
+    recipient_id,
+    notification_type,
+    actor,
+    CASE WHEN actor IS NULL THEN 0 ELSE 1 END,
+    target_type,
+    target_id,
+    payload
+  )
+  RETURNING id INTO new_id;
+
+  IF actor IS NOT NULL THEN
+    INSERT INTO notification_actors (notification_id, actor_id) VALUES (new_id, actor);
+  END IF;
+
+  RETURN new_id;
+END;
+$$ LANGUAGE plpgsql;
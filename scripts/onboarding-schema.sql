@@ -0,0 +1,28 @@
+-- Onboarding Schema: scheduled waitlist onboarding history
+-- Run this after phase4-schema-updates.sql
+
+CREATE TABLE onboarding_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trigger TEXT NOT NULL CHECK (trigger IN ('scheduled', 'manual')),
+  status TEXT NOT NULL CHECK (status IN ('completed', 'skipped', 'failed')),
+  batch_size INTEGER,
+  max_active_users INTEGER,
+  approved_count INTEGER NOT NULL DEFAULT 0,
+  approved_user_ids UUID[] NOT NULL DEFAULT '{}',
+  emails_sent INTEGER NOT NULL DEFAULT 0,
+  emails_failed INTEGER NOT NULL DEFAULT 0,
+  message TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_onboarding_runs_started_at ON onboarding_runs(started_at DESC);
+
+-- Only the service role (backend) reads and writes run history
+ALTER TABLE onboarding_runs ENABLE ROW LEVEL SECURITY;
+
+-- Scheduler settings (paused by default)
+INSERT INTO settings (key, value) VALUES
+  ('auto_onboarding_enabled', 'false'),
+  ('onboarding_interval_minutes', '60')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,81 @@
+-- Playlists Schema: ordered, shareable track collections
+-- Run this after phase4-schema-updates.sql
+
+-- Playlists owned by a user
+CREATE TABLE playlists (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  is_public BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Tracks in a playlist, ordered by position
+CREATE TABLE playlist_tracks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  playlist_id UUID NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  track_id UUID NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- A track appears at most once per playlist
+  UNIQUE(playlist_id, track_id)
+);
+
+-- Users following other users' playlists
+CREATE TABLE playlist_follows (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  playlist_id UUID NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(playlist_id, user_id)
+);
+
+-- Indexes
+CREATE INDEX idx_playlists_user_id ON playlists(user_id);
+CREATE INDEX idx_playlists_public ON playlists(is_public) WHERE is_public = true;
+CREATE INDEX idx_playlist_tracks_playlist_position ON playlist_tracks(playlist_id, position);
+CREATE INDEX idx_playlist_tracks_track_id ON playlist_tracks(track_id);
+CREATE INDEX idx_playlist_follows_user_id ON playlist_follows(user_id);
+
+-- Enable RLS
+ALTER TABLE playlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE playlist_tracks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE playlist_follows ENABLE ROW LEVEL SECURITY;
+
+-- Public playlists are visible to everyone, private ones only to the owner
+CREATE POLICY "Public playlists are visible" ON playlists
+  FOR SELECT USING (is_public = true OR auth.uid() = user_id);
+
+CREATE POLICY "Users can manage own playlists" ON playlists
+  FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY "Playlist tracks follow playlist visibility" ON playlist_tracks
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM playlists
+      WHERE playlists.id = playlist_id
+      AND (playlists.is_public = true OR playlists.user_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "Owners can manage playlist tracks" ON playlist_tracks
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM playlists
+      WHERE playlists.id = playlist_id
+      AND playlists.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can view own playlist follows" ON playlist_follows
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can follow playlists" ON playlist_follows
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can unfollow playlists" ON playlist_follows
+  FOR DELETE USING (auth.uid() = user_id);
@@ -0,0 +1,13 @@
+-- Reel Metadata Schema: values read from the uploaded video container
+-- Run this after phase4-schema-updates.sql
+
+ALTER TABLE reels
+ADD COLUMN IF NOT EXISTS duration INTEGER, -- in seconds
+ADD COLUMN IF NOT EXISTS width INTEGER,
+ADD COLUMN IF NOT EXISTS height INTEGER,
+ADD COLUMN IF NOT EXISTS codec VARCHAR(50);
+
+COMMENT ON COLUMN reels.duration IS 'Duration in seconds, read from the MP4/WebM container';
+COMMENT ON COLUMN reels.width IS 'Video width in pixels';
+COMMENT ON COLUMN reels.height IS 'Video height in pixels';
+COMMENT ON COLUMN reels.codec IS 'Video codec (MP4 sample entry such as avc1, or WebM CodecID)';
@@ -0,0 +1,77 @@
+-- Reports Schema: user reports and the admin moderation queue
+-- Run this after blocks-schema.sql
+
+-- One row per reporter and target. A reporter has at most one open report
+-- per target; once it is resolved they can report the target again.
+CREATE TABLE reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('track', 'reel', 'profile', 'comment')),
+  target_id UUID NOT NULL,
+  -- Owner of the target when reported (the user, for profiles), kept for bans after deletion
+  target_owner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  reason VARCHAR(30) NOT NULL CHECK (reason IN (
+    'spam', 'harassment', 'hate_speech', 'nudity', 'violence', 'copyright', 'impersonation', 'other'
+  )),
+  details TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'actioned', 'dismissed')),
+  -- Set on the report that pushed its target over report_auto_hide_threshold
+  -- (the target's hidden_by_reports says whether it is still hidden by it)
+  auto_hidden BOOLEAN NOT NULL DEFAULT false,
+  action VARCHAR(20) CHECK (action IN ('deactivate', 'delete', 'ban')),
+  resolution_note TEXT,
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_reports_open_per_reporter ON reports(reporter_id, target_type, target_id)
+  WHERE status = 'open';
+
+-- Indexes for the admin queue and for counting reports on a target
+CREATE INDEX idx_reports_queue ON reports(status, created_at);
+CREATE INDEX idx_reports_target ON reports(target_type, target_id, status);
+
+-- Enable RLS (reports are written and read through the backend)
+ALTER TABLE reports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own reports" ON reports
+  FOR SELECT USING (auth.uid() = reporter_id);
+
+-- Set on a track, reel or comment while auto-hide is what keeps it hidden, so
+-- dismissing its reports only restores content auto-hide took down
+ALTER TABLE tracks ADD COLUMN hidden_by_reports BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE reels ADD COLUMN hidden_by_reports BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE comments ADD COLUMN hidden_by_reports BOOLEAN NOT NULL DEFAULT false;
+
+-- Any other write to the visibility column (the owner, an admin, a report
+-- action) takes over from auto-hide, so the content is no longer restored
+CREATE OR REPLACE FUNCTION clear_hidden_by_reports()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.hidden_by_reports = OLD.hidden_by_reports THEN
+    NEW.hidden_by_reports := false;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER clear_track_hidden_by_reports
+BEFORE UPDATE OF is_active ON tracks
+FOR EACH ROW
+EXECUTE FUNCTION clear_hidden_by_reports();
+
+CREATE TRIGGER clear_reel_hidden_by_reports
+BEFORE UPDATE OF is_active ON reels
+FOR EACH ROW
+EXECUTE FUNCTION clear_hidden_by_reports();
+
+CREATE TRIGGER clear_comment_hidden_by_reports
+BEFORE UPDATE OF is_hidden ON comments
+FOR EACH ROW
+EXECUTE FUNCTION clear_hidden_by_reports();
+
+-- Distinct reporters with an open report on a target before it is hidden
+INSERT INTO settings (key, value) VALUES
+  ('report_auto_hide_threshold', '5')
+ON CONFLICT (key) DO NOTHING;
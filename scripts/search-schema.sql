@@ -0,0 +1,142 @@
+-- Search Schema: full-text search over tracks, creators and reels
+-- Run this after taxonomy-schema.sql
+
+-- The 'simple' configuration does no stemming and keeps stop words, so names
+-- and titles in any language match as typed. The API sends prefix queries
+-- ('lo:* & fi:*'), built only from letters and numbers.
+
+-- Creator names (weight A: username, artist and display name)
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', COALESCE(username, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(artist_name, '') || ' ' || COALESCE(display_name, '')), 'A')
+  ) STORED;
+
+-- Track title (A) and credited artist (B)
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(artist, '')), 'B')
+  ) STORED;
+
+-- Reel caption (B; hashtags in it are also matched through content_tags)
+ALTER TABLE reels ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', COALESCE(caption, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_search ON profiles USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_tracks_search ON tracks USING GIN (search_vector) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_reels_search ON reels USING GIN (search_vector) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_tags_search ON tags USING GIN (to_tsvector('simple', name));
+
+-- Each function returns one page of matching IDs, best match first, with the
+-- total number of matches on every row. A page past the end returns a single
+-- row with a NULL id so the total is still known.
+
+-- Active tracks matching their title or artist, their tags or their creator's name
+CREATE OR REPLACE FUNCTION search_tracks(search_query TEXT, max_results INTEGER, skip INTEGER)
+RETURNS TABLE (id UUID, rank REAL, total_count BIGINT) AS $$
+  WITH query AS (
+    SELECT to_tsquery('simple', search_query) AS q
+  ),
+  tagged AS (
+    SELECT ct.content_id, MAX(ts_rank(to_tsvector('simple', t.name), query.q)) AS tag_rank
+    FROM content_tags ct
+    JOIN tags t ON t.id = ct.tag_id
+    CROSS JOIN query
+    WHERE ct.content_type = 'track'
+      AND to_tsvector('simple', t.name) @@ query.q
+    GROUP BY ct.content_id
+  ),
+  matches AS (
+    SELECT
+      tr.id,
+      tr.created_at,
+      ts_rank(tr.search_vector, query.q)
+        + 0.5 * COALESCE(tagged.tag_rank, 0)
+        + 0.3 * ts_rank(p.search_vector, query.q) AS rank
+    FROM tracks tr
+    JOIN profiles p ON p.id = tr.user_id
+    CROSS JOIN query
+    LEFT JOIN tagged ON tagged.content_id = tr.id
+    WHERE tr.is_active = true
+      AND (
+        tr.search_vector @@ query.q
+        OR p.search_vector @@ query.q
+        OR tagged.content_id IS NOT NULL
+      )
+  )
+  SELECT page.id, page.rank, totals.total_count
+  FROM (SELECT COUNT(*) AS total_count FROM matches) totals
+  LEFT JOIN LATERAL (
+    SELECT m.id, m.rank
+    FROM matches m
+    ORDER BY m.rank DESC, m.created_at DESC
+    LIMIT max_results OFFSET skip
+  ) page ON true;
+$$ LANGUAGE sql STABLE;
+
+-- Active users matching their username, artist or display name
+CREATE OR REPLACE FUNCTION search_users(search_query TEXT, max_results INTEGER, skip INTEGER)
+RETURNS TABLE (id UUID, rank REAL, total_count BIGINT) AS $$
+  WITH query AS (
+    SELECT to_tsquery('simple', search_query) AS q
+  ),
+  matches AS (
+    SELECT p.id, p.created_at, ts_rank(p.search_vector, query.q) AS rank
+    FROM profiles p
+    JOIN users u ON u.id = p.id
+    CROSS JOIN query
+    WHERE u.status = 'active'
+      AND p.search_vector @@ query.q
+  )
+  SELECT page.id, page.rank, totals.total_count
+  FROM (SELECT COUNT(*) AS total_count FROM matches) totals
+  LEFT JOIN LATERAL (
+    SELECT m.id, m.rank
+    FROM matches m
+    ORDER BY m.rank DESC, m.created_at DESC
+    LIMIT max_results OFFSET skip
+  ) page ON true;
+$$ LANGUAGE sql STABLE;
+
+-- Active reels matching their caption or hashtags
+CREATE OR REPLACE FUNCTION search_reels(search_query TEXT, max_results INTEGER, skip INTEGER)
+RETURNS TABLE (id UUID, rank REAL, total_count BIGINT) AS $$
+  WITH query AS (
+    SELECT to_tsquery('simple', search_query) AS q
+  ),
+  tagged AS (
+    SELECT ct.content_id, MAX(ts_rank(to_tsvector('simple', t.name), query.q)) AS tag_rank
+    FROM content_tags ct
+    JOIN tags t ON t.id = ct.tag_id
+    CROSS JOIN query
+    WHERE ct.content_type = 'reel'
+      AND to_tsvector('simple', t.name) @@ query.q
+    GROUP BY ct.content_id
+  ),
+  matches AS (
+    SELECT
+      r.id,
+      r.created_at,
+      ts_rank(r.search_vector, query.q) + 0.5 * COALESCE(tagged.tag_rank, 0) AS rank
+    FROM reels r
+    CROSS JOIN query
+    LEFT JOIN tagged ON tagged.content_id = r.id
+    WHERE r.is_active = true
+      AND (r.search_vector @@ query.q OR tagged.content_id IS NOT NULL)
+  )
+  SELECT page.id, page.rank, totals.total_count
+  FROM (SELECT COUNT(*) AS total_count FROM matches) totals
+  LEFT JOIN LATERAL (
+    SELECT m.id, m.rank
+    FROM matches m
+    ORDER BY m.rank DESC, m.created_at DESC
+    LIMIT max_results OFFSET skip
+  ) page ON true;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION search_tracks(TEXT, INTEGER, INTEGER) TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION search_users(TEXT, INTEGER, INTEGER) TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION search_reels(TEXT, INTEGER, INTEGER) TO authenticated, anon;
@@ -0,0 +1,101 @@
+-- Search Suggestions Schema: typo-tolerant autocomplete and per-user search history
+-- Run this after search-schema.sql
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Trigram indexes serve both prefix (LIKE 'q%') and fuzzy (<%) matching
+CREATE INDEX IF NOT EXISTS idx_profiles_username_trgm ON profiles USING GIN (lower(username) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_profiles_artist_name_trgm ON profiles USING GIN (lower(artist_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_profiles_display_name_trgm ON profiles USING GIN (lower(display_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_tracks_title_trgm ON tracks USING GIN (lower(title) gin_trgm_ops) WHERE is_active = true;
+
+-- Artists (active creators) and active track titles that start with, or are
+-- close to, the typed text. Prefix matches rank first; the rest rank by
+-- word similarity, so 'kendrik' still finds 'Kendrick Lamar'.
+CREATE OR REPLACE FUNCTION search_suggestions(search_text TEXT, max_results INTEGER)
+RETURNS TABLE (type TEXT, id UUID, label TEXT, detail TEXT, score REAL) AS $$
+  WITH input AS (
+    SELECT
+      lower(search_text) AS q,
+      -- LIKE pattern with the input's wildcards escaped
+      replace(replace(replace(lower(search_text), '\', '\\'), '%', '\%'), '_', '\_') || '%' AS prefix
+  ),
+  artists AS (
+    SELECT
+      'artist'::TEXT AS type,
+      p.id,
+      COALESCE(p.artist_name, p.display_name, p.username)::TEXT AS label,
+      p.username::TEXT AS detail,
+      (
+        CASE
+          WHEN lower(p.username) LIKE input.prefix
+            OR lower(p.artist_name) LIKE input.prefix
+            OR lower(p.display_name) LIKE input.prefix
+          THEN 1 ELSE 0
+        END
+        + GREATEST(
+          word_similarity(input.q, lower(p.username)),
+          word_similarity(input.q, lower(p.artist_name)),
+          word_similarity(input.q, lower(p.display_name))
+        )
+      )::REAL AS score
+    FROM profiles p
+    JOIN users u ON u.id = p.id
+    CROSS JOIN input
+    WHERE u.status = 'active'
+      AND u.role = 'creator'
+      AND (
+        lower(p.username) LIKE input.prefix
+        OR lower(p.artist_name) LIKE input.prefix
+        OR lower(p.display_name) LIKE input.prefix
+        OR input.q <% lower(p.username)
+        OR input.q <% lower(p.artist_name)
+        OR input.q <% lower(p.display_name)
+      )
+    ORDER BY score DESC
+    LIMIT max_results
+  ),
+  titles AS (
+    SELECT
+      'track'::TEXT AS type,
+      t.id,
+      t.title::TEXT AS label,
+      COALESCE(p.artist_name, p.display_name, p.username)::TEXT AS detail,
+      (
+        CASE WHEN lower(t.title) LIKE input.prefix THEN 1 ELSE 0 END
+        + word_similarity(input.q, lower(t.title))
+      )::REAL AS score
+    FROM tracks t
+    JOIN profiles p ON p.id = t.user_id
+    CROSS JOIN input
+    WHERE t.is_active = true
+      AND (lower(t.title) LIKE input.prefix OR input.q <% lower(t.title))
+    ORDER BY score DESC
+    LIMIT max_results
+  )
+  SELECT s.type, s.id, s.label, s.detail, s.score
+  FROM (SELECT * FROM artists UNION ALL SELECT * FROM titles) s
+  ORDER BY s.score DESC, s.label
+  LIMIT max_results;
+$$ LANGUAGE sql STABLE
+SET pg_trgm.word_similarity_threshold = 0.3;
+
+GRANT EXECUTE ON FUNCTION search_suggestions(TEXT, INTEGER) TO authenticated, anon;
+
+-- Recent searches per user (one row per distinct query, newest first)
+CREATE TABLE search_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  query VARCHAR(100) NOT NULL,
+  searched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(user_id, query)
+);
+
+CREATE INDEX idx_search_history_user ON search_history(user_id, searched_at DESC);
+
+-- Enable RLS (history is written through the backend)
+ALTER TABLE search_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own search history" ON search_history
+  FOR SELECT USING (auth.uid() = user_id);
@@ -0,0 +1,29 @@
+-- Taxonomy Filter Schema: filter tracks and reels by genre, mood and tag in the database
+-- Run this after taxonomy-schema.sql
+
+-- content_terms and content_tags have no foreign key to tracks or reels, so
+-- these functions declare computed relationships for PostgREST. A list query
+-- can then embed them with !inner (e.g. genre_filter:content_terms!inner())
+-- and filter on term_id or tag_id instead of passing content IDs around.
+CREATE OR REPLACE FUNCTION content_terms(tracks)
+RETURNS SETOF content_terms AS $$
+  SELECT * FROM content_terms WHERE content_type = 'track' AND content_id = $1.id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION content_terms(reels)
+RETURNS SETOF content_terms AS $$
+  SELECT * FROM content_terms WHERE content_type = 'reel' AND content_id = $1.id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION content_tags(tracks)
+RETURNS SETOF content_tags AS $$
+  SELECT * FROM content_tags WHERE content_type = 'track' AND content_id = $1.id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION content_tags(reels)
+RETURNS SETOF content_tags AS $$
+  SELECT * FROM content_tags WHERE content_type = 'reel' AND content_id = $1.id;
+$$ LANGUAGE sql STABLE;
+
+-- Lookups by content use the (content_type, content_id, ...) primary keys
+
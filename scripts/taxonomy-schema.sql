@@ -0,0 +1,105 @@
+-- Taxonomy Schema: admin-curated genres and moods, creator tags and reel hashtags
+-- Run this after phase4-schema-updates.sql
+
+-- Genres and moods, managed by admins
+CREATE TABLE taxonomy_terms (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  kind TEXT NOT NULL CHECK (kind IN ('genre', 'mood')),
+  slug VARCHAR(50) NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(kind, slug)
+);
+
+-- Genres and moods assigned to content (kind is copied from the term for filtering)
+CREATE TABLE content_terms (
+  content_type content_type NOT NULL,
+  content_id UUID NOT NULL,
+  term_id UUID NOT NULL REFERENCES taxonomy_terms(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('genre', 'mood')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (content_type, content_id, term_id)
+);
+
+-- Free-form tags, stored normalized (lowercase, no leading #)
+CREATE TABLE tags (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(30) NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Tags on content: creator tags on tracks, hashtags parsed from reel captions
+CREATE TABLE content_tags (
+  content_type content_type NOT NULL,
+  content_id UUID NOT NULL,
+  tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  source TEXT NOT NULL CHECK (source IN ('creator', 'caption')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (content_type, content_id, tag_id)
+);
+
+-- Indexes
+CREATE INDEX idx_taxonomy_terms_kind ON taxonomy_terms(kind) WHERE is_active = true;
+CREATE INDEX idx_content_terms_term ON content_terms(content_type, term_id);
+CREATE INDEX idx_content_tags_tag ON content_tags(content_type, tag_id);
+CREATE INDEX idx_content_tags_created_at ON content_tags(created_at DESC);
+
+-- Enable RLS (taxonomy is read and written through the backend)
+ALTER TABLE taxonomy_terms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE content_terms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE content_tags ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Active terms are visible" ON taxonomy_terms
+  FOR SELECT USING (is_active = true);
+
+CREATE POLICY "Tags are visible" ON tags
+  FOR SELECT USING (true);
+
+-- content_id has no foreign key (it points at tracks or reels), so remove
+-- assignments when the content is deleted
+CREATE OR REPLACE FUNCTION delete_content_taxonomy()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM content_terms WHERE content_type = TG_ARGV[0]::content_type AND content_id = OLD.id;
+  DELETE FROM content_tags WHERE content_type = TG_ARGV[0]::content_type AND content_id = OLD.id;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER delete_track_taxonomy
+AFTER DELETE ON tracks
+FOR EACH ROW
+EXECUTE FUNCTION delete_content_taxonomy('track');
+
+CREATE TRIGGER delete_reel_taxonomy
+AFTER DELETE ON reels
+FOR EACH ROW
+EXECUTE FUNCTION delete_content_taxonomy('reel');
+
+-- Tags used most on active content tagged since a point in time
+CREATE OR REPLACE FUNCTION get_trending_tags(
+  filter_type content_type,
+  since TIMESTAMPTZ,
+  max_results INTEGER
+)
+RETURNS TABLE (name VARCHAR, use_count BIGINT) AS $$
+  SELECT t.name, COUNT(*) AS use_count
+  FROM content_tags ct
+  JOIN tags t ON t.id = ct.tag_id
+  LEFT JOIN tracks tr ON ct.content_type = 'track' AND tr.id = ct.content_id
+  LEFT JOIN reels r ON ct.content_type = 'reel' AND r.id = ct.content_id
+  WHERE ct.created_at >= since
+    AND (filter_type IS NULL OR ct.content_type = filter_type)
+    AND COALESCE(tr.is_active, r.is_active, false)
+  GROUP BY t.name
+  ORDER BY use_count DESC, t.name
+  LIMIT max_results;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_trending_tags(content_type, TIMESTAMPTZ, INTEGER) TO authenticated, anon;
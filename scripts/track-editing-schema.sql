@@ -0,0 +1,30 @@
+-- Track Editing Schema: extended metadata and replaced audio versions
+-- Run this after track-metadata-schema.sql
+
+ALTER TABLE tracks
+ADD COLUMN IF NOT EXISTS description TEXT,
+ADD COLUMN IF NOT EXISTS lyrics TEXT,
+ADD COLUMN IF NOT EXISTS credits JSONB,
+ADD COLUMN IF NOT EXISTS release_date DATE,
+ADD COLUMN IF NOT EXISTS is_explicit BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN tracks.credits IS 'Credited contributors: [{ "name", "role" }]';
+COMMENT ON COLUMN tracks.release_date IS 'Original release date, set by the creator';
+
+-- Audio files a track used before it was replaced (kept for rollback)
+CREATE TABLE track_audio_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  track_id UUID NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  audio_url TEXT NOT NULL,
+  duration INTEGER,
+  bitrate INTEGER,
+  sample_rate INTEGER,
+  channels SMALLINT,
+  replaced_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_track_audio_versions_track ON track_audio_versions(track_id, replaced_at DESC);
+
+-- Only the service role (backend) reads and writes versions; they are shown to the creator only
+ALTER TABLE track_audio_versions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,15 @@
+-- Track Metadata Schema: values extracted from uploaded audio files
+-- Run this after phase4-schema-updates.sql
+
+ALTER TABLE tracks
+ADD COLUMN IF NOT EXISTS artist VARCHAR(200),
+ADD COLUMN IF NOT EXISTS genre VARCHAR(100),
+ADD COLUMN IF NOT EXISTS bitrate INTEGER,
+ADD COLUMN IF NOT EXISTS sample_rate INTEGER,
+ADD COLUMN IF NOT EXISTS channels SMALLINT;
+
+COMMENT ON COLUMN tracks.artist IS 'Credited artist (from the request or the file tags)';
+COMMENT ON COLUMN tracks.genre IS 'Genre (from the request or the file tags)';
+COMMENT ON COLUMN tracks.bitrate IS 'Average bitrate in kbps, read from the audio file';
+COMMENT ON COLUMN tracks.sample_rate IS 'Sample rate in Hz, read from the audio file';
+COMMENT ON COLUMN tracks.channels IS 'Number of audio channels, read from the audio file';
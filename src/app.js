@@ -9,15 +9,31 @@ const rateLimit = require('express-rate-limit');
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFoundHandler } = require('./middleware/notFoundHandler');
 
+// Import background jobs
+const onboardingService = require('./services/onboardingService');
+const mediaGcService = require('./services/mediaGcService');
+const eventService = require('./services/eventService');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const applicationRoutes = require('./routes/applications');
 const trackRoutes = require('./routes/tracks');
 const reelRoutes = require('./routes/reels');
+const playlistRoutes = require('./routes/playlists');
+const commentRoutes = require('./routes/comments');
 const adminRoutes = require('./routes/admin');
 const uploadRoutes = require('./routes/upload');
 const emailRoutes = require('./routes/email');
+const storageRoutes = require('./routes/storage');
+const taxonomyRoutes = require('./routes/taxonomy');
+const searchRoutes = require('./routes/search');
+const feedRoutes = require('./routes/feed');
+const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
+const messageRoutes = require('./routes/messages');
+const reportRoutes = require('./routes/reports');
+const { STORAGE_CONFIG } = require('./config/storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -66,10 +82,24 @@ app.use('/api/users', userRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/tracks', trackRoutes);
 app.use('/api/reels', reelRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/taxonomy', taxonomyRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/reports', reportRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/email', emailRoutes);
 
+// Local storage driver serves its own files
+if (STORAGE_CONFIG.DRIVER === 'local') {
+  app.use('/api/storage', storageRoutes);
+}
+
 // 404 handler
 app.use(notFoundHandler);
 
@@ -86,6 +116,12 @@ if (require.main === module) {
     console.log(`📡 Health check: http://localhost:${PORT}/health`);
   });
 
+  // Start scheduled waitlist onboarding (paused until enabled by an admin)
+  onboardingService.startScheduler();
+
+  // Start scheduled orphaned media cleanup (off until enabled by an admin)
+  mediaGcService.startScheduler();
+
   // Log server errors
   server.on('error', error => {
     console.error('❌ Server error:', error);
@@ -104,6 +140,9 @@ if (require.main === module) {
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
+    onboardingService.stopScheduler();
+    mediaGcService.stopScheduler();
+    eventService.closeAllConnections();
     server.close(() => {
       console.log('Process terminated');
       process.exit(0);
@@ -112,6 +151,9 @@ if (require.main === module) {
 
   process.on('SIGINT', () => {
     console.log('SIGINT received, shutting down gracefully');
+    onboardingService.stopScheduler();
+    mediaGcService.stopScheduler();
+    eventService.closeAllConnections();
     server.close(() => {
       console.log('Process terminated');
       process.exit(0);
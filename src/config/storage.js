@@ -1,100 +1,123 @@
-const { supabase } = require('./database');
+const { supabaseAdmin } = require('./database');
+const { createSupabaseDriver } = require('../storage/supabaseDriver');
+const { createLocalDriver } = require('../storage/localDriver');
 
-// Storage bucket configuration
+// Storage configuration
 const STORAGE_CONFIG = {
+  // 'supabase' (default) or 'local'
+  DRIVER: process.env.STORAGE_DRIVER || 'supabase',
   BUCKETS: {
     UPLOADS: process.env.UPLOAD_BUCKET_NAME || 'music-combinators-uploads',
   },
   PATHS: {
     AUDIO: 'audio',
     VIDEO: 'video',
-    IMAGES: 'images',
+    IMAGES: 'image',
   },
+  // Private mode: media is served through signed URLs only
+  PRIVATE: process.env.STORAGE_PRIVATE === 'true',
+  SIGNED_URL_TTL_SECONDS: parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 300,
+  LOCAL: {
+    ROOT: process.env.LOCAL_STORAGE_DIR || 'storage',
+    BASE_URL:
+      process.env.LOCAL_STORAGE_URL || `http://localhost:${process.env.PORT || 3000}/api/storage`,
+    SECRET: process.env.LOCAL_STORAGE_SECRET || process.env.JWT_SECRET,
+  },
+};
+
+/*
+ * Storage driver interface. Keys are paths inside the bucket
+ * (e.g. audio/<userId>/<file>); they are what the database stores.
+ *
+ *   put(key, buffer, { contentType, cacheControl, upsert }) -> Promise<key>
+ *   get(key, range?) -> Promise<Buffer>            range: { start, end } (inclusive)
+ *   stream(key, range?) -> Promise<Readable>
+ *   info(key) -> Promise<{ size, content_type, etag, last_modified } | null>
+ *   delete(keys) -> Promise<void>
+ *   move(fromKey, toKey) -> Promise<void>
+ *   list(prefix, { limit, offset }) -> Promise<[{ name, key, is_folder, size, last_modified }]>
+ *   publicUrl(key) -> string
+ *   signedUrls(keys, expiresIn) -> Promise<Array<string|null>>   (null for missing objects)
+ *   createSignedUpload(key) -> Promise<{ key, url, token }>
+ *   keyFromUrl(url) -> string|null                 (for rows that stored a URL)
+ */
+
+const DRIVERS = {
+  supabase: () =>
+    createSupabaseDriver({
+      client: supabaseAdmin,
+      bucket: STORAGE_CONFIG.BUCKETS.UPLOADS,
+      url: process.env.SUPABASE_URL,
+    }),
+  local: () =>
+    createLocalDriver({
+      root: STORAGE_CONFIG.LOCAL.ROOT,
+      baseUrl: STORAGE_CONFIG.LOCAL.BASE_URL,
+      secret: STORAGE_CONFIG.LOCAL.SECRET,
+    }),
+};
+
+let driver = null;
+
+/**
+ * Get the configured storage driver
+ * @returns {Object} Storage driver
+ */
+const getStorageDriver = () => {
+  if (!driver) {
+    const create = DRIVERS[STORAGE_CONFIG.DRIVER];
+    if (!create) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_CONFIG.DRIVER}`);
+    }
+    driver = create();
+  }
+
+  return driver;
 };
 
 /**
- * Get Supabase storage client
- * @returns {Object} Supabase storage client
+ * Replace the storage driver (tests)
+ * @param {Object|null} replacement - Driver, or null to recreate from config
  */
-const getStorageClient = () => {
-  return supabase.storage;
+const setStorageDriver = replacement => {
+  driver = replacement;
 };
 
 /**
  * Generate public URL for a stored file
- * @param {string} bucket - Storage bucket name
  * @param {string} path - File path in storage
- * @returns {Object} URL data or error
+ * @returns {string} Public URL
  */
-const getPublicUrl = (bucket, path) => {
-  const storage = getStorageClient();
-  const { data } = storage.from(bucket).getPublicUrl(path);
-  return data;
-};
+const getPublicUrl = path => getStorageDriver().publicUrl(path);
 
 /**
- * Upload file to Supabase storage
- * @param {string} bucket - Storage bucket name
+ * Upload file to storage
  * @param {string} path - File path in storage
  * @param {Buffer} file - File buffer
  * @param {Object} options - Upload options
- * @returns {Promise<Object>} Upload result
+ * @returns {Promise<string>} Stored path
  */
-const uploadFile = async (bucket, path, file, options = {}) => {
-  const storage = getStorageClient();
-
-  const { data, error } = await storage.from(bucket).upload(path, file, {
-    cacheControl: '3600',
-    upsert: false,
-    ...options,
-  });
-
-  if (error) {
-    throw error;
-  }
-
-  return data;
-};
+const uploadFile = async (path, file, options = {}) => getStorageDriver().put(path, file, options);
 
 /**
- * Delete file from Supabase storage
- * @param {string} bucket - Storage bucket name
+ * Delete file from storage
  * @param {string} path - File path in storage
- * @returns {Promise<Object>} Delete result
+ * @returns {Promise<void>}
  */
-const deleteFile = async (bucket, path) => {
-  const storage = getStorageClient();
-
-  const { data, error } = await storage.from(bucket).remove([path]);
-
-  if (error) {
-    throw error;
-  }
-
-  return data;
-};
+const deleteFile = async path => getStorageDriver().delete([path]);
 
 /**
- * List files in storage bucket
- * @param {string} bucket - Storage bucket name
+ * List files in a storage folder
  * @param {string} path - Folder path (optional)
- * @returns {Promise<Array>} List of files
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Array>} Entries ({ name, key, is_folder, size, last_modified })
  */
-const listFiles = async (bucket, path = '') => {
-  const storage = getStorageClient();
-
-  const { data, error } = await storage.from(bucket).list(path);
-
-  if (error) {
-    throw error;
-  }
-
-  return data;
-};
+const listFiles = async (path = '', options = {}) => getStorageDriver().list(path, options);
 
 module.exports = {
   STORAGE_CONFIG,
-  getStorageClient,
+  getStorageDriver,
+  setStorageDriver,
   getPublicUrl,
   uploadFile,
   deleteFile,
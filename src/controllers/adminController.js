@@ -1,7 +1,12 @@
 const adminService = require('../services/adminService');
 const trackService = require('../services/trackService');
 const reelService = require('../services/reelService');
+const commentService = require('../services/commentService');
+const settingsService = require('../services/settingsService');
+const onboardingService = require('../services/onboardingService');
+const mediaGcService = require('../services/mediaGcService');
 const { supabaseAdmin } = require('../config/database');
+const { ONBOARDING_RUN_TRIGGERS, MEDIA_GC_RUN_TRIGGERS } = require('../utils/constants');
 
 /**
  * Get waitlisted users
@@ -63,7 +68,7 @@ const batchApproveUsers = async (req, res, next) => {
       });
     }
 
-    const result = await adminService.batchApproveUsers(count);
+    const result = await adminService.batchApproveUsers(parseInt(count));
 
     res.json({
       success: true,
@@ -74,6 +79,147 @@ const batchApproveUsers = async (req, res, next) => {
   }
 };
 
+/**
+ * Get scheduled onboarding status
+ */
+const getOnboardingStatus = async (req, res, next) => {
+  try {
+    const status = await onboardingService.getStatus();
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get scheduled onboarding run history
+ */
+const getOnboardingRuns = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await onboardingService.getRuns({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pause or resume scheduled onboarding
+ */
+const setOnboardingEnabled = enabled => async (req, res, next) => {
+  try {
+    const status = await onboardingService.setEnabled(enabled);
+
+    res.json({
+      success: true,
+      message: enabled ? 'Scheduled onboarding resumed' : 'Scheduled onboarding paused',
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const pauseOnboarding = setOnboardingEnabled(false);
+const resumeOnboarding = setOnboardingEnabled(true);
+
+/**
+ * Run one onboarding batch now
+ */
+const runOnboarding = async (req, res, next) => {
+  try {
+    const run = await onboardingService.runOnboarding(ONBOARDING_RUN_TRIGGERS.MANUAL);
+
+    res.json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get media GC status
+ */
+const getMediaGcStatus = async (req, res, next) => {
+  try {
+    const status = await mediaGcService.getStatus();
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get media GC run history
+ */
+const getMediaGcRuns = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await mediaGcService.getRuns({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a media GC run with its orphan report
+ */
+const getMediaGcRun = async (req, res, next) => {
+  try {
+    const run = await mediaGcService.getRun(req.params.id);
+
+    res.json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run media GC now (dry run unless dry_run is false)
+ */
+const runMediaGc = async (req, res, next) => {
+  try {
+    const dryRun = req.body?.dry_run !== false;
+    const run = await mediaGcService.runGc({ trigger: MEDIA_GC_RUN_TRIGGERS.MANUAL, dryRun });
+
+    res.json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get pending creator applications
  */
@@ -145,6 +291,39 @@ const getPlatformStats = async (req, res, next) => {
   }
 };
 
+/**
+ * Get platform settings
+ */
+const getSettings = async (req, res, next) => {
+  try {
+    const settings = await settingsService.getSettings({ fresh: true });
+
+    res.json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update platform settings
+ */
+const updateSettings = async (req, res, next) => {
+  try {
+    const settings = await settingsService.updateSettings(req.body);
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete track (content moderation)
  */
@@ -179,6 +358,44 @@ const deleteReel = async (req, res, next) => {
   }
 };
 
+/**
+ * Delete comment (content moderation)
+ */
+const deleteComment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await commentService.deleteComment(id, req.user.id, req.userDetails.role);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hide or unhide comment (content moderation)
+ */
+const setCommentHidden = hidden => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const result = await commentService.setCommentHidden(id, hidden);
+
+    res.json({
+      success: true,
+      message: hidden ? 'Comment hidden successfully' : 'Comment restored successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const hideComment = setCommentHidden(true);
+const unhideComment = setCommentHidden(false);
+
 /**
  * Ban user
  */
@@ -195,27 +412,12 @@ const banUser = async (req, res, next) => {
       });
     }
 
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .update({
-        status: 'banned',
-        ban_reason: reason || null,
-        banned_at: new Date().toISOString(),
-      })
-      .eq('id', id)
-      .select('id, status, profiles!inner(username)')
-      .single();
-
-    if (error) throw error;
+    const data = await adminService.banUser(id, reason);
 
     res.json({
       success: true,
       message: 'User banned successfully',
-      data: {
-        id: data.id,
-        status: data.status,
-        username: data.profiles.username,
-      },
+      data,
     });
   } catch (error) {
     next(error);
@@ -269,12 +471,26 @@ module.exports = {
   getWaitlistedUsers,
   approveUser,
   batchApproveUsers,
+  getOnboardingStatus,
+  getOnboardingRuns,
+  pauseOnboarding,
+  resumeOnboarding,
+  runOnboarding,
+  getMediaGcStatus,
+  getMediaGcRuns,
+  getMediaGcRun,
+  runMediaGc,
   getCreatorApplications,
   approveCreatorApplication,
   rejectCreatorApplication,
   getPlatformStats,
+  getSettings,
+  updateSettings,
   deleteTrack,
   deleteReel,
+  deleteComment,
+  hideComment,
+  unhideComment,
   banUser,
   unbanUser,
 };
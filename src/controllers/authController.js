@@ -1,12 +1,32 @@
 const { createClient } = require('@supabase/supabase-js');
 const { ValidationError, AuthenticationError } = require('../utils/errors');
 const { validateRequired, isValidEmail } = require('../utils/validation');
+const userService = require('../services/userService');
+
+const PKCE_STORAGE_KEY = 'music-combinators-oauth';
 
 // Create a supabase client for auth operations (uses anon key)
 const getSupabaseClient = () => {
   return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
 };
 
+// Create a per-request PKCE client whose storage only knows the caller's code verifier
+const getPkceClient = codeVerifier => {
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, {
+    auth: {
+      flowType: 'pkce',
+      autoRefreshToken: false,
+      persistSession: true,
+      storageKey: PKCE_STORAGE_KEY,
+      storage: {
+        getItem: key => (key === `${PKCE_STORAGE_KEY}-code-verifier` ? codeVerifier : null),
+        setItem: () => {},
+        removeItem: () => {},
+      },
+    },
+  });
+};
+
 /**
  * Sign up new user
  */
@@ -134,6 +154,77 @@ const signin = async (req, res, next) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new session
+ */
+const refreshToken = async (req, res, next) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      throw new ValidationError('Refresh token is required');
+    }
+
+    const supabase = getSupabaseClient();
+    const { data, error } = await supabase.auth.refreshSession({ refresh_token });
+
+    if (error || !data?.session) {
+      throw new AuthenticationError('Invalid or expired refresh token. Please sign in again.');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session refreshed successfully',
+      data: {
+        session: data.session,
+        accessToken: data.session.access_token,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * OAuth callback handler (PKCE code exchange)
+ * Creates users/profiles rows for first-time OAuth sign-ins
+ */
+const oauthCallback = async (req, res, next) => {
+  try {
+    const { code, code_verifier } = req.body;
+
+    validateRequired({ code, code_verifier }, ['code', 'code_verifier']);
+
+    const supabase = getPkceClient(code_verifier);
+    const { data, error } = await supabase.auth.exchangeCodeForSession(code);
+
+    if (error || !data?.session || !data?.user) {
+      throw new AuthenticationError('Invalid or expired authorization code');
+    }
+
+    const { user, isNew } = await userService.ensureUserRecords(data.user);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'User registered successfully' : 'Signed in successfully',
+      data: {
+        user: {
+          id: data.user.id,
+          email: data.user.email,
+          username: user.profiles?.username,
+          display_name: user.profiles?.display_name,
+          status: user.status,
+        },
+        session: data.session,
+        accessToken: data.session.access_token,
+        isNewUser: isNew,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Request password reset
  * Sends a password reset email with a token
@@ -247,6 +338,8 @@ const resendConfirmation = async (req, res, next) => {
 module.exports = {
   signup,
   signin,
+  refreshToken,
+  oauthCallback,
   forgotPassword,
   resetPassword,
   resendConfirmation,
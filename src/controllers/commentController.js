@@ -0,0 +1,123 @@
+const commentService = require('../services/commentService');
+
+/**
+ * Get top-level comments on a track or reel
+ * @param {string} contentType - 'track' or 'reel'
+ * @route GET /api/tracks/:id/comments
+ * @route GET /api/reels/:id/comments
+ */
+const getComments = contentType => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { cursor, limit } = req.query;
+
+    const result = await commentService.getComments(contentType, id, {
+      cursor,
+      limit: limit ? Math.min(100, Math.max(1, parseInt(limit) || 20)) : 20,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.comments,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a comment or reply to a track or reel
+ * @param {string} contentType - 'track' or 'reel'
+ * @route POST /api/tracks/:id/comments
+ * @route POST /api/reels/:id/comments
+ */
+const createComment = contentType => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { body, parent_id } = req.body;
+
+    const comment = await commentService.createComment(req.user.id, contentType, id, {
+      body,
+      parent_id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: comment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get replies to a comment
+ * @route GET /api/comments/:id/replies
+ */
+const getReplies = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { cursor, limit } = req.query;
+
+    const result = await commentService.getReplies(id, {
+      cursor,
+      limit: limit ? Math.min(100, Math.max(1, parseInt(limit) || 20)) : 20,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.replies,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit own comment
+ * @route PUT /api/comments/:id
+ */
+const updateComment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { body } = req.body;
+
+    const comment = await commentService.updateComment(id, req.user.id, body);
+
+    res.status(200).json({
+      success: true,
+      data: comment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete comment (author, content owner or admin)
+ * @route DELETE /api/comments/:id
+ */
+const deleteComment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await commentService.deleteComment(id, req.user.id, req.userDetails?.role);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  getReplies,
+  updateComment,
+  deleteComment,
+};
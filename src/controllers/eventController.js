@@ -0,0 +1,54 @@
+const eventService = require('../services/eventService');
+const { EVENT_STREAM, EVENT_TYPES } = require('../utils/constants');
+
+/**
+ * Stream the current user's real-time events (Server-Sent Events)
+ * Sends a heartbeat comment every EVENT_STREAM.HEARTBEAT_SECONDS. A client
+ * reconnecting with Last-Event-ID gets the events it missed, or a resync
+ * event when they are no longer kept.
+ * @route GET /api/events/stream
+ */
+const streamEvents = (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const release = eventService.openConnection(userId, () => res.end());
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${EVENT_STREAM.RETRY_MS}\n\n`);
+
+    const send = event => res.write(eventService.formatEvent(event));
+
+    // Replay and subscribe in the same tick so no event falls in between
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+      const { events, complete } = eventService.getMissedEvents(userId, lastEventId);
+      if (!complete) send({ type: EVENT_TYPES.RESYNC, data: {} });
+      events.forEach(send);
+    }
+
+    const unsubscribe = eventService.subscribe(userId, send);
+    const heartbeat = setInterval(
+      () => res.write(': heartbeat\n\n'),
+      EVENT_STREAM.HEARTBEAT_SECONDS * 1000
+    );
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      release();
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  streamEvents,
+};
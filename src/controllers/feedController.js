@@ -0,0 +1,31 @@
+const feedService = require('../services/feedService');
+const { FEED_LIMITS } = require('../utils/constants');
+
+/**
+ * Get new tracks and reels from followed creators (newest first, cursor paginated)
+ * @route GET /api/feed/following
+ */
+const getFollowingFeed = async (req, res, next) => {
+  try {
+    const { cursor, limit } = req.query;
+
+    const result = await feedService.getFollowingFeed(req.user.id, {
+      cursor,
+      limit: limit
+        ? Math.min(FEED_LIMITS.MAX_LIMIT, Math.max(1, parseInt(limit) || FEED_LIMITS.DEFAULT_LIMIT))
+        : FEED_LIMITS.DEFAULT_LIMIT,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.items,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFollowingFeed,
+};
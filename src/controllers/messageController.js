@@ -0,0 +1,179 @@
+const messageService = require('../services/messageService');
+const { ValidationError } = require('../utils/errors');
+const { validateRequired } = require('../utils/validation');
+const {
+  CONVERSATION_FOLDERS,
+  CONVERSATION_STATUSES,
+  MESSAGE_LIMITS,
+} = require('../utils/constants');
+
+/**
+ * Parse a page size from the query string
+ * @param {string} limit - Requested limit
+ * @returns {number} Page size
+ */
+const parseLimit = limit =>
+  limit
+    ? Math.min(
+        MESSAGE_LIMITS.MAX_LIMIT,
+        Math.max(1, parseInt(limit) || MESSAGE_LIMITS.DEFAULT_LIMIT)
+      )
+    : MESSAGE_LIMITS.DEFAULT_LIMIT;
+
+/**
+ * Get the current user's conversations (latest message first, cursor paginated)
+ * folder=requests lists message requests instead of the inbox.
+ * @route GET /api/messages/conversations
+ */
+const getConversations = async (req, res, next) => {
+  try {
+    const { folder = CONVERSATION_FOLDERS.INBOX, cursor, limit } = req.query;
+
+    const folders = Object.values(CONVERSATION_FOLDERS);
+    if (!folders.includes(folder)) {
+      throw new ValidationError(`folder must be one of: ${folders.join(', ')}`);
+    }
+
+    const result = await messageService.getConversations(req.user.id, {
+      folder,
+      cursor,
+      limit: parseLimit(limit),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.conversations,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Count the current user's unread messages and message requests
+ * @route GET /api/messages/unread-count
+ */
+const getUnreadCounts = async (req, res, next) => {
+  try {
+    const counts = await messageService.getUnreadCounts(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: counts,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a message to a user, starting a conversation if there is none
+ * @route POST /api/messages/conversations
+ */
+const startConversation = async (req, res, next) => {
+  try {
+    const { recipient_id, body } = req.body;
+
+    validateRequired({ recipient_id }, ['recipient_id']);
+
+    const result = await messageService.sendToUser(req.user.id, recipient_id, body);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get messages in a conversation (newest first, cursor paginated)
+ * @route GET /api/messages/conversations/:id/messages
+ */
+const getMessages = async (req, res, next) => {
+  try {
+    const { cursor, limit } = req.query;
+
+    const result = await messageService.getMessages(req.user.id, req.params.id, {
+      cursor,
+      limit: parseLimit(limit),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.messages,
+      other_last_read_at: result.other_last_read_at,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a message in a conversation
+ * @route POST /api/messages/conversations/:id/messages
+ */
+const sendMessage = async (req, res, next) => {
+  try {
+    const message = await messageService.sendMessage(req.user.id, req.params.id, req.body.body);
+
+    res.status(201).json({
+      success: true,
+      data: message,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a conversation as read (sends a read receipt)
+ * @route POST /api/messages/conversations/:id/read
+ */
+const markRead = async (req, res, next) => {
+  try {
+    const result = await messageService.markRead(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept or decline a message request
+ * @param {string} status - CONVERSATION_STATUSES.ACCEPTED or DECLINED
+ * @route POST /api/messages/conversations/:id/accept
+ * @route POST /api/messages/conversations/:id/decline
+ */
+const respondToRequest = status => async (req, res, next) => {
+  try {
+    await messageService.respondToRequest(req.user.id, req.params.id, status);
+
+    res.status(200).json({
+      success: true,
+      message:
+        status === CONVERSATION_STATUSES.ACCEPTED
+          ? 'Message request accepted'
+          : 'Message request declined',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getConversations,
+  getUnreadCounts,
+  startConversation,
+  getMessages,
+  sendMessage,
+  markRead,
+  respondToRequest,
+};
@@ -0,0 +1,95 @@
+const notificationService = require('../services/notificationService');
+const { NOTIFICATION_LIMITS } = require('../utils/constants');
+
+/**
+ * Get the current user's notifications (latest activity first, cursor paginated)
+ * Pass unread=true to only get unread notifications.
+ * @route GET /api/notifications
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const { cursor, limit, unread } = req.query;
+
+    const [result, unreadCount] = await Promise.all([
+      notificationService.getNotifications(req.user.id, {
+        cursor,
+        limit: limit
+          ? Math.min(
+              NOTIFICATION_LIMITS.MAX_LIMIT,
+              Math.max(1, parseInt(limit) || NOTIFICATION_LIMITS.DEFAULT_LIMIT)
+            )
+          : NOTIFICATION_LIMITS.DEFAULT_LIMIT,
+        unreadOnly: unread === 'true',
+      }),
+      notificationService.getUnreadCount(req.user.id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: result.notifications,
+      unread_count: unreadCount,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Count the current user's unread notifications
+ * @route GET /api/notifications/unread-count
+ */
+const getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { unread_count: unreadCount },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark one of the current user's notifications as read
+ * @route POST /api/notifications/:id/read
+ */
+const markRead = async (req, res, next) => {
+  try {
+    await notificationService.markRead(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ * @route POST /api/notifications/read-all
+ */
+const markAllRead = async (req, res, next) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+};
@@ -0,0 +1,266 @@
+const playlistService = require('../services/playlistService');
+
+/**
+ * Create a new playlist
+ * @route POST /api/playlists
+ */
+const createPlaylist = async (req, res, next) => {
+  try {
+    const { name, description, is_public } = req.body;
+
+    const playlist = await playlistService.createPlaylist(req.user.id, {
+      name,
+      description,
+      is_public,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: playlist,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get playlist by ID with tracks
+ * @route GET /api/playlists/:id
+ */
+const getPlaylist = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const viewerId = req.user?.id;
+
+    const playlist = await playlistService.getPlaylistById(id, viewerId);
+
+    res.status(200).json({
+      success: true,
+      data: playlist,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get current user's playlists (including private)
+ * @route GET /api/playlists/me
+ */
+const getMyPlaylists = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+
+    const result = await playlistService.getUserPlaylists(req.user.id, {
+      page: page ? parseInt(page) : 1,
+      limit: limit ? parseInt(limit) : 20,
+      viewerId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.playlists,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get playlists followed by current user
+ * @route GET /api/playlists/following
+ */
+const getFollowedPlaylists = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+
+    const result = await playlistService.getFollowedPlaylists(req.user.id, {
+      page: page ? parseInt(page) : 1,
+      limit: limit ? parseInt(limit) : 20,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.playlists,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's playlists
+ * @route GET /api/playlists/user/:userId
+ */
+const getUserPlaylists = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { page, limit } = req.query;
+
+    const result = await playlistService.getUserPlaylists(userId, {
+      page: page ? parseInt(page) : 1,
+      limit: limit ? parseInt(limit) : 20,
+      viewerId: req.user?.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.playlists,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update playlist (rename, description, visibility)
+ * @route PUT /api/playlists/:id
+ */
+const updatePlaylist = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await playlistService.updatePlaylist(id, req.user.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: playlist,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete playlist
+ * @route DELETE /api/playlists/:id
+ */
+const deletePlaylist = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await playlistService.deletePlaylist(id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Playlist deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add track to playlist
+ * @route POST /api/playlists/:id/tracks
+ */
+const addTrack = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { track_id, position } = req.body;
+
+    const entry = await playlistService.addTrack(id, req.user.id, track_id, position);
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove track from playlist
+ * @route DELETE /api/playlists/:id/tracks/:trackId
+ */
+const removeTrack = async (req, res, next) => {
+  try {
+    const { id, trackId } = req.params;
+
+    await playlistService.removeTrack(id, req.user.id, trackId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Track removed from playlist',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reorder playlist tracks
+ * @route PUT /api/playlists/:id/tracks/order
+ */
+const reorderTracks = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { track_ids } = req.body;
+
+    const order = await playlistService.reorderTracks(id, req.user.id, track_ids);
+
+    res.status(200).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Follow playlist
+ * @route POST /api/playlists/:id/follow
+ */
+const followPlaylist = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await playlistService.followPlaylist(id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully followed playlist',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unfollow playlist
+ * @route DELETE /api/playlists/:id/follow
+ */
+const unfollowPlaylist = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await playlistService.unfollowPlaylist(id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully unfollowed playlist',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createPlaylist,
+  getPlaylist,
+  getMyPlaylists,
+  getFollowedPlaylists,
+  getUserPlaylists,
+  updatePlaylist,
+  deletePlaylist,
+  addTrack,
+  removeTrack,
+  reorderTracks,
+  followPlaylist,
+  unfollowPlaylist,
+};
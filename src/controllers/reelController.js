@@ -1,6 +1,8 @@
 const reelService = require('../services/reelService');
 const likeService = require('../services/likeService');
+const feedService = require('../services/feedService');
 const { ValidationError } = require('../utils/errors');
+const { FEED_LIMITS, REEL_FEED_MODES } = require('../utils/constants');
 
 /**
  * Create a new reel
@@ -8,14 +10,14 @@ const { ValidationError } = require('../utils/errors');
  */
 const createReel = async (req, res, next) => {
   try {
-    const { caption } = req.body;
+    const { caption, video_path } = req.body;
     const videoFile = req.file; // single file, not files array
 
-    if (!videoFile) {
+    if (!videoFile && !video_path) {
       throw new ValidationError('Video file is required');
     }
 
-    const reel = await reelService.createReel(req.user.id, { caption }, videoFile);
+    const reel = await reelService.createReel(req.user.id, { caption, video_path }, videoFile);
 
     res.status(201).json({
       success: true,
@@ -47,18 +49,44 @@ const getReel = async (req, res, next) => {
 };
 
 /**
- * Get reel feed (chronological)
+ * Get reel feed (chronological, or fair rotation with mode=fair)
  * @route GET /api/reels/feed
  */
 const getReelFeed = async (req, res, next) => {
   try {
-    const { page, limit } = req.query;
+    const { page, limit, tag, mode = REEL_FEED_MODES.LATEST, cursor, seed } = req.query;
     const userId = req.user?.id;
 
+    if (!Object.values(REEL_FEED_MODES).includes(mode)) {
+      throw new ValidationError(
+        `mode must be one of: ${Object.values(REEL_FEED_MODES).join(', ')}`
+      );
+    }
+
+    if (mode === REEL_FEED_MODES.FAIR) {
+      const fair = await feedService.getFairReelFeed(userId || null, {
+        cursor,
+        seed,
+        limit: limit
+          ? Math.min(
+              FEED_LIMITS.MAX_LIMIT,
+              Math.max(1, parseInt(limit) || FEED_LIMITS.DEFAULT_LIMIT)
+            )
+          : FEED_LIMITS.DEFAULT_LIMIT,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: fair.reels,
+        pagination: fair.pagination,
+      });
+    }
+
     const result = await reelService.getReelFeed({
       page: page ? parseInt(page) : 1,
       limit: limit ? parseInt(limit) : 20,
       userId,
+      tag,
     });
 
     res.status(200).json({
@@ -141,7 +169,7 @@ const viewReel = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    await reelService.incrementViewCount(id);
+    await reelService.incrementViewCount(id, req.user?.id);
 
     res.status(200).json({
       success: true,
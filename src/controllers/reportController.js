@@ -0,0 +1,117 @@
+const reportService = require('../services/reportService');
+const { validateRequired } = require('../utils/validation');
+
+/**
+ * Report a track, reel, profile or comment
+ * Returns 200 with the existing report if the user already has an open report on the target.
+ * @route POST /api/reports
+ */
+const createReport = async (req, res, next) => {
+  try {
+    const { target_type, target_id, reason, details } = req.body;
+
+    validateRequired({ target_type, target_id, reason }, ['target_type', 'target_id', 'reason']);
+
+    const { report, created } = await reportService.createReport(req.user.id, {
+      target_type,
+      target_id,
+      reason,
+      details,
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Report submitted' : 'You have already reported this',
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the moderation queue
+ * @route GET /api/admin/reports
+ */
+const getReports = async (req, res, next) => {
+  try {
+    const { status, target_type, page, limit } = req.query;
+
+    const result = await reportService.getReports({
+      status,
+      targetType: target_type,
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a report
+ * @route GET /api/admin/reports/:id
+ */
+const getReport = async (req, res, next) => {
+  try {
+    const report = await reportService.getReport(req.params.id);
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dismiss a report (and the other open reports on its target)
+ * @route POST /api/admin/reports/:id/dismiss
+ */
+const dismissReport = async (req, res, next) => {
+  try {
+    const result = await reportService.dismissReport(req.params.id, req.user.id, req.body?.note);
+
+    res.json({
+      success: true,
+      message: 'Report dismissed',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Act on a report's target (deactivate, delete or ban) and resolve its open reports
+ * @route POST /api/admin/reports/:id/action
+ */
+const actionReport = async (req, res, next) => {
+  try {
+    const { action, note } = req.body || {};
+
+    const result = await reportService.actionReport(req.params.id, req.user.id, { action, note });
+
+    res.json({
+      success: true,
+      message: 'Report actioned',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createReport,
+  getReports,
+  getReport,
+  dismissReport,
+  actionReport,
+};
@@ -0,0 +1,176 @@
+const trackService = require('../services/trackService');
+const userService = require('../services/userService');
+const reelService = require('../services/reelService');
+const searchService = require('../services/searchService');
+const { ValidationError } = require('../utils/errors');
+const { PAGINATION, SEARCH_LIMITS, SEARCH_TYPES } = require('../utils/constants');
+
+/**
+ * Search one result group
+ * @param {string} type - Result group (see SEARCH_TYPES)
+ * @param {string} query - Search query
+ * @param {number} page - Page number
+ * @param {number} limit - Results per page
+ * @param {string|null} viewerId - Signed-in user's ID, if any
+ * @returns {Promise<Object>} { items, pagination }, each item tagged with its type
+ */
+const searchGroup = async (type, query, page, limit, viewerId) => {
+  const offset = (page - 1) * limit;
+
+  if (type === SEARCH_TYPES.USERS) {
+    const { users, total } = await userService.searchUsers(query, { limit, offset, viewerId });
+    return {
+      items: users.map(user => ({ type: 'user', ...user })),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    };
+  }
+
+  if (type === SEARCH_TYPES.REELS) {
+    const { reels, pagination } = await reelService.searchReels(query, { page, limit });
+    return { items: reels.map(reel => ({ type: 'reel', ...reel })), pagination };
+  }
+
+  const { tracks, pagination } = await trackService.searchTracks(query, { page, limit });
+  return { items: tracks.map(track => ({ type: 'track', ...track })), pagination };
+};
+
+/**
+ * Search tracks, users and reels, grouped by type and ranked by relevance
+ * Without type, each group returns its top results (limit defaults to
+ * SEARCH_LIMITS.GROUP_LIMIT); with type, only that group is paginated.
+ * Signed-in users' queries are added to their recent searches.
+ * @route GET /api/search
+ */
+const search = async (req, res, next) => {
+  try {
+    const { q, type } = req.query;
+    const query = typeof q === 'string' ? q.trim() : '';
+
+    if (query.length < SEARCH_LIMITS.MIN_QUERY_LENGTH) {
+      throw new ValidationError(
+        `Search query must be at least ${SEARCH_LIMITS.MIN_QUERY_LENGTH} characters`
+      );
+    }
+
+    const types = Object.values(SEARCH_TYPES);
+    if (type !== undefined && !types.includes(type)) {
+      throw new ValidationError(`type must be one of: ${types.join(', ')}`);
+    }
+
+    const page = type ? Math.max(1, parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE) : 1;
+    const defaultLimit = type ? PAGINATION.DEFAULT_LIMIT : SEARCH_LIMITS.GROUP_LIMIT;
+    const limit = Math.min(
+      PAGINATION.MAX_LIMIT,
+      Math.max(1, parseInt(req.query.limit) || defaultLimit)
+    );
+
+    const groups = type ? [type] : types;
+    const results = await Promise.all(
+      groups.map(group => searchGroup(group, query, page, limit, req.user?.id || null))
+    );
+
+    if (req.user && page === 1) {
+      await searchService.recordSearch(req.user.id, query);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        query,
+        ...Object.fromEntries(groups.map((group, i) => [group, results[i]])),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suggest artists and track titles as the user types, tolerating typos
+ * Signed-in users also get their recent searches starting with the text.
+ * @route GET /api/search/suggest
+ */
+const suggest = async (req, res, next) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = Math.min(
+      SEARCH_LIMITS.SUGGEST_MAX_LIMIT,
+      Math.max(1, parseInt(req.query.limit) || SEARCH_LIMITS.SUGGEST_LIMIT)
+    );
+
+    const [suggestions, recent] = await Promise.all([
+      searchService.getSuggestions(query, { limit }),
+      req.user ? searchService.getRecentSearches(req.user.id, { prefix: query }) : [],
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        query,
+        suggestions,
+        recent,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's recent searches
+ * @route GET /api/search/history
+ */
+const getHistory = async (req, res, next) => {
+  try {
+    const entries = await searchService.getRecentSearches(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove one of the current user's recent searches
+ * @route DELETE /api/search/history/:id
+ */
+const deleteHistoryEntry = async (req, res, next) => {
+  try {
+    await searchService.deleteRecentSearch(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Search removed from history',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Clear the current user's recent searches
+ * @route DELETE /api/search/history
+ */
+const clearHistory = async (req, res, next) => {
+  try {
+    await searchService.clearSearchHistory(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Search history cleared',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  search,
+  suggest,
+  getHistory,
+  deleteHistoryEntry,
+  clearHistory,
+};
@@ -0,0 +1,67 @@
+const { STORAGE_CONFIG, getStorageDriver } = require('../config/storage');
+const storageService = require('../services/storageService');
+const { AuthorizationError, NotFoundError, ValidationError } = require('../utils/errors');
+
+/**
+ * Serve a file from the local storage driver
+ * Public mode serves any key; private mode requires a signed URL.
+ * Range, conditional and HEAD requests are handled by res.sendFile.
+ * @route GET /api/storage/*key
+ */
+const serveFile = async (req, res, next) => {
+  try {
+    const driver = getStorageDriver();
+    const key = req.params.key.join('/');
+
+    if (STORAGE_CONFIG.PRIVATE && !driver.verifySignature('GET', key, req.query)) {
+      throw new AuthorizationError('Invalid or expired link');
+    }
+
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.sendFile(driver.resolvePath(key), { dotfiles: 'deny', maxAge: '1h' }, error => {
+      if (error && !res.headersSent) {
+        next(error.status === 404 ? new NotFoundError('File not found') : error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive a direct upload to the local storage driver (raw request body)
+ * @route PUT /api/storage/*key
+ */
+const receiveUpload = async (req, res, next) => {
+  try {
+    const driver = getStorageDriver();
+    const key = req.params.key.join('/');
+
+    if (!driver.verifySignature('PUT', key, req.query)) {
+      throw new AuthorizationError('Invalid or expired upload URL');
+    }
+
+    const maxSize = storageService.MAX_SIZES[key.split('/')[0]];
+    if (!maxSize) {
+      throw new ValidationError('Invalid upload path');
+    }
+
+    if (parseInt(req.get('content-length')) > maxSize) {
+      throw new ValidationError(`File size exceeds ${maxSize / (1024 * 1024)}MB limit`);
+    }
+
+    await driver.receive(key, req, maxSize);
+
+    res.status(200).json({
+      success: true,
+      data: { path: key },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  serveFile,
+  receiveUpload,
+};
@@ -0,0 +1,122 @@
+const taxonomyService = require('../services/taxonomyService');
+const { TAXONOMY_LIMITS } = require('../utils/constants');
+
+/**
+ * List genres or moods
+ * Public listings only show active terms; the admin listing shows all.
+ * @param {string} kind - 'genre' or 'mood'
+ * @param {Object} options - { includeInactive }
+ * @route GET /api/taxonomy/genres
+ * @route GET /api/taxonomy/moods
+ * @route GET /api/admin/genres
+ * @route GET /api/admin/moods
+ */
+const listTerms =
+  (kind, options = {}) =>
+  async (req, res, next) => {
+    try {
+      const terms = await taxonomyService.listTerms(kind, options);
+
+      res.status(200).json({
+        success: true,
+        data: terms,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+/**
+ * Create a genre or mood
+ * @param {string} kind - 'genre' or 'mood'
+ * @route POST /api/admin/genres
+ * @route POST /api/admin/moods
+ */
+const createTerm = kind => async (req, res, next) => {
+  try {
+    const { name, slug } = req.body || {};
+
+    const term = await taxonomyService.createTerm(kind, { name, slug });
+
+    res.status(201).json({
+      success: true,
+      data: term,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename, activate or deactivate a genre or mood
+ * @param {string} kind - 'genre' or 'mood'
+ * @route PUT /api/admin/genres/:id
+ * @route PUT /api/admin/moods/:id
+ */
+const updateTerm = kind => async (req, res, next) => {
+  try {
+    const { name, is_active } = req.body || {};
+
+    const term = await taxonomyService.updateTerm(kind, req.params.id, { name, is_active });
+
+    res.status(200).json({
+      success: true,
+      data: term,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a genre or mood, removing it from all tracks
+ * @param {string} kind - 'genre' or 'mood'
+ * @route DELETE /api/admin/genres/:id
+ * @route DELETE /api/admin/moods/:id
+ */
+const deleteTerm = kind => async (req, res, next) => {
+  try {
+    await taxonomyService.deleteTerm(kind, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: `${kind.charAt(0).toUpperCase()}${kind.slice(1)} deleted successfully`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get trending tags
+ * @route GET /api/taxonomy/tags/trending
+ */
+const getTrendingTags = async (req, res, next) => {
+  try {
+    const { type, days, limit } = req.query;
+
+    const result = await taxonomyService.getTrendingTags({
+      contentType: type || null,
+      days: days
+        ? Math.min(TAXONOMY_LIMITS.TRENDING_MAX_DAYS, Math.max(1, parseInt(days) || 1))
+        : TAXONOMY_LIMITS.TRENDING_DEFAULT_DAYS,
+      limit: limit ? Math.min(50, Math.max(1, parseInt(limit) || 20)) : 20,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.tags,
+      days: result.days,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listTerms,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  getTrendingTags,
+};
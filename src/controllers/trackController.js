@@ -1,5 +1,6 @@
 const trackService = require('../services/trackService');
 const likeService = require('../services/likeService');
+const streamService = require('../services/streamService');
 const { ValidationError } = require('../utils/errors');
 
 /**
@@ -8,17 +9,47 @@ const { ValidationError } = require('../utils/errors');
  */
 const createTrack = async (req, res, next) => {
   try {
-    const { title, duration } = req.body;
+    const {
+      title,
+      artist,
+      genre,
+      description,
+      lyrics,
+      credits,
+      release_date,
+      is_explicit,
+      genres,
+      moods,
+      tags,
+      duration,
+      audio_path,
+      cover_path,
+    } = req.body;
     const audioFile = req.files?.audio?.[0];
     const coverFile = req.files?.cover?.[0];
 
-    if (!audioFile) {
+    if (!audioFile && !audio_path) {
       throw new ValidationError('Audio file is required');
     }
 
     const track = await trackService.createTrack(
       req.user.id,
-      { title, duration: duration ? parseInt(duration) : null },
+      {
+        title,
+        artist,
+        genre,
+        description,
+        lyrics,
+        credits,
+        release_date,
+        is_explicit,
+        genres,
+        moods,
+        tags,
+        duration: duration ? parseInt(duration) : null,
+        audio_path,
+        cover_path,
+      },
       audioFile,
       coverFile
     );
@@ -53,18 +84,21 @@ const getTrack = async (req, res, next) => {
 };
 
 /**
- * Get all tracks (paginated)
+ * Get all tracks (paginated), optionally filtered by genre, mood and tag
  * @route GET /api/tracks
  */
 const getAllTracks = async (req, res, next) => {
   try {
-    const { page, limit } = req.query;
+    const { page, limit, genre, mood, tag } = req.query;
     const userId = req.user?.id;
 
     const result = await trackService.getAllTracks({
       page: page ? parseInt(page) : 1,
       limit: limit ? parseInt(limit) : 20,
       userId,
+      genre,
+      mood,
+      tag,
     });
 
     res.status(200).json({
@@ -124,15 +158,56 @@ const getUserTracks = async (req, res, next) => {
 };
 
 /**
- * Update track
+ * Update track metadata, replace its audio or cover, or remove its cover
  * @route PUT /api/tracks/:id
  */
 const updateTrack = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = req.body || {};
 
-    const track = await trackService.updateTrack(id, req.user.id, updates);
+    const track = await trackService.updateTrack(id, req.user.id, updates, {
+      audioFile: req.files?.audio?.[0],
+      coverFile: req.files?.cover?.[0],
+    });
+
+    res.status(200).json({
+      success: true,
+      data: track,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get previous audio versions of a track (creator only)
+ * @route GET /api/tracks/:id/versions
+ */
+const getAudioVersions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const versions = await trackService.getAudioVersions(id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: versions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Roll a track back to a previous audio version
+ * @route POST /api/tracks/:id/versions/:versionId/restore
+ */
+const restoreAudioVersion = async (req, res, next) => {
+  try {
+    const { id, versionId } = req.params;
+
+    const track = await trackService.restoreAudioVersion(id, req.user.id, versionId);
 
     res.status(200).json({
       success: true,
@@ -163,19 +238,97 @@ const deleteTrack = async (req, res, next) => {
 };
 
 /**
- * Increment play count
+ * Build the listener identity used for play counting
+ */
+const getListenerKey = req =>
+  streamService.getListenerKey({
+    userId: req.user?.id,
+    ip: req.ip,
+  });
+
+/**
+ * Report a play (kept for older clients; counts nothing)
+ * Plays are counted only by GET /api/tracks/:id/stream, once enough audio
+ * has been fetched, so a client cannot add plays without listening.
  * @route POST /api/tracks/:id/play
  */
-const playTrack = async (req, res, next) => {
+const playTrack = (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Plays are counted while the track is streamed',
+  });
+};
+
+/**
+ * Stream track audio with Range and ETag support
+ * Counts a play once the listener has fetched enough of the track
+ * @route GET /api/tracks/:id/stream
+ */
+const streamTrack = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const audio = await streamService.getTrackAudio(id);
 
-    await trackService.incrementPlayCount(id);
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': audio.contentType,
+      'Cache-Control': 'private, max-age=3600',
+      // Allow <audio> elements on other origins (helmet defaults to same-origin)
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      ETag: audio.etag,
+    });
+    if (audio.lastModified) res.set('Last-Modified', audio.lastModified);
 
-    res.status(200).json({
-      success: true,
-      message: 'Play count incremented',
+    if (streamService.etagMatches(req.get('If-None-Match'), audio.etag)) {
+      return res.status(304).end();
+    }
+
+    // If-Range: only honour the range when the client's copy is still current
+    const ifRange = req.get('If-Range');
+    const rangeHeader =
+      !ifRange || streamService.etagMatches(ifRange, audio.etag) ? req.get('Range') : null;
+    const range = streamService.parseRange(rangeHeader, audio.size);
+
+    if (range?.unsatisfiable) {
+      res.set('Content-Range', `bytes */${audio.size}`);
+      return res.status(416).end();
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : audio.size - 1;
+
+    res.status(range ? 206 : 200);
+    res.set('Content-Length', String(end - start + 1));
+    if (range) res.set('Content-Range', `bytes ${start}-${end}/${audio.size}`);
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = await streamService.openAudioStream(audio.path, start, end, audio.size);
+    const listenerKey = getListenerKey(req);
+    let bytesSent = 0;
+
+    stream.on('data', chunk => {
+      bytesSent += chunk.length;
+    });
+
+    // Count what was actually delivered, including aborted requests
+    res.on('close', () => {
+      stream.destroy();
+      streamService.recordListening(id, listenerKey, audio, start, bytesSent).catch(error => {
+        // eslint-disable-next-line no-console
+        console.error('Error recording playback:', error);
+      });
     });
+
+    stream.on('error', error => {
+      // eslint-disable-next-line no-console
+      console.error('Audio stream error:', error);
+      res.destroy(error);
+    });
+
+    stream.pipe(res);
   } catch (error) {
     next(error);
   }
@@ -207,7 +360,10 @@ module.exports = {
   searchTracks,
   getUserTracks,
   updateTrack,
+  getAudioVersions,
+  restoreAudioVersion,
   deleteTrack,
   playTrack,
+  streamTrack,
   toggleLike,
 };
@@ -0,0 +1,54 @@
+const storageService = require('../services/storageService');
+const { validateRequired } = require('../utils/validation');
+
+/**
+ * Issue a signed URL for uploading a file directly to storage
+ * @param {string} category - 'audio', 'video' or 'image'
+ * @route POST /api/upload/audio
+ * @route POST /api/upload/video
+ * @route POST /api/upload/image
+ */
+const createSignedUpload = category => async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    validateRequired(body, ['filename', 'content_type', 'size']);
+
+    const upload = await storageService.createSignedUpload(req.user.id, category, {
+      filename: body.filename,
+      content_type: body.content_type,
+      size: body.size,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: upload,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm a direct upload finished and passes the size/type limits
+ * @route POST /api/upload/confirm
+ */
+const confirmUpload = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    validateRequired(body, ['path']);
+
+    const upload = await storageService.confirmUpload(body.path, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: upload,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createSignedUpload,
+  confirmUpload,
+};
@@ -1,5 +1,6 @@
 const userService = require('../services/userService');
 const followService = require('../services/followService');
+const blockService = require('../services/blockService');
 const { ValidationError } = require('../utils/errors');
 const { PAGINATION } = require('../utils/constants');
 
@@ -43,6 +44,13 @@ const updateProfile = async (req, res, next) => {
   try {
     const { username, display_name, bio, avatar_url, artist_name } = req.body;
 
+    // Avatars are uploaded and processed through POST /api/users/me/avatar
+    if (avatar_url !== undefined) {
+      throw new ValidationError(
+        'avatar_url cannot be set directly; upload an image to /api/users/me/avatar'
+      );
+    }
+
     // Validate input
     if (username !== undefined) {
       if (!username || username.length < 3 || username.length > 50) {
@@ -74,7 +82,6 @@ const updateProfile = async (req, res, next) => {
     if (username !== undefined) updateData.username = username;
     if (display_name !== undefined) updateData.display_name = display_name;
     if (bio !== undefined) updateData.bio = bio;
-    if (avatar_url !== undefined) updateData.avatar_url = avatar_url;
     if (artist_name !== undefined) updateData.artist_name = artist_name;
 
     const updatedProfile = await userService.updateUserProfile(req.user.id, updateData);
@@ -89,6 +96,51 @@ const updateProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * Upload a new avatar (multipart "image" field, or avatar_path from /api/upload)
+ * @route POST /api/users/me/avatar
+ */
+const uploadAvatar = async (req, res, next) => {
+  try {
+    const avatarPath = req.body?.avatar_path;
+
+    if (!req.file && !avatarPath) {
+      throw new ValidationError('Avatar image is required');
+    }
+
+    const profile = await userService.updateAvatar(
+      req.user.id,
+      req.file ? { file: req.file } : { path: avatarPath }
+    );
+
+    res.json({
+      success: true,
+      data: profile,
+      message: 'Avatar updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove the current avatar
+ * @route DELETE /api/users/me/avatar
+ */
+const deleteAvatar = async (req, res, next) => {
+  try {
+    const profile = await userService.removeAvatar(req.user.id);
+
+    res.json({
+      success: true,
+      data: profile,
+      message: 'Avatar removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Search users
  */
@@ -106,7 +158,11 @@ const searchUsers = async (req, res, next) => {
       throw new ValidationError('Search query must be at least 2 characters');
     }
 
-    const users = await userService.searchUsers(query.trim(), { limit, offset });
+    const { users, total } = await userService.searchUsers(query.trim(), {
+      limit,
+      offset,
+      viewerId: req.user?.id,
+    });
 
     res.json({
       success: true,
@@ -114,7 +170,8 @@ const searchUsers = async (req, res, next) => {
       pagination: {
         page,
         limit,
-        total: users.length, // Note: This is not the total count, just current page count
+        total,
+        totalPages: Math.ceil(total / limit),
       },
     });
   } catch (error) {
@@ -264,9 +321,125 @@ const getFollowing = async (req, res, next) => {
   }
 };
 
+/**
+ * Block a user (removes follows both ways)
+ * @route POST /api/users/:id/block
+ */
+const blockUser = async (req, res, next) => {
+  try {
+    await blockService.blockUser(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully blocked user',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unblock a user
+ * @route DELETE /api/users/:id/block
+ */
+const unblockUser = async (req, res, next) => {
+  try {
+    await blockService.unblockUser(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully unblocked user',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mute a user (hides their content from your feeds)
+ * @route POST /api/users/:id/mute
+ */
+const muteUser = async (req, res, next) => {
+  try {
+    await blockService.muteUser(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully muted user',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unmute a user
+ * @route DELETE /api/users/:id/mute
+ */
+const unmuteUser = async (req, res, next) => {
+  try {
+    await blockService.unmuteUser(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully unmuted user',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get users the current user has blocked
+ * @route GET /api/users/me/blocks
+ */
+const getBlockedUsers = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+
+    const result = await blockService.getBlockedUsers(req.user.id, {
+      page: Math.max(1, parseInt(page) || PAGINATION.DEFAULT_PAGE),
+      limit: Math.min(PAGINATION.MAX_LIMIT, parseInt(limit) || PAGINATION.DEFAULT_LIMIT),
+    });
+
+    res.json({
+      success: true,
+      data: result.users,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get users the current user has muted
+ * @route GET /api/users/me/mutes
+ */
+const getMutedUsers = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+
+    const result = await blockService.getMutedUsers(req.user.id, {
+      page: Math.max(1, parseInt(page) || PAGINATION.DEFAULT_PAGE),
+      limit: Math.min(PAGINATION.MAX_LIMIT, parseInt(limit) || PAGINATION.DEFAULT_LIMIT),
+    });
+
+    res.json({
+      success: true,
+      data: result.users,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getCurrentUser,
   updateProfile,
+  uploadAvatar,
+  deleteAvatar,
   searchUsers,
   getUserByUsername,
   getPublicProfile,
@@ -274,4 +447,10 @@ module.exports = {
   unfollowUser,
   getFollowers,
   getFollowing,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  getBlockedUsers,
+  getMutedUsers,
 };
@@ -1,18 +1,20 @@
 const multer = require('multer');
 const { ValidationError } = require('../utils/errors');
+const { FILE_LIMITS } = require('../utils/constants');
+const { assertFileType } = require('../utils/fileSignature');
 
-// File size limits (in bytes)
+// File size limits in bytes (see FILE_LIMITS)
 const FILE_SIZE_LIMITS = {
-  audio: 50 * 1024 * 1024, // 50MB
-  video: 100 * 1024 * 1024, // 100MB
-  image: 5 * 1024 * 1024, // 5MB
+  audio: FILE_LIMITS.AUDIO.MAX_SIZE,
+  video: FILE_LIMITS.VIDEO.MAX_SIZE,
+  image: FILE_LIMITS.IMAGE.MAX_SIZE,
 };
 
-// Allowed MIME types
+// Allowed MIME types (see FILE_LIMITS)
 const ALLOWED_MIME_TYPES = {
-  audio: ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg'],
-  video: ['video/mp4', 'video/webm', 'video/ogg'],
-  image: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
+  audio: FILE_LIMITS.AUDIO.ALLOWED_TYPES,
+  video: FILE_LIMITS.VIDEO.ALLOWED_TYPES,
+  image: FILE_LIMITS.IMAGE.ALLOWED_TYPES,
 };
 
 /**
@@ -22,9 +24,15 @@ const storage = multer.memoryStorage();
 
 /**
  * File filter function
+ * @param {string|Object} category - Category, or map of field name to category
  */
 const fileFilter = category => (req, file, cb) => {
-  const allowedTypes = ALLOWED_MIME_TYPES[category];
+  const fieldCategory = typeof category === 'string' ? category : category[file.fieldname];
+  const allowedTypes = ALLOWED_MIME_TYPES[fieldCategory];
+
+  if (!allowedTypes) {
+    return cb(new ValidationError('Unexpected field in file upload'), false);
+  }
 
   if (!allowedTypes.includes(file.mimetype)) {
     return cb(
@@ -36,53 +44,84 @@ const fileFilter = category => (req, file, cb) => {
   cb(null, true);
 };
 
+/**
+ * Check that every uploaded buffer's content matches its declared MIME type
+ * Runs after multer, which only sees the declared type while filtering
+ */
+const inspectFileContent = (req, res, next) => {
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+
+  try {
+    for (const file of files) {
+      assertFileType(file.buffer, file.mimetype);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Create multer upload middleware for specific file type
  */
 const createUploadMiddleware = (category, fieldName, maxCount = 1) => {
-  return multer({
+  const upload = multer({
     storage,
     fileFilter: fileFilter(category),
     limits: {
       fileSize: FILE_SIZE_LIMITS[category],
     },
   }).fields([{ name: fieldName, maxCount }]);
+
+  return [upload, inspectFileContent];
 };
 
 /**
  * Middleware for track uploads (audio + optional cover)
+ * multer applies one size limit to all fields, so the cover is checked
+ * against the image limit again in storageService.validateFile
  */
-const uploadTrack = multer({
-  storage,
-  limits: {
-    fileSize: FILE_SIZE_LIMITS.audio,
-  },
-}).fields([
-  { name: 'audio', maxCount: 1 },
-  { name: 'cover', maxCount: 1 },
-]);
+const uploadTrack = [
+  multer({
+    storage,
+    fileFilter: fileFilter({ audio: 'audio', cover: 'image' }),
+    limits: {
+      fileSize: FILE_SIZE_LIMITS.audio,
+    },
+  }).fields([
+    { name: 'audio', maxCount: 1 },
+    { name: 'cover', maxCount: 1 },
+  ]),
+  inspectFileContent,
+];
 
 /**
  * Middleware for reel uploads (video only)
  */
-const uploadReel = multer({
-  storage,
-  fileFilter: fileFilter('video'),
-  limits: {
-    fileSize: FILE_SIZE_LIMITS.video,
-  },
-}).single('video');
+const uploadReel = [
+  multer({
+    storage,
+    fileFilter: fileFilter('video'),
+    limits: {
+      fileSize: FILE_SIZE_LIMITS.video,
+    },
+  }).single('video'),
+  inspectFileContent,
+];
 
 /**
  * Middleware for image uploads (avatar, covers, etc.)
  */
-const uploadImage = multer({
-  storage,
-  fileFilter: fileFilter('image'),
-  limits: {
-    fileSize: FILE_SIZE_LIMITS.image,
-  },
-}).single('image');
+const uploadImage = [
+  multer({
+    storage,
+    fileFilter: fileFilter('image'),
+    limits: {
+      fileSize: FILE_SIZE_LIMITS.image,
+    },
+  }).single('image'),
+  inspectFileContent,
+];
 
 /**
  * Error handling middleware for multer errors
@@ -109,4 +148,7 @@ module.exports = {
   uploadImage,
   handleUploadError,
   createUploadMiddleware,
+  inspectFileContent,
+  FILE_SIZE_LIMITS,
+  ALLOWED_MIME_TYPES,
 };
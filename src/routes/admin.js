@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const taxonomyController = require('../controllers/taxonomyController');
+const reportController = require('../controllers/reportController');
 const { authenticate } = require('../middleware/auth');
 const { requireRole } = require('../middleware/authorization');
+const { TAXONOMY_KINDS } = require('../utils/constants');
 
 // All admin routes require authentication and admin role
 router.use(authenticate);
@@ -11,11 +14,28 @@ router.use(requireRole(['admin']));
 // Platform statistics
 router.get('/stats', adminController.getPlatformStats);
 
+// Platform settings
+router.get('/settings', adminController.getSettings);
+router.put('/settings', adminController.updateSettings);
+
 // Waitlist management
 router.get('/waitlist', adminController.getWaitlistedUsers);
 router.post('/users/approve', adminController.approveUser);
 router.post('/users/batch-approve', adminController.batchApproveUsers);
 
+// Scheduled onboarding
+router.get('/onboarding', adminController.getOnboardingStatus);
+router.get('/onboarding/runs', adminController.getOnboardingRuns);
+router.post('/onboarding/pause', adminController.pauseOnboarding);
+router.post('/onboarding/resume', adminController.resumeOnboarding);
+router.post('/onboarding/run', adminController.runOnboarding);
+
+// Orphaned media cleanup
+router.get('/media-gc', adminController.getMediaGcStatus);
+router.get('/media-gc/runs', adminController.getMediaGcRuns);
+router.get('/media-gc/runs/:id', adminController.getMediaGcRun);
+router.post('/media-gc/run', adminController.runMediaGc);
+
 // User moderation
 router.post('/users/:id/ban', adminController.banUser);
 router.post('/users/:id/unban', adminController.unbanUser);
@@ -28,5 +48,25 @@ router.post('/creator-applications/:id/reject', adminController.rejectCreatorApp
 // Content moderation
 router.delete('/tracks/:id', adminController.deleteTrack);
 router.delete('/reels/:id', adminController.deleteReel);
+router.delete('/comments/:id', adminController.deleteComment);
+router.post('/comments/:id/hide', adminController.hideComment);
+router.post('/comments/:id/unhide', adminController.unhideComment);
+
+// Report queue
+router.get('/reports', reportController.getReports);
+router.get('/reports/:id', reportController.getReport);
+router.post('/reports/:id/dismiss', reportController.dismissReport);
+router.post('/reports/:id/action', reportController.actionReport);
+
+// Genres and moods
+for (const [path, kind] of [
+  ['/genres', TAXONOMY_KINDS.GENRE],
+  ['/moods', TAXONOMY_KINDS.MOOD],
+]) {
+  router.get(path, taxonomyController.listTerms(kind, { includeInactive: true }));
+  router.post(path, taxonomyController.createTerm(kind));
+  router.put(`${path}/:id`, taxonomyController.updateTerm(kind));
+  router.delete(`${path}/:id`, taxonomyController.deleteTerm(kind));
+}
 
 module.exports = router;
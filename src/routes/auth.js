@@ -18,21 +18,17 @@ router.post('/signin', authController.signin);
 
 /**
  * @route   POST /api/auth/callback
- * @desc    OAuth callback handler
+ * @desc    Exchange OAuth authorization code (PKCE) for a session
  * @access  Public
  */
-router.post('/callback', (req, res) => {
-  res.json({ message: 'Auth callback - coming soon' });
-});
+router.post('/callback', authController.oauthCallback);
 
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token
  * @access  Public
  */
-router.post('/refresh', (req, res) => {
-  res.json({ message: 'Token refresh - coming soon' });
-});
+router.post('/refresh', authController.refreshToken);
 
 /**
  * @route   POST /api/auth/forgot-password
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const commentController = require('../controllers/commentController');
+const { authenticate } = require('../middleware/auth');
+const { requireActive } = require('../middleware/authorization');
+
+// Public routes
+router.get('/:id/replies', commentController.getReplies);
+
+// Author / moderator routes
+router.put('/:id', authenticate, requireActive(), commentController.updateComment);
+router.delete('/:id', authenticate, requireActive(), commentController.deleteComment);
+
+module.exports = router;
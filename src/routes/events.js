@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const { authenticate } = require('../middleware/auth');
+
+// Current user's real-time events
+router.get('/stream', authenticate, eventController.streamEvents);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/feedController');
+const { authenticate } = require('../middleware/auth');
+
+// Personal feeds
+router.get('/following', authenticate, feedController.getFollowingFeed);
+
+module.exports = router;
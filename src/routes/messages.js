@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const messageController = require('../controllers/messageController');
+const { authenticate } = require('../middleware/auth');
+const { requireActive } = require('../middleware/authorization');
+const { CONVERSATION_STATUSES } = require('../utils/constants');
+
+// Inbox and message requests
+router.get('/conversations', authenticate, messageController.getConversations);
+router.get('/unread-count', authenticate, messageController.getUnreadCounts);
+
+// Sending (active users only)
+router.post('/conversations', authenticate, requireActive(), messageController.startConversation);
+router.post(
+  '/conversations/:id/messages',
+  authenticate,
+  requireActive(),
+  messageController.sendMessage
+);
+
+// Reading and requests
+router.get('/conversations/:id/messages', authenticate, messageController.getMessages);
+router.post('/conversations/:id/read', authenticate, messageController.markRead);
+router.post(
+  '/conversations/:id/accept',
+  authenticate,
+  messageController.respondToRequest(CONVERSATION_STATUSES.ACCEPTED)
+);
+router.post(
+  '/conversations/:id/decline',
+  authenticate,
+  messageController.respondToRequest(CONVERSATION_STATUSES.DECLINED)
+);
+
+module.exports = router;
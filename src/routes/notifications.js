@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+
+// Current user's notifications
+router.get('/', authenticate, notificationController.getNotifications);
+router.get('/unread-count', authenticate, notificationController.getUnreadCount);
+router.post('/read-all', authenticate, notificationController.markAllRead);
+router.post('/:id/read', authenticate, notificationController.markRead);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const playlistController = require('../controllers/playlistController');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { requireActive } = require('../middleware/authorization');
+
+// Current user's playlists
+router.get('/me', authenticate, playlistController.getMyPlaylists);
+router.get('/following', authenticate, playlistController.getFollowedPlaylists);
+
+// Public routes (owners also see their private playlists)
+router.get('/user/:userId', optionalAuthenticate, playlistController.getUserPlaylists);
+router.get('/:id', optionalAuthenticate, playlistController.getPlaylist);
+
+// Playlist management (active users only)
+router.post('/', authenticate, requireActive(), playlistController.createPlaylist);
+router.put('/:id', authenticate, requireActive(), playlistController.updatePlaylist);
+router.delete('/:id', authenticate, requireActive(), playlistController.deletePlaylist);
+
+// Playlist tracks
+router.post('/:id/tracks', authenticate, requireActive(), playlistController.addTrack);
+router.put('/:id/tracks/order', authenticate, requireActive(), playlistController.reorderTracks);
+router.delete(
+  '/:id/tracks/:trackId',
+  authenticate,
+  requireActive(),
+  playlistController.removeTrack
+);
+
+// Follow/unfollow
+router.post('/:id/follow', authenticate, requireActive(), playlistController.followPlaylist);
+router.delete('/:id/follow', authenticate, requireActive(), playlistController.unfollowPlaylist);
+
+module.exports = router;
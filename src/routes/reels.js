@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const reelController = require('../controllers/reelController');
-const { authenticate } = require('../middleware/auth');
+const commentController = require('../controllers/commentController');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
 const { requireActive, requireRole } = require('../middleware/authorization');
+const { CONTENT_TYPES } = require('../utils/constants');
 const { uploadReel, handleUploadError } = require('../middleware/fileUpload');
 
 // Public routes
-router.get('/feed', reelController.getReelFeed);
-router.get('/:id', reelController.getReel);
+router.get('/feed', optionalAuthenticate, reelController.getReelFeed);
+router.get('/:id', optionalAuthenticate, reelController.getReel);
 router.get('/user/:userId', reelController.getUserReels);
 
 // Increment view count (public - no auth required)
-router.post('/:id/view', reelController.viewReel);
+router.post('/:id/view', optionalAuthenticate, reelController.viewReel);
 
 // Creator-only routes
 router.post(
@@ -43,4 +45,13 @@ router.delete(
 // Like/unlike (authenticated users only)
 router.post('/:id/like', authenticate, requireActive(), reelController.toggleLike);
 
+// Comments
+router.get('/:id/comments', commentController.getComments(CONTENT_TYPES.REEL));
+router.post(
+  '/:id/comments',
+  authenticate,
+  requireActive(),
+  commentController.createComment(CONTENT_TYPES.REEL)
+);
+
 module.exports = router;
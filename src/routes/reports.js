@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { authenticate } = require('../middleware/auth');
+const { requireActive } = require('../middleware/authorization');
+
+// Report a track, reel, profile or comment
+router.post('/', authenticate, requireActive(), reportController.createReport);
+
+module.exports = router;
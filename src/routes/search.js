@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+
+// Public routes (signed-in users get search history)
+router.get('/', optionalAuthenticate, searchController.search);
+router.get('/suggest', optionalAuthenticate, searchController.suggest);
+
+// Recent searches
+router.get('/history', authenticate, searchController.getHistory);
+router.delete('/history', authenticate, searchController.clearHistory);
+router.delete('/history/:id', authenticate, searchController.deleteHistoryEntry);
+
+module.exports = router;
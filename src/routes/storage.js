@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const storageController = require('../controllers/storageController');
+
+// Files of the local storage driver (mounted only when STORAGE_DRIVER=local)
+router.get('/*key', storageController.serveFile);
+
+// Signed direct uploads to the local storage driver
+router.put('/*key', storageController.receiveUpload);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const taxonomyController = require('../controllers/taxonomyController');
+const { TAXONOMY_KINDS } = require('../utils/constants');
+
+// Public routes
+router.get('/genres', taxonomyController.listTerms(TAXONOMY_KINDS.GENRE));
+router.get('/moods', taxonomyController.listTerms(TAXONOMY_KINDS.MOOD));
+router.get('/tags/trending', taxonomyController.getTrendingTags);
+
+module.exports = router;
@@ -1,17 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const trackController = require('../controllers/trackController');
-const { authenticate } = require('../middleware/auth');
+const commentController = require('../controllers/commentController');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
 const { requireActive, requireRole } = require('../middleware/authorization');
+const { CONTENT_TYPES } = require('../utils/constants');
 const { uploadTrack, handleUploadError } = require('../middleware/fileUpload');
 
 // Public routes
 router.get('/', trackController.getAllTracks);
 router.get('/search', trackController.searchTracks);
-router.get('/:id', trackController.getTrack);
+router.get('/:id', optionalAuthenticate, trackController.getTrack);
+router.get('/:id/stream', optionalAuthenticate, trackController.streamTrack);
 router.get('/user/:userId', trackController.getUserTracks);
 
-// Increment play count (public - no auth required)
+// Report a play (no-op: plays are counted by /:id/stream)
 router.post('/:id/play', trackController.playTrack);
 
 // Creator-only routes
@@ -30,9 +33,28 @@ router.put(
   authenticate,
   requireActive(),
   requireRole(['creator', 'admin']),
+  uploadTrack,
+  handleUploadError,
   trackController.updateTrack
 );
 
+// Previous audio versions (kept when the audio is replaced)
+router.get(
+  '/:id/versions',
+  authenticate,
+  requireActive(),
+  requireRole(['creator', 'admin']),
+  trackController.getAudioVersions
+);
+
+router.post(
+  '/:id/versions/:versionId/restore',
+  authenticate,
+  requireActive(),
+  requireRole(['creator', 'admin']),
+  trackController.restoreAudioVersion
+);
+
 router.delete(
   '/:id',
   authenticate,
@@ -44,4 +66,13 @@ router.delete(
 // Like/unlike (authenticated users only)
 router.post('/:id/like', authenticate, requireActive(), trackController.toggleLike);
 
+// Comments
+router.get('/:id/comments', commentController.getComments(CONTENT_TYPES.TRACK));
+router.post(
+  '/:id/comments',
+  authenticate,
+  requireActive(),
+  commentController.createComment(CONTENT_TYPES.TRACK)
+);
+
 module.exports = router;
@@ -1,17 +1,29 @@
 const express = require('express');
 const router = express.Router();
+const uploadController = require('../controllers/uploadController');
+const { authenticate } = require('../middleware/auth');
+const { requireActive, requireRole } = require('../middleware/authorization');
 
-// Placeholder routes - will implement in Phase 3
-router.post('/audio', (req, res) => {
-  res.json({ message: 'Upload audio - coming soon' });
-});
+// Signed direct-to-storage uploads (creators only for media)
+router.post(
+  '/audio',
+  authenticate,
+  requireActive(),
+  requireRole(['creator', 'admin']),
+  uploadController.createSignedUpload('audio')
+);
 
-router.post('/video', (req, res) => {
-  res.json({ message: 'Upload video - coming soon' });
-});
+router.post(
+  '/video',
+  authenticate,
+  requireActive(),
+  requireRole(['creator', 'admin']),
+  uploadController.createSignedUpload('video')
+);
 
-router.post('/image', (req, res) => {
-  res.json({ message: 'Upload image - coming soon' });
-});
+router.post('/image', authenticate, requireActive(), uploadController.createSignedUpload('image'));
+
+// Verify a finished upload before using its path
+router.post('/confirm', authenticate, requireActive(), uploadController.confirmUpload);
 
 module.exports = router;
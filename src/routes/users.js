@@ -1,7 +1,8 @@
 const express = require('express');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
 const { requireActive } = require('../middleware/authorization');
 const userController = require('../controllers/userController');
+const { uploadImage, handleUploadError } = require('../middleware/fileUpload');
 
 const router = express.Router();
 
@@ -11,16 +12,37 @@ router.get('/me', authenticate, userController.getCurrentUser);
 // Update current user profile
 router.put('/me/profile', authenticate, requireActive(), userController.updateProfile);
 
+// Upload/remove current user avatar
+router.post(
+  '/me/avatar',
+  authenticate,
+  requireActive(),
+  uploadImage,
+  handleUploadError,
+  userController.uploadAvatar
+);
+router.delete('/me/avatar', authenticate, requireActive(), userController.deleteAvatar);
+
+// Get users the current user has blocked/muted
+router.get('/me/blocks', authenticate, userController.getBlockedUsers);
+router.get('/me/mutes', authenticate, userController.getMutedUsers);
+
 // Search users (public endpoint with optional auth)
-router.get('/search', userController.searchUsers);
+router.get('/search', optionalAuthenticate, userController.searchUsers);
 
 // Get user public profile by ID
-router.get('/:id', userController.getPublicProfile);
+router.get('/:id', optionalAuthenticate, userController.getPublicProfile);
 
 // Follow/unfollow user
 router.post('/:id/follow', authenticate, requireActive(), userController.followUser);
 router.delete('/:id/follow', authenticate, requireActive(), userController.unfollowUser);
 
+// Block/unblock and mute/unmute user
+router.post('/:id/block', authenticate, requireActive(), userController.blockUser);
+router.delete('/:id/block', authenticate, requireActive(), userController.unblockUser);
+router.post('/:id/mute', authenticate, requireActive(), userController.muteUser);
+router.delete('/:id/mute', authenticate, requireActive(), userController.unmuteUser);
+
 // Get followers/following
 router.get('/:id/followers', userController.getFollowers);
 router.get('/:id/following', userController.getFollowing);
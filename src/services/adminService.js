@@ -1,5 +1,39 @@
 const { supabaseAdmin } = require('../config/database');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+const {
+  EVENT_TYPES,
+  NOTIFICATION_TYPES,
+  SETTINGS_KEYS,
+  USER_STATUSES,
+} = require('../utils/constants');
 const emailService = require('./emailService');
+const eventService = require('./eventService');
+const notificationService = require('./notificationService');
+const settingsService = require('./settingsService');
+const storageService = require('./storageService');
+
+/**
+ * Get how many more users can be activated under max_active_users
+ * @returns {Promise<Object>} { maxActiveUsers, activeUsers, remaining }
+ */
+const getActiveUserCapacity = async () => {
+  const maxActiveUsers = await settingsService.getSetting(SETTINGS_KEYS.MAX_ACTIVE_USERS);
+
+  const { count, error } = await supabaseAdmin
+    .from('users')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'active');
+
+  if (error) throw error;
+
+  const activeUsers = count || 0;
+
+  return {
+    maxActiveUsers,
+    activeUsers,
+    remaining: Math.max(0, maxActiveUsers - activeUsers),
+  };
+};
 
 /**
  * Get waitlisted users (paginated)
@@ -52,7 +86,7 @@ const getWaitlistedUsers = async (options = {}) => {
   }));
 
   return {
-    users,
+    users: await storageService.resolveMediaUrls(users, ['avatar_url']),
     pagination: {
       page,
       limit,
@@ -81,6 +115,13 @@ const approveUser = async email => {
 
   const userId = authUser.id;
 
+  const capacity = await getActiveUserCapacity();
+  if (capacity.remaining === 0) {
+    throw new ConflictError(
+      `Active user limit reached (${capacity.activeUsers}/${capacity.maxActiveUsers})`
+    );
+  }
+
   // Now approve the user
   const { data, error } = await supabaseAdmin
     .from('users')
@@ -130,6 +171,40 @@ const approveUser = async email => {
   };
 };
 
+/**
+ * Send waitlist approval emails to newly activated users
+ * Failures are logged and counted, never thrown
+ * @param {Array<Object>} users - Approved users ({ id, username })
+ * @returns {Promise<Object>} { sent, failed }
+ */
+const sendApprovalEmails = async users => {
+  const result = { sent: 0, failed: 0 };
+
+  if (!emailService.isConfigured()) {
+    return result;
+  }
+
+  for (const user of users) {
+    try {
+      const { data: authUser } = await supabaseAdmin.auth.admin.getUserById(user.id);
+
+      if (!authUser?.user?.email) {
+        result.failed++;
+        continue;
+      }
+
+      await emailService.sendWaitlistApprovalEmail(authUser.user.email, user.username);
+      result.sent++;
+    } catch (emailError) {
+      // eslint-disable-next-line no-console
+      console.error(`Failed to send approval email to user ${user.id}:`, emailError);
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
 /**
  * Batch approve users from waitlist (FIFO)
  * @param {number} count - Number of users to approve
@@ -140,17 +215,23 @@ const batchApproveUsers = async count => {
     throw new Error('Count must be at least 1');
   }
 
-  if (count > 100) {
-    throw new Error('Cannot approve more than 100 users at once');
+  // Never activate more users than max_active_users allows
+  const capacity = await getActiveUserCapacity();
+  if (capacity.remaining === 0) {
+    throw new ConflictError(
+      `Active user limit reached (${capacity.activeUsers}/${capacity.maxActiveUsers})`
+    );
   }
 
+  const approveCount = Math.min(count, capacity.remaining);
+
   // Get the oldest waitlisted users
   const { data: waitlistedUsers, error: fetchError } = await supabaseAdmin
     .from('users')
     .select('id')
     .eq('status', 'waitlisted')
     .order('created_at', { ascending: true })
-    .limit(count);
+    .limit(approveCount);
 
   if (fetchError) throw fetchError;
 
@@ -171,7 +252,8 @@ const batchApproveUsers = async count => {
       status: 'active',
       approved_at: new Date().toISOString(),
     })
-    .in('id', userIds).select(`
+    .in('id', userIds)
+    .eq('status', 'waitlisted').select(`
       id,
       role,
       status,
@@ -190,10 +272,17 @@ const batchApproveUsers = async count => {
     display_name: user.profiles.display_name,
   }));
 
+  const emails = await sendApprovalEmails(approved);
+
   return {
     approved,
     count: approved.length,
-    message: `Successfully approved ${approved.length} user(s)`,
+    emails,
+    remaining_capacity: capacity.remaining - approved.length,
+    message:
+      approveCount < count
+        ? `Successfully approved ${approved.length} user(s); limited by max_active_users (${capacity.maxActiveUsers})`
+        : `Successfully approved ${approved.length} user(s)`,
   };
 };
 
@@ -220,11 +309,11 @@ const getCreatorApplications = async (options = {}) => {
       id,
       user_id,
       artist_name,
-      genre,
-      bio,
-      sample_work_url,
+      portfolio_url,
+      application_reason,
+      sample_tracks,
       status,
-      created_at,
+      submitted_at,
       users!inner(
         profiles!inner(
           username,
@@ -235,7 +324,7 @@ const getCreatorApplications = async (options = {}) => {
     `
     )
     .eq('status', 'pending')
-    .order('created_at', { ascending: true })
+    .order('submitted_at', { ascending: true })
     .range(offset, offset + limit - 1);
 
   if (error) throw error;
@@ -244,11 +333,11 @@ const getCreatorApplications = async (options = {}) => {
     id: app.id,
     user_id: app.user_id,
     artist_name: app.artist_name,
-    genre: app.genre,
-    bio: app.bio,
-    sample_work_url: app.sample_work_url,
+    portfolio_url: app.portfolio_url,
+    application_reason: app.application_reason,
+    sample_tracks: app.sample_tracks,
     status: app.status,
-    created_at: app.created_at,
+    submitted_at: app.submitted_at,
     user: {
       username: app.users.profiles.username,
       display_name: app.users.profiles.display_name,
@@ -257,7 +346,7 @@ const getCreatorApplications = async (options = {}) => {
   }));
 
   return {
-    applications,
+    applications: await storageService.resolveMediaUrls(applications, ['user.avatar_url']),
     pagination: {
       page,
       limit,
@@ -330,6 +419,16 @@ const approveCreatorApplication = async applicationId => {
     // Don't fail the approval if email fails
   }
 
+  await notificationService.notify({
+    userId: application.user_id,
+    type: NOTIFICATION_TYPES.APPLICATION_APPROVED,
+    data: { application_id: applicationId },
+  });
+  eventService.publish(application.user_id, EVENT_TYPES.APPLICATION, {
+    application_id: applicationId,
+    status: 'approved',
+  });
+
   return {
     application_id: applicationId,
     user: {
@@ -409,6 +508,16 @@ const rejectCreatorApplication = async (applicationId, reason = null) => {
     // Don't fail the rejection if email fails
   }
 
+  await notificationService.notify({
+    userId: data.user_id,
+    type: NOTIFICATION_TYPES.APPLICATION_REJECTED,
+    data: { application_id: data.id, reason },
+  });
+  eventService.publish(data.user_id, EVENT_TYPES.APPLICATION, {
+    application_id: data.id,
+    status: 'rejected',
+  });
+
   return {
     application_id: data.id,
     user_id: data.user_id,
@@ -417,6 +526,38 @@ const rejectCreatorApplication = async (applicationId, reason = null) => {
   };
 };
 
+/**
+ * Ban a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Ban reason (optional)
+ * @returns {Promise<Object>} { id, status, username }
+ */
+const banUser = async (userId, reason = null) => {
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .update({
+      status: USER_STATUSES.BANNED,
+      ban_reason: reason || null,
+      banned_at: new Date().toISOString(),
+    })
+    .eq('id', userId)
+    .select('id, status, profiles!inner(username)')
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new NotFoundError('User not found');
+    }
+    throw error;
+  }
+
+  return {
+    id: data.id,
+    status: data.status,
+    username: data.profiles.username,
+  };
+};
+
 /**
  * Get platform statistics
  * @returns {Promise<Object>} Platform stats
@@ -468,11 +609,13 @@ const getPlatformStats = async () => {
 };
 
 module.exports = {
+  getActiveUserCapacity,
   getWaitlistedUsers,
   approveUser,
   batchApproveUsers,
   getCreatorApplications,
   approveCreatorApplication,
   rejectCreatorApplication,
+  banUser,
   getPlatformStats,
 };
@@ -1,5 +1,8 @@
 const { supabaseAdmin } = require('../config/database');
 const { AppError, ValidationError } = require('../utils/errors');
+const { EVENT_TYPES, NOTIFICATION_TYPES } = require('../utils/constants');
+const notificationService = require('./notificationService');
+const eventService = require('./eventService');
 
 /**
  * Submit a creator application
@@ -178,6 +181,22 @@ const reviewApplication = async (applicationId, adminId, decision, adminNotes =
     }
   }
 
+  await notificationService.notify({
+    userId: application.user_id,
+    type:
+      decision === 'approved'
+        ? NOTIFICATION_TYPES.APPLICATION_APPROVED
+        : NOTIFICATION_TYPES.APPLICATION_REJECTED,
+    data:
+      decision === 'approved'
+        ? { application_id: applicationId }
+        : { application_id: applicationId, reason: adminNotes || null },
+  });
+  eventService.publish(application.user_id, EVENT_TYPES.APPLICATION, {
+    application_id: applicationId,
+    status: decision,
+  });
+
   return {
     applicationId,
     decision,
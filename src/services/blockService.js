@@ -0,0 +1,311 @@
+/**
+ * Block Service
+ * Blocking and muting between users (see scripts/blocks-schema.sql). A block
+ * works both ways: it removes follows between the pair, stops new follows,
+ * likes, comments and messages between them, and hides each from the other's
+ * user search, profile lookups and feeds. A mute only hides the muted user's
+ * content from the muter's feeds.
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { AppError, AuthorizationError, NotFoundError, ValidationError } = require('../utils/errors');
+const storageService = require('./storageService');
+
+/**
+ * Get the users blocked by or blocking a user
+ * @param {string|null} userId - User ID (no one is blocked without one)
+ * @returns {Promise<Set<string>>} User IDs on the other side of a block
+ */
+const getBlockedIds = async userId => {
+  if (!userId) return new Set();
+
+  const { data: blocks, error } = await supabaseAdmin
+    .from('user_blocks')
+    .select('blocker_id, blocked_id')
+    .or(`blocker_id.eq.${userId},blocked_id.eq.${userId}`);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching blocks:', error);
+    throw new AppError('Failed to fetch blocked users', 500);
+  }
+
+  return new Set(
+    blocks.map(block => (block.blocker_id === userId ? block.blocked_id : block.blocker_id))
+  );
+};
+
+/**
+ * Get the users whose content is hidden from a user's feeds (blocked either way, or muted)
+ * @param {string|null} userId - Viewer's user ID
+ * @returns {Promise<Set<string>>} Hidden user IDs
+ */
+const getHiddenUserIds = async userId => {
+  if (!userId) return new Set();
+
+  const [blocked, { data: mutes, error }] = await Promise.all([
+    getBlockedIds(userId),
+    supabaseAdmin.from('user_mutes').select('muted_id').eq('muter_id', userId),
+  ]);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching mutes:', error);
+    throw new AppError('Failed to fetch muted users', 500);
+  }
+
+  mutes.forEach(mute => blocked.add(mute.muted_id));
+  return blocked;
+};
+
+/**
+ * Check whether either of two users has blocked the other
+ * @param {string} userId - User ID
+ * @param {string} otherId - Other user ID
+ * @returns {Promise<boolean>} True if there is a block either way
+ */
+const isBlocked = async (userId, otherId) => {
+  if (!userId || !otherId || userId === otherId) return false;
+
+  const { data: blocks, error } = await supabaseAdmin
+    .from('user_blocks')
+    .select('blocker_id')
+    .or(
+      `and(blocker_id.eq.${userId},blocked_id.eq.${otherId}),and(blocker_id.eq.${otherId},blocked_id.eq.${userId})`
+    )
+    .limit(1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error checking block:', error);
+    throw new AppError('Failed to check blocked users', 500);
+  }
+
+  return blocks.length > 0;
+};
+
+/**
+ * Refuse an interaction between two users if either has blocked the other
+ * @param {string} userId - Acting user ID
+ * @param {string} otherId - Other user ID
+ * @param {string} message - Error message
+ * @throws {AuthorizationError} If there is a block either way
+ */
+const assertNotBlocked = async (userId, otherId, message) => {
+  if (await isBlocked(userId, otherId)) {
+    throw new AuthorizationError(message);
+  }
+};
+
+/**
+ * Check that a block or mute target is someone else who exists
+ * @param {string} userId - Acting user ID
+ * @param {string} targetId - Target user ID
+ * @param {string} action - 'block' or 'mute'
+ */
+const validateTarget = async (userId, targetId, action) => {
+  if (userId === targetId) {
+    throw new ValidationError(`You cannot ${action} yourself`);
+  }
+
+  const { data: target } = await supabaseAdmin
+    .from('users')
+    .select('id')
+    .eq('id', targetId)
+    .maybeSingle();
+
+  if (!target) {
+    throw new NotFoundError('User not found');
+  }
+};
+
+/**
+ * Block a user and remove follows between the pair
+ * @param {string} blockerId - User ID of blocker
+ * @param {string} blockedId - User ID to block
+ * @returns {Promise<void>}
+ */
+const blockUser = async (blockerId, blockedId) => {
+  await validateTarget(blockerId, blockedId, 'block');
+
+  const { error } = await supabaseAdmin
+    .from('user_blocks')
+    .upsert(
+      { blocker_id: blockerId, blocked_id: blockedId },
+      { onConflict: 'blocker_id,blocked_id', ignoreDuplicates: true }
+    );
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error blocking user:', error);
+    throw new AppError('Failed to block user', 500);
+  }
+
+  const { error: followError } = await supabaseAdmin
+    .from('follows')
+    .delete()
+    .or(
+      `and(follower_id.eq.${blockerId},following_id.eq.${blockedId}),and(follower_id.eq.${blockedId},following_id.eq.${blockerId})`
+    );
+
+  if (followError) {
+    // eslint-disable-next-line no-console
+    console.error('Error removing follows of blocked user:', followError);
+    throw new AppError('Failed to block user', 500);
+  }
+};
+
+/**
+ * Unblock a user (follows removed by the block are not restored)
+ * @param {string} blockerId - User ID of blocker
+ * @param {string} blockedId - User ID to unblock
+ * @returns {Promise<void>}
+ */
+const unblockUser = async (blockerId, blockedId) => {
+  const { error } = await supabaseAdmin
+    .from('user_blocks')
+    .delete()
+    .eq('blocker_id', blockerId)
+    .eq('blocked_id', blockedId);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error unblocking user:', error);
+    throw new AppError('Failed to unblock user', 500);
+  }
+};
+
+/**
+ * Mute a user
+ * @param {string} muterId - User ID of muter
+ * @param {string} mutedId - User ID to mute
+ * @returns {Promise<void>}
+ */
+const muteUser = async (muterId, mutedId) => {
+  await validateTarget(muterId, mutedId, 'mute');
+
+  const { error } = await supabaseAdmin
+    .from('user_mutes')
+    .upsert(
+      { muter_id: muterId, muted_id: mutedId },
+      { onConflict: 'muter_id,muted_id', ignoreDuplicates: true }
+    );
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error muting user:', error);
+    throw new AppError('Failed to mute user', 500);
+  }
+};
+
+/**
+ * Unmute a user
+ * @param {string} muterId - User ID of muter
+ * @param {string} mutedId - User ID to unmute
+ * @returns {Promise<void>}
+ */
+const unmuteUser = async (muterId, mutedId) => {
+  const { error } = await supabaseAdmin
+    .from('user_mutes')
+    .delete()
+    .eq('muter_id', muterId)
+    .eq('muted_id', mutedId);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error unmuting user:', error);
+    throw new AppError('Failed to unmute user', 500);
+  }
+};
+
+/**
+ * List users a user has blocked or muted (newest first)
+ * @param {string} table - 'user_blocks' or 'user_mutes'
+ * @param {string} ownerColumn - Column holding the user's ID
+ * @param {string} targetColumn - Column holding the listed user's ID
+ * @param {string} userId - User ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { users, pagination }
+ */
+const listTargets = async (table, ownerColumn, targetColumn, userId, options) => {
+  const { page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+  const label = table === 'user_blocks' ? 'blocked' : 'muted';
+
+  const {
+    data: rows,
+    error,
+    count,
+  } = await supabaseAdmin
+    .from(table)
+    .select(`${targetColumn}, created_at`, { count: 'exact' })
+    .eq(ownerColumn, userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error(`Error fetching ${label} users:`, error);
+    throw new AppError(`Failed to fetch ${label} users`, 500);
+  }
+
+  const ids = rows.map(row => row[targetColumn]);
+  const { data: profiles, error: profileError } = ids.length
+    ? await supabaseAdmin
+        .from('profiles')
+        .select('id, username, display_name, artist_name, avatar_url')
+        .in('id', ids)
+    : { data: [], error: null };
+
+  if (profileError) {
+    // eslint-disable-next-line no-console
+    console.error(`Error fetching ${label} profiles:`, profileError);
+    throw new AppError(`Failed to fetch ${label} users`, 500);
+  }
+
+  const byId = new Map(profiles.map(profile => [profile.id, profile]));
+  const users = rows
+    .filter(row => byId.has(row[targetColumn]))
+    .map(row => ({ ...byId.get(row[targetColumn]), [`${label}_at`]: row.created_at }));
+
+  return {
+    users: await storageService.resolveMediaUrls(users, ['avatar_url']),
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+    },
+  };
+};
+
+/**
+ * Get users a user has blocked (newest first)
+ * @param {string} userId - User ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { users, pagination }
+ */
+const getBlockedUsers = (userId, options = {}) =>
+  listTargets('user_blocks', 'blocker_id', 'blocked_id', userId, options);
+
+/**
+ * Get users a user has muted (newest first)
+ * @param {string} userId - User ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { users, pagination }
+ */
+const getMutedUsers = (userId, options = {}) =>
+  listTargets('user_mutes', 'muter_id', 'muted_id', userId, options);
+
+module.exports = {
+  getBlockedIds,
+  getHiddenUserIds,
+  isBlocked,
+  assertNotBlocked,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  getBlockedUsers,
+  getMutedUsers,
+};
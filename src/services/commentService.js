@@ -0,0 +1,435 @@
+const { supabaseAdmin } = require('../config/database');
+const { AppError, AuthorizationError, NotFoundError, ValidationError } = require('../utils/errors');
+const { CONTENT_TYPES, COMMENT_LIMITS, USER_ROLES, USER_STATUSES } = require('../utils/constants');
+const { encodeCursor, decodeCursor } = require('../utils/validation');
+const storageService = require('./storageService');
+const blockService = require('./blockService');
+
+const CONTENT_TABLES = {
+  [CONTENT_TYPES.TRACK]: 'tracks',
+  [CONTENT_TYPES.REEL]: 'reels',
+};
+
+const COMMENT_FIELDS = `
+  id,
+  content_type,
+  content_id,
+  parent_id,
+  body,
+  edited_at,
+  created_at,
+  user_id,
+  users!inner (
+    status,
+    profiles!inner (
+      username,
+      display_name,
+      avatar_url
+    )
+  )
+`;
+
+/**
+ * Flatten nested user/profile structure from Supabase response
+ */
+const flattenCommentResponse = comment => {
+  if (!comment) return comment;
+
+  const { users, ...rest } = comment;
+  return {
+    ...rest,
+    author: users?.profiles || null,
+  };
+};
+
+/**
+ * Validate content type
+ * @param {string} contentType - 'track' or 'reel'
+ */
+const validateContentType = contentType => {
+  if (!Object.values(CONTENT_TYPES).includes(contentType)) {
+    throw new ValidationError('Invalid content type. Must be "track" or "reel"');
+  }
+};
+
+/**
+ * Validate and normalize comment body
+ * @param {string} body - Comment text
+ * @returns {string} Trimmed body
+ */
+const validateBody = body => {
+  if (!body || typeof body !== 'string' || body.trim().length === 0) {
+    throw new ValidationError('Comment body is required');
+  }
+
+  if (body.trim().length > COMMENT_LIMITS.BODY_MAX_LENGTH) {
+    throw new ValidationError(`Comment cannot exceed ${COMMENT_LIMITS.BODY_MAX_LENGTH} characters`);
+  }
+
+  return body.trim();
+};
+
+/**
+ * Get the track or reel a comment belongs to
+ * @param {string} contentType - 'track' or 'reel'
+ * @param {string} contentId - Content ID
+ * @returns {Promise<Object|null>} Content row with owner and active flag
+ */
+const getContent = async (contentType, contentId) => {
+  const { data } = await supabaseAdmin
+    .from(CONTENT_TABLES[contentType])
+    .select('id, user_id, is_active')
+    .eq('id', contentId)
+    .maybeSingle();
+
+  return data;
+};
+
+/**
+ * Get an active track or reel to list or add comments on
+ * @param {string} contentType - 'track' or 'reel'
+ * @param {string} contentId - Content ID
+ * @returns {Promise<Object>} Content row with owner and active flag
+ * @throws {NotFoundError} If the content is missing or deactivated
+ */
+const getActiveContent = async (contentType, contentId) => {
+  const content = await getContent(contentType, contentId);
+
+  if (!content || !content.is_active) {
+    throw new NotFoundError(`${contentType === CONTENT_TYPES.TRACK ? 'Track' : 'Reel'} not found`);
+  }
+
+  return content;
+};
+
+/**
+ * Apply keyset cursor and visibility filters to a comment query
+ * Comments by banned users and hidden comments are excluded
+ * @param {Object} query - Supabase query builder
+ * @param {Object|null} cursor - Decoded cursor
+ * @param {boolean} ascending - Sort direction
+ * @returns {Object} Query builder
+ */
+const applyListFilters = (query, cursor, ascending) => {
+  let filtered = query.eq('is_hidden', false).neq('users.status', USER_STATUSES.BANNED);
+
+  if (cursor) {
+    const op = ascending ? 'gt' : 'lt';
+    filtered = filtered.or(
+      `created_at.${op}."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.${op}.${cursor.id})`
+    );
+  }
+
+  return filtered.order('created_at', { ascending }).order('id', { ascending });
+};
+
+/**
+ * Build a cursor-paginated result from a page fetched with limit + 1 rows
+ * @param {Array} rows - Rows fetched
+ * @param {number} limit - Page size
+ * @returns {Object} Items and pagination info
+ */
+const buildPage = (rows, limit) => {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: {
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore && last ? encodeCursor(last.created_at, last.id) : null,
+    },
+  };
+};
+
+/**
+ * Count replies for a set of top-level comments
+ * @param {Array<string>} commentIds - Parent comment IDs
+ * @returns {Promise<Object>} Map of comment ID to reply count
+ */
+const getReplyCounts = async commentIds => {
+  if (commentIds.length === 0) return {};
+
+  const { data: replies, error } = await supabaseAdmin
+    .from('comments')
+    .select('parent_id, users!inner(status)')
+    .in('parent_id', commentIds)
+    .eq('is_hidden', false)
+    .neq('users.status', USER_STATUSES.BANNED);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error counting replies:', error);
+    return {};
+  }
+
+  return replies.reduce((counts, reply) => {
+    counts[reply.parent_id] = (counts[reply.parent_id] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+/**
+ * Add a comment or reply to a track or reel
+ * Replies to a reply are attached to the top-level comment of the thread
+ * @param {string} userId - Author's user ID
+ * @param {string} contentType - 'track' or 'reel'
+ * @param {string} contentId - Content ID
+ * @param {Object} commentData - { body, parent_id }
+ * @returns {Promise<Object>} Created comment
+ */
+const createComment = async (userId, contentType, contentId, commentData) => {
+  validateContentType(contentType);
+  const body = validateBody(commentData.body);
+
+  const content = await getActiveContent(contentType, contentId);
+
+  await blockService.assertNotBlocked(
+    userId,
+    content.user_id,
+    'You cannot comment on this content'
+  );
+
+  let parentId = null;
+  if (commentData.parent_id) {
+    const { data: parent } = await supabaseAdmin
+      .from('comments')
+      .select('id, user_id, parent_id, content_type, content_id')
+      .eq('id', commentData.parent_id)
+      .maybeSingle();
+
+    if (!parent || parent.content_type !== contentType || parent.content_id !== contentId) {
+      throw new NotFoundError('Parent comment not found');
+    }
+
+    await blockService.assertNotBlocked(userId, parent.user_id, 'You cannot reply to this comment');
+
+    parentId = parent.parent_id || parent.id;
+  }
+
+  const { data: comment, error } = await supabaseAdmin
+    .from('comments')
+    .insert({
+      user_id: userId,
+      content_type: contentType,
+      content_id: contentId,
+      parent_id: parentId,
+      body,
+    })
+    .select(COMMENT_FIELDS)
+    .single();
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error creating comment:', error);
+    throw new AppError('Failed to create comment', 500);
+  }
+
+  return storageService.resolveMediaUrls(flattenCommentResponse(comment), ['author.avatar_url']);
+};
+
+/**
+ * Get top-level comments for a track or reel (newest first, cursor paginated)
+ * Comments on missing or deactivated content are reported as not found
+ * @param {string} contentType - 'track' or 'reel'
+ * @param {string} contentId - Content ID
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<Object>} Comments and pagination info
+ */
+const getComments = async (contentType, contentId, options = {}) => {
+  validateContentType(contentType);
+  const { limit = 20 } = options;
+  const cursor = decodeCursor(options.cursor);
+
+  await getActiveContent(contentType, contentId);
+
+  const query = supabaseAdmin
+    .from('comments')
+    .select(COMMENT_FIELDS)
+    .eq('content_type', contentType)
+    .eq('content_id', contentId)
+    .is('parent_id', null);
+
+  const { data: rows, error } = await applyListFilters(query, cursor, false).limit(limit + 1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching comments:', error);
+    throw new AppError('Failed to fetch comments', 500);
+  }
+
+  const { items, pagination } = buildPage(rows, limit);
+  const replyCounts = await getReplyCounts(items.map(comment => comment.id));
+
+  const comments = items.map(comment => ({
+    ...flattenCommentResponse(comment),
+    reply_count: replyCounts[comment.id] || 0,
+  }));
+
+  return {
+    comments: await storageService.resolveMediaUrls(comments, ['author.avatar_url']),
+    pagination,
+  };
+};
+
+/**
+ * Get replies to a comment (oldest first, cursor paginated)
+ * The parent must be a visible top-level comment on active content.
+ * @param {string} commentId - Parent comment ID
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<Object>} Replies and pagination info
+ */
+const getReplies = async (commentId, options = {}) => {
+  const { limit = 20 } = options;
+  const cursor = decodeCursor(options.cursor);
+
+  const { data: parent } = await supabaseAdmin
+    .from('comments')
+    .select('id, parent_id, is_hidden, content_type, content_id')
+    .eq('id', commentId)
+    .maybeSingle();
+
+  if (!parent || parent.parent_id || parent.is_hidden) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  await getActiveContent(parent.content_type, parent.content_id);
+
+  const query = supabaseAdmin.from('comments').select(COMMENT_FIELDS).eq('parent_id', commentId);
+
+  const { data: rows, error } = await applyListFilters(query, cursor, true).limit(limit + 1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching replies:', error);
+    throw new AppError('Failed to fetch replies', 500);
+  }
+
+  const { items, pagination } = buildPage(rows, limit);
+
+  return {
+    replies: await storageService.resolveMediaUrls(items.map(flattenCommentResponse), [
+      'author.avatar_url',
+    ]),
+    pagination,
+  };
+};
+
+/**
+ * Count visible comments (including replies) on a track or reel
+ * @param {string} contentType - 'track' or 'reel'
+ * @param {string} contentId - Content ID
+ * @returns {Promise<number>} Comment count
+ */
+const getCommentCount = async (contentType, contentId) => {
+  const { count, error } = await supabaseAdmin
+    .from('comments')
+    .select('id, users!inner(status)', { count: 'exact', head: true })
+    .eq('content_type', contentType)
+    .eq('content_id', contentId)
+    .eq('is_hidden', false)
+    .neq('users.status', USER_STATUSES.BANNED);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error counting comments:', error);
+    return 0;
+  }
+
+  return count || 0;
+};
+
+/**
+ * Edit a comment (author only)
+ * @param {string} commentId - Comment ID
+ * @param {string} userId - User ID (for ownership verification)
+ * @param {string} body - New comment text
+ * @returns {Promise<Object>} Updated comment
+ */
+const updateComment = async (commentId, userId, body) => {
+  const { data: comment, error } = await supabaseAdmin
+    .from('comments')
+    .update({
+      body: validateBody(body),
+      edited_at: new Date().toISOString(),
+    })
+    .eq('id', commentId)
+    .eq('user_id', userId)
+    .select(COMMENT_FIELDS)
+    .single();
+
+  if (error || !comment) {
+    throw new NotFoundError('Comment not found or unauthorized');
+  }
+
+  return storageService.resolveMediaUrls(flattenCommentResponse(comment), ['author.avatar_url']);
+};
+
+/**
+ * Delete a comment and its replies
+ * Allowed for the author, the owner of the commented content, or an admin
+ * @param {string} commentId - Comment ID
+ * @param {string} userId - Requesting user ID
+ * @param {string} role - Requesting user's role
+ * @returns {Promise<void>}
+ */
+const deleteComment = async (commentId, userId, role = null) => {
+  const { data: comment } = await supabaseAdmin
+    .from('comments')
+    .select('id, user_id, content_type, content_id')
+    .eq('id', commentId)
+    .maybeSingle();
+
+  if (!comment) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  if (comment.user_id !== userId && role !== USER_ROLES.ADMIN) {
+    const content = await getContent(comment.content_type, comment.content_id);
+
+    if (!content || content.user_id !== userId) {
+      throw new AuthorizationError('You cannot delete this comment');
+    }
+  }
+
+  const { error } = await supabaseAdmin.from('comments').delete().eq('id', commentId);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error deleting comment:', error);
+    throw new AppError('Failed to delete comment', 500);
+  }
+};
+
+/**
+ * Hide or unhide a comment (moderation)
+ * @param {string} commentId - Comment ID
+ * @param {boolean} hidden - Whether the comment should be hidden
+ * @returns {Promise<Object>} Updated comment row
+ */
+const setCommentHidden = async (commentId, hidden) => {
+  const { data: comment, error } = await supabaseAdmin
+    .from('comments')
+    .update({ is_hidden: !!hidden })
+    .eq('id', commentId)
+    .select('id, is_hidden')
+    .single();
+
+  if (error || !comment) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  return comment;
+};
+
+module.exports = {
+  createComment,
+  getComments,
+  getReplies,
+  getCommentCount,
+  updateComment,
+  deleteComment,
+  setCommentHidden,
+};
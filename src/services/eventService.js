@@ -0,0 +1,238 @@
+/**
+ * Event Service
+ * In-process pub/sub for per-user real-time events, delivered over
+ * Server-Sent Events (GET /api/events/stream). Services publish events for a
+ * user; every open stream of that user receives them. Recent events are kept
+ * per user so a reconnecting client can resume from its Last-Event-ID. Event
+ * IDs carry a per-process prefix, so IDs from before a restart (or from
+ * another instance) are recognised and answered with a resync event instead.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { AppError } = require('../utils/errors');
+const { EVENT_STREAM } = require('../utils/constants');
+
+// Prefix for event IDs issued by this process
+const PROCESS_ID = crypto.randomBytes(4).toString('hex');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let sequence = 0;
+
+// userId -> { events, droppedThrough, connections, disconnectedAt }
+const streams = new Map();
+let lastSweep = Date.now();
+
+// Callbacks that end each open stream (see closeAllConnections)
+const closers = new Set();
+
+/**
+ * Get or create a user's stream state
+ * @param {string} userId - User ID
+ * @returns {Object} Stream state
+ */
+const getStream = userId => {
+  if (!streams.has(userId)) {
+    // Events before the backlog existed are unknown, as if dropped
+    streams.set(userId, {
+      events: [],
+      droppedThrough: sequence,
+      connections: 0,
+      disconnectedAt: null,
+    });
+  }
+  return streams.get(userId);
+};
+
+/**
+ * Check whether a user's backlog is still kept
+ * Backlogs are kept while the user has a stream open and for
+ * EVENT_STREAM.BACKLOG_TTL_MINUTES after the last one closes.
+ * @param {Object} stream - Stream state
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the backlog is kept
+ */
+const isKept = (stream, now) =>
+  stream.connections > 0 ||
+  now - stream.disconnectedAt < EVENT_STREAM.BACKLOG_TTL_MINUTES * 60 * 1000;
+
+/**
+ * Drop backlogs that are no longer kept (at most once a minute)
+ */
+const sweepStreams = () => {
+  const now = Date.now();
+  if (now - lastSweep < 60 * 1000) return;
+
+  lastSweep = now;
+  for (const [userId, stream] of streams) {
+    if (!isKept(stream, now)) streams.delete(userId);
+  }
+};
+
+/**
+ * Parse an event ID issued by this process
+ * @param {string} eventId - Event ID ('<process>-<sequence>')
+ * @returns {number|null} Sequence number, or null if not issued by this process
+ */
+const parseEventId = eventId => {
+  const [processId, seq] = String(eventId || '').split('-');
+  const parsed = Number(seq);
+
+  if (processId !== PROCESS_ID || !Number.isInteger(parsed) || parsed < 0 || parsed > sequence) {
+    return null;
+  }
+
+  return parsed;
+};
+
+/**
+ * Publish an event to a user's open streams
+ * Events for users without a kept backlog are dropped (nobody is listening).
+ * @param {string} userId - Recipient user ID
+ * @param {string} type - Event type (see EVENT_TYPES)
+ * @param {Object} data - Event payload
+ * @returns {Object|null} The event ({ id, type, data }), or null if dropped
+ */
+const publish = (userId, type, data = {}) => {
+  const stream = streams.get(userId);
+  const now = Date.now();
+
+  if (!stream) return null;
+
+  if (!isKept(stream, now)) {
+    streams.delete(userId);
+    return null;
+  }
+
+  sequence++;
+  const event = { id: `${PROCESS_ID}-${sequence}`, seq: sequence, type, data };
+
+  stream.events.push(event);
+  if (stream.events.length > EVENT_STREAM.BACKLOG_SIZE) {
+    stream.droppedThrough = stream.events.shift().seq;
+  }
+
+  emitter.emit(userId, event);
+  return event;
+};
+
+/**
+ * Check whether events published to a user are kept (they have an open or
+ * recently closed stream), so callers can skip building dropped payloads
+ * @param {string} userId - User ID
+ * @returns {boolean} True if publish would keep the event
+ */
+const hasStream = userId => {
+  const stream = streams.get(userId);
+  return Boolean(stream) && isKept(stream, Date.now());
+};
+
+/**
+ * Get the events a user missed after an event ID
+ * @param {string} userId - User ID
+ * @param {string} lastEventId - Last event ID the client received
+ * @returns {Object} { events, complete } complete is false when some missed
+ *   events are no longer kept and the client should refetch its state
+ */
+const getMissedEvents = (userId, lastEventId) => {
+  const stream = streams.get(userId);
+  const lastSeq = parseEventId(lastEventId);
+
+  if (!stream || lastSeq === null) {
+    return { events: [], complete: false };
+  }
+
+  return {
+    events: stream.events.filter(event => event.seq > lastSeq),
+    complete: lastSeq >= stream.droppedThrough,
+  };
+};
+
+/**
+ * Listen for a user's events
+ * @param {string} userId - User ID
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Stops listening
+ */
+const subscribe = (userId, listener) => {
+  emitter.on(userId, listener);
+  return () => emitter.off(userId, listener);
+};
+
+/**
+ * Open a stream for a user, enforcing EVENT_STREAM.MAX_CONNECTIONS_PER_USER
+ * @param {string} userId - User ID
+ * @param {Function} close - Ends the stream (used on shutdown)
+ * @returns {Function} Releases the connection (safe to call more than once)
+ * @throws {AppError} 429 if the user already has the maximum number of streams
+ */
+const openConnection = (userId, close) => {
+  sweepStreams();
+  const stream = getStream(userId);
+
+  if (stream.connections >= EVENT_STREAM.MAX_CONNECTIONS_PER_USER) {
+    throw new AppError(
+      `Too many open event streams (max ${EVENT_STREAM.MAX_CONNECTIONS_PER_USER})`,
+      429
+    );
+  }
+
+  stream.connections++;
+  closers.add(close);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+
+    closers.delete(close);
+    stream.connections--;
+    if (stream.connections === 0) {
+      stream.disconnectedAt = Date.now();
+    }
+  };
+};
+
+/**
+ * End every open stream (on shutdown, so the server can close)
+ */
+const closeAllConnections = () => {
+  for (const close of [...closers]) {
+    close();
+  }
+};
+
+/**
+ * Format an event as a Server-Sent Events message
+ * @param {Object} event - { id, type, data } (id is optional)
+ * @returns {string} SSE message
+ */
+const formatEvent = event => {
+  const lines = [];
+  if (event.id) lines.push(`id: ${event.id}`);
+  lines.push(`event: ${event.type}`);
+  lines.push(`data: ${JSON.stringify(event.data)}`);
+  return `${lines.join('\n')}\n\n`;
+};
+
+/**
+ * Forget all streams, backlogs and listeners
+ */
+const clearEvents = () => {
+  streams.clear();
+  closers.clear();
+  emitter.removeAllListeners();
+};
+
+module.exports = {
+  publish,
+  hasStream,
+  getMissedEvents,
+  subscribe,
+  openConnection,
+  closeAllConnections,
+  formatEvent,
+  clearEvents,
+};
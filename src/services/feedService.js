@@ -0,0 +1,477 @@
+/**
+ * Feed Service
+ * Personal feeds that mix tracks and reels. The following feed merges new
+ * content from the creators a user follows, newest first, paged with the same
+ * (created_at, id) cursor as comments. The fair reel feed rotates recent reels
+ * across creators instead of ranking by recency (see getFairReelFeed).
+ * Content of creators who are not active (banned or not yet onboarded), and
+ * of creators the viewer has blocked, been blocked by or muted, is left out
+ * of both.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+const { AppError, ValidationError } = require('../utils/errors');
+const { encodeCursor, decodeCursor } = require('../utils/validation');
+const { CONTENT_TYPES, FAIR_FEED, FEED_LIMITS, USER_STATUSES } = require('../utils/constants');
+const storageService = require('./storageService');
+const imageService = require('./imageService');
+const likeService = require('./likeService');
+const taxonomyService = require('./taxonomyService');
+const blockService = require('./blockService');
+
+const CREATOR_COLUMNS = `
+  user_id,
+  users!inner (
+    status,
+    profiles!inner (
+      username,
+      display_name,
+      artist_name,
+      avatar_url
+    )
+  )
+`;
+
+// Columns and media fields of each content type in a feed
+const FEED_SOURCES = {
+  [CONTENT_TYPES.TRACK]: {
+    table: 'tracks',
+    columns: `
+      id,
+      title,
+      audio_url,
+      cover_url,
+      cover_variants,
+      duration,
+      genre,
+      is_explicit,
+      play_count,
+      like_count,
+      created_at,
+      ${CREATOR_COLUMNS}
+    `,
+  },
+  [CONTENT_TYPES.REEL]: {
+    table: 'reels',
+    columns: `
+      id,
+      caption,
+      video_url,
+      duration,
+      width,
+      height,
+      view_count,
+      like_count,
+      created_at,
+      ${CREATOR_COLUMNS}
+    `,
+  },
+};
+
+// Stored media references on a flattened feed item (see storageService.resolveMediaUrls)
+const FEED_MEDIA_FIELDS = [
+  'audio_url',
+  'cover_url',
+  ...imageService.variantFields('cover_variants'),
+  'video_url',
+  'creator.avatar_url',
+];
+
+/**
+ * Flatten nested user/profile structure from Supabase response
+ */
+const flattenCreator = row => {
+  const { users, ...rest } = row;
+  return {
+    ...rest,
+    creator: users?.profiles || null,
+  };
+};
+
+/**
+ * Flatten a content row into a typed feed item
+ * @param {string} type - 'track' or 'reel'
+ * @param {Object} row - Row with nested users/profiles
+ * @returns {Object} Feed item
+ */
+const toFeedItem = (type, row) => ({ type, ...flattenCreator(row) });
+
+/**
+ * Order feed items newest first
+ * Timestamps come from Postgres in one format and time zone, so comparing the
+ * strings keeps their full (microsecond) precision, matching the cursor.
+ */
+const compareNewest = (a, b) => {
+  if (a.created_at !== b.created_at) return a.created_at < b.created_at ? 1 : -1;
+  return a.id < b.id ? 1 : -1;
+};
+
+/**
+ * Fetch the newest active content of some creators
+ * @param {string} type - 'track' or 'reel'
+ * @param {Array<string>} creatorIds - Creator user IDs
+ * @param {Object|null} cursor - Decoded cursor
+ * @param {number} count - Rows to fetch
+ * @returns {Promise<Array>} Feed items
+ */
+const fetchCreatorContent = async (type, creatorIds, cursor, count) => {
+  const { table, columns } = FEED_SOURCES[type];
+
+  let query = supabaseAdmin
+    .from(table)
+    .select(columns)
+    .in('user_id', creatorIds)
+    .eq('is_active', true)
+    .eq('users.status', USER_STATUSES.ACTIVE);
+
+  if (cursor) {
+    query = query.or(
+      `created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`
+    );
+  }
+
+  const { data: rows, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(count);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error(`Error fetching feed ${table}:`, error);
+    throw new AppError('Failed to fetch feed', 500);
+  }
+
+  return rows.map(row => toFeedItem(type, row));
+};
+
+/**
+ * Add is_liked, tags and playable URLs to feed items
+ * @param {Array<Object>} items - Feed items, updated in place
+ * @param {string|null} viewerId - Viewer's user ID (is_liked is false without one)
+ * @param {string} onlyType - Content type of every item, for items without a type field
+ * @returns {Promise<Array<Object>>} The same items
+ */
+const decorateItems = async (items, viewerId, onlyType = null) => {
+  const types = onlyType ? [onlyType] : Object.values(CONTENT_TYPES);
+
+  await Promise.all(
+    types.map(async type => {
+      const typed = onlyType ? items : items.filter(item => item.type === type);
+      const liked = await likeService.getLikedContentIds(
+        viewerId,
+        type,
+        typed.map(item => item.id)
+      );
+
+      for (const item of typed) {
+        item.is_liked = liked.has(item.id);
+      }
+
+      await taxonomyService.attachTaxonomy(typed, type);
+    })
+  );
+
+  return storageService.resolveMediaUrls(items, FEED_MEDIA_FIELDS);
+};
+
+/**
+ * Get new tracks and reels from the creators a user follows, newest first
+ * @param {string} viewerId - Viewer's user ID
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<Object>} { items, pagination: { limit, has_more, next_cursor } }
+ */
+const getFollowingFeed = async (viewerId, options = {}) => {
+  const { limit = FEED_LIMITS.DEFAULT_LIMIT } = options;
+  const cursor = decodeCursor(options.cursor);
+
+  const { data: follows, error } = await supabaseAdmin
+    .from('follows')
+    .select('following_id')
+    .eq('follower_id', viewerId);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching followed creators:', error);
+    throw new AppError('Failed to fetch feed', 500);
+  }
+
+  const hidden = await blockService.getHiddenUserIds(viewerId);
+  const creatorIds = follows
+    .map(follow => follow.following_id)
+    .filter(creatorId => !hidden.has(creatorId));
+
+  if (creatorIds.length === 0) {
+    return { items: [], pagination: { limit, has_more: false, next_cursor: null } };
+  }
+
+  // Each source fetches one extra row, so the merge knows whether more remain
+  const sources = await Promise.all(
+    Object.keys(FEED_SOURCES).map(type => fetchCreatorContent(type, creatorIds, cursor, limit + 1))
+  );
+
+  const merged = sources.flat().sort(compareNewest);
+  const hasMore = merged.length > limit;
+  const items = merged.slice(0, limit);
+  const last = items[items.length - 1];
+
+  return {
+    items: await decorateItems(items, viewerId),
+    pagination: {
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore && last ? encodeCursor(last.created_at, last.id) : null,
+    },
+  };
+};
+
+/**
+ * Stable pseudo-random number for a value under a seed
+ * @param {string} seed - Session seed
+ * @param {string} value - Value to hash (e.g. an ID)
+ * @returns {number} Unsigned 32-bit integer
+ */
+const seededKey = (seed, value) =>
+  crypto.createHash('sha256').update(`${seed}:${value}`).digest().readUInt32BE(0);
+
+/**
+ * Shuffle items the same way every time for the same seed
+ * @param {Array} items - Items to shuffle (not modified)
+ * @param {string} seed - Session seed
+ * @param {Function} getValue - Reads the value to hash from an item
+ * @returns {Array} Shuffled copy
+ */
+const seededShuffle = (items, seed, getValue = item => item) => {
+  const keys = new Map(items.map(item => [item, seededKey(seed, getValue(item))]));
+  return [...items].sort((a, b) => keys.get(a) - keys.get(b));
+};
+
+/**
+ * Arrange reels into fair pages
+ * Creators take turns in a seeded order, each newest reel first, and no
+ * creator gets more than maxPerCreator reels on a page. The first
+ * boostedSlots of every page go to boosted creators while they have reels
+ * left. Each page is then shuffled so boosted reels are not always on top.
+ * Once only a few creators have reels left, pages come out shorter than
+ * pageSize rather than breaking the cap.
+ * @param {Array<Object>} reels - Reels with id and user_id, newest first
+ * @param {Object} options - { seed, pageSize, boosted (Set of creator IDs), maxPerCreator, boostedSlots }
+ * @returns {Array<Array<Object>>} Pages of reels in feed order
+ */
+const arrangeFairFeed = (reels, options) => {
+  const { seed, pageSize, boosted, maxPerCreator, boostedSlots } = options;
+
+  const queues = new Map();
+  for (const reel of reels) {
+    if (!queues.has(reel.user_id)) queues.set(reel.user_id, []);
+    queues.get(reel.user_id).push(reel);
+  }
+
+  const creators = seededShuffle([...queues.keys()], seed);
+  const everyone = { creators, next: 0 };
+  const boostedOnly = { creators: creators.filter(id => boosted.has(id)), next: 0 };
+
+  const pages = [];
+  let remaining = reels.length;
+
+  while (remaining > 0) {
+    const page = [];
+    const perCreator = new Map();
+
+    // Take up to `slots` reels, continuing the rotation where the last page stopped
+    const take = (rotation, slots) => {
+      let idle = 0;
+      let taken = 0;
+
+      while (taken < slots && idle < rotation.creators.length) {
+        const creatorId = rotation.creators[rotation.next];
+        rotation.next = (rotation.next + 1) % rotation.creators.length;
+
+        const queue = queues.get(creatorId);
+        const count = perCreator.get(creatorId) || 0;
+
+        if (queue.length > 0 && count < maxPerCreator) {
+          page.push(queue.shift());
+          perCreator.set(creatorId, count + 1);
+          taken++;
+          idle = 0;
+        } else {
+          idle++;
+        }
+      }
+    };
+
+    take(boostedOnly, boostedSlots);
+    take(everyone, pageSize - page.length);
+
+    remaining -= page.length;
+    pages.push(seededShuffle(page, `${seed}:${pages.length}`, reel => reel.id));
+  }
+
+  return pages;
+};
+
+/**
+ * Encode a fair feed session and position
+ * @param {Object} session - { seed, asOf, limit, page }
+ * @returns {string} Opaque cursor
+ */
+const encodeFairCursor = session => Buffer.from(JSON.stringify(session)).toString('base64url');
+
+/**
+ * Decode a fair feed cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object} { seed, asOf, limit, page }
+ * @throws {ValidationError} If the cursor is malformed
+ */
+const decodeFairCursor = cursor => {
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    session = null;
+  }
+
+  const valid =
+    session &&
+    typeof session.seed === 'string' &&
+    !Number.isNaN(Date.parse(session.asOf)) &&
+    Number.isInteger(session.limit) &&
+    session.limit > 0 &&
+    session.limit <= FEED_LIMITS.MAX_LIMIT &&
+    Number.isInteger(session.page) &&
+    session.page >= 0;
+
+  if (!valid) {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+
+  return session;
+};
+
+/**
+ * Find creators whose reels get boosted slots: few followers or recently approved
+ * @param {Array<string>} creatorIds - Creator user IDs
+ * @param {Date} asOf - Session start
+ * @returns {Promise<Set<string>>} Boosted creator IDs
+ */
+const getBoostedCreators = async (creatorIds, asOf) => {
+  if (creatorIds.length === 0) return new Set();
+
+  const { data, error } = await supabaseAdmin.rpc('get_creator_exposure', {
+    creator_ids: creatorIds,
+  });
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching creator exposure:', error);
+    throw new AppError('Failed to fetch feed', 500);
+  }
+
+  const newSince = asOf.getTime() - FAIR_FEED.NEW_CREATOR_DAYS * 24 * 60 * 60 * 1000;
+
+  return new Set(
+    data
+      .filter(
+        row =>
+          Number(row.follower_count) < FAIR_FEED.SMALL_CREATOR_FOLLOWERS ||
+          (row.approved_at && Date.parse(row.approved_at) >= newSince)
+      )
+      .map(row => row.creator_id)
+  );
+};
+
+/**
+ * Get the fair-discovery reel feed
+ * Reels from the last FAIR_FEED.WINDOW_DAYS are spread across creators (see
+ * arrangeFairFeed), with boosted slots for small and newly approved creators.
+ * The first request starts a session: its seed (given, or random) and start
+ * time travel in the cursor, so later pages keep the same order and content
+ * uploaded meanwhile waits for the next session. Reels the viewer had viewed
+ * before the session started are left out.
+ * @param {string|null} viewerId - Viewer's user ID (optional)
+ * @param {Object} options - { cursor, limit, seed }
+ * @returns {Promise<Object>} { reels, pagination: { limit, has_more, next_cursor, seed } }
+ */
+const getFairReelFeed = async (viewerId, options = {}) => {
+  const session = options.cursor
+    ? decodeFairCursor(options.cursor)
+    : {
+        seed: options.seed ? String(options.seed).slice(0, 64) : crypto.randomUUID(),
+        asOf: new Date().toISOString(),
+        limit: options.limit || FEED_LIMITS.DEFAULT_LIMIT,
+        page: 0,
+      };
+
+  const asOf = new Date(session.asOf);
+  const windowStart = new Date(asOf.getTime() - FAIR_FEED.WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const { table, columns } = FEED_SOURCES[CONTENT_TYPES.REEL];
+  const { data: rows, error } = await supabaseAdmin
+    .from(table)
+    .select(columns)
+    .eq('is_active', true)
+    .eq('users.status', USER_STATUSES.ACTIVE)
+    .gte('created_at', windowStart.toISOString())
+    .lte('created_at', session.asOf)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(FAIR_FEED.POOL_SIZE);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching fair feed reels:', error);
+    throw new AppError('Failed to fetch feed', 500);
+  }
+
+  const hidden = await blockService.getHiddenUserIds(viewerId);
+
+  // Views in the window cover every reel in the pool (none is older)
+  let seen = new Set();
+  if (viewerId) {
+    const { data: views, error: viewError } = await supabaseAdmin
+      .from('reel_views')
+      .select('reel_id')
+      .eq('user_id', viewerId)
+      .gte('viewed_at', windowStart.toISOString())
+      .lt('viewed_at', session.asOf);
+
+    if (viewError) {
+      // eslint-disable-next-line no-console
+      console.error('Error fetching reel views:', viewError);
+      throw new AppError('Failed to fetch feed', 500);
+    }
+
+    seen = new Set(views.map(view => view.reel_id));
+  }
+
+  const pool = rows.filter(row => !seen.has(row.id) && !hidden.has(row.user_id));
+  const creatorIds = [...new Set(pool.map(row => row.user_id))];
+
+  const pages = arrangeFairFeed(pool, {
+    seed: session.seed,
+    pageSize: session.limit,
+    boosted: await getBoostedCreators(creatorIds, asOf),
+    maxPerCreator: FAIR_FEED.MAX_PER_CREATOR,
+    boostedSlots: Math.ceil(session.limit * FAIR_FEED.BOOSTED_SHARE),
+  });
+
+  const reels = (pages[session.page] || []).map(flattenCreator);
+  const hasMore = session.page + 1 < pages.length;
+
+  return {
+    reels: await decorateItems(reels, viewerId, CONTENT_TYPES.REEL),
+    pagination: {
+      limit: session.limit,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeFairCursor({ ...session, page: session.page + 1 }) : null,
+      seed: session.seed,
+    },
+  };
+};
+
+module.exports = {
+  getFollowingFeed,
+  getFairReelFeed,
+  arrangeFairFeed,
+};
@@ -1,5 +1,33 @@
 const { supabaseAdmin } = require('../config/database');
 const { AppError, ValidationError, NotFoundError } = require('../utils/errors');
+const { EVENT_TYPES, NOTIFICATION_TYPES } = require('../utils/constants');
+const storageService = require('./storageService');
+const notificationService = require('./notificationService');
+const eventService = require('./eventService');
+const blockService = require('./blockService');
+
+/**
+ * Push a user's new follower count to their open event streams
+ * @param {string} userId - Followed or unfollowed user ID
+ * @returns {Promise<void>}
+ */
+const publishFollowerCount = async userId => {
+  const { data: followerCount, error } = await supabaseAdmin.rpc('get_follower_count', {
+    user_id: userId,
+  });
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching follower count:', error);
+    return;
+  }
+
+  eventService.publish(userId, EVENT_TYPES.COUNTER, {
+    content_type: 'user',
+    content_id: userId,
+    follower_count: followerCount || 0,
+  });
+};
 
 /**
  * Follow a user
@@ -23,6 +51,8 @@ const followUser = async (followerId, followingId) => {
     throw new NotFoundError('User not found');
   }
 
+  await blockService.assertNotBlocked(followerId, followingId, 'You cannot follow this user');
+
   // Check if already following
   const { data: existing } = await supabaseAdmin
     .from('follows')
@@ -51,6 +81,13 @@ const followUser = async (followerId, followingId) => {
     throw new AppError('Failed to follow user', 500);
   }
 
+  await notificationService.notify({
+    userId: followingId,
+    type: NOTIFICATION_TYPES.FOLLOW,
+    actorId: followerId,
+  });
+  await publishFollowerCount(followingId);
+
   return follow;
 };
 
@@ -72,6 +109,8 @@ const unfollowUser = async (followerId, followingId) => {
     console.error('Error unfollowing user:', error);
     throw new AppError('Failed to unfollow user', 500);
   }
+
+  await publishFollowerCount(followingId);
 };
 
 /**
@@ -139,7 +178,7 @@ const getFollowers = async (userId, options = {}) => {
   }));
 
   return {
-    followers,
+    followers: await storageService.resolveMediaUrls(followers, ['avatar_url']),
     pagination: {
       page,
       limit,
@@ -197,7 +236,7 @@ const getFollowing = async (userId, options = {}) => {
   }));
 
   return {
-    following,
+    following: await storageService.resolveMediaUrls(following, ['avatar_url']),
     pagination: {
       page,
       limit,
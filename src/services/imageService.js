@@ -0,0 +1,157 @@
+/**
+ * Image Service
+ * Avatars and track covers are decoded and re-encoded as WebP before they are
+ * stored, which drops their metadata (EXIF, GPS, camera details). Each image
+ * is stored once at up to MAX_DIMENSION and as square thumbnails in every
+ * FILE_LIMITS.IMAGE.VARIANT_SIZES size; the uploaded bytes are never kept.
+ */
+
+const sharp = require('sharp');
+const { ValidationError } = require('../utils/errors');
+const { FILE_LIMITS } = require('../utils/constants');
+const storageService = require('./storageService');
+
+const { MAX_PIXELS, MAX_DIMENSION, VARIANT_SIZES } = FILE_LIMITS.IMAGE;
+
+// Encoding of every stored image
+const OUTPUT_TYPE = 'image/webp';
+const OUTPUT_OPTIONS = { quality: 82 };
+
+/**
+ * Decode an image, applying its EXIF orientation (the metadata itself is not
+ * copied to the output)
+ * @param {Buffer} buffer - Image contents
+ * @returns {Object} sharp pipeline
+ */
+const decode = buffer => sharp(buffer, { limitInputPixels: MAX_PIXELS, failOn: 'error' }).rotate();
+
+/**
+ * Produce the stored image and its square thumbnails
+ * @param {Buffer} buffer - Image contents
+ * @returns {Promise<Object>} { image, variants } WebP buffers, variants keyed by size name
+ * @throws {ValidationError} If the image cannot be decoded or exceeds MAX_PIXELS
+ */
+const processImage = async buffer => {
+  try {
+    const image = await decode(buffer)
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .webp(OUTPUT_OPTIONS)
+      .toBuffer();
+
+    const variants = {};
+    for (const [name, size] of Object.entries(VARIANT_SIZES)) {
+      variants[name] = await decode(buffer)
+        .resize(size, size, { fit: 'cover', position: 'attention' })
+        .webp(OUTPUT_OPTIONS)
+        .toBuffer();
+    }
+
+    return { image, variants };
+  } catch {
+    throw new ValidationError('Image could not be decoded or is too large');
+  }
+};
+
+/**
+ * Process an image and upload the result and its thumbnails
+ * @param {Buffer} buffer - Image contents
+ * @param {string} userId - Owner's user ID
+ * @param {string} name - Base file name (e.g. 'avatar', 'cover')
+ * @returns {Promise<Object>} { path, variants } storage paths, variants keyed by size name
+ */
+const uploadProcessed = async (buffer, userId, name) => {
+  const { image, variants } = await processImage(buffer);
+  const outputs = [[name, image], ...Object.entries(variants).map(([v, b]) => [`${name}_${v}`, b])];
+
+  const paths = [];
+  try {
+    for (const [filename, content] of outputs) {
+      paths.push(
+        await storageService.uploadFile(
+          {
+            buffer: content,
+            mimetype: OUTPUT_TYPE,
+            size: content.length,
+            originalname: `${filename}.webp`,
+          },
+          userId,
+          'image'
+        )
+      );
+    }
+  } catch (error) {
+    await Promise.all(paths.map(filePath => storageService.deleteFile(filePath)));
+    throw error;
+  }
+
+  return {
+    path: paths[0],
+    variants: Object.fromEntries(Object.keys(variants).map((v, i) => [v, paths[i + 1]])),
+  };
+};
+
+/**
+ * Store an uploaded image file (multipart upload or embedded cover art)
+ * @param {Object} file - File object with buffer, mimetype, size
+ * @param {string} userId - Owner's user ID
+ * @param {string} name - Base file name (e.g. 'avatar', 'cover')
+ * @returns {Promise<Object>} { path, variants }
+ */
+const storeImage = async (file, userId, name) => {
+  storageService.validateFile(file, 'image');
+  return uploadProcessed(file.buffer, userId, name);
+};
+
+/**
+ * Store an image uploaded directly to storage (see /api/upload)
+ * The original object is deleted whether or not processing succeeds.
+ * @param {string} filePath - Path returned by createSignedUpload
+ * @param {string} userId - Owner's user ID
+ * @param {string} name - Base file name (e.g. 'avatar', 'cover')
+ * @returns {Promise<Object>} { path, variants }
+ */
+const storeUploadedImage = async (filePath, userId, name) => {
+  await storageService.confirmUpload(filePath, userId, 'image');
+
+  try {
+    return await uploadProcessed(await storageService.readFile(filePath), userId, name);
+  } finally {
+    await storageService.deleteFile(filePath);
+  }
+};
+
+/**
+ * Storage references of an image and its thumbnails
+ * @param {string|null} ref - Image path or URL
+ * @param {Object|null} variants - Variant paths keyed by size name
+ * @returns {Array<string>} References (external URLs included; deleteFile skips them)
+ */
+const getImageRefs = (ref, variants) => [ref, ...Object.values(variants || {})].filter(Boolean);
+
+/**
+ * Delete an image and its thumbnails from storage
+ * @param {string|null} ref - Image path or URL
+ * @param {Object|null} variants - Variant paths keyed by size name
+ * @returns {Promise<void>}
+ */
+const deleteImage = async (ref, variants) => {
+  for (const imageRef of getImageRefs(ref, variants)) {
+    await storageService.deleteFile(imageRef);
+  }
+};
+
+/**
+ * Fields to pass to storageService.resolveMediaUrls for a variants column
+ * @param {string} field - Variants field, dot path for nested objects (e.g. 'profiles.avatar_variants')
+ * @returns {Array<string>} One field per size name
+ */
+const variantFields = field => Object.keys(VARIANT_SIZES).map(name => `${field}.${name}`);
+
+module.exports = {
+  processImage,
+  storeImage,
+  storeUploadedImage,
+  getImageRefs,
+  deleteImage,
+  variantFields,
+};
@@ -1,5 +1,55 @@
 const { supabaseAdmin } = require('../config/database');
 const { AppError, ValidationError } = require('../utils/errors');
+const { EVENT_TYPES, NOTIFICATION_TYPES } = require('../utils/constants');
+const storageService = require('./storageService');
+const imageService = require('./imageService');
+const notificationService = require('./notificationService');
+const eventService = require('./eventService');
+const blockService = require('./blockService');
+
+// Table and notification label field for each likeable content type
+const LIKE_TARGETS = {
+  track: { table: 'tracks', labelField: 'title' },
+  reel: { table: 'reels', labelField: 'caption' },
+};
+
+/**
+ * Tell a content owner about a like or unlike: the new like count as a
+ * real-time event, and a notification for a new like
+ * @param {string} userId - User who liked or unliked
+ * @param {string} contentType - 'track' or 'reel'
+ * @param {string} contentId - Content ID
+ * @param {boolean} liked - True for a new like
+ * @returns {Promise<void>}
+ */
+const announceLikeChange = async (userId, contentType, contentId, liked) => {
+  const { table, labelField } = LIKE_TARGETS[contentType];
+
+  const { data: content } = await supabaseAdmin
+    .from(table)
+    .select(`user_id, like_count, ${labelField}`)
+    .eq('id', contentId)
+    .maybeSingle();
+
+  if (!content) return;
+
+  eventService.publish(content.user_id, EVENT_TYPES.COUNTER, {
+    content_type: contentType,
+    content_id: contentId,
+    like_count: content.like_count,
+  });
+
+  if (!liked) return;
+
+  await notificationService.notify({
+    userId: content.user_id,
+    type: NOTIFICATION_TYPES.LIKE,
+    actorId: userId,
+    contentType,
+    contentId,
+    data: { [labelField]: content[labelField] },
+  });
+};
 
 /**
  * Toggle like on content (track or reel)
@@ -32,9 +82,21 @@ const toggleLike = async (userId, contentType, contentId) => {
       throw new AppError('Failed to unlike content', 500);
     }
 
+    await announceLikeChange(userId, contentType, contentId, false);
+
     return { liked: false };
   } else {
-    // Like - add new like
+    // Like - not allowed across a block with the content owner
+    const { data: content } = await supabaseAdmin
+      .from(LIKE_TARGETS[contentType].table)
+      .select('user_id')
+      .eq('id', contentId)
+      .maybeSingle();
+
+    if (content) {
+      await blockService.assertNotBlocked(userId, content.user_id, 'You cannot like this content');
+    }
+
     const { error } = await supabaseAdmin.from('likes').insert({
       user_id: userId,
       content_type: contentType,
@@ -47,6 +109,8 @@ const toggleLike = async (userId, contentType, contentId) => {
       throw new AppError('Failed to like content', 500);
     }
 
+    await announceLikeChange(userId, contentType, contentId, true);
+
     return { liked: true };
   }
 };
@@ -70,6 +134,32 @@ const isLiked = async (userId, contentType, contentId) => {
   return !!like;
 };
 
+/**
+ * Find which of several items a user has liked
+ * @param {string} userId - User ID
+ * @param {string} contentType - 'track' or 'reel'
+ * @param {Array<string>} contentIds - Content IDs
+ * @returns {Promise<Set<string>>} IDs of the liked items
+ */
+const getLikedContentIds = async (userId, contentType, contentIds) => {
+  if (!userId || contentIds.length === 0) return new Set();
+
+  const { data: likes, error } = await supabaseAdmin
+    .from('likes')
+    .select('content_id')
+    .eq('user_id', userId)
+    .eq('content_type', contentType)
+    .in('content_id', contentIds);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching likes:', error);
+    throw new AppError('Failed to fetch likes', 500);
+  }
+
+  return new Set(likes.map(like => like.content_id));
+};
+
 /**
  * Get user's liked tracks
  * @param {string} userId - User ID
@@ -91,6 +181,7 @@ const getUserLikedTracks = async (userId, options = {}) => {
         title,
         audio_url,
         cover_url,
+        cover_variants,
         duration,
         play_count,
         like_count,
@@ -107,6 +198,7 @@ const getUserLikedTracks = async (userId, options = {}) => {
     )
     .eq('user_id', userId)
     .eq('content_type', 'track')
+    .eq('tracks.is_active', true)
     .order('created_at', { ascending: false })
     .range(offset, offset + limit - 1);
 
@@ -121,7 +213,12 @@ const getUserLikedTracks = async (userId, options = {}) => {
     liked_at: like.created_at,
   }));
 
-  return tracks;
+  return storageService.resolveMediaUrls(tracks, [
+    'audio_url',
+    'cover_url',
+    ...imageService.variantFields('cover_variants'),
+    'profiles.avatar_url',
+  ]);
 };
 
 /**
@@ -159,6 +256,7 @@ const getUserLikedReels = async (userId, options = {}) => {
     )
     .eq('user_id', userId)
     .eq('content_type', 'reel')
+    .eq('reels.is_active', true)
     .order('created_at', { ascending: false })
     .range(offset, offset + limit - 1);
 
@@ -173,12 +271,13 @@ const getUserLikedReels = async (userId, options = {}) => {
     liked_at: like.created_at,
   }));
 
-  return reels;
+  return storageService.resolveMediaUrls(reels, ['video_url', 'profiles.avatar_url']);
 };
 
 module.exports = {
   toggleLike,
   isLiked,
+  getLikedContentIds,
   getUserLikedTracks,
   getUserLikedReels,
 };
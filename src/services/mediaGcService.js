@@ -0,0 +1,403 @@
+/**
+ * Media GC Service
+ * Finds stored files that no track, audio version, reel or profile
+ * references and deletes those older than media_gc_grace_hours (the grace
+ * period covers uploads that are not attached to a row yet). Dry runs only
+ * report. Scheduled runs happen in-process while media_gc_enabled is true;
+ * every run is recorded with its orphan list as the admin report.
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { listFiles, getStorageDriver } = require('../config/storage');
+const { AppError, NotFoundError } = require('../utils/errors');
+const {
+  SETTINGS_KEYS,
+  DEFAULT_SETTINGS,
+  MEDIA_GC_RUN_TRIGGERS,
+  MEDIA_GC_RUN_STATUSES,
+} = require('../utils/constants');
+const storageService = require('./storageService');
+const settingsService = require('./settingsService');
+
+// Columns that hold storage references (variant columns are JSON maps of references)
+const REFERENCE_SOURCES = [
+  { table: 'tracks', columns: ['audio_url', 'cover_url', 'cover_variants'] },
+  { table: 'track_audio_versions', columns: ['audio_url'] },
+  { table: 'reels', columns: ['video_url'] },
+  { table: 'profiles', columns: ['avatar_url', 'avatar_variants'] },
+];
+
+// Rows and bucket entries are read in pages of this size
+const PAGE_SIZE = 1000;
+
+// Keys removed per storage request
+const DELETE_BATCH_SIZE = 100;
+
+// Orphans listed in a stored report (the counts always cover all of them)
+const MAX_REPORTED_ORPHANS = 1000;
+
+// Run history columns (the orphan list is only returned by getRun)
+const RUN_SUMMARY_FIELDS = [
+  'id',
+  'trigger',
+  'status',
+  'dry_run',
+  'grace_hours',
+  'scanned_count',
+  'referenced_count',
+  'orphan_count',
+  'orphan_bytes',
+  'deleted_count',
+  'failed_count',
+  'message',
+  'started_at',
+  'finished_at',
+].join(', ');
+
+let started = false;
+let timer = null;
+let running = false;
+let nextRunAt = null;
+
+/**
+ * Collect the storage keys referenced by the REFERENCE_SOURCES columns
+ * @returns {Promise<Set<string>>} Referenced keys
+ */
+const getReferencedKeys = async () => {
+  const keys = new Set();
+
+  for (const { table, columns } of REFERENCE_SOURCES) {
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data: rows, error } = await supabaseAdmin
+        .from(table)
+        .select(['id', ...columns].join(', '))
+        .order('id', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) {
+        // eslint-disable-next-line no-console
+        console.error(`Error reading ${table} media references:`, error);
+        throw new AppError('Failed to read media references', 500);
+      }
+
+      for (const row of rows) {
+        for (const column of columns) {
+          const value = row[column];
+          const refs = value && typeof value === 'object' ? Object.values(value) : [value];
+
+          for (const ref of refs) {
+            const key = storageService.getStoragePath(ref);
+            if (key) keys.add(key);
+          }
+        }
+      }
+
+      if (rows.length < PAGE_SIZE) break;
+    }
+  }
+
+  return keys;
+};
+
+/**
+ * Walk the bucket and list every stored file
+ * @param {string} prefix - Folder to start from ('' for the whole bucket)
+ * @returns {Promise<Array<Object>>} Files ({ key, size, last_modified })
+ */
+const listStoredFiles = async (prefix = '') => {
+  const files = [];
+  const folders = [prefix];
+
+  while (folders.length > 0) {
+    const folder = folders.shift();
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const entries = await listFiles(folder, { limit: PAGE_SIZE, offset });
+
+      for (const entry of entries) {
+        if (entry.is_folder) {
+          folders.push(entry.key);
+        } else {
+          files.push({ key: entry.key, size: entry.size, last_modified: entry.last_modified });
+        }
+      }
+
+      if (entries.length < PAGE_SIZE) break;
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Delete orphaned files in batches
+ * @param {Array<string>} keys - Keys to delete
+ * @returns {Promise<Object>} { deleted, failed }
+ */
+const deleteOrphans = async keys => {
+  let deleted = 0;
+  let failed = 0;
+
+  for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+    const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+
+    try {
+      await getStorageDriver().delete(batch);
+      deleted += batch.length;
+    } catch {
+      // Logged by the driver; the files are picked up again next run
+      failed += batch.length;
+    }
+  }
+
+  return { deleted, failed };
+};
+
+/**
+ * Record a GC run in history
+ * @param {Object} run - Run details
+ * @returns {Promise<Object>} Stored run (or the unsaved run if recording fails)
+ */
+const recordRun = async run => {
+  const { data, error } = await supabaseAdmin.from('media_gc_runs').insert(run).select().single();
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to record media GC run:', error);
+    return run;
+  }
+
+  return data;
+};
+
+/**
+ * Find orphaned files and, unless dry-running, delete those past the grace period
+ * @param {Object} options - { trigger, dryRun }
+ * @returns {Promise<Object>} Recorded run
+ */
+const runGc = async (options = {}) => {
+  const { trigger = MEDIA_GC_RUN_TRIGGERS.MANUAL, dryRun = true } = options;
+
+  if (running) {
+    return {
+      trigger,
+      dry_run: dryRun,
+      status: MEDIA_GC_RUN_STATUSES.SKIPPED,
+      message: 'A media GC run is already in progress',
+    };
+  }
+
+  running = true;
+
+  const run = {
+    trigger,
+    status: MEDIA_GC_RUN_STATUSES.COMPLETED,
+    dry_run: dryRun,
+    scanned_count: 0,
+    referenced_count: 0,
+    orphan_count: 0,
+    orphan_bytes: 0,
+    deleted_count: 0,
+    failed_count: 0,
+    orphans: [],
+    message: null,
+    started_at: new Date().toISOString(),
+  };
+
+  try {
+    run.grace_hours = await settingsService.getSetting(SETTINGS_KEYS.MEDIA_GC_GRACE_HOURS);
+    const cutoff = Date.now() - run.grace_hours * 60 * 60 * 1000;
+
+    // Read references before listing, so files uploaded in between are
+    // protected by the grace period rather than reported as orphans
+    const referenced = await getReferencedKeys();
+    const files = await listStoredFiles();
+
+    // Files without a modification time are never treated as old enough
+    const orphans = files.filter(
+      file =>
+        !referenced.has(file.key) &&
+        file.last_modified &&
+        new Date(file.last_modified).getTime() < cutoff
+    );
+
+    run.scanned_count = files.length;
+    run.referenced_count = referenced.size;
+    run.orphan_count = orphans.length;
+    run.orphan_bytes = orphans.reduce((total, file) => total + (file.size || 0), 0);
+    run.orphans = orphans.slice(0, MAX_REPORTED_ORPHANS);
+
+    if (!dryRun && orphans.length > 0) {
+      // Files can be moved (see storageService.relocateFiles) and keep their
+      // old modification time, so check the references again before deleting
+      const current = await getReferencedKeys();
+      const keys = orphans.map(file => file.key).filter(key => !current.has(key));
+
+      const result = await deleteOrphans(keys);
+      run.deleted_count = result.deleted;
+      run.failed_count = result.failed;
+    }
+
+    run.message = dryRun
+      ? `Found ${orphans.length} orphaned file(s) (dry run, nothing deleted)`
+      : `Deleted ${run.deleted_count} of ${orphans.length} orphaned file(s)`;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Media GC run failed:', error);
+    run.status = MEDIA_GC_RUN_STATUSES.FAILED;
+    run.message = error.message;
+  } finally {
+    running = false;
+  }
+
+  run.finished_at = new Date().toISOString();
+
+  return recordRun(run);
+};
+
+/**
+ * Schedule the next tick using the current interval setting
+ */
+const scheduleNext = async () => {
+  let intervalMinutes;
+  try {
+    intervalMinutes = await settingsService.getSetting(SETTINGS_KEYS.MEDIA_GC_INTERVAL_MINUTES);
+  } catch {
+    intervalMinutes = parseInt(DEFAULT_SETTINGS[SETTINGS_KEYS.MEDIA_GC_INTERVAL_MINUTES]);
+  }
+
+  if (!started) return;
+
+  const delay = intervalMinutes * 60 * 1000;
+  nextRunAt = new Date(Date.now() + delay).toISOString();
+
+  timer = setTimeout(tick, delay);
+  if (timer.unref) timer.unref();
+};
+
+/**
+ * Scheduler tick: delete orphans if enabled, then schedule the next tick
+ */
+const tick = async () => {
+  try {
+    const enabled = await settingsService.getSetting(SETTINGS_KEYS.MEDIA_GC_ENABLED);
+
+    if (enabled) {
+      await runGc({ trigger: MEDIA_GC_RUN_TRIGGERS.SCHEDULED, dryRun: false });
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Media GC scheduler error:', error);
+  }
+
+  await scheduleNext();
+};
+
+/**
+ * Start the in-process scheduler (no-op if already started)
+ */
+const startScheduler = () => {
+  if (started) return;
+
+  started = true;
+  scheduleNext();
+};
+
+/**
+ * Stop the in-process scheduler
+ */
+const stopScheduler = () => {
+  started = false;
+  clearTimeout(timer);
+  timer = null;
+  nextRunAt = null;
+};
+
+/**
+ * Get scheduler status and the most recent run
+ * @returns {Promise<Object>} Scheduler status
+ */
+const getStatus = async () => {
+  const settings = await settingsService.getSettings({ fresh: true });
+
+  const { data: lastRun } = await supabaseAdmin
+    .from('media_gc_runs')
+    .select(RUN_SUMMARY_FIELDS)
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return {
+    enabled: settings[SETTINGS_KEYS.MEDIA_GC_ENABLED],
+    scheduler_running: started,
+    run_in_progress: running,
+    interval_minutes: settings[SETTINGS_KEYS.MEDIA_GC_INTERVAL_MINUTES],
+    grace_hours: settings[SETTINGS_KEYS.MEDIA_GC_GRACE_HOURS],
+    next_run_at: nextRunAt,
+    last_run: lastRun || null,
+  };
+};
+
+/**
+ * Get GC run history (newest first, without orphan lists)
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Runs and pagination info
+ */
+const getRuns = async (options = {}) => {
+  const { page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+
+  const {
+    data: runs,
+    error,
+    count,
+  } = await supabaseAdmin
+    .from('media_gc_runs')
+    .select(RUN_SUMMARY_FIELDS, { count: 'exact' })
+    .order('started_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching media GC runs:', error);
+    throw new AppError('Failed to fetch media GC runs', 500);
+  }
+
+  return {
+    runs,
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+    },
+  };
+};
+
+/**
+ * Get one GC run with its orphan report
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} Run
+ */
+const getRun = async runId => {
+  const { data: run } = await supabaseAdmin
+    .from('media_gc_runs')
+    .select('*')
+    .eq('id', runId)
+    .maybeSingle();
+
+  if (!run) {
+    throw new NotFoundError('Media GC run not found');
+  }
+
+  return run;
+};
+
+module.exports = {
+  runGc,
+  startScheduler,
+  stopScheduler,
+  getStatus,
+  getRuns,
+  getRun,
+};
@@ -0,0 +1,514 @@
+/**
+ * Message Service
+ * 1:1 direct messages (see scripts/messages-schema.sql). Each pair of users
+ * shares one conversation. A conversation started by someone the recipient
+ * does not follow lands in the recipient's message requests until they accept
+ * it or reply. Unread counts and the inbox order are kept by a trigger on new
+ * messages; read receipts compare a message's time with the other
+ * participant's last_read_at. New messages and reads are pushed to the other
+ * participant's event streams. Users on either side of a block cannot message
+ * each other.
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { AppError, NotFoundError, ValidationError } = require('../utils/errors');
+const { encodeCursor, decodeCursor } = require('../utils/validation');
+const {
+  CONVERSATION_FOLDERS,
+  CONVERSATION_STATUSES,
+  EVENT_TYPES,
+  MESSAGE_LIMITS,
+  USER_STATUSES,
+} = require('../utils/constants');
+const storageService = require('./storageService');
+const followService = require('./followService');
+const eventService = require('./eventService');
+const blockService = require('./blockService');
+
+const MESSAGE_FIELDS = 'id, conversation_id, sender_id, body, created_at';
+
+const PROFILE_FIELDS = 'id, username, display_name, artist_name, avatar_url';
+
+/**
+ * Validate and normalize a message body
+ * @param {string} body - Message text
+ * @returns {string} Trimmed body
+ */
+const validateBody = body => {
+  if (!body || typeof body !== 'string' || body.trim().length === 0) {
+    throw new ValidationError('Message body is required');
+  }
+
+  if (body.trim().length > MESSAGE_LIMITS.BODY_MAX_LENGTH) {
+    throw new ValidationError(`Message cannot exceed ${MESSAGE_LIMITS.BODY_MAX_LENGTH} characters`);
+  }
+
+  return body.trim();
+};
+
+/**
+ * Check whether one timestamp is at or before another
+ * Both come from Postgres in one format and time zone, so comparing the
+ * strings keeps microsecond precision that Date would lose.
+ * @param {string} a - Timestamp
+ * @param {string|null} b - Timestamp (null means never)
+ * @returns {boolean} True if a <= b
+ */
+const isAtOrBefore = (a, b) => !!b && a <= b;
+
+/**
+ * Get both participants' state for a conversation the user belongs to
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Participant's user ID
+ * @returns {Promise<Object>} { own, other } member rows
+ * @throws {NotFoundError} If the user is not a participant
+ */
+const getMembers = async (conversationId, userId) => {
+  const { data: members, error } = await supabaseAdmin
+    .from('conversation_members')
+    .select('conversation_id, user_id, status, unread_count, last_read_at')
+    .eq('conversation_id', conversationId);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching conversation members:', error);
+    throw new AppError('Failed to fetch conversation', 500);
+  }
+
+  const own = (members || []).find(member => member.user_id === userId);
+  if (!own) {
+    throw new NotFoundError('Conversation not found');
+  }
+
+  return { own, other: members.find(member => member.user_id !== userId) || null };
+};
+
+/**
+ * Load profiles by user ID
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<Map<string, Object>>} Profiles by user ID
+ */
+const getProfiles = async userIds => {
+  if (userIds.length === 0) return new Map();
+
+  const { data: profiles, error } = await supabaseAdmin
+    .from('profiles')
+    .select(PROFILE_FIELDS)
+    .in('id', userIds);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching profiles:', error);
+    throw new AppError('Failed to fetch conversations', 500);
+  }
+
+  return new Map(profiles.map(profile => [profile.id, profile]));
+};
+
+/**
+ * Add a message to a conversation and tell the recipient
+ * Sending accepts a conversation that was a request (or declined) for the sender.
+ * @param {Object} members - { own, other } from getMembers
+ * @param {string} body - Validated message body
+ * @returns {Promise<Object>} Message
+ */
+const deliverMessage = async ({ own, other }, body) => {
+  if (own.status !== CONVERSATION_STATUSES.ACCEPTED) {
+    const { error } = await supabaseAdmin
+      .from('conversation_members')
+      .update({ status: CONVERSATION_STATUSES.ACCEPTED })
+      .eq('conversation_id', own.conversation_id)
+      .eq('user_id', own.user_id);
+
+    if (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error accepting conversation:', error);
+      throw new AppError('Failed to send message', 500);
+    }
+  }
+
+  const { data: message, error } = await supabaseAdmin
+    .from('messages')
+    .insert({ conversation_id: own.conversation_id, sender_id: own.user_id, body })
+    .select(MESSAGE_FIELDS)
+    .single();
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error sending message:', error);
+    throw new AppError('Failed to send message', 500);
+  }
+
+  if (other && other.status !== CONVERSATION_STATUSES.DECLINED) {
+    eventService.publish(other.user_id, EVENT_TYPES.MESSAGE, {
+      conversation_id: own.conversation_id,
+      status: other.status,
+      message,
+    });
+  }
+
+  return message;
+};
+
+/**
+ * Send a message to a user, starting the conversation if needed
+ * @param {string} senderId - Sender's user ID
+ * @param {string} recipientId - Recipient's user ID
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} { conversation_id, status (the recipient's), message }
+ */
+const sendToUser = async (senderId, recipientId, body) => {
+  if (senderId === recipientId) {
+    throw new ValidationError('You cannot message yourself');
+  }
+
+  const text = validateBody(body);
+
+  const { data: recipient } = await supabaseAdmin
+    .from('users')
+    .select('id, status')
+    .eq('id', recipientId)
+    .maybeSingle();
+
+  if (!recipient || recipient.status === USER_STATUSES.BANNED) {
+    throw new NotFoundError('User not found');
+  }
+
+  await blockService.assertNotBlocked(senderId, recipientId, 'You cannot message this user');
+
+  const [userA, userB] = [senderId, recipientId].sort();
+
+  const { error: createError } = await supabaseAdmin
+    .from('conversations')
+    .upsert(
+      { user_a: userA, user_b: userB },
+      { onConflict: 'user_a,user_b', ignoreDuplicates: true }
+    );
+
+  const { data: conversation, error: fetchError } = await supabaseAdmin
+    .from('conversations')
+    .select('id')
+    .eq('user_a', userA)
+    .eq('user_b', userB)
+    .single();
+
+  if (createError || fetchError) {
+    // eslint-disable-next-line no-console
+    console.error('Error starting conversation:', createError || fetchError);
+    throw new AppError('Failed to send message', 500);
+  }
+
+  // Only a recipient who follows the sender gets the conversation in their inbox
+  const follows = await followService.isFollowing(recipientId, senderId);
+
+  const { error: membersError } = await supabaseAdmin.from('conversation_members').upsert(
+    [
+      {
+        conversation_id: conversation.id,
+        user_id: senderId,
+        status: CONVERSATION_STATUSES.ACCEPTED,
+      },
+      {
+        conversation_id: conversation.id,
+        user_id: recipientId,
+        status: follows ? CONVERSATION_STATUSES.ACCEPTED : CONVERSATION_STATUSES.REQUEST,
+      },
+    ],
+    { onConflict: 'conversation_id,user_id', ignoreDuplicates: true }
+  );
+
+  if (membersError) {
+    // eslint-disable-next-line no-console
+    console.error('Error adding conversation members:', membersError);
+    throw new AppError('Failed to send message', 500);
+  }
+
+  const members = await getMembers(conversation.id, senderId);
+  const message = await deliverMessage(members, text);
+
+  return {
+    conversation_id: conversation.id,
+    status: members.other?.status || null,
+    message,
+  };
+};
+
+/**
+ * Send a message in an existing conversation
+ * @param {string} senderId - Sender's user ID
+ * @param {string} conversationId - Conversation ID
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} Message
+ */
+const sendMessage = async (senderId, conversationId, body) => {
+  const text = validateBody(body);
+  const members = await getMembers(conversationId, senderId);
+
+  if (!members.other) {
+    throw new ValidationError('The other participant has left this conversation');
+  }
+
+  await blockService.assertNotBlocked(
+    senderId,
+    members.other.user_id,
+    'You cannot message this user'
+  );
+
+  return deliverMessage(members, text);
+};
+
+/**
+ * Get a user's conversations in one folder (latest message first, cursor paginated)
+ * @param {string} userId - User ID
+ * @param {Object} options - { folder, cursor, limit }
+ * @returns {Promise<Object>} Conversations and pagination info
+ */
+const getConversations = async (userId, options = {}) => {
+  const { folder = CONVERSATION_FOLDERS.INBOX, limit = MESSAGE_LIMITS.DEFAULT_LIMIT } = options;
+  const cursor = decodeCursor(options.cursor);
+
+  let query = supabaseAdmin
+    .from('conversation_members')
+    .select(
+      `
+      conversation_id,
+      status,
+      unread_count,
+      last_read_at,
+      last_message_at,
+      conversations!inner (
+        user_a,
+        user_b,
+        last_message:messages!conversations_last_message_id_fkey (${MESSAGE_FIELDS})
+      )
+    `
+    )
+    .eq('user_id', userId)
+    .eq(
+      'status',
+      folder === CONVERSATION_FOLDERS.REQUESTS
+        ? CONVERSATION_STATUSES.REQUEST
+        : CONVERSATION_STATUSES.ACCEPTED
+    )
+    .not('last_message_at', 'is', null);
+
+  if (cursor) {
+    query = query.or(
+      `last_message_at.lt."${cursor.createdAt}",and(last_message_at.eq."${cursor.createdAt}",conversation_id.lt.${cursor.id})`
+    );
+  }
+
+  const { data: rows, error } = await query
+    .order('last_message_at', { ascending: false })
+    .order('conversation_id', { ascending: false })
+    .limit(limit + 1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching conversations:', error);
+    throw new AppError('Failed to fetch conversations', 500);
+  }
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const last = items[items.length - 1];
+
+  const otherId = row =>
+    row.conversations.user_a === userId ? row.conversations.user_b : row.conversations.user_a;
+  const profiles = await getProfiles([...new Set(items.map(otherId))]);
+
+  const conversations = items.map(row => ({
+    id: row.conversation_id,
+    status: row.status,
+    unread_count: row.unread_count,
+    last_read_at: row.last_read_at,
+    last_message_at: row.last_message_at,
+    last_message: row.conversations.last_message,
+    other_user: profiles.get(otherId(row)) || null,
+  }));
+
+  return {
+    conversations: await storageService.resolveMediaUrls(conversations, ['other_user.avatar_url']),
+    pagination: {
+      limit,
+      has_more: hasMore,
+      next_cursor:
+        hasMore && last ? encodeCursor(last.last_message_at, last.conversation_id) : null,
+    },
+  };
+};
+
+/**
+ * Count a user's unread messages and pending message requests
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { unread_messages, unread_conversations, requests }
+ */
+const getUnreadCounts = async userId => {
+  const { data: members, error } = await supabaseAdmin
+    .from('conversation_members')
+    .select('status, unread_count')
+    .eq('user_id', userId)
+    .in('status', [CONVERSATION_STATUSES.ACCEPTED, CONVERSATION_STATUSES.REQUEST])
+    .gt('unread_count', 0);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error counting unread messages:', error);
+    throw new AppError('Failed to count unread messages', 500);
+  }
+
+  const inbox = members.filter(member => member.status === CONVERSATION_STATUSES.ACCEPTED);
+
+  return {
+    unread_messages: inbox.reduce((total, member) => total + member.unread_count, 0),
+    unread_conversations: inbox.length,
+    requests: members.length - inbox.length,
+  };
+};
+
+/**
+ * Get messages in a conversation (newest first, cursor paginated)
+ * Each message has is_read: for your own messages, whether the other
+ * participant has read it; for theirs, whether you have.
+ * @param {string} userId - Participant's user ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<Object>} { messages, other_last_read_at, pagination }
+ */
+const getMessages = async (userId, conversationId, options = {}) => {
+  const { limit = MESSAGE_LIMITS.DEFAULT_LIMIT } = options;
+  const cursor = decodeCursor(options.cursor);
+  const { own, other } = await getMembers(conversationId, userId);
+
+  let query = supabaseAdmin
+    .from('messages')
+    .select(MESSAGE_FIELDS)
+    .eq('conversation_id', conversationId);
+
+  if (cursor) {
+    query = query.or(
+      `created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`
+    );
+  }
+
+  const { data: rows, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching messages:', error);
+    throw new AppError('Failed to fetch messages', 500);
+  }
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const last = items[items.length - 1];
+  const otherLastReadAt = other?.last_read_at || null;
+
+  return {
+    messages: items.map(message => ({
+      ...message,
+      is_read: isAtOrBefore(
+        message.created_at,
+        message.sender_id === userId ? otherLastReadAt : own.last_read_at
+      ),
+    })),
+    other_last_read_at: otherLastReadAt,
+    pagination: {
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore && last ? encodeCursor(last.created_at, last.id) : null,
+    },
+  };
+};
+
+/**
+ * Mark a conversation read up to its latest message
+ * The other participant gets a read receipt event.
+ * @param {string} userId - Participant's user ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} { last_read_at }
+ */
+const markRead = async (userId, conversationId) => {
+  const { own, other } = await getMembers(conversationId, userId);
+
+  const { data: latest, error: latestError } = await supabaseAdmin
+    .from('messages')
+    .select('created_at')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching latest message:', latestError);
+    throw new AppError('Failed to mark conversation as read', 500);
+  }
+
+  if (!latest || isAtOrBefore(latest.created_at, own.last_read_at)) {
+    return { last_read_at: own.last_read_at };
+  }
+
+  // A message arriving meanwhile moves last_message_at on and keeps it unread
+  const { error } = await supabaseAdmin
+    .from('conversation_members')
+    .update({ unread_count: 0, last_read_at: latest.created_at })
+    .eq('conversation_id', conversationId)
+    .eq('user_id', userId)
+    .lte('last_message_at', latest.created_at);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error marking conversation as read:', error);
+    throw new AppError('Failed to mark conversation as read', 500);
+  }
+
+  if (other) {
+    eventService.publish(other.user_id, EVENT_TYPES.MESSAGE_READ, {
+      conversation_id: conversationId,
+      last_read_at: latest.created_at,
+    });
+  }
+
+  return { last_read_at: latest.created_at };
+};
+
+/**
+ * Accept or decline a message request
+ * @param {string} userId - Recipient's user ID
+ * @param {string} conversationId - Conversation ID
+ * @param {string} status - CONVERSATION_STATUSES.ACCEPTED or DECLINED
+ * @returns {Promise<void>}
+ */
+const respondToRequest = async (userId, conversationId, status) => {
+  const { own } = await getMembers(conversationId, userId);
+
+  if (own.status === CONVERSATION_STATUSES.ACCEPTED) {
+    throw new ValidationError('Conversation is not a message request');
+  }
+
+  const { error } = await supabaseAdmin
+    .from('conversation_members')
+    .update({ status })
+    .eq('conversation_id', conversationId)
+    .eq('user_id', userId);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error updating message request:', error);
+    throw new AppError('Failed to update message request', 500);
+  }
+};
+
+module.exports = {
+  sendToUser,
+  sendMessage,
+  getConversations,
+  getUnreadCounts,
+  getMessages,
+  markRead,
+  respondToRequest,
+};
@@ -0,0 +1,252 @@
+/**
+ * Notification Service
+ * In-app notifications for follows, likes and creator application decisions
+ * (see scripts/notifications-schema.sql). Follows and likes of the same target
+ * are grouped while unread, so a burst shows as one notification with an
+ * actor count. Notifications are best-effort: a failure is logged and never
+ * breaks the action that triggered it. Each new or grouped notification is
+ * also pushed to the user's open event streams.
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { AppError, NotFoundError } = require('../utils/errors');
+const { encodeCursor, decodeCursor } = require('../utils/validation');
+const { EVENT_TYPES, NOTIFICATION_LIMITS, USER_STATUSES } = require('../utils/constants');
+const storageService = require('./storageService');
+const eventService = require('./eventService');
+const blockService = require('./blockService');
+
+const NOTIFICATION_FIELDS = `
+  id,
+  type,
+  actor_count,
+  content_type,
+  content_id,
+  data,
+  is_read,
+  read_at,
+  created_at,
+  updated_at,
+  actor_id,
+  users!notifications_actor_id_fkey (
+    profiles (
+      username,
+      display_name,
+      artist_name,
+      avatar_url
+    )
+  )
+`;
+
+/**
+ * Flatten nested actor/profile structure from Supabase response
+ */
+const flattenNotification = notification => {
+  const { users, actor_id, ...rest } = notification;
+  return {
+    ...rest,
+    actor: actor_id && users?.profiles ? { id: actor_id, ...users.profiles } : null,
+  };
+};
+
+/**
+ * Check whether an actor's action should notify a user
+ * Self-actions, actions by banned users and actions across a block are ignored.
+ * @param {string} userId - Recipient user ID
+ * @param {string} actorId - Acting user ID
+ * @returns {Promise<boolean>} True if a notification should be created
+ */
+const shouldNotify = async (userId, actorId) => {
+  if (userId === actorId) return false;
+
+  const { data: actor, error } = await supabaseAdmin
+    .from('users')
+    .select('status')
+    .eq('id', actorId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!actor || actor.status === USER_STATUSES.BANNED) return false;
+
+  return !(await blockService.isBlocked(userId, actorId));
+};
+
+/**
+ * Notify a user of an event
+ * Failures are logged, not thrown.
+ * @param {Object} event - { userId, type, actorId, contentType, contentId, data }
+ * @returns {Promise<string|null>} Notification ID, or null if none was created
+ */
+const notify = async event => {
+  const { userId, type, actorId = null, contentType = null, contentId = null, data = {} } = event;
+
+  try {
+    if (actorId && !(await shouldNotify(userId, actorId))) {
+      return null;
+    }
+
+    const { data: notificationId, error } = await supabaseAdmin.rpc('add_notification', {
+      recipient_id: userId,
+      notification_type: type,
+      actor: actorId,
+      target_type: contentType,
+      target_id: contentId,
+      payload: data,
+      group_window_minutes: NOTIFICATION_LIMITS.GROUP_WINDOW_MINUTES,
+    });
+
+    if (error) throw error;
+
+    eventService.publish(userId, EVENT_TYPES.NOTIFICATION, {
+      notification_id: notificationId,
+      type,
+      content_type: contentType,
+      content_id: contentId,
+    });
+
+    return notificationId;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error creating notification:', error);
+    return null;
+  }
+};
+
+/**
+ * Get a user's notifications (latest activity first, cursor paginated)
+ * @param {string} userId - User ID
+ * @param {Object} options - { cursor, limit, unreadOnly }
+ * @returns {Promise<Object>} Notifications and pagination info
+ */
+const getNotifications = async (userId, options = {}) => {
+  const { limit = NOTIFICATION_LIMITS.DEFAULT_LIMIT, unreadOnly = false } = options;
+  const cursor = decodeCursor(options.cursor);
+
+  let query = supabaseAdmin.from('notifications').select(NOTIFICATION_FIELDS).eq('user_id', userId);
+
+  if (unreadOnly) {
+    query = query.eq('is_read', false);
+  }
+
+  if (cursor) {
+    query = query.or(
+      `updated_at.lt."${cursor.createdAt}",and(updated_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`
+    );
+  }
+
+  const { data: rows, error } = await query
+    .order('updated_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching notifications:', error);
+    throw new AppError('Failed to fetch notifications', 500);
+  }
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const last = items[items.length - 1];
+
+  return {
+    notifications: await storageService.resolveMediaUrls(items.map(flattenNotification), [
+      'actor.avatar_url',
+    ]),
+    pagination: {
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore && last ? encodeCursor(last.updated_at, last.id) : null,
+    },
+  };
+};
+
+/**
+ * Count a user's unread notifications
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Unread count
+ */
+const getUnreadCount = async userId => {
+  const { count, error } = await supabaseAdmin
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('is_read', false);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error counting unread notifications:', error);
+    throw new AppError('Failed to count unread notifications', 500);
+  }
+
+  return count || 0;
+};
+
+/**
+ * Mark one of a user's notifications as read
+ * @param {string} userId - User ID
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<void>}
+ */
+const markRead = async (userId, notificationId) => {
+  const { data: notification, error } = await supabaseAdmin
+    .from('notifications')
+    .select('id, is_read')
+    .eq('id', notificationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching notification:', error);
+    throw new AppError('Failed to mark notification as read', 500);
+  }
+
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  if (notification.is_read) return;
+
+  const { error: updateError } = await supabaseAdmin
+    .from('notifications')
+    .update({ is_read: true, read_at: new Date().toISOString() })
+    .eq('id', notificationId);
+
+  if (updateError) {
+    // eslint-disable-next-line no-console
+    console.error('Error marking notification as read:', updateError);
+    throw new AppError('Failed to mark notification as read', 500);
+  }
+};
+
+/**
+ * Mark all of a user's notifications as read
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of notifications marked
+ */
+const markAllRead = async userId => {
+  const { data: updated, error } = await supabaseAdmin
+    .from('notifications')
+    .update({ is_read: true, read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('is_read', false)
+    .select('id');
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error marking notifications as read:', error);
+    throw new AppError('Failed to mark notifications as read', 500);
+  }
+
+  return updated.length;
+};
+
+module.exports = {
+  notify,
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+};
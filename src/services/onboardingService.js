@@ -0,0 +1,246 @@
+/**
+ * Onboarding Service
+ * Periodically approves the oldest waitlisted users in batches of
+ * onboarding_batch_size until max_active_users is reached.
+ * The schedule runs in-process; pause/resume state lives in the settings table
+ * so it survives restarts.
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { AppError } = require('../utils/errors');
+const {
+  SETTINGS_KEYS,
+  DEFAULT_SETTINGS,
+  ONBOARDING_RUN_TRIGGERS,
+  ONBOARDING_RUN_STATUSES,
+} = require('../utils/constants');
+const adminService = require('./adminService');
+const settingsService = require('./settingsService');
+
+let started = false;
+let timer = null;
+let running = false;
+let nextRunAt = null;
+
+/**
+ * Record an onboarding run in history
+ * @param {Object} run - Run details
+ * @returns {Promise<Object>} Stored run (or the unsaved run if recording fails)
+ */
+const recordRun = async run => {
+  const { data, error } = await supabaseAdmin.from('onboarding_runs').insert(run).select().single();
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to record onboarding run:', error);
+    return run;
+  }
+
+  return data;
+};
+
+/**
+ * Approve one batch of waitlisted users and record the run
+ * @param {string} trigger - 'scheduled' or 'manual'
+ * @returns {Promise<Object>} Recorded run
+ */
+const runOnboarding = async (trigger = ONBOARDING_RUN_TRIGGERS.MANUAL) => {
+  if (running) {
+    return {
+      trigger,
+      status: ONBOARDING_RUN_STATUSES.SKIPPED,
+      message: 'An onboarding run is already in progress',
+    };
+  }
+
+  running = true;
+
+  const run = {
+    trigger,
+    status: ONBOARDING_RUN_STATUSES.COMPLETED,
+    approved_count: 0,
+    emails_sent: 0,
+    emails_failed: 0,
+    approved_user_ids: [],
+    message: null,
+    started_at: new Date().toISOString(),
+  };
+
+  try {
+    const settings = await settingsService.getSettings({ fresh: true });
+    run.batch_size = settings[SETTINGS_KEYS.ONBOARDING_BATCH_SIZE];
+    run.max_active_users = settings[SETTINGS_KEYS.MAX_ACTIVE_USERS];
+
+    const capacity = await adminService.getActiveUserCapacity();
+
+    if (capacity.remaining === 0) {
+      run.status = ONBOARDING_RUN_STATUSES.SKIPPED;
+      run.message = `Active user limit reached (${capacity.activeUsers}/${capacity.maxActiveUsers})`;
+    } else {
+      const result = await adminService.batchApproveUsers(run.batch_size);
+
+      run.approved_count = result.count;
+      run.approved_user_ids = result.approved.map(user => user.id);
+      run.emails_sent = result.emails?.sent || 0;
+      run.emails_failed = result.emails?.failed || 0;
+      run.message = result.message;
+
+      if (result.count === 0) {
+        run.status = ONBOARDING_RUN_STATUSES.SKIPPED;
+      }
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Onboarding run failed:', error);
+    run.status = ONBOARDING_RUN_STATUSES.FAILED;
+    run.message = error.message;
+  } finally {
+    running = false;
+  }
+
+  run.finished_at = new Date().toISOString();
+
+  return recordRun(run);
+};
+
+/**
+ * Schedule the next tick using the current interval setting
+ */
+const scheduleNext = async () => {
+  let intervalMinutes;
+  try {
+    intervalMinutes = await settingsService.getSetting(SETTINGS_KEYS.ONBOARDING_INTERVAL_MINUTES);
+  } catch {
+    intervalMinutes = parseInt(DEFAULT_SETTINGS[SETTINGS_KEYS.ONBOARDING_INTERVAL_MINUTES]);
+  }
+
+  if (!started) return;
+
+  const delay = intervalMinutes * 60 * 1000;
+  nextRunAt = new Date(Date.now() + delay).toISOString();
+
+  timer = setTimeout(tick, delay);
+  if (timer.unref) timer.unref();
+};
+
+/**
+ * Scheduler tick: run if enabled, then schedule the next tick
+ */
+const tick = async () => {
+  try {
+    const enabled = await settingsService.getSetting(SETTINGS_KEYS.AUTO_ONBOARDING_ENABLED);
+
+    if (enabled) {
+      await runOnboarding(ONBOARDING_RUN_TRIGGERS.SCHEDULED);
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Onboarding scheduler error:', error);
+  }
+
+  await scheduleNext();
+};
+
+/**
+ * Start the in-process scheduler (no-op if already started)
+ */
+const startScheduler = () => {
+  if (started) return;
+
+  started = true;
+  scheduleNext();
+};
+
+/**
+ * Stop the in-process scheduler
+ */
+const stopScheduler = () => {
+  started = false;
+  clearTimeout(timer);
+  timer = null;
+  nextRunAt = null;
+};
+
+/**
+ * Pause or resume scheduled onboarding
+ * @param {boolean} enabled - Whether scheduled runs should approve users
+ * @returns {Promise<Object>} Scheduler status
+ */
+const setEnabled = async enabled => {
+  await settingsService.updateSettings({
+    [SETTINGS_KEYS.AUTO_ONBOARDING_ENABLED]: !!enabled,
+  });
+
+  return getStatus();
+};
+
+/**
+ * Get scheduler status and the most recent run
+ * @returns {Promise<Object>} Scheduler status
+ */
+const getStatus = async () => {
+  const settings = await settingsService.getSettings({ fresh: true });
+
+  const { data: lastRun } = await supabaseAdmin
+    .from('onboarding_runs')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return {
+    enabled: settings[SETTINGS_KEYS.AUTO_ONBOARDING_ENABLED],
+    scheduler_running: started,
+    run_in_progress: running,
+    interval_minutes: settings[SETTINGS_KEYS.ONBOARDING_INTERVAL_MINUTES],
+    batch_size: settings[SETTINGS_KEYS.ONBOARDING_BATCH_SIZE],
+    max_active_users: settings[SETTINGS_KEYS.MAX_ACTIVE_USERS],
+    next_run_at: nextRunAt,
+    last_run: lastRun || null,
+  };
+};
+
+/**
+ * Get onboarding run history (newest first)
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Runs and pagination info
+ */
+const getRuns = async (options = {}) => {
+  const { page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+
+  const {
+    data: runs,
+    error,
+    count,
+  } = await supabaseAdmin
+    .from('onboarding_runs')
+    .select('*', { count: 'exact' })
+    .order('started_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching onboarding runs:', error);
+    throw new AppError('Failed to fetch onboarding runs', 500);
+  }
+
+  return {
+    runs,
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+    },
+  };
+};
+
+module.exports = {
+  runOnboarding,
+  startScheduler,
+  stopScheduler,
+  setEnabled,
+  getStatus,
+  getRuns,
+};
@@ -0,0 +1,706 @@
+const { supabaseAdmin } = require('../config/database');
+const {
+  AppError,
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require('../utils/errors');
+const { PLAYLIST_LIMITS } = require('../utils/constants');
+const storageService = require('./storageService');
+const imageService = require('./imageService');
+
+/**
+ * Flatten nested user/profile structure from Supabase response
+ */
+const flattenPlaylistResponse = playlist => {
+  if (!playlist) return playlist;
+
+  const { users, playlist_tracks, playlist_follows, ...rest } = playlist;
+  return {
+    ...rest,
+    owner: users?.profiles || null,
+    ...(playlist_tracks && { track_count: playlist_tracks[0]?.count || 0 }),
+    ...(playlist_follows && { follower_count: playlist_follows[0]?.count || 0 }),
+  };
+};
+
+/**
+ * Validate and normalize playlist name
+ * @param {string} name - Playlist name
+ * @returns {string} Trimmed name
+ */
+const validateName = name => {
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    throw new ValidationError('Playlist name is required');
+  }
+
+  if (name.trim().length > PLAYLIST_LIMITS.NAME_MAX_LENGTH) {
+    throw new ValidationError(
+      `Playlist name cannot exceed ${PLAYLIST_LIMITS.NAME_MAX_LENGTH} characters`
+    );
+  }
+
+  return name.trim();
+};
+
+/**
+ * Validate and normalize playlist description
+ * @param {string|null} description - Playlist description
+ * @returns {string|null} Trimmed description or null
+ */
+const validateDescription = description => {
+  if (description === null || description === undefined) return null;
+
+  if (typeof description !== 'string') {
+    throw new ValidationError('Description must be a string');
+  }
+
+  if (description.length > PLAYLIST_LIMITS.DESCRIPTION_MAX_LENGTH) {
+    throw new ValidationError(
+      `Description cannot exceed ${PLAYLIST_LIMITS.DESCRIPTION_MAX_LENGTH} characters`
+    );
+  }
+
+  return description.trim() || null;
+};
+
+/**
+ * Get playlist row and verify the viewer may see it
+ * Private playlists are reported as not found to non-owners
+ * @param {string} playlistId - Playlist ID
+ * @param {string} viewerId - Optional viewer ID
+ * @returns {Promise<Object>} Playlist row
+ */
+const getVisiblePlaylist = async (playlistId, viewerId = null) => {
+  const { data: playlist } = await supabaseAdmin
+    .from('playlists')
+    .select('id, user_id, is_public')
+    .eq('id', playlistId)
+    .maybeSingle();
+
+  if (!playlist || (!playlist.is_public && playlist.user_id !== viewerId)) {
+    throw new NotFoundError('Playlist not found');
+  }
+
+  return playlist;
+};
+
+/**
+ * Get playlist row and verify the user owns it
+ * @param {string} playlistId - Playlist ID
+ * @param {string} userId - User ID (for ownership verification)
+ * @returns {Promise<Object>} Playlist row
+ */
+const getOwnedPlaylist = async (playlistId, userId) => {
+  const { data: playlist } = await supabaseAdmin
+    .from('playlists')
+    .select('id, user_id, is_public')
+    .eq('id', playlistId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!playlist) {
+    throw new NotFoundError('Playlist not found or unauthorized');
+  }
+
+  return playlist;
+};
+
+/**
+ * Touch playlist updated_at timestamp
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<void>}
+ */
+const touchPlaylist = async playlistId => {
+  await supabaseAdmin
+    .from('playlists')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', playlistId);
+};
+
+/**
+ * Create a new playlist
+ * @param {string} userId - Owner's user ID
+ * @param {Object} playlistData - Playlist information
+ * @returns {Promise<Object>} Created playlist
+ */
+const createPlaylist = async (userId, playlistData) => {
+  const { name, description, is_public = true } = playlistData;
+
+  const { data: playlist, error } = await supabaseAdmin
+    .from('playlists')
+    .insert({
+      user_id: userId,
+      name: validateName(name),
+      description: validateDescription(description),
+      is_public: is_public !== false,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error creating playlist:', error);
+    throw new AppError('Failed to create playlist', 500);
+  }
+
+  return { ...playlist, track_count: 0, follower_count: 0 };
+};
+
+/**
+ * Get playlist by ID with its ordered tracks
+ * Deactivated tracks are only returned to the owner, flagged via is_active,
+ * so the remaining tracks keep their relative order for everyone else
+ * @param {string} playlistId - Playlist ID
+ * @param {string} viewerId - Optional viewer ID for visibility and follow status
+ * @returns {Promise<Object>} Playlist with tracks
+ */
+const getPlaylistById = async (playlistId, viewerId = null) => {
+  const { data: playlist, error } = await supabaseAdmin
+    .from('playlists')
+    .select(
+      `
+      id,
+      name,
+      description,
+      is_public,
+      created_at,
+      updated_at,
+      user_id,
+      users!inner (
+        profiles!inner (
+          username,
+          display_name,
+          avatar_url
+        )
+      ),
+      playlist_follows (count)
+    `
+    )
+    .eq('id', playlistId)
+    .maybeSingle();
+
+  if (error || !playlist || (!playlist.is_public && playlist.user_id !== viewerId)) {
+    throw new NotFoundError('Playlist not found');
+  }
+
+  const isOwner = playlist.user_id === viewerId;
+
+  let query = supabaseAdmin
+    .from('playlist_tracks')
+    .select(
+      `
+      position,
+      added_at,
+      tracks!inner (
+        id,
+        title,
+        audio_url,
+        cover_url,
+        cover_variants,
+        duration,
+        play_count,
+        like_count,
+        is_active,
+        created_at,
+        user_id,
+        users!inner (
+          profiles!inner (
+            username,
+            display_name,
+            artist_name,
+            avatar_url
+          )
+        )
+      )
+    `
+    )
+    .eq('playlist_id', playlistId);
+
+  if (!isOwner) {
+    query = query.eq('tracks.is_active', true);
+  }
+
+  const { data: entries, error: tracksError } = await query.order('position', {
+    ascending: true,
+  });
+
+  if (tracksError) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching playlist tracks:', tracksError);
+    throw new AppError('Failed to fetch playlist tracks', 500);
+  }
+
+  const tracks = entries.map(entry => {
+    const { users, ...track } = entry.tracks;
+    return {
+      ...track,
+      creator: users?.profiles || null,
+      position: entry.position,
+      added_at: entry.added_at,
+    };
+  });
+
+  // Media of deactivated tracks stays private to their creator
+  for (const track of tracks) {
+    if (!track.is_active && track.user_id !== viewerId) {
+      track.audio_url = null;
+      track.cover_url = null;
+      track.cover_variants = null;
+    }
+  }
+  await storageService.resolveMediaUrls(tracks, [
+    'audio_url',
+    'cover_url',
+    ...imageService.variantFields('cover_variants'),
+    'creator.avatar_url',
+  ]);
+
+  let is_following = false;
+  if (viewerId && !isOwner) {
+    const { data: follow } = await supabaseAdmin
+      .from('playlist_follows')
+      .select('id')
+      .eq('playlist_id', playlistId)
+      .eq('user_id', viewerId)
+      .maybeSingle();
+
+    is_following = !!follow;
+  }
+
+  return {
+    ...(await storageService.resolveMediaUrls(flattenPlaylistResponse(playlist), [
+      'owner.avatar_url',
+    ])),
+    track_count: tracks.length,
+    tracks,
+    is_owner: isOwner,
+    is_following,
+  };
+};
+
+/**
+ * Get playlists owned by a user
+ * Private playlists are only included when the viewer is the owner
+ * @param {string} userId - Owner's user ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Playlists and pagination info
+ */
+const getUserPlaylists = async (userId, options = {}) => {
+  const { page = 1, limit = 20, viewerId = null } = options;
+  const offset = (page - 1) * limit;
+  const includePrivate = viewerId === userId;
+
+  let query = supabaseAdmin
+    .from('playlists')
+    .select(
+      `
+      id,
+      name,
+      description,
+      is_public,
+      created_at,
+      updated_at,
+      user_id,
+      playlist_tracks (count),
+      playlist_follows (count)
+    `,
+      { count: 'exact' }
+    )
+    .eq('user_id', userId);
+
+  if (!includePrivate) {
+    query = query.eq('is_public', true);
+  }
+
+  const {
+    data: playlists,
+    error,
+    count,
+  } = await query.order('updated_at', { ascending: false }).range(offset, offset + limit - 1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching user playlists:', error);
+    throw new AppError('Failed to fetch playlists', 500);
+  }
+
+  return {
+    playlists: playlists.map(flattenPlaylistResponse),
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+    },
+  };
+};
+
+/**
+ * Get public playlists a user follows
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Followed playlists and pagination info
+ */
+const getFollowedPlaylists = async (userId, options = {}) => {
+  const { page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+
+  const {
+    data: follows,
+    error,
+    count,
+  } = await supabaseAdmin
+    .from('playlist_follows')
+    .select(
+      `
+      created_at,
+      playlists!inner (
+        id,
+        name,
+        description,
+        is_public,
+        created_at,
+        updated_at,
+        user_id,
+        users!inner (
+          profiles!inner (
+            username,
+            display_name,
+            avatar_url
+          )
+        ),
+        playlist_tracks (count)
+      )
+    `,
+      { count: 'exact' }
+    )
+    .eq('user_id', userId)
+    .eq('playlists.is_public', true)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching followed playlists:', error);
+    throw new AppError('Failed to fetch followed playlists', 500);
+  }
+
+  const playlists = follows.map(follow => ({
+    ...flattenPlaylistResponse(follow.playlists),
+    followed_at: follow.created_at,
+  }));
+
+  return {
+    playlists: await storageService.resolveMediaUrls(playlists, ['owner.avatar_url']),
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+    },
+  };
+};
+
+/**
+ * Update playlist (rename, description, visibility)
+ * @param {string} playlistId - Playlist ID
+ * @param {string} userId - User ID (for ownership verification)
+ * @param {Object} updates - Playlist updates
+ * @returns {Promise<Object>} Updated playlist
+ */
+const updatePlaylist = async (playlistId, userId, updates) => {
+  const { name, description, is_public } = updates;
+
+  const updateData = { updated_at: new Date().toISOString() };
+  if (name !== undefined) updateData.name = validateName(name);
+  if (description !== undefined) updateData.description = validateDescription(description);
+  if (is_public !== undefined) updateData.is_public = !!is_public;
+
+  const { data: playlist, error } = await supabaseAdmin
+    .from('playlists')
+    .update(updateData)
+    .eq('id', playlistId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error || !playlist) {
+    throw new NotFoundError('Playlist not found or unauthorized');
+  }
+
+  return playlist;
+};
+
+/**
+ * Delete playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {string} userId - User ID (for ownership verification)
+ * @returns {Promise<void>}
+ */
+const deletePlaylist = async (playlistId, userId) => {
+  await getOwnedPlaylist(playlistId, userId);
+
+  const { error } = await supabaseAdmin.from('playlists').delete().eq('id', playlistId);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error deleting playlist:', error);
+    throw new AppError('Failed to delete playlist', 500);
+  }
+};
+
+/**
+ * Get ordered playlist entries (track IDs and positions)
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<Array>} Entries ordered by position
+ */
+const getPlaylistEntries = async playlistId => {
+  const { data: entries, error } = await supabaseAdmin
+    .from('playlist_tracks')
+    .select('track_id, position')
+    .eq('playlist_id', playlistId)
+    .order('position', { ascending: true });
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching playlist entries:', error);
+    throw new AppError('Failed to fetch playlist tracks', 500);
+  }
+
+  return entries;
+};
+
+/**
+ * Rewrite positions for a playlist to match the given track order
+ * @param {string} playlistId - Playlist ID
+ * @param {Array<string>} trackIds - Track IDs in the desired order
+ * @returns {Promise<void>}
+ */
+const writePositions = async (playlistId, trackIds) => {
+  if (trackIds.length === 0) return;
+
+  const { error } = await supabaseAdmin.from('playlist_tracks').upsert(
+    trackIds.map((trackId, index) => ({
+      playlist_id: playlistId,
+      track_id: trackId,
+      position: index,
+    })),
+    { onConflict: 'playlist_id,track_id' }
+  );
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error reordering playlist:', error);
+    throw new AppError('Failed to reorder playlist', 500);
+  }
+};
+
+/**
+ * Add a track to a playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {string} userId - User ID (for ownership verification)
+ * @param {string} trackId - Track ID to add
+ * @param {number} position - Optional zero-based insert position (defaults to end)
+ * @returns {Promise<Object>} Playlist entry
+ */
+const addTrack = async (playlistId, userId, trackId, position = null) => {
+  if (!trackId) {
+    throw new ValidationError('Track ID is required');
+  }
+
+  await getOwnedPlaylist(playlistId, userId);
+
+  const { data: track } = await supabaseAdmin
+    .from('tracks')
+    .select('id, is_active')
+    .eq('id', trackId)
+    .maybeSingle();
+
+  if (!track || !track.is_active) {
+    throw new NotFoundError('Track not found');
+  }
+
+  const entries = await getPlaylistEntries(playlistId);
+
+  if (entries.some(entry => entry.track_id === trackId)) {
+    throw new ConflictError('Track is already in this playlist');
+  }
+
+  if (entries.length >= PLAYLIST_LIMITS.MAX_TRACKS) {
+    throw new ValidationError(
+      `Playlists cannot contain more than ${PLAYLIST_LIMITS.MAX_TRACKS} tracks`
+    );
+  }
+
+  const lastPosition = entries.length > 0 ? entries[entries.length - 1].position : -1;
+  const insertAt =
+    position === null || position === undefined
+      ? null
+      : Math.max(0, Math.min(parseInt(position) || 0, entries.length));
+
+  const { data: entry, error } = await supabaseAdmin
+    .from('playlist_tracks')
+    .insert({
+      playlist_id: playlistId,
+      track_id: trackId,
+      position: lastPosition + 1,
+    })
+    .select('track_id, position, added_at')
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new ConflictError('Track is already in this playlist');
+    }
+    // eslint-disable-next-line no-console
+    console.error('Error adding track to playlist:', error);
+    throw new AppError('Failed to add track to playlist', 500);
+  }
+
+  // Shift following tracks when inserting in the middle
+  if (insertAt !== null && insertAt < entries.length) {
+    const order = entries.map(e => e.track_id);
+    order.splice(insertAt, 0, trackId);
+    await writePositions(playlistId, order);
+    entry.position = insertAt;
+  }
+
+  await touchPlaylist(playlistId);
+
+  return entry;
+};
+
+/**
+ * Remove a track from a playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {string} userId - User ID (for ownership verification)
+ * @param {string} trackId - Track ID to remove
+ * @returns {Promise<void>}
+ */
+const removeTrack = async (playlistId, userId, trackId) => {
+  await getOwnedPlaylist(playlistId, userId);
+
+  const { data: removed, error } = await supabaseAdmin
+    .from('playlist_tracks')
+    .delete()
+    .eq('playlist_id', playlistId)
+    .eq('track_id', trackId)
+    .select('id');
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error removing track from playlist:', error);
+    throw new AppError('Failed to remove track from playlist', 500);
+  }
+
+  if (!removed || removed.length === 0) {
+    throw new NotFoundError('Track not found in playlist');
+  }
+
+  await touchPlaylist(playlistId);
+};
+
+/**
+ * Reorder playlist tracks
+ * The new order must contain every track in the playlist exactly once,
+ * including deactivated tracks the owner can still see
+ * @param {string} playlistId - Playlist ID
+ * @param {string} userId - User ID (for ownership verification)
+ * @param {Array<string>} trackIds - Track IDs in the desired order
+ * @returns {Promise<Array>} Reordered entries
+ */
+const reorderTracks = async (playlistId, userId, trackIds) => {
+  if (!Array.isArray(trackIds)) {
+    throw new ValidationError('track_ids array is required');
+  }
+
+  await getOwnedPlaylist(playlistId, userId);
+
+  const entries = await getPlaylistEntries(playlistId);
+  const current = new Set(entries.map(entry => entry.track_id));
+  const requested = new Set(trackIds);
+
+  if (
+    requested.size !== trackIds.length ||
+    requested.size !== current.size ||
+    trackIds.some(id => !current.has(id))
+  ) {
+    throw new ValidationError('track_ids must list every track in the playlist exactly once');
+  }
+
+  await writePositions(playlistId, trackIds);
+  await touchPlaylist(playlistId);
+
+  return trackIds.map((trackId, index) => ({ track_id: trackId, position: index }));
+};
+
+/**
+ * Follow another user's public playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {string} userId - Follower's user ID
+ * @returns {Promise<Object>} Follow record
+ */
+const followPlaylist = async (playlistId, userId) => {
+  const playlist = await getVisiblePlaylist(playlistId, userId);
+
+  if (playlist.user_id === userId) {
+    throw new ValidationError('You cannot follow your own playlist');
+  }
+
+  if (!playlist.is_public) {
+    throw new AuthorizationError('Private playlists cannot be followed');
+  }
+
+  const { data: follow, error } = await supabaseAdmin
+    .from('playlist_follows')
+    .insert({ playlist_id: playlistId, user_id: userId })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new ValidationError('Already following this playlist');
+    }
+    // eslint-disable-next-line no-console
+    console.error('Error following playlist:', error);
+    throw new AppError('Failed to follow playlist', 500);
+  }
+
+  return follow;
+};
+
+/**
+ * Unfollow a playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {string} userId - Follower's user ID
+ * @returns {Promise<void>}
+ */
+const unfollowPlaylist = async (playlistId, userId) => {
+  const { error } = await supabaseAdmin
+    .from('playlist_follows')
+    .delete()
+    .eq('playlist_id', playlistId)
+    .eq('user_id', userId);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error unfollowing playlist:', error);
+    throw new AppError('Failed to unfollow playlist', 500);
+  }
+};
+
+module.exports = {
+  createPlaylist,
+  getPlaylistById,
+  getUserPlaylists,
+  getFollowedPlaylists,
+  updatePlaylist,
+  deletePlaylist,
+  addTrack,
+  removeTrack,
+  reorderTracks,
+  followPlaylist,
+  unfollowPlaylist,
+};
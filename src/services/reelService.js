@@ -1,6 +1,15 @@
 const { supabaseAdmin } = require('../config/database');
-const { AppError, NotFoundError, ValidationError } = require('../utils/errors');
+const { AppError, AuthorizationError, NotFoundError, ValidationError } = require('../utils/errors');
+const { CONTENT_TYPES, FILE_LIMITS, SEARCH_TYPES, TAG_SOURCES } = require('../utils/constants');
+const { parseVideoMetadata } = require('../utils/videoMetadata');
 const storageService = require('./storageService');
+const commentService = require('./commentService');
+const taxonomyService = require('./taxonomyService');
+const searchService = require('./searchService');
+const blockService = require('./blockService');
+
+// Stored media references on a flattened reel (see storageService.resolveMediaUrls)
+const REEL_MEDIA_FIELDS = ['video_url', 'creator.avatar_url'];
 
 /**
  * Flatten nested user/profile structure from Supabase response
@@ -15,22 +24,70 @@ const flattenReelResponse = reel => {
   };
 };
 
+/**
+ * Read video metadata and enforce the reel duration limit
+ * @param {Object|Buffer} source - Video buffer or storage range reader
+ * @returns {Promise<Object>} { duration, width, height, codec }
+ * @throws {ValidationError} If the duration is unknown or over the limit
+ */
+const inspectVideo = async source => {
+  const metadata = await parseVideoMetadata(source);
+
+  if (!metadata || metadata.duration === null) {
+    throw new ValidationError('Could not read the video duration');
+  }
+
+  // Round so encoders that overshoot by a few milliseconds still pass
+  const duration = Math.round(metadata.duration);
+  if (duration > FILE_LIMITS.VIDEO.MAX_DURATION) {
+    throw new ValidationError(
+      `Reels can be at most ${FILE_LIMITS.VIDEO.MAX_DURATION} seconds (got ${duration})`
+    );
+  }
+
+  return {
+    duration,
+    width: metadata.width || null,
+    height: metadata.height || null,
+    codec: metadata.codec || null,
+  };
+};
+
 /**
  * Create a new reel
+ * The video is either a multipart upload or a path already uploaded through
+ * /api/upload (reelData.video_path). Its container is read for duration,
+ * resolution and codec; videos over FILE_LIMITS.VIDEO.MAX_DURATION are rejected.
  * @param {string} userId - Creator's user ID
  * @param {Object} reelData - Reel information
- * @param {Object} videoFile - Video file object
+ * @param {Object} videoFile - Video file object (optional when video_path is set)
  * @returns {Promise<Object>} Created reel
  */
-const createReel = async (userId, reelData, videoFile) => {
-  const { caption } = reelData;
+const createReel = async (userId, reelData, videoFile = null) => {
+  const { caption, video_path: videoPath } = reelData;
 
-  if (!videoFile) {
+  if (!videoFile && !videoPath) {
     throw new ValidationError('Video file is required');
   }
 
-  // Upload video file
-  const videoUrl = await storageService.uploadVideo(videoFile, userId);
+  let videoKey;
+  let video;
+
+  if (videoFile) {
+    video = await inspectVideo(videoFile.buffer);
+    videoKey = await storageService.uploadVideo(videoFile, userId);
+  } else {
+    // Direct uploads are inspected by range, without downloading the file
+    const upload = await storageService.confirmUpload(videoPath, userId, 'video');
+    videoKey = upload.path;
+
+    try {
+      video = await inspectVideo(storageService.createRangeReader(upload.path, upload.size));
+    } catch (inspectError) {
+      await storageService.deleteFile(videoKey);
+      throw inspectError;
+    }
+  }
 
   // Create reel record
   const { data: reel, error } = await supabaseAdmin
@@ -38,7 +95,11 @@ const createReel = async (userId, reelData, videoFile) => {
     .insert({
       user_id: userId,
       caption: caption?.trim() || null,
-      video_url: videoUrl,
+      video_url: videoKey,
+      duration: video.duration,
+      width: video.width,
+      height: video.height,
+      codec: video.codec,
       is_active: true,
     })
     .select(
@@ -46,6 +107,10 @@ const createReel = async (userId, reelData, videoFile) => {
       id,
       caption,
       video_url,
+      duration,
+      width,
+      height,
+      codec,
       view_count,
       like_count,
       is_active,
@@ -65,18 +130,42 @@ const createReel = async (userId, reelData, videoFile) => {
 
   if (error) {
     // Clean up uploaded file if database insert fails
-    await storageService.deleteFile(videoUrl);
+    await storageService.deleteFile(videoKey);
 
     // eslint-disable-next-line no-console
     console.error('Error creating reel:', error);
     throw new AppError('Failed to create reel', 500);
   }
 
-  return flattenReelResponse(reel);
+  // The reel exists at this point; tags are refreshed on the next caption edit
+  try {
+    await setCaptionTags(reel.id, reel.caption);
+  } catch (tagError) {
+    // eslint-disable-next-line no-console
+    console.error('Error tagging reel:', tagError);
+  }
+
+  await taxonomyService.attachTaxonomy(reel, CONTENT_TYPES.REEL);
+  return storageService.resolveMediaUrls(flattenReelResponse(reel), REEL_MEDIA_FIELDS);
 };
 
+/**
+ * Tag a reel with the hashtags in its caption, replacing earlier caption tags
+ * @param {string} reelId - Reel ID
+ * @param {string|null} caption - Caption text
+ * @returns {Promise<void>}
+ */
+const setCaptionTags = (reelId, caption) =>
+  taxonomyService.setContentTaxonomy(
+    CONTENT_TYPES.REEL,
+    reelId,
+    { tags: taxonomyService.parseHashtags(caption) },
+    TAG_SOURCES.CAPTION
+  );
+
 /**
  * Get reel by ID
+ * Deactivated reels are only visible to their creator
  * @param {string} reelId - Reel ID
  * @param {string} userId - Optional user ID for like status
  * @returns {Promise<Object>} Reel with details
@@ -89,6 +178,10 @@ const getReelById = async (reelId, userId = null) => {
       id,
       caption,
       video_url,
+      duration,
+      width,
+      height,
+      codec,
       view_count,
       like_count,
       is_active,
@@ -107,7 +200,7 @@ const getReelById = async (reelId, userId = null) => {
     .eq('id', reelId)
     .single();
 
-  if (error || !reel) {
+  if (error || !reel || (!reel.is_active && reel.user_id !== userId)) {
     throw new NotFoundError('Reel not found');
   }
 
@@ -124,32 +217,55 @@ const getReelById = async (reelId, userId = null) => {
     reel.is_liked = !!like;
   }
 
-  return flattenReelResponse(reel);
+  reel.comment_count = await commentService.getCommentCount('reel', reelId);
+  await taxonomyService.attachTaxonomy(reel, CONTENT_TYPES.REEL);
+
+  return storageService.resolveMediaUrls(flattenReelResponse(reel), REEL_MEDIA_FIELDS);
 };
 
 /**
  * Get chronological reel feed (paginated)
- * @param {Object} options - Query options
+ * Reels by users the viewer has blocked, been blocked by or muted are left out.
+ * @param {Object} options - Query options ({ page, limit, tag, userId }; tag takes a
+ * comma-separated list, userId is the optional viewer)
  * @returns {Promise<Object>} Reels and pagination info
  */
 const getReelFeed = async (options = {}) => {
-  const { page = 1, limit = 20, userId: _userId = null } = options;
+  const { page = 1, limit = 20, userId = null, tag } = options;
   const offset = (page - 1) * limit;
 
+  const taxonomyFilter = await taxonomyService.buildContentFilter({ tag });
+  const hidden = [...(await blockService.getHiddenUserIds(userId))];
+
+  if (taxonomyFilter.matchesNothing) {
+    return { reels: [], pagination: { page, limit, total: 0, totalPages: 0 } };
+  }
+
   // Get total count
-  const { count } = await supabaseAdmin
-    .from('reels')
-    .select('id', { count: 'exact', head: true })
-    .eq('is_active', true);
+  let countQuery = taxonomyFilter.apply(
+    supabaseAdmin
+      .from('reels')
+      .select(`id${taxonomyFilter.select}`, { count: 'exact', head: true })
+      .eq('is_active', true)
+  );
+
+  if (hidden.length > 0) {
+    countQuery = countQuery.not('user_id', 'in', `(${hidden.join(',')})`);
+  }
+
+  const { count } = await countQuery;
 
   // Get reels in chronological order
-  const { data: reels, error } = await supabaseAdmin
+  let listQuery = supabaseAdmin
     .from('reels')
     .select(
       `
       id,
       caption,
       video_url,
+      duration,
+      width,
+      height,
       view_count,
       like_count,
       created_at,
@@ -162,9 +278,18 @@ const getReelFeed = async (options = {}) => {
           avatar_url
         )
       )
+      ${taxonomyFilter.select}
     `
     )
-    .eq('is_active', true)
+    .eq('is_active', true);
+
+  listQuery = taxonomyFilter.apply(listQuery);
+
+  if (hidden.length > 0) {
+    listQuery = listQuery.not('user_id', 'in', `(${hidden.join(',')})`);
+  }
+
+  const { data: reels, error } = await listQuery
     .order('created_at', { ascending: false })
     .range(offset, offset + limit - 1);
 
@@ -174,8 +299,10 @@ const getReelFeed = async (options = {}) => {
     throw new AppError('Failed to fetch reel feed', 500);
   }
 
+  await taxonomyService.attachTaxonomy(reels, CONTENT_TYPES.REEL);
+
   return {
-    reels: reels.map(flattenReelResponse),
+    reels: await storageService.resolveMediaUrls(reels.map(flattenReelResponse), REEL_MEDIA_FIELDS),
     pagination: {
       page,
       limit,
@@ -185,6 +312,71 @@ const getReelFeed = async (options = {}) => {
   };
 };
 
+/**
+ * Search reels by caption and hashtags, best match first
+ * @param {string} query - Search query
+ * @param {Object} options - Query options ({ page, limit })
+ * @returns {Promise<Object>} Reels and pagination info
+ */
+const searchReels = async (query, options = {}) => {
+  const { page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+
+  const { ids, total } = await searchService.findMatches(SEARCH_TYPES.REELS, query, {
+    limit,
+    offset,
+  });
+
+  let reels = [];
+
+  if (ids.length > 0) {
+    const { data, error } = await supabaseAdmin
+      .from('reels')
+      .select(
+        `
+        id,
+        caption,
+        video_url,
+        duration,
+        width,
+        height,
+        view_count,
+        like_count,
+        created_at,
+        user_id,
+        users!inner (
+          profiles!inner (
+            username,
+            display_name,
+            artist_name,
+            avatar_url
+          )
+        )
+      `
+      )
+      .in('id', ids);
+
+    if (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error searching reels:', error);
+      throw new AppError('Failed to search reels', 500);
+    }
+
+    reels = searchService.orderByIds(data, ids);
+    await taxonomyService.attachTaxonomy(reels, CONTENT_TYPES.REEL);
+  }
+
+  return {
+    reels: await storageService.resolveMediaUrls(reels.map(flattenReelResponse), REEL_MEDIA_FIELDS),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
 /**
  * Get reels by user ID
  * @param {string} userId - User ID
@@ -200,6 +392,9 @@ const getUserReels = async (userId, options = {}) => {
       id,
       caption,
       video_url,
+      duration,
+      width,
+      height,
       view_count,
       like_count,
       is_active,
@@ -223,11 +418,15 @@ const getUserReels = async (userId, options = {}) => {
     throw new AppError('Failed to fetch user reels', 500);
   }
 
-  return reels;
+  await taxonomyService.attachTaxonomy(reels, CONTENT_TYPES.REEL);
+
+  return storageService.resolveMediaUrls(reels, REEL_MEDIA_FIELDS);
 };
 
 /**
  * Update reel
+ * Deactivating a reel moves its video to a new path, so URLs already handed
+ * out stop working straight away. Editing the caption re-reads its hashtags.
  * @param {string} reelId - Reel ID
  * @param {string} userId - User ID (for ownership verification)
  * @param {Object} updates - Reel updates
@@ -236,10 +435,33 @@ const getUserReels = async (userId, options = {}) => {
 const updateReel = async (reelId, userId, updates) => {
   const { caption, is_active } = updates;
 
+  const { data: current } = await supabaseAdmin
+    .from('reels')
+    .select('video_url, is_active, hidden_by_reports')
+    .eq('id', reelId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!current) {
+    throw new NotFoundError('Reel not found or unauthorized');
+  }
+
+  if (is_active === true && !current.is_active && current.hidden_by_reports) {
+    throw new AuthorizationError('This reel is hidden while its reports are reviewed');
+  }
+
   const updateData = {};
   if (caption !== undefined) updateData.caption = caption?.trim() || null;
   if (is_active !== undefined) updateData.is_active = is_active;
 
+  const media = [current.video_url];
+  let relocated = [];
+
+  if (is_active === false && current.is_active) {
+    relocated = await storageService.relocateFiles(media);
+    if (relocated[0]) updateData.video_url = relocated[0];
+  }
+
   const { data: reel, error } = await supabaseAdmin
     .from('reels')
     .update(updateData)
@@ -249,10 +471,76 @@ const updateReel = async (reelId, userId, updates) => {
     .single();
 
   if (error || !reel) {
+    // Put the file back where the unchanged row expects it
+    await storageService.restoreFiles(media, relocated);
     throw new NotFoundError('Reel not found or unauthorized');
   }
 
-  return reel;
+  if (caption !== undefined) {
+    await setCaptionTags(reelId, reel.caption);
+  }
+  await taxonomyService.attachTaxonomy(reel, CONTENT_TYPES.REEL);
+
+  return storageService.resolveMediaUrls(reel, REEL_MEDIA_FIELDS);
+};
+
+/**
+ * Deactivate or reactivate a reel for moderation (reports and admins)
+ * Deactivating moves its video like updateReel does, so URLs already handed
+ * out stop working. With hiddenByReports the change is auto-hide's:
+ * deactivating flags the reel hidden_by_reports, and reactivating only
+ * applies while that flag is still set.
+ * @param {string} reelId - Reel ID
+ * @param {boolean} active - Whether the reel should be active
+ * @param {Object} options - { hiddenByReports }
+ * @returns {Promise<boolean>} True if the reel changed
+ */
+const setReelActive = async (reelId, active, options = {}) => {
+  const { hiddenByReports = false } = options;
+
+  const { data: current } = await supabaseAdmin
+    .from('reels')
+    .select('video_url, is_active, hidden_by_reports')
+    .eq('id', reelId)
+    .maybeSingle();
+
+  if (!current) return false;
+
+  const changing = current.is_active !== active;
+  if (hiddenByReports && (!changing || (active && !current.hidden_by_reports))) return false;
+
+  const updateData = { is_active: active };
+  if (hiddenByReports) updateData.hidden_by_reports = !active;
+
+  const media = changing && !active ? [current.video_url] : [];
+  const relocated = await storageService.relocateFiles(media);
+  if (relocated[0]) updateData.video_url = relocated[0];
+
+  let query = supabaseAdmin
+    .from('reels')
+    .update(updateData)
+    .eq('id', reelId)
+    .eq('is_active', current.is_active);
+
+  if (hiddenByReports && active) {
+    query = query.eq('hidden_by_reports', true);
+  }
+
+  const { data: updated, error } = await query.select('id');
+
+  if (error || updated.length === 0) {
+    // Put the file back where the unchanged row expects it
+    await storageService.restoreFiles(media, relocated);
+
+    if (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error updating reel visibility:', error);
+      throw new AppError('Failed to update reel', 500);
+    }
+    return false;
+  }
+
+  return true;
 };
 
 /**
@@ -290,11 +578,13 @@ const deleteReel = async (reelId, userId = null) => {
 };
 
 /**
- * Increment view count
+ * Increment view count, and remember the view for signed-in viewers so the
+ * fair feed can skip reels they have seen
  * @param {string} reelId - Reel ID
+ * @param {string|null} userId - Viewer's user ID (optional)
  * @returns {Promise<void>}
  */
-const incrementViewCount = async reelId => {
+const incrementViewCount = async (reelId, userId = null) => {
   const { error } = await supabaseAdmin.rpc('increment_reel_view_count', {
     reel_id: reelId,
   });
@@ -304,14 +594,30 @@ const incrementViewCount = async reelId => {
     console.error('Error incrementing view count:', error);
     // Don't throw error, just log it
   }
+
+  if (userId) {
+    const { error: viewError } = await supabaseAdmin
+      .from('reel_views')
+      .upsert(
+        { user_id: userId, reel_id: reelId },
+        { onConflict: 'user_id,reel_id', ignoreDuplicates: true }
+      );
+
+    if (viewError) {
+      // eslint-disable-next-line no-console
+      console.error('Error recording reel view:', viewError);
+    }
+  }
 };
 
 module.exports = {
   createReel,
   getReelById,
   getReelFeed,
+  searchReels,
   getUserReels,
   updateReel,
+  setReelActive,
   deleteReel,
   incrementViewCount,
 };
@@ -0,0 +1,492 @@
+/**
+ * Report Service
+ * User reports on tracks, reels, profiles and comments, and the admin
+ * moderation queue (see scripts/reports-schema.sql). A reporter has at most
+ * one open report per target. Once report_auto_hide_threshold distinct
+ * reporters have an open report on a track, reel or comment, it is hidden
+ * until an admin resolves the reports. Resolving a report resolves every open
+ * report on its target: dismissing restores a target auto-hide still hides,
+ * actioning deactivates or deletes the target or bans its owner.
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { AppError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const {
+  REPORT_ACTIONS,
+  REPORT_LIMITS,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  REPORT_TARGET_TYPES,
+  SETTINGS_KEYS,
+  USER_ROLES,
+  USER_STATUSES,
+} = require('../utils/constants');
+const storageService = require('./storageService');
+const settingsService = require('./settingsService');
+const adminService = require('./adminService');
+const trackService = require('./trackService');
+const reelService = require('./reelService');
+const commentService = require('./commentService');
+
+// Where each target lives, and its name in error messages
+const REPORT_TARGETS = {
+  [REPORT_TARGET_TYPES.TRACK]: { table: 'tracks', label: 'Track' },
+  [REPORT_TARGET_TYPES.REEL]: { table: 'reels', label: 'Reel' },
+  [REPORT_TARGET_TYPES.COMMENT]: { table: 'comments', label: 'Comment' },
+  [REPORT_TARGET_TYPES.PROFILE]: { table: 'users', label: 'User' },
+};
+
+const REPORT_FIELDS = `
+  id,
+  reporter_id,
+  target_type,
+  target_id,
+  target_owner_id,
+  reason,
+  details,
+  status,
+  auto_hidden,
+  action,
+  resolution_note,
+  resolved_by,
+  resolved_at,
+  created_at,
+  reporter:users!reports_reporter_id_fkey (
+    profiles (
+      username,
+      display_name,
+      avatar_url
+    )
+  )
+`;
+
+/**
+ * Flatten a report row's nested reporter profile
+ * @param {Object} row - Report row
+ * @returns {Object} Report with reporter { id, username, display_name, avatar_url }
+ */
+const flattenReport = row => {
+  const { reporter, ...report } = row;
+  return {
+    ...report,
+    reporter: { id: row.reporter_id, ...(reporter?.profiles || {}) },
+  };
+};
+
+/**
+ * Look up a report target's owner and whether it is visible
+ * @param {string} targetType - See REPORT_TARGET_TYPES
+ * @param {string} targetId - Target ID
+ * @returns {Promise<Object|null>} { ownerId, visible }, or null if it does not exist
+ */
+const getTarget = async (targetType, targetId) => {
+  if (targetType === REPORT_TARGET_TYPES.PROFILE) {
+    const { data: user } = await supabaseAdmin
+      .from('users')
+      .select('id, status')
+      .eq('id', targetId)
+      .maybeSingle();
+
+    return user && { ownerId: user.id, visible: user.status !== USER_STATUSES.BANNED };
+  }
+
+  const hiddenField = targetType === REPORT_TARGET_TYPES.COMMENT ? 'is_hidden' : 'is_active';
+  const { data: content } = await supabaseAdmin
+    .from(REPORT_TARGETS[targetType].table)
+    .select(`id, user_id, ${hiddenField}`)
+    .eq('id', targetId)
+    .maybeSingle();
+
+  if (!content) return null;
+
+  return {
+    ownerId: content.user_id,
+    visible: hiddenField === 'is_hidden' ? !content.is_hidden : content.is_active,
+  };
+};
+
+/**
+ * Hide or restore a reported track, reel or comment
+ * Tracks and reels go through their services, which move the files of
+ * deactivated content so URLs already handed out stop working. With
+ * hiddenByReports the change is auto-hide's: hiding only applies to a visible
+ * target and flags it hidden_by_reports, and restoring only applies while
+ * that flag is set. Any other visibility change clears it (see
+ * scripts/reports-schema.sql).
+ * @param {string} targetType - 'track', 'reel' or 'comment'
+ * @param {string} targetId - Target ID
+ * @param {boolean} visible - Whether the target should be visible
+ * @param {Object} options - { hiddenByReports }
+ * @returns {Promise<boolean>} True if the target changed
+ */
+const setTargetVisible = async (targetType, targetId, visible, options = {}) => {
+  const { hiddenByReports = false } = options;
+
+  if (targetType === REPORT_TARGET_TYPES.TRACK) {
+    return trackService.setTrackActive(targetId, visible, { hiddenByReports });
+  }
+
+  if (targetType === REPORT_TARGET_TYPES.REEL) {
+    return reelService.setReelActive(targetId, visible, { hiddenByReports });
+  }
+
+  if (!hiddenByReports) {
+    await commentService.setCommentHidden(targetId, !visible);
+    return true;
+  }
+
+  let query = supabaseAdmin
+    .from('comments')
+    .update({ is_hidden: !visible, hidden_by_reports: !visible })
+    .eq('id', targetId);
+
+  query = visible ? query.eq('hidden_by_reports', true) : query.eq('is_hidden', false);
+
+  const { data: updated, error } = await query.select('id');
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error updating reported comment:', error);
+    throw new AppError('Failed to update comment', 500);
+  }
+
+  return updated.length > 0;
+};
+
+/**
+ * Hide a target once enough distinct reporters have an open report on it
+ * Profiles are never hidden automatically; banning is left to admins.
+ * @param {Object} report - The report just created
+ * @returns {Promise<boolean>} True if the target was hidden
+ */
+const applyAutoHide = async report => {
+  if (report.target_type === REPORT_TARGET_TYPES.PROFILE) return false;
+
+  const { count, error } = await supabaseAdmin
+    .from('reports')
+    .select('id', { count: 'exact', head: true })
+    .eq('target_type', report.target_type)
+    .eq('target_id', report.target_id)
+    .eq('status', REPORT_STATUSES.OPEN);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error counting reports:', error);
+    throw new AppError('Failed to submit report', 500);
+  }
+
+  const threshold = await settingsService.getSetting(SETTINGS_KEYS.REPORT_AUTO_HIDE_THRESHOLD);
+  if (count < threshold) return false;
+
+  const hidden = await setTargetVisible(report.target_type, report.target_id, false, {
+    hiddenByReports: true,
+  });
+  if (!hidden) return false;
+
+  await supabaseAdmin.from('reports').update({ auto_hidden: true }).eq('id', report.id);
+
+  return true;
+};
+
+/**
+ * Report a track, reel, profile or comment
+ * Reporting a target again while the earlier report is open returns that report.
+ * @param {string} reporterId - Reporter's user ID
+ * @param {Object} reportData - { target_type, target_id, reason, details }
+ * @returns {Promise<Object>} { report, created }
+ */
+const createReport = async (reporterId, reportData) => {
+  const { target_type: targetType, target_id: targetId, reason } = reportData;
+
+  const types = Object.values(REPORT_TARGET_TYPES);
+  if (!types.includes(targetType)) {
+    throw new ValidationError(`target_type must be one of: ${types.join(', ')}`);
+  }
+
+  const reasons = Object.values(REPORT_REASONS);
+  if (!reasons.includes(reason)) {
+    throw new ValidationError(`reason must be one of: ${reasons.join(', ')}`);
+  }
+
+  const details =
+    typeof reportData.details === 'string' && reportData.details.trim()
+      ? reportData.details.trim()
+      : null;
+  if (details && details.length > REPORT_LIMITS.DETAILS_MAX_LENGTH) {
+    throw new ValidationError(
+      `Details must be at most ${REPORT_LIMITS.DETAILS_MAX_LENGTH} characters`
+    );
+  }
+
+  const target = await getTarget(targetType, targetId);
+  if (!target || !target.visible) {
+    throw new NotFoundError(`${REPORT_TARGETS[targetType].label} not found`);
+  }
+
+  if (target.ownerId === reporterId) {
+    throw new ValidationError('You cannot report yourself or your own content');
+  }
+
+  const { data: report, error } = await supabaseAdmin
+    .from('reports')
+    .insert({
+      reporter_id: reporterId,
+      target_type: targetType,
+      target_id: targetId,
+      target_owner_id: target.ownerId,
+      reason,
+      details,
+    })
+    .select('id, target_type, target_id, reason, details, status, created_at')
+    .single();
+
+  if (error) {
+    // Already reported by this user and still open
+    if (error.code === '23505') {
+      const { data: existing } = await supabaseAdmin
+        .from('reports')
+        .select('id, target_type, target_id, reason, details, status, created_at')
+        .eq('reporter_id', reporterId)
+        .eq('target_type', targetType)
+        .eq('target_id', targetId)
+        .eq('status', REPORT_STATUSES.OPEN)
+        .single();
+
+      return { report: existing, created: false };
+    }
+
+    // eslint-disable-next-line no-console
+    console.error('Error creating report:', error);
+    throw new AppError('Failed to submit report', 500);
+  }
+
+  await applyAutoHide(report);
+
+  return { report, created: true };
+};
+
+/**
+ * Get the moderation queue (paginated)
+ * Open reports are listed oldest first, resolved ones latest resolved first.
+ * Each report carries open_report_count, the open reports on its target.
+ * @param {Object} options - { status, targetType, page, limit }
+ * @returns {Promise<Object>} { reports, pagination }
+ */
+const getReports = async (options = {}) => {
+  const { status = REPORT_STATUSES.OPEN, targetType, page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+
+  const statuses = Object.values(REPORT_STATUSES);
+  if (!statuses.includes(status)) {
+    throw new ValidationError(`status must be one of: ${statuses.join(', ')}`);
+  }
+
+  const types = Object.values(REPORT_TARGET_TYPES);
+  if (targetType !== undefined && !types.includes(targetType)) {
+    throw new ValidationError(`target_type must be one of: ${types.join(', ')}`);
+  }
+
+  let query = supabaseAdmin
+    .from('reports')
+    .select(REPORT_FIELDS, { count: 'exact' })
+    .eq('status', status);
+
+  if (targetType) {
+    query = query.eq('target_type', targetType);
+  }
+
+  const open = status === REPORT_STATUSES.OPEN;
+  const { data, error, count } = await query
+    .order(open ? 'created_at' : 'resolved_at', { ascending: open })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching reports:', error);
+    throw new AppError('Failed to fetch reports', 500);
+  }
+
+  const targetIds = [...new Set(data.map(report => report.target_id))];
+  const { data: openReports, error: countError } = targetIds.length
+    ? await supabaseAdmin
+        .from('reports')
+        .select('target_type, target_id')
+        .in('target_id', targetIds)
+        .eq('status', REPORT_STATUSES.OPEN)
+    : { data: [], error: null };
+
+  if (countError) {
+    // eslint-disable-next-line no-console
+    console.error('Error counting reports:', countError);
+    throw new AppError('Failed to fetch reports', 500);
+  }
+
+  const openCounts = new Map();
+  openReports.forEach(({ target_type: type, target_id: id }) => {
+    const key = `${type}:${id}`;
+    openCounts.set(key, (openCounts.get(key) || 0) + 1);
+  });
+
+  const reports = data.map(row => ({
+    ...flattenReport(row),
+    open_report_count: openCounts.get(`${row.target_type}:${row.target_id}`) || 0,
+  }));
+
+  return {
+    reports: await storageService.resolveMediaUrls(reports, ['reporter.avatar_url']),
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+    },
+  };
+};
+
+/**
+ * Get a report by ID
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object>} Report
+ */
+const getReport = async reportId => {
+  const { data: report } = await supabaseAdmin
+    .from('reports')
+    .select(REPORT_FIELDS)
+    .eq('id', reportId)
+    .maybeSingle();
+
+  if (!report) {
+    throw new NotFoundError('Report not found');
+  }
+
+  return storageService.resolveMediaUrls(flattenReport(report), ['reporter.avatar_url']);
+};
+
+/**
+ * Get an open report, for resolving
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object>} Report row
+ * @throws {ConflictError} If the report was already resolved
+ */
+const getOpenReport = async reportId => {
+  const { data: report } = await supabaseAdmin
+    .from('reports')
+    .select('id, target_type, target_id, target_owner_id, reason, status')
+    .eq('id', reportId)
+    .maybeSingle();
+
+  if (!report) {
+    throw new NotFoundError('Report not found');
+  }
+
+  if (report.status !== REPORT_STATUSES.OPEN) {
+    throw new ConflictError('Report has already been resolved');
+  }
+
+  return report;
+};
+
+/**
+ * Resolve every open report on a report's target
+ * @param {Object} report - Report row
+ * @param {string} adminId - Resolving admin's user ID
+ * @param {Object} resolution - { status, action, note }
+ * @returns {Promise<Object>} { id, status, action, resolved_count }
+ */
+const resolveTarget = async (report, adminId, resolution) => {
+  const { data: resolved, error } = await supabaseAdmin
+    .from('reports')
+    .update({
+      status: resolution.status,
+      action: resolution.action || null,
+      resolution_note: resolution.note || null,
+      resolved_by: adminId,
+      resolved_at: new Date().toISOString(),
+    })
+    .eq('target_type', report.target_type)
+    .eq('target_id', report.target_id)
+    .eq('status', REPORT_STATUSES.OPEN)
+    .select('id');
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error resolving reports:', error);
+    throw new AppError('Failed to resolve report', 500);
+  }
+
+  return {
+    id: report.id,
+    status: resolution.status,
+    action: resolution.action || null,
+    resolved_count: resolved.length,
+  };
+};
+
+/**
+ * Dismiss a report and every other open report on its target
+ * A target still hidden by auto-hide is made visible again; one hidden or
+ * deactivated since for another reason stays as it is.
+ * @param {string} reportId - Report ID
+ * @param {string} adminId - Admin's user ID
+ * @param {string} note - Resolution note (optional)
+ * @returns {Promise<Object>} { id, status, action, resolved_count }
+ */
+const dismissReport = async (reportId, adminId, note = null) => {
+  const report = await getOpenReport(reportId);
+
+  if (report.target_type !== REPORT_TARGET_TYPES.PROFILE) {
+    await setTargetVisible(report.target_type, report.target_id, true, { hiddenByReports: true });
+  }
+
+  return resolveTarget(report, adminId, { status: REPORT_STATUSES.DISMISSED, note });
+};
+
+/**
+ * Act on a report's target and resolve every open report on it
+ * @param {string} reportId - Report ID
+ * @param {string} adminId - Admin's user ID
+ * @param {Object} options - { action (see REPORT_ACTIONS), note }
+ * @returns {Promise<Object>} { id, status, action, resolved_count }
+ */
+const actionReport = async (reportId, adminId, options = {}) => {
+  const { action, note = null } = options;
+
+  const actions = Object.values(REPORT_ACTIONS);
+  if (!actions.includes(action)) {
+    throw new ValidationError(`action must be one of: ${actions.join(', ')}`);
+  }
+
+  const report = await getOpenReport(reportId);
+  const { target_type: targetType, target_id: targetId } = report;
+  const isProfile = targetType === REPORT_TARGET_TYPES.PROFILE;
+
+  if (action === REPORT_ACTIONS.BAN) {
+    if (!report.target_owner_id) {
+      throw new NotFoundError('User not found');
+    }
+    if (report.target_owner_id === adminId) {
+      throw new ValidationError('Cannot ban yourself');
+    }
+    await adminService.banUser(report.target_owner_id, note || `Reported for ${report.reason}`);
+  } else if (isProfile) {
+    throw new ValidationError(`Profiles cannot be ${action}d; ban the user instead`);
+  } else if (action === REPORT_ACTIONS.DEACTIVATE) {
+    await setTargetVisible(targetType, targetId, false);
+  } else if (targetType === REPORT_TARGET_TYPES.TRACK) {
+    await trackService.deleteTrack(targetId, null);
+  } else if (targetType === REPORT_TARGET_TYPES.REEL) {
+    await reelService.deleteReel(targetId, null);
+  } else {
+    await commentService.deleteComment(targetId, adminId, USER_ROLES.ADMIN);
+  }
+
+  return resolveTarget(report, adminId, { status: REPORT_STATUSES.ACTIONED, action, note });
+};
+
+module.exports = {
+  createReport,
+  getReports,
+  getReport,
+  dismissReport,
+  actionReport,
+};
@@ -0,0 +1,253 @@
+/**
+ * Search Service
+ * Full-text matching for tracks, users and reels (see scripts/search-schema.sql).
+ * Queries are reduced to their words, each matched as a prefix, so user input
+ * never reaches the tsquery syntax. The search_* functions rank matches and
+ * return one page of IDs; callers load the rows themselves.
+ * Suggestions use trigram similarity instead, so misspelled names still match
+ * (see scripts/search-suggestions-schema.sql). Signed-in users' searches are
+ * kept as a short recent-search history.
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { AppError, NotFoundError } = require('../utils/errors');
+const { SEARCH_TYPES, SEARCH_LIMITS } = require('../utils/constants');
+
+// Ranking function for each result group
+const SEARCH_FUNCTIONS = {
+  [SEARCH_TYPES.TRACKS]: 'search_tracks',
+  [SEARCH_TYPES.USERS]: 'search_users',
+  [SEARCH_TYPES.REELS]: 'search_reels',
+};
+
+// Words in a query (letters and numbers in any script)
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Build a prefix tsquery from free text
+ * 'Lo-Fi beats' becomes 'lo:* & fi:* & beats:*'; every word must match.
+ * @param {string} text - Search text
+ * @returns {string|null} tsquery, or null if the text has no words
+ */
+const buildTsQuery = text => {
+  const words = String(text || '')
+    .slice(0, SEARCH_LIMITS.MAX_QUERY_LENGTH)
+    .normalize('NFC')
+    .toLowerCase()
+    .match(WORD_PATTERN);
+
+  if (!words) return null;
+
+  return [...new Set(words)]
+    .slice(0, SEARCH_LIMITS.MAX_TERMS)
+    .map(word => `${word}:*`)
+    .join(' & ');
+};
+
+/**
+ * Find one page of matches, best first
+ * @param {string} type - Result group (see SEARCH_TYPES)
+ * @param {string} text - Search text
+ * @param {Object} options - { limit, offset, excludeIds (users only: IDs to leave out) }
+ * @returns {Promise<Object>} { ids, total }
+ */
+const findMatches = async (type, text, options = {}) => {
+  const { limit = 20, offset = 0, excludeIds = [] } = options;
+  const tsQuery = buildTsQuery(text);
+
+  if (!tsQuery) {
+    return { ids: [], total: 0 };
+  }
+
+  const { data, error } = await supabaseAdmin.rpc(SEARCH_FUNCTIONS[type], {
+    search_query: tsQuery,
+    max_results: limit,
+    skip: offset,
+    ...(excludeIds.length > 0 && { exclude_ids: excludeIds }),
+  });
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error(`Error searching ${type}:`, error);
+    throw new AppError(`Failed to search ${type}`, 500);
+  }
+
+  return {
+    ids: data.filter(row => row.id).map(row => row.id),
+    total: Number(data[0]?.total_count || 0),
+  };
+};
+
+/**
+ * Put loaded rows back in match order
+ * @param {Array<Object>} rows - Rows with an id
+ * @param {Array<string>} ids - IDs in match order
+ * @param {Function} getId - Reads a row's ID (defaults to row.id)
+ * @returns {Array<Object>} Rows in match order (IDs with no row are skipped)
+ */
+const orderByIds = (rows, ids, getId = row => row.id) => {
+  const byId = new Map(rows.map(row => [getId(row), row]));
+  return ids.map(id => byId.get(id)).filter(Boolean);
+};
+
+/**
+ * Normalize a query for suggestions and history (trimmed, single spaces, lowercase)
+ * @param {string} text - Search text
+ * @returns {string} Normalized query
+ */
+const normalizeQuery = text =>
+  String(text || '')
+    .normalize('NFC')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase()
+    .slice(0, SEARCH_LIMITS.MAX_QUERY_LENGTH);
+
+/**
+ * Suggest artists and track titles for partly typed or misspelled text
+ * Prefix matches come first, then the closest fuzzy matches.
+ * @param {string} text - Search text
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} Suggestions ({ type, id, label, detail, score })
+ */
+const getSuggestions = async (text, options = {}) => {
+  const { limit = SEARCH_LIMITS.SUGGEST_LIMIT } = options;
+  const query = normalizeQuery(text);
+
+  if (!query) return [];
+
+  const { data, error } = await supabaseAdmin.rpc('search_suggestions', {
+    search_text: query,
+    max_results: limit,
+  });
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching search suggestions:', error);
+    throw new AppError('Failed to fetch search suggestions', 500);
+  }
+
+  return data.map(row => ({
+    type: row.type,
+    id: row.id,
+    label: row.label,
+    detail: row.detail,
+    score: Number(row.score),
+  }));
+};
+
+/**
+ * Add a query to a user's recent searches, keeping SEARCH_LIMITS.HISTORY_LIMIT
+ * Failures are logged, not thrown, so history never breaks a search.
+ * @param {string} userId - User ID
+ * @param {string} text - Search text
+ * @returns {Promise<void>}
+ */
+const recordSearch = async (userId, text) => {
+  const query = normalizeQuery(text);
+  if (!query) return;
+
+  try {
+    const { error } = await supabaseAdmin
+      .from('search_history')
+      .upsert(
+        { user_id: userId, query, searched_at: new Date().toISOString() },
+        { onConflict: 'user_id,query' }
+      );
+
+    if (error) throw error;
+
+    const { data: expired, error: expiredError } = await supabaseAdmin
+      .from('search_history')
+      .select('id')
+      .eq('user_id', userId)
+      .order('searched_at', { ascending: false })
+      .range(SEARCH_LIMITS.HISTORY_LIMIT, SEARCH_LIMITS.HISTORY_LIMIT * 2);
+
+    if (expiredError) throw expiredError;
+
+    if (expired.length > 0) {
+      const expiredIds = expired.map(entry => entry.id);
+      await supabaseAdmin.from('search_history').delete().in('id', expiredIds);
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error recording search history:', error);
+  }
+};
+
+/**
+ * Get a user's recent searches, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { prefix } only return queries starting with this text
+ * @returns {Promise<Array>} Entries ({ id, query, searched_at })
+ */
+const getRecentSearches = async (userId, options = {}) => {
+  const prefix = normalizeQuery(options.prefix);
+
+  const { data: entries, error } = await supabaseAdmin
+    .from('search_history')
+    .select('id, query, searched_at')
+    .eq('user_id', userId)
+    .order('searched_at', { ascending: false })
+    .limit(SEARCH_LIMITS.HISTORY_LIMIT);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching search history:', error);
+    throw new AppError('Failed to fetch search history', 500);
+  }
+
+  return prefix ? entries.filter(entry => entry.query.startsWith(prefix)) : entries;
+};
+
+/**
+ * Remove one entry from a user's recent searches
+ * @param {string} userId - User ID
+ * @param {string} entryId - History entry ID
+ * @returns {Promise<void>}
+ */
+const deleteRecentSearch = async (userId, entryId) => {
+  const { data: deleted, error } = await supabaseAdmin
+    .from('search_history')
+    .delete()
+    .eq('id', entryId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error deleting search history entry:', error);
+    throw new AppError('Failed to delete search history entry', 500);
+  }
+
+  if (!deleted || deleted.length === 0) {
+    throw new NotFoundError('Search history entry not found');
+  }
+};
+
+/**
+ * Clear a user's recent searches
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const clearSearchHistory = async userId => {
+  const { error } = await supabaseAdmin.from('search_history').delete().eq('user_id', userId);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error clearing search history:', error);
+    throw new AppError('Failed to clear search history', 500);
+  }
+};
+
+module.exports = {
+  buildTsQuery,
+  findMatches,
+  orderByIds,
+  getSuggestions,
+  recordSearch,
+  getRecentSearches,
+  deleteRecentSearch,
+  clearSearchHistory,
+};
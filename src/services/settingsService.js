@@ -0,0 +1,166 @@
+const { supabaseAdmin } = require('../config/database');
+const { AppError, ValidationError } = require('../utils/errors');
+const { SETTINGS_KEYS, DEFAULT_SETTINGS } = require('../utils/constants');
+
+// How long settings are served from memory before re-reading the table
+const CACHE_TTL_MS = 60 * 1000;
+
+// Type and range for each setting (values are stored as TEXT)
+const SETTINGS_SCHEMA = {
+  [SETTINGS_KEYS.ONBOARDING_BATCH_SIZE]: { type: 'integer', min: 1, max: 1000 },
+  [SETTINGS_KEYS.MAX_ACTIVE_USERS]: { type: 'integer', min: 1, max: 10000000 },
+  [SETTINGS_KEYS.AUTO_ONBOARDING_ENABLED]: { type: 'boolean' },
+  [SETTINGS_KEYS.ONBOARDING_INTERVAL_MINUTES]: { type: 'integer', min: 5, max: 10080 },
+  [SETTINGS_KEYS.PLAY_COUNT_THRESHOLD_SECONDS]: { type: 'integer', min: 1, max: 600 },
+  [SETTINGS_KEYS.MEDIA_GC_ENABLED]: { type: 'boolean' },
+  [SETTINGS_KEYS.MEDIA_GC_GRACE_HOURS]: { type: 'integer', min: 1, max: 720 },
+  [SETTINGS_KEYS.MEDIA_GC_INTERVAL_MINUTES]: { type: 'integer', min: 60, max: 10080 },
+  [SETTINGS_KEYS.REPORT_AUTO_HIDE_THRESHOLD]: { type: 'integer', min: 1, max: 1000 },
+};
+
+let cache = null;
+let cacheExpiresAt = 0;
+
+/**
+ * Parse and validate a raw setting value against its schema
+ * @param {string} key - Setting key
+ * @param {*} value - Raw value (string from DB or JSON value from request)
+ * @returns {*} Typed value
+ * @throws {ValidationError} If the key is unknown or the value is invalid
+ */
+const parseValue = (key, value) => {
+  const schema = SETTINGS_SCHEMA[key];
+
+  if (!schema) {
+    throw new ValidationError(`Unknown setting: ${key}`);
+  }
+
+  if (schema.type === 'integer') {
+    const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+
+    if (!Number.isInteger(parsed)) {
+      throw new ValidationError(`${key} must be an integer`);
+    }
+
+    if (parsed < schema.min || parsed > schema.max) {
+      throw new ValidationError(`${key} must be between ${schema.min} and ${schema.max}`);
+    }
+
+    return parsed;
+  }
+
+  if (schema.type === 'boolean') {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new ValidationError(`${key} must be a boolean`);
+  }
+
+  return String(value);
+};
+
+/**
+ * Get default values, typed
+ * @returns {Object} Default settings
+ */
+const getDefaults = () => {
+  return Object.keys(SETTINGS_SCHEMA).reduce((defaults, key) => {
+    defaults[key] = parseValue(key, DEFAULT_SETTINGS[key]);
+    return defaults;
+  }, {});
+};
+
+/**
+ * Get all platform settings
+ * Missing or invalid rows fall back to DEFAULT_SETTINGS
+ * @param {Object} options - { fresh: bypass the in-process cache }
+ * @returns {Promise<Object>} Settings keyed by name
+ */
+const getSettings = async (options = {}) => {
+  if (!options.fresh && cache && Date.now() < cacheExpiresAt) {
+    return { ...cache };
+  }
+
+  const { data: rows, error } = await supabaseAdmin
+    .from('settings')
+    .select('key, value')
+    .in('key', Object.keys(SETTINGS_SCHEMA));
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching settings:', error);
+    throw new AppError('Failed to fetch settings', 500);
+  }
+
+  const settings = getDefaults();
+  for (const row of rows || []) {
+    try {
+      settings[row.key] = parseValue(row.key, row.value);
+    } catch {
+      // eslint-disable-next-line no-console
+      console.warn(`Invalid value for setting ${row.key}, using default`);
+    }
+  }
+
+  cache = settings;
+  cacheExpiresAt = Date.now() + CACHE_TTL_MS;
+
+  return { ...settings };
+};
+
+/**
+ * Get a single platform setting
+ * @param {string} key - Setting key (see SETTINGS_KEYS)
+ * @returns {Promise<*>} Typed setting value
+ */
+const getSetting = async key => {
+  if (!SETTINGS_SCHEMA[key]) {
+    throw new ValidationError(`Unknown setting: ${key}`);
+  }
+
+  const settings = await getSettings();
+  return settings[key];
+};
+
+/**
+ * Update one or more platform settings
+ * All values are validated before anything is written
+ * @param {Object} updates - Settings keyed by name
+ * @returns {Promise<Object>} All settings after the update
+ */
+const updateSettings = async updates => {
+  if (!updates || typeof updates !== 'object' || Object.keys(updates).length === 0) {
+    throw new ValidationError('At least one setting is required');
+  }
+
+  const rows = Object.entries(updates).map(([key, value]) => ({
+    key,
+    value: String(parseValue(key, value)),
+  }));
+
+  const { error } = await supabaseAdmin.from('settings').upsert(rows, { onConflict: 'key' });
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error updating settings:', error);
+    throw new AppError('Failed to update settings', 500);
+  }
+
+  clearCache();
+  return getSettings();
+};
+
+/**
+ * Drop cached settings so the next read hits the database
+ */
+const clearCache = () => {
+  cache = null;
+  cacheExpiresAt = 0;
+};
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  getSettings,
+  getSetting,
+  updateSettings,
+  clearCache,
+};
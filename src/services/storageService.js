@@ -1,45 +1,66 @@
-const { supabaseAdmin } = require('../config/database');
-const { AppError, ValidationError } = require('../utils/errors');
+const { STORAGE_CONFIG, getStorageDriver } = require('../config/storage');
+const { ValidationError } = require('../utils/errors');
+const { FILE_LIMITS } = require('../utils/constants');
+const { SIGNATURE_BYTES, assertFileType } = require('../utils/fileSignature');
+const crypto = require('crypto');
 const path = require('path');
 
-const BUCKET_NAME = process.env.UPLOAD_BUCKET_NAME || 'music-combinators-uploads';
+// Private mode: the bucket is not public and media is served through signed URLs
+const STORAGE_PRIVATE = STORAGE_CONFIG.PRIVATE;
 
-// Allowed file types
+// Lifetime of signed media URLs issued at read time
+const SIGNED_URL_TTL_SECONDS = STORAGE_CONFIG.SIGNED_URL_TTL_SECONDS;
+
+// Allowed file types (see FILE_LIMITS)
 const ALLOWED_TYPES = {
-  audio: ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg'],
-  video: ['video/mp4', 'video/webm', 'video/ogg'],
-  image: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
+  audio: FILE_LIMITS.AUDIO.ALLOWED_TYPES,
+  video: FILE_LIMITS.VIDEO.ALLOWED_TYPES,
+  image: FILE_LIMITS.IMAGE.ALLOWED_TYPES,
 };
 
-// Max file sizes (in bytes)
+// Max file sizes in bytes (see FILE_LIMITS)
 const MAX_SIZES = {
-  audio: 50 * 1024 * 1024, // 50MB
-  video: 100 * 1024 * 1024, // 100MB
-  image: 5 * 1024 * 1024, // 5MB
+  audio: FILE_LIMITS.AUDIO.MAX_SIZE,
+  video: FILE_LIMITS.VIDEO.MAX_SIZE,
+  image: FILE_LIMITS.IMAGE.MAX_SIZE,
 };
 
+// Signed upload URLs are valid for 2 hours (both drivers)
+const SIGNED_UPLOAD_EXPIRY_SECONDS = 2 * 60 * 60;
+
 /**
- * Validate file type and size
- * @param {Object} file - File object with buffer, mimetype, size
+ * Validate MIME type and size against the category limits
+ * @param {string} mimetype - MIME type
+ * @param {number} size - Size in bytes
  * @param {string} category - File category (audio/video/image)
  */
-const validateFile = (file, category) => {
-  if (!file || !file.buffer) {
-    throw new ValidationError('No file provided');
-  }
-
-  if (!ALLOWED_TYPES[category].includes(file.mimetype)) {
+const validateTypeAndSize = (mimetype, size, category) => {
+  if (!ALLOWED_TYPES[category].includes(mimetype)) {
     throw new ValidationError(
       `Invalid file type. Allowed types: ${ALLOWED_TYPES[category].join(', ')}`
     );
   }
 
-  if (file.size > MAX_SIZES[category]) {
+  if (size > MAX_SIZES[category]) {
     const maxSizeMB = MAX_SIZES[category] / (1024 * 1024);
     throw new ValidationError(`File size exceeds ${maxSizeMB}MB limit`);
   }
 };
 
+/**
+ * Validate file type, size and content signature
+ * @param {Object} file - File object with buffer, mimetype, size
+ * @param {string} category - File category (audio/video/image)
+ */
+const validateFile = (file, category) => {
+  if (!file || !file.buffer) {
+    throw new ValidationError('No file provided');
+  }
+
+  validateTypeAndSize(file.mimetype, file.size, category);
+  assertFileType(file.buffer, file.mimetype);
+};
+
 /**
  * Generate unique filename
  * @param {string} userId - User ID
@@ -55,63 +76,316 @@ const generateFilename = (userId, originalName, category) => {
 };
 
 /**
- * Upload file to Supabase Storage
+ * Upload file to storage
  * @param {Object} file - File object with buffer, mimetype, size, originalname
  * @param {string} userId - User ID
  * @param {string} category - File category (audio/video/image)
- * @returns {Promise<string>} Public URL of uploaded file
+ * @returns {Promise<string>} Storage path of the uploaded file (store this, not a URL)
  */
 const uploadFile = async (file, userId, category) => {
   validateFile(file, category);
 
   const filename = generateFilename(userId, file.originalname, category);
 
-  const { data, error } = await supabaseAdmin.storage
-    .from(BUCKET_NAME)
-    .upload(filename, file.buffer, {
-      contentType: file.mimetype,
-      cacheControl: '3600',
-      upsert: false,
-    });
-
-  if (error) {
-    // eslint-disable-next-line no-console
-    console.error('File upload error:', error);
-    throw new AppError('Failed to upload file', 500);
+  return getStorageDriver().put(filename, file.buffer, {
+    contentType: file.mimetype,
+    cacheControl: '3600',
+  });
+};
+
+/**
+ * Get the public URL for a storage path
+ * @param {string} filePath - Path inside the bucket
+ * @returns {string} Public URL
+ */
+const getPublicUrl = filePath => getStorageDriver().publicUrl(filePath);
+
+/**
+ * Create a signed URL the client can upload a file to directly
+ * The path is scoped to category/userId/ so it can be verified on confirm
+ * @param {string} userId - User ID
+ * @param {string} category - File category (audio/video/image)
+ * @param {Object} fileInfo - { filename, content_type, size }
+ * @returns {Promise<Object>} Storage path, signed URL, token and expiry
+ */
+const createSignedUpload = async (userId, category, fileInfo) => {
+  const { filename, content_type: contentType } = fileInfo;
+  const size = Number(fileInfo.size);
+
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new ValidationError('File size must be a positive integer');
   }
 
-  // Get public URL
-  const {
-    data: { publicUrl },
-  } = supabaseAdmin.storage.from(BUCKET_NAME).getPublicUrl(data.path);
+  validateTypeAndSize(contentType, size, category);
+
+  const upload = await getStorageDriver().createSignedUpload(
+    generateFilename(userId, filename, category)
+  );
+
+  return {
+    path: upload.key,
+    signed_url: upload.url,
+    token: upload.token,
+    content_type: contentType,
+    max_size: MAX_SIZES[category],
+    expires_in: SIGNED_UPLOAD_EXPIRY_SECONDS,
+  };
+};
+
+/**
+ * Get the category of a storage path owned by a user
+ * @param {string} filePath - Path inside the bucket
+ * @param {string} userId - User ID
+ * @returns {string} File category
+ * @throws {ValidationError} If the path is not one of the user's upload paths
+ */
+const getUploadCategory = (filePath, userId) => {
+  const [category, owner, name] = typeof filePath === 'string' ? filePath.split('/') : [];
+
+  if (!ALLOWED_TYPES[category] || owner !== userId || !name || filePath.includes('..')) {
+    throw new ValidationError('Invalid upload path');
+  }
 
-  return publicUrl;
+  return category;
 };
 
 /**
- * Delete file from Supabase Storage
- * @param {string} fileUrl - Public URL of file to delete
+ * Open a readable stream of a stored object
+ * @param {string} filePath - Path inside the bucket
+ * @param {Object} range - { start, end } (inclusive), or null for the whole file
+ * @returns {Promise<Readable>} Node readable stream
+ * @throws {AppError} 502 if the backend ignores the range
+ */
+const openFileStream = async (filePath, range = null) => getStorageDriver().stream(filePath, range);
+
+/**
+ * Read a byte range of a stored object
+ * @param {string} filePath - Path inside the bucket
+ * @param {number} offset - First byte
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>} Bytes read (shorter at end of file)
+ */
+const readFileRange = async (filePath, offset, length) =>
+  getStorageDriver().get(filePath, { start: offset, end: offset + length - 1 });
+
+/**
+ * Read a whole stored object
+ * @param {string} filePath - Path inside the bucket
+ * @returns {Promise<Buffer>} File contents
+ */
+const readFile = async filePath => getStorageDriver().get(filePath);
+
+/**
+ * Range reader for a stored object (see utils/audioMetadata and utils/videoMetadata)
+ * @param {string} filePath - Path inside the bucket
+ * @param {number} size - Object size in bytes
+ * @returns {Object} { size, read(offset, length) }
+ */
+const createRangeReader = (filePath, size) => ({
+  size,
+  read: (offset, length) => readFileRange(filePath, offset, length),
+});
+
+/**
+ * Confirm a direct upload: the object must exist under the user's path, match
+ * the size/MIME limits of its category and its content must match its MIME
+ * type. Invalid objects are removed. Store the returned path; url is for
+ * immediate use only (it expires in private mode).
+ * @param {string} filePath - Path returned by createSignedUpload
+ * @param {string} userId - User ID
+ * @param {string} expectedCategory - Required category (optional)
+ * @returns {Promise<Object>} { path, url, category, size, content_type }
+ */
+const confirmUpload = async (filePath, userId, expectedCategory = null) => {
+  const category = getUploadCategory(filePath, userId);
+
+  if (expectedCategory && category !== expectedCategory) {
+    throw new ValidationError(`Invalid upload: expected ${expectedCategory} file`);
+  }
+
+  const info = await getFileInfo(filePath);
+
+  if (!info) {
+    throw new ValidationError('Uploaded file not found');
+  }
+
+  const { size, content_type: contentType } = info;
+
+  try {
+    validateTypeAndSize(contentType, size, category);
+    assertFileType(await readFileRange(filePath, 0, SIGNATURE_BYTES), contentType);
+  } catch (checkError) {
+    if (checkError instanceof ValidationError) {
+      await deleteFile(filePath);
+    }
+    throw checkError;
+  }
+
+  const { url } = await resolveMediaUrls({ url: filePath }, ['url']);
+
+  return {
+    path: filePath,
+    url,
+    category,
+    size,
+    content_type: contentType,
+  };
+};
+
+/**
+ * Get stored object details
+ * @param {string} filePath - Path inside the bucket
+ * @returns {Promise<Object|null>} { size, content_type, etag, last_modified }, or null if missing
+ */
+const getFileInfo = async filePath => getStorageDriver().info(filePath);
+
+/**
+ * Get the bucket path for a stored media reference
+ * New rows store the path itself; older rows store a public URL
+ * @param {string} ref - Storage path or URL
+ * @returns {string|null} Path inside the bucket, or null for external URLs
+ */
+const getStoragePath = ref => {
+  if (!ref) return null;
+  if (!/^https?:\/\//i.test(ref)) return ref;
+  return getStorageDriver().keyFromUrl(ref);
+};
+
+const getField = (item, field) =>
+  field.split('.').reduce((value, key) => (value ? value[key] : undefined), item);
+
+const setField = (item, field, value) => {
+  const keys = field.split('.');
+  const parent = keys.slice(0, -1).reduce((current, key) => (current ? current[key] : null), item);
+  if (parent) parent[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Replace stored media references with URLs clients can fetch
+ * Public mode returns public URLs. Private mode signs every path in a single
+ * request and the URLs expire after SIGNED_URL_TTL_SECONDS. URLs outside
+ * storage (e.g. OAuth avatars) are left as they are.
+ * @param {Object|Array<Object>} items - Row or rows to update in place
+ * @param {Array<string>} fields - Fields holding references, dot paths for nested objects
+ *   (e.g. 'creator.avatar_url')
+ * @returns {Promise<Object|Array<Object>>} The same items
+ */
+const resolveMediaUrls = async (items, fields) => {
+  const rows = (Array.isArray(items) ? items : [items]).filter(Boolean);
+
+  // Stored reference -> bucket key (legacy rows hold full storage URLs)
+  const keysByRef = new Map();
+  for (const row of rows) {
+    for (const field of fields) {
+      const ref = getField(row, field);
+      const key = ref && !keysByRef.has(ref) ? getStoragePath(ref) : null;
+      if (key) keysByRef.set(ref, key);
+    }
+  }
+
+  if (keysByRef.size === 0) return items;
+
+  const keys = [...new Set(keysByRef.values())];
+  const driver = getStorageDriver();
+
+  // Missing objects resolve to null rather than failing the whole response
+  const resolved = STORAGE_PRIVATE
+    ? await driver.signedUrls(keys, SIGNED_URL_TTL_SECONDS)
+    : keys.map(key => driver.publicUrl(key));
+
+  const urls = new Map(keys.map((key, i) => [key, resolved[i]]));
+
+  for (const row of rows) {
+    for (const field of fields) {
+      const ref = getField(row, field);
+      if (keysByRef.has(ref)) setField(row, field, urls.get(keysByRef.get(ref)) ?? null);
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Move a stored file within the bucket
+ * @param {string} fromPath - Current path
+ * @param {string} toPath - New path
  * @returns {Promise<void>}
  */
-const deleteFile = async fileUrl => {
-  if (!fileUrl || !fileUrl.includes(BUCKET_NAME)) {
-    return; // Not a valid storage URL
+const moveFile = async (fromPath, toPath) => getStorageDriver().move(fromPath, toPath);
+
+/**
+ * Move a stored file to a new unguessable path in the same folder
+ * Any URL already issued for the old path stops working
+ * @param {string} ref - Storage path or URL
+ * @returns {Promise<string|null>} New storage path, or null if ref is not in the bucket
+ */
+const relocateFile = async ref => {
+  const filePath = getStoragePath(ref);
+  if (!filePath) return null;
+
+  // Replace the timestamp (and any earlier token) so names do not keep growing
+  const name = path.posix.basename(filePath).replace(/^\d+_([0-9a-f]{16}_)?/, '');
+  const token = crypto.randomBytes(8).toString('hex');
+  const newPath = `${path.posix.dirname(filePath)}/${Date.now()}_${token}_${name}`;
+
+  await moveFile(filePath, newPath);
+  return newPath;
+};
+
+/**
+ * Move files back after relocateFiles (best effort, errors are logged)
+ * @param {Array<string|null>} refs - Original references
+ * @param {Array<string|null>} newPaths - Paths returned by relocateFiles
+ * @returns {Promise<void>}
+ */
+const restoreFiles = async (refs, newPaths) => {
+  for (let i = 0; i < newPaths.length; i++) {
+    if (!newPaths[i]) continue;
+    try {
+      await moveFile(newPaths[i], getStoragePath(refs[i]));
+    } catch {
+      // Already logged by moveFile
+    }
   }
+};
 
-  // Extract file path from URL
-  const urlParts = fileUrl.split(`${BUCKET_NAME}/`);
-  if (urlParts.length < 2) {
-    return;
+/**
+ * Relocate several files, e.g. all media of deactivated content, so links
+ * that were already handed out stop resolving immediately. If any move
+ * fails the others are moved back.
+ * @param {Array<string|null>} refs - Storage paths or URLs (null entries are skipped)
+ * @returns {Promise<Array<string|null>>} New storage paths, aligned with refs
+ */
+const relocateFiles = async refs => {
+  const newPaths = [];
+
+  try {
+    for (const ref of refs) {
+      newPaths.push(ref ? await relocateFile(ref) : null);
+    }
+  } catch (moveError) {
+    await restoreFiles(refs, newPaths);
+    throw moveError;
   }
 
-  const filePath = urlParts[1];
+  return newPaths;
+};
 
-  const { error } = await supabaseAdmin.storage.from(BUCKET_NAME).remove([filePath]);
+/**
+ * Delete file from storage
+ * @param {string} ref - Storage path or public URL of the file to delete
+ * @returns {Promise<void>}
+ */
+const deleteFile = async ref => {
+  const filePath = getStoragePath(ref);
+  if (!filePath) {
+    return;
+  }
 
-  if (error) {
-    // eslint-disable-next-line no-console
-    console.error('File deletion error:', error);
-    // Don't throw error, just log it
+  try {
+    await getStorageDriver().delete([filePath]);
+  } catch {
+    // Already logged by the driver; a leftover file is not worth failing for
   }
 };
 
@@ -119,7 +393,7 @@ const deleteFile = async fileUrl => {
  * Upload audio file (for tracks)
  * @param {Object} file - File object
  * @param {string} userId - User ID
- * @returns {Promise<string>} Public URL
+ * @returns {Promise<string>} Storage path
  */
 const uploadAudio = async (file, userId) => {
   return uploadFile(file, userId, 'audio');
@@ -129,7 +403,7 @@ const uploadAudio = async (file, userId) => {
  * Upload video file (for reels)
  * @param {Object} file - File object
  * @param {string} userId - User ID
- * @returns {Promise<string>} Public URL
+ * @returns {Promise<string>} Storage path
  */
 const uploadVideo = async (file, userId) => {
   return uploadFile(file, userId, 'video');
@@ -139,18 +413,33 @@ const uploadVideo = async (file, userId) => {
  * Upload image file (for covers/avatars)
  * @param {Object} file - File object
  * @param {string} userId - User ID
- * @returns {Promise<string>} Public URL
+ * @returns {Promise<string>} Storage path
  */
 const uploadImage = async (file, userId) => {
   return uploadFile(file, userId, 'image');
 };
 
 module.exports = {
+  validateFile,
   uploadFile,
   uploadAudio,
   uploadVideo,
   uploadImage,
   deleteFile,
+  getPublicUrl,
+  createSignedUpload,
+  confirmUpload,
+  createRangeReader,
+  openFileStream,
+  readFile,
+  readFileRange,
+  getFileInfo,
+  getStoragePath,
+  resolveMediaUrls,
+  relocateFiles,
+  restoreFiles,
+  STORAGE_PRIVATE,
+  SIGNED_URL_TTL_SECONDS,
   ALLOWED_TYPES,
   MAX_SIZES,
 };
@@ -0,0 +1,281 @@
+/**
+ * Stream Service
+ * Serves track audio by byte range and counts plays server-side: one play per
+ * listener session, once the listener has fetched play_count_threshold_seconds
+ * worth of audio. Sessions are tracked in-process.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { supabaseAdmin } = require('../config/database');
+const { NotFoundError } = require('../utils/errors');
+const { SETTINGS_KEYS } = require('../utils/constants');
+const storageService = require('./storageService');
+const settingsService = require('./settingsService');
+const trackService = require('./trackService');
+
+// A listener session ends after this long without fetching audio
+const PLAY_SESSION_TTL_MS = 30 * 60 * 1000;
+
+// Most listener sessions kept in memory; the least recently used are dropped first
+const MAX_PLAY_SESSIONS = 50000;
+
+// Used when neither bitrate nor duration is known
+const DEFAULT_BYTES_PER_SECOND = (128 * 1000) / 8;
+
+const CONTENT_TYPES_BY_EXTENSION = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+};
+
+// Non-standard aliases clients may have declared on upload
+const CONTENT_TYPE_ALIASES = {
+  'audio/mp3': 'audio/mpeg',
+};
+
+// trackId:listenerKey -> { ranges, counted, expiresAt }, least recently used first
+const sessions = new Map();
+let lastSweep = Date.now();
+
+/**
+ * Identify a listener: the user ID when signed in, otherwise a hash of the IP
+ * (not of headers, which the client could change to count extra plays)
+ * @param {Object} listener - { userId, ip }
+ * @returns {string} Listener key
+ */
+const getListenerKey = ({ userId, ip }) => {
+  if (userId) return `user:${userId}`;
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(ip || '')
+    .digest('hex');
+  return `anon:${hash.slice(0, 32)}`;
+};
+
+/**
+ * Parse a single-range Range header
+ * @param {string} header - Range header value
+ * @param {number} size - Total size in bytes
+ * @returns {Object|null} { start, end } (inclusive), null to serve the whole file,
+ *   or { unsatisfiable: true }
+ */
+const parseRange = (header, size) => {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  // Multiple or malformed ranges: ignore and serve the whole file
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: last N bytes
+    const length = parseInt(match[2]);
+    if (length === 0) return { unsatisfiable: true };
+    start = Math.max(0, size - length);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+
+  return { start, end };
+};
+
+/**
+ * Check an If-None-Match / If-Range header against an ETag
+ * @param {string} header - Header value
+ * @param {string} etag - Current ETag (quoted)
+ * @returns {boolean} True if any listed tag matches
+ */
+const etagMatches = (header, etag) => {
+  if (!header || !etag) return false;
+  if (header.trim() === '*') return true;
+
+  const normalize = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => normalize(tag) === normalize(etag));
+};
+
+/**
+ * Get what is needed to stream a track's audio
+ * @param {string} trackId - Track ID
+ * @returns {Promise<Object>} { path, size, contentType, etag, lastModified, bytesPerSecond,
+ *   ownerId }
+ */
+const getTrackAudio = async trackId => {
+  const { data: track } = await supabaseAdmin
+    .from('tracks')
+    .select('id, user_id, audio_url, duration, bitrate, is_active')
+    .eq('id', trackId)
+    .maybeSingle();
+
+  if (!track || !track.is_active) {
+    throw new NotFoundError('Track not found');
+  }
+
+  const filePath = storageService.getStoragePath(track.audio_url);
+  const info = filePath ? await storageService.getFileInfo(filePath) : null;
+
+  if (!info || !info.size) {
+    throw new NotFoundError('Track audio not found');
+  }
+
+  const declared = CONTENT_TYPE_ALIASES[info.content_type] || info.content_type;
+  const contentType =
+    (declared && declared.startsWith('audio/') ? declared : null) ||
+    CONTENT_TYPES_BY_EXTENSION[path.extname(filePath).toLowerCase()] ||
+    'application/octet-stream';
+
+  let bytesPerSecond = DEFAULT_BYTES_PER_SECOND;
+  if (track.bitrate) {
+    bytesPerSecond = (track.bitrate * 1000) / 8;
+  } else if (track.duration) {
+    bytesPerSecond = info.size / track.duration;
+  }
+
+  const etag = info.etag
+    ? `"${info.etag.replace(/^W\//, '').replace(/"/g, '')}"`
+    : `"${crypto.createHash('sha1').update(`${filePath}:${info.size}:${info.last_modified}`).digest('hex')}"`;
+
+  return {
+    path: filePath,
+    size: info.size,
+    contentType,
+    etag,
+    lastModified: info.last_modified ? new Date(info.last_modified).toUTCString() : null,
+    bytesPerSecond,
+    ownerId: track.user_id,
+  };
+};
+
+/**
+ * Open a readable stream for a byte range of a track's audio
+ * @param {string} filePath - Path inside the bucket
+ * @param {number} start - First byte
+ * @param {number} end - Last byte (inclusive)
+ * @param {number} size - Total size in bytes
+ * @returns {Promise<Readable>} Node readable stream
+ */
+const openAudioStream = async (filePath, start, end, size) => {
+  const wholeFile = start === 0 && end === size - 1;
+  return storageService.openFileStream(filePath, wholeFile ? null : { start, end });
+};
+
+/**
+ * Drop expired listener sessions (at most once a minute)
+ */
+const sweepSessions = () => {
+  const now = Date.now();
+  if (now - lastSweep < 60 * 1000) return;
+
+  lastSweep = now;
+  for (const [key, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(key);
+  }
+};
+
+/**
+ * Get or start the listener session for a track
+ * Sessions are kept in least recently used order, capped at MAX_PLAY_SESSIONS.
+ */
+const getSession = (trackId, listenerKey) => {
+  sweepSessions();
+
+  const key = `${trackId}:${listenerKey}`;
+  let session = sessions.get(key);
+  sessions.delete(key);
+
+  if (!session || session.expiresAt <= Date.now()) {
+    session = { ranges: [], counted: false, expiresAt: 0 };
+
+    while (sessions.size >= MAX_PLAY_SESSIONS) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  }
+
+  sessions.set(key, session);
+  session.expiresAt = Date.now() + PLAY_SESSION_TTL_MS;
+  return session;
+};
+
+/**
+ * Merge a byte range into a sorted list of disjoint ranges
+ * @param {Array<Array<number>>} ranges - [start, end) pairs
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last one
+ * @returns {Array<Array<number>>} Merged ranges
+ */
+const mergeRange = (ranges, start, end) => {
+  const merged = [];
+  let current = [start, end];
+
+  for (const range of ranges) {
+    if (range[1] < current[0]) {
+      merged.push(range);
+    } else if (range[0] > current[1]) {
+      merged.push(current);
+      current = range;
+    } else {
+      current = [Math.min(range[0], current[0]), Math.max(range[1], current[1])];
+    }
+  }
+
+  merged.push(current);
+  return merged;
+};
+
+/**
+ * Record bytes a listener has fetched and count a play once they cross the threshold
+ * Re-fetching the same bytes does not count twice
+ * @param {string} trackId - Track ID
+ * @param {string} listenerKey - See getListenerKey
+ * @param {Object} audio - From getTrackAudio
+ * @param {number} start - First byte sent
+ * @param {number} bytesSent - Number of bytes sent
+ * @returns {Promise<boolean>} True if this call counted a play
+ */
+const recordListening = async (trackId, listenerKey, audio, start, bytesSent) => {
+  if (bytesSent <= 0) return false;
+
+  const session = getSession(trackId, listenerKey);
+  if (session.counted) return false;
+
+  session.ranges = mergeRange(session.ranges, start, start + bytesSent);
+  const fetched = session.ranges.reduce((total, [from, to]) => total + (to - from), 0);
+
+  const thresholdSeconds = await settingsService.getSetting(
+    SETTINGS_KEYS.PLAY_COUNT_THRESHOLD_SECONDS
+  );
+  // Tracks shorter than the threshold count once fully fetched
+  const thresholdBytes = Math.min(audio.size, thresholdSeconds * audio.bytesPerSecond);
+
+  if (session.counted || fetched < thresholdBytes) return false;
+
+  session.counted = true;
+  session.ranges = [];
+  await trackService.incrementPlayCount(trackId, audio.ownerId);
+  return true;
+};
+
+/**
+ * Forget all listener sessions
+ */
+const clearSessions = () => {
+  sessions.clear();
+};
+
+module.exports = {
+  MAX_PLAY_SESSIONS,
+  getListenerKey,
+  parseRange,
+  etagMatches,
+  getTrackAudio,
+  openAudioStream,
+  recordListening,
+  clearSessions,
+};
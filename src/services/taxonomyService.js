@@ -0,0 +1,621 @@
+/**
+ * Taxonomy Service
+ * Genres and moods are admin-curated terms that creators pick for their
+ * tracks. Tags are free-form: creators set them on tracks and reels get them
+ * from the hashtags in their caption. Assignments live in content_terms and
+ * content_tags, keyed by content type and ID like likes and comments.
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { AppError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const {
+  CONTENT_TYPES,
+  TAXONOMY_KINDS,
+  TAXONOMY_LIMITS,
+  TAG_SOURCES,
+} = require('../utils/constants');
+
+// Characters allowed in a tag (letters and numbers in any script, and underscores)
+const TAG_PATTERN = /^[\p{L}\p{N}_]+$/u;
+
+// Hashtags in a caption: '#' not preceded by a word character or another '#'
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_#])#([\p{L}\p{N}_]+)/gu;
+
+// Per-track limits by term kind
+const MAX_TERMS = {
+  [TAXONOMY_KINDS.GENRE]: TAXONOMY_LIMITS.MAX_GENRES,
+  [TAXONOMY_KINDS.MOOD]: TAXONOMY_LIMITS.MAX_MOODS,
+};
+
+// Response field for each term kind
+const TERM_FIELDS = {
+  [TAXONOMY_KINDS.GENRE]: 'genres',
+  [TAXONOMY_KINDS.MOOD]: 'moods',
+};
+
+/**
+ * Read a list sent as a JSON array or as a comma-separated string (multipart forms, query)
+ * @param {Array|string|null|undefined} value - Request value
+ * @returns {Array<string>} Non-empty trimmed entries
+ */
+const parseList = value => {
+  if (value === null || value === undefined) return [];
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  return entries.map(entry => String(entry).trim()).filter(Boolean);
+};
+
+/**
+ * Derive a term slug from its name
+ * @param {string} name - Term name
+ * @returns {string} Lowercase slug (letters, numbers and dashes)
+ */
+const slugify = name =>
+  name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+/**
+ * Normalize a tag: strip a leading '#', lowercase
+ * @param {string} raw - Tag as entered
+ * @returns {string|null} Normalized tag, or null if it is not a valid tag
+ */
+const normalizeTag = raw => {
+  const tag = String(raw).trim().replace(/^#/, '').normalize('NFC').toLowerCase();
+
+  const valid =
+    tag.length >= TAXONOMY_LIMITS.TAG_MIN_LENGTH &&
+    tag.length <= TAXONOMY_LIMITS.TAG_MAX_LENGTH &&
+    TAG_PATTERN.test(tag);
+
+  return valid ? tag : null;
+};
+
+/**
+ * Extract hashtags from a reel caption
+ * Invalid hashtags are ignored and at most TAXONOMY_LIMITS.MAX_TAGS are kept.
+ * @param {string|null} caption - Caption text
+ * @returns {Array<string>} Unique normalized tags, in order of appearance
+ */
+const parseHashtags = caption => {
+  if (!caption) return [];
+
+  const tags = [...caption.matchAll(HASHTAG_PATTERN)]
+    .map(match => normalizeTag(match[1]))
+    .filter(Boolean);
+
+  return [...new Set(tags)].slice(0, TAXONOMY_LIMITS.MAX_TAGS);
+};
+
+/**
+ * Validate creator tags
+ * @param {Array|string} value - Tags (array or comma-separated)
+ * @returns {Array<string>} Unique normalized tags
+ * @throws {ValidationError} If a tag is invalid or there are too many
+ */
+const parseCreatorTags = value => {
+  const tags = parseList(value).map(raw => {
+    const tag = normalizeTag(raw);
+    if (!tag) {
+      throw new ValidationError(
+        `Invalid tag "${raw}": use ${TAXONOMY_LIMITS.TAG_MIN_LENGTH}-${TAXONOMY_LIMITS.TAG_MAX_LENGTH} letters, numbers or underscores`
+      );
+    }
+    return tag;
+  });
+
+  const unique = [...new Set(tags)];
+  if (unique.length > TAXONOMY_LIMITS.MAX_TAGS) {
+    throw new ValidationError(`A track can have at most ${TAXONOMY_LIMITS.MAX_TAGS} tags`);
+  }
+
+  return unique;
+};
+
+/**
+ * Look up active terms by slug
+ * @param {string} kind - Term kind (see TAXONOMY_KINDS)
+ * @param {Array|string} value - Slugs (array or comma-separated)
+ * @returns {Promise<Array<string>>} Term IDs
+ * @throws {ValidationError} If a slug is unknown or there are too many
+ */
+const resolveTerms = async (kind, value) => {
+  const slugs = [...new Set(parseList(value).map(slug => slug.toLowerCase()))];
+
+  if (slugs.length > MAX_TERMS[kind]) {
+    throw new ValidationError(`A track can have at most ${MAX_TERMS[kind]} ${TERM_FIELDS[kind]}`);
+  }
+
+  if (slugs.length === 0) return [];
+
+  const { data: terms, error } = await supabaseAdmin
+    .from('taxonomy_terms')
+    .select('id, slug')
+    .eq('kind', kind)
+    .eq('is_active', true)
+    .in('slug', slugs);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error(`Error resolving ${TERM_FIELDS[kind]}:`, error);
+    throw new AppError('Failed to resolve taxonomy', 500);
+  }
+
+  const found = new Set(terms.map(term => term.slug));
+  const unknown = slugs.filter(slug => !found.has(slug));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown ${kind}: ${unknown.join(', ')}`);
+  }
+
+  return terms.map(term => term.id);
+};
+
+/**
+ * Validate the taxonomy fields of a track request
+ * Call before storing anything; pass the result to setContentTaxonomy.
+ * Undefined fields are left out (unchanged); null or empty clears them.
+ * @param {Object} fields - { genres, moods, tags }
+ * @returns {Promise<Object>} { terms: term IDs keyed by kind, tags }
+ */
+const resolveTrackTaxonomy = async fields => {
+  const resolved = { terms: {} };
+
+  if (fields.genres !== undefined) {
+    resolved.terms[TAXONOMY_KINDS.GENRE] = await resolveTerms(TAXONOMY_KINDS.GENRE, fields.genres);
+  }
+  if (fields.moods !== undefined) {
+    resolved.terms[TAXONOMY_KINDS.MOOD] = await resolveTerms(TAXONOMY_KINDS.MOOD, fields.moods);
+  }
+  if (fields.tags !== undefined) {
+    resolved.tags = parseCreatorTags(fields.tags);
+  }
+
+  return resolved;
+};
+
+/**
+ * Replace the tags of one source on a content item
+ * @param {string} contentType - 'track' or 'reel'
+ * @param {string} contentId - Content ID
+ * @param {Array<string>} names - Normalized tags
+ * @param {string} source - Tag source (see TAG_SOURCES)
+ * @returns {Promise<void>}
+ */
+const replaceTags = async (contentType, contentId, names, source) => {
+  const { error: deleteError } = await supabaseAdmin
+    .from('content_tags')
+    .delete()
+    .eq('content_type', contentType)
+    .eq('content_id', contentId)
+    .eq('source', source);
+
+  if (deleteError) {
+    // eslint-disable-next-line no-console
+    console.error('Error clearing content tags:', deleteError);
+    throw new AppError('Failed to update tags', 500);
+  }
+
+  if (names.length === 0) return;
+
+  // Upserting (rather than ignoring duplicates) returns existing tags too
+  const { data: tags, error: tagError } = await supabaseAdmin
+    .from('tags')
+    .upsert(
+      names.map(name => ({ name })),
+      { onConflict: 'name' }
+    )
+    .select('id');
+
+  if (tagError) {
+    // eslint-disable-next-line no-console
+    console.error('Error saving tags:', tagError);
+    throw new AppError('Failed to update tags', 500);
+  }
+
+  const { error: insertError } = await supabaseAdmin.from('content_tags').upsert(
+    tags.map(tag => ({
+      content_type: contentType,
+      content_id: contentId,
+      tag_id: tag.id,
+      source,
+    })),
+    { onConflict: 'content_type,content_id,tag_id', ignoreDuplicates: true }
+  );
+
+  if (insertError) {
+    // eslint-disable-next-line no-console
+    console.error('Error tagging content:', insertError);
+    throw new AppError('Failed to update tags', 500);
+  }
+};
+
+/**
+ * Replace the terms of one kind on a content item
+ * @param {string} contentType - 'track' or 'reel'
+ * @param {string} contentId - Content ID
+ * @param {string} kind - Term kind (see TAXONOMY_KINDS)
+ * @param {Array<string>} termIds - Term IDs
+ * @returns {Promise<void>}
+ */
+const replaceTerms = async (contentType, contentId, kind, termIds) => {
+  const { error: deleteError } = await supabaseAdmin
+    .from('content_terms')
+    .delete()
+    .eq('content_type', contentType)
+    .eq('content_id', contentId)
+    .eq('kind', kind);
+
+  if (deleteError) {
+    // eslint-disable-next-line no-console
+    console.error(`Error clearing ${TERM_FIELDS[kind]}:`, deleteError);
+    throw new AppError('Failed to update taxonomy', 500);
+  }
+
+  if (termIds.length === 0) return;
+
+  const { error: insertError } = await supabaseAdmin.from('content_terms').insert(
+    termIds.map(termId => ({
+      content_type: contentType,
+      content_id: contentId,
+      term_id: termId,
+      kind,
+    }))
+  );
+
+  if (insertError) {
+    // eslint-disable-next-line no-console
+    console.error(`Error assigning ${TERM_FIELDS[kind]}:`, insertError);
+    throw new AppError('Failed to update taxonomy', 500);
+  }
+};
+
+/**
+ * Store resolved taxonomy on a content item
+ * @param {string} contentType - 'track' or 'reel'
+ * @param {string} contentId - Content ID
+ * @param {Object} resolved - Result of resolveTrackTaxonomy, or { tags } for reels
+ * @param {string} tagSource - Source of the tags (see TAG_SOURCES)
+ * @returns {Promise<void>}
+ */
+const setContentTaxonomy = async (
+  contentType,
+  contentId,
+  resolved,
+  tagSource = TAG_SOURCES.CREATOR
+) => {
+  for (const [kind, termIds] of Object.entries(resolved.terms || {})) {
+    await replaceTerms(contentType, contentId, kind, termIds);
+  }
+
+  if (resolved.tags !== undefined) {
+    await replaceTags(contentType, contentId, resolved.tags, tagSource);
+  }
+};
+
+/**
+ * Add genres, moods (tracks only) and tags to content rows
+ * @param {Object|Array<Object>} items - Rows with an id, updated in place
+ * @param {string} contentType - 'track' or 'reel'
+ * @returns {Promise<Object|Array<Object>>} The same items
+ */
+const attachTaxonomy = async (items, contentType) => {
+  const rows = (Array.isArray(items) ? items : [items]).filter(Boolean);
+  if (rows.length === 0) return items;
+
+  const ids = rows.map(row => row.id);
+  const withTerms = contentType === CONTENT_TYPES.TRACK;
+
+  const [tagResult, termResult] = await Promise.all([
+    supabaseAdmin
+      .from('content_tags')
+      .select('content_id, tags!inner (name)')
+      .eq('content_type', contentType)
+      .in('content_id', ids),
+    withTerms
+      ? supabaseAdmin
+          .from('content_terms')
+          .select('content_id, kind, taxonomy_terms!inner (slug, name)')
+          .eq('content_type', contentType)
+          .in('content_id', ids)
+      : { data: [], error: null },
+  ]);
+
+  const error = tagResult.error || termResult.error;
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching content taxonomy:', error);
+    throw new AppError('Failed to fetch taxonomy', 500);
+  }
+
+  const byId = new Map(rows.map(row => [row.id, row]));
+
+  for (const row of rows) {
+    row.tags = [];
+    if (withTerms) {
+      row.genres = [];
+      row.moods = [];
+    }
+  }
+
+  for (const { content_id: contentId, tags: tag } of tagResult.data) {
+    byId.get(contentId)?.tags.push(tag.name);
+  }
+
+  for (const { content_id: contentId, kind, taxonomy_terms: term } of termResult.data) {
+    byId.get(contentId)?.[TERM_FIELDS[kind]].push({ slug: term.slug, name: term.name });
+  }
+
+  for (const row of rows) {
+    row.tags.sort();
+  }
+
+  return items;
+};
+
+/**
+ * Build the database filter for tracks or reels matching taxonomy filters
+ * Each filter accepts a comma-separated list (any of); filters combine with AND.
+ * Each filter becomes an inner embed of the content_terms or content_tags
+ * computed relationship (see scripts/taxonomy-filter-schema.sql), so matching
+ * happens in the list query itself.
+ * @param {Object} filters - { genre, mood, tag }
+ * @returns {Promise<Object>} { matchesNothing, select, apply }: append select to the
+ * query's columns and pass the query through apply
+ */
+const buildContentFilter = async (filters = {}) => {
+  const conditions = [];
+  const slugsByKind = {};
+
+  for (const kind of Object.values(TAXONOMY_KINDS)) {
+    const slugs = parseList(filters[kind]).map(slug => slug.toLowerCase());
+    if (slugs.length > 0) slugsByKind[kind] = slugs;
+  }
+
+  const tagNames = parseList(filters.tag).map(normalizeTag).filter(Boolean);
+  const hasTagFilter = parseList(filters.tag).length > 0;
+
+  const [termResult, tagResult] = await Promise.all([
+    Object.keys(slugsByKind).length > 0
+      ? supabaseAdmin
+          .from('taxonomy_terms')
+          .select('id, kind, slug')
+          .in('slug', Object.values(slugsByKind).flat())
+      : { data: [], error: null },
+    tagNames.length > 0
+      ? supabaseAdmin.from('tags').select('id').in('name', tagNames)
+      : { data: [], error: null },
+  ]);
+
+  const failed = termResult.error || tagResult.error;
+  if (failed) {
+    // eslint-disable-next-line no-console
+    console.error('Error filtering by taxonomy:', failed);
+    throw new AppError('Failed to filter by taxonomy', 500);
+  }
+
+  for (const [kind, slugs] of Object.entries(slugsByKind)) {
+    conditions.push({
+      alias: `${kind}_filter`,
+      relation: 'content_terms',
+      column: 'term_id',
+      ids: termResult.data
+        .filter(term => term.kind === kind && slugs.includes(term.slug))
+        .map(term => term.id),
+    });
+  }
+
+  if (hasTagFilter) {
+    conditions.push({
+      alias: 'tag_filter',
+      relation: 'content_tags',
+      column: 'tag_id',
+      ids: tagResult.data.map(tag => tag.id),
+    });
+  }
+
+  return {
+    // A filter with no known value cannot match anything
+    matchesNothing: conditions.some(condition => condition.ids.length === 0),
+    select: conditions
+      .map(condition => `, ${condition.alias}:${condition.relation}!inner()`)
+      .join(''),
+    apply: query =>
+      conditions.reduce(
+        (filtered, condition) =>
+          filtered.in(`${condition.alias}.${condition.column}`, condition.ids),
+        query
+      ),
+  };
+};
+
+/**
+ * List terms of a kind, alphabetically
+ * @param {string} kind - Term kind (see TAXONOMY_KINDS)
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Array>} Terms
+ */
+const listTerms = async (kind, options = {}) => {
+  const { includeInactive = false } = options;
+
+  let query = supabaseAdmin
+    .from('taxonomy_terms')
+    .select(
+      includeInactive ? 'id, slug, name, is_active, created_at, updated_at' : 'id, slug, name'
+    )
+    .eq('kind', kind);
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data: terms, error } = await query.order('name', { ascending: true });
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error(`Error fetching ${TERM_FIELDS[kind]}:`, error);
+    throw new AppError(`Failed to fetch ${TERM_FIELDS[kind]}`, 500);
+  }
+
+  return terms;
+};
+
+/**
+ * Validate a term name
+ * @param {string} name - Term name
+ * @returns {string} Trimmed name
+ */
+const validateTermName = name => {
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    throw new ValidationError('Name is required');
+  }
+
+  if (name.trim().length > TAXONOMY_LIMITS.TERM_NAME_MAX_LENGTH) {
+    throw new ValidationError(
+      `Name cannot exceed ${TAXONOMY_LIMITS.TERM_NAME_MAX_LENGTH} characters`
+    );
+  }
+
+  return name.trim();
+};
+
+/**
+ * Create a term (admin only)
+ * @param {string} kind - Term kind (see TAXONOMY_KINDS)
+ * @param {Object} termData - { name, slug } (slug defaults to one derived from the name)
+ * @returns {Promise<Object>} Created term
+ */
+const createTerm = async (kind, termData) => {
+  const name = validateTermName(termData.name);
+  const slug = slugify(termData.slug || name);
+
+  if (!slug) {
+    throw new ValidationError('Slug must contain letters or numbers');
+  }
+
+  const { data: term, error } = await supabaseAdmin
+    .from('taxonomy_terms')
+    .insert({ kind, slug, name })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new ConflictError(`A ${kind} with slug "${slug}" already exists`);
+    }
+    // eslint-disable-next-line no-console
+    console.error(`Error creating ${kind}:`, error);
+    throw new AppError(`Failed to create ${kind}`, 500);
+  }
+
+  return term;
+};
+
+/**
+ * Rename, activate or deactivate a term (admin only)
+ * Deactivated terms stay on existing content but cannot be picked again.
+ * @param {string} kind - Term kind (see TAXONOMY_KINDS)
+ * @param {string} termId - Term ID
+ * @param {Object} updates - { name, is_active }
+ * @returns {Promise<Object>} Updated term
+ */
+const updateTerm = async (kind, termId, updates) => {
+  const updateData = { updated_at: new Date().toISOString() };
+
+  if (updates.name !== undefined) {
+    updateData.name = validateTermName(updates.name);
+  }
+
+  if (updates.is_active !== undefined) {
+    if (typeof updates.is_active !== 'boolean') {
+      throw new ValidationError('is_active must be a boolean');
+    }
+    updateData.is_active = updates.is_active;
+  }
+
+  const { data: term } = await supabaseAdmin
+    .from('taxonomy_terms')
+    .update(updateData)
+    .eq('id', termId)
+    .eq('kind', kind)
+    .select()
+    .maybeSingle();
+
+  if (!term) {
+    throw new NotFoundError(`${TERM_FIELDS[kind]} entry not found`);
+  }
+
+  return term;
+};
+
+/**
+ * Delete a term and remove it from all content (admin only)
+ * @param {string} kind - Term kind (see TAXONOMY_KINDS)
+ * @param {string} termId - Term ID
+ * @returns {Promise<void>}
+ */
+const deleteTerm = async (kind, termId) => {
+  const { data: deleted, error } = await supabaseAdmin
+    .from('taxonomy_terms')
+    .delete()
+    .eq('id', termId)
+    .eq('kind', kind)
+    .select('id');
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error(`Error deleting ${kind}:`, error);
+    throw new AppError(`Failed to delete ${kind}`, 500);
+  }
+
+  if (!deleted || deleted.length === 0) {
+    throw new NotFoundError(`${TERM_FIELDS[kind]} entry not found`);
+  }
+};
+
+/**
+ * Get the tags used most on active content tagged recently
+ * @param {Object} options - { contentType, days, limit }
+ * @returns {Promise<Object>} { tags: [{ name, use_count }], days }
+ */
+const getTrendingTags = async (options = {}) => {
+  const { contentType = null, days = TAXONOMY_LIMITS.TRENDING_DEFAULT_DAYS, limit = 20 } = options;
+
+  if (contentType && !Object.values(CONTENT_TYPES).includes(contentType)) {
+    throw new ValidationError('type must be either track or reel');
+  }
+
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabaseAdmin.rpc('get_trending_tags', {
+    filter_type: contentType,
+    since,
+    max_results: limit,
+  });
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching trending tags:', error);
+    throw new AppError('Failed to fetch trending tags', 500);
+  }
+
+  return {
+    tags: data.map(row => ({ name: row.name, use_count: Number(row.use_count) })),
+    days,
+  };
+};
+
+module.exports = {
+  normalizeTag,
+  parseHashtags,
+  resolveTrackTaxonomy,
+  setContentTaxonomy,
+  attachTaxonomy,
+  buildContentFilter,
+  listTerms,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  getTrendingTags,
+};
@@ -1,6 +1,24 @@
 const { supabaseAdmin } = require('../config/database');
-const { AppError, NotFoundError, ValidationError } = require('../utils/errors');
+const { AppError, AuthorizationError, NotFoundError, ValidationError } = require('../utils/errors');
 const storageService = require('./storageService');
+const imageService = require('./imageService');
+const commentService = require('./commentService');
+const taxonomyService = require('./taxonomyService');
+const searchService = require('./searchService');
+const eventService = require('./eventService');
+const { parseAudioMetadata, readAudioMetadata } = require('../utils/audioMetadata');
+const { CONTENT_TYPES, EVENT_TYPES, SEARCH_TYPES, TRACK_LIMITS } = require('../utils/constants');
+
+// Columns describing a track's audio file (also kept for each previous version)
+const AUDIO_COLUMNS = 'audio_url, duration, bitrate, sample_rate, channels';
+
+// Stored media references on a flattened track (see storageService.resolveMediaUrls)
+const TRACK_MEDIA_FIELDS = [
+  'audio_url',
+  'cover_url',
+  ...imageService.variantFields('cover_variants'),
+  'creator.avatar_url',
+];
 
 /**
  * Flatten nested user/profile structure from Supabase response
@@ -15,32 +33,265 @@ const flattenTrackResponse = track => {
   };
 };
 
+/**
+ * Parse a boolean sent as JSON or as a multipart form string
+ * @param {*} value - Request value
+ * @param {string} field - Field name for the error message
+ * @returns {boolean} Parsed value
+ */
+const parseBoolean = (value, field) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new ValidationError(`${field} must be a boolean`);
+};
+
+/**
+ * Validate and normalize an optional text field
+ * @param {string|null} value - Request value (null clears the field)
+ * @param {string} field - Field name for the error message
+ * @param {number} maxLength - Maximum length after trimming
+ * @returns {string|null} Trimmed text, or null when empty
+ */
+const parseText = (value, field, maxLength) => {
+  if (value === null) return null;
+
+  if (typeof value !== 'string') {
+    throw new ValidationError(`${field} must be a string`);
+  }
+
+  if (value.trim().length > maxLength) {
+    throw new ValidationError(`${field} cannot exceed ${maxLength} characters`);
+  }
+
+  return value.trim() || null;
+};
+
+/**
+ * Validate track credits
+ * @param {Array|string|null} value - [{ name, role }], or its JSON in multipart forms
+ * @returns {Array<Object>|null} Normalized credits, or null when empty
+ */
+const parseCredits = value => {
+  if (value === null || value === '') return null;
+
+  let credits = value;
+  if (typeof credits === 'string') {
+    try {
+      credits = JSON.parse(credits);
+    } catch {
+      throw new ValidationError('Credits must be a JSON array');
+    }
+  }
+
+  if (!Array.isArray(credits)) {
+    throw new ValidationError('Credits must be an array of { name, role }');
+  }
+
+  if (credits.length > TRACK_LIMITS.MAX_CREDITS) {
+    throw new ValidationError(`A track can have at most ${TRACK_LIMITS.MAX_CREDITS} credits`);
+  }
+
+  const parsed = credits.map(credit => {
+    const name = parseText(credit?.name ?? null, 'Credit name', TRACK_LIMITS.CREDIT_MAX_LENGTH);
+    const role = parseText(credit?.role ?? null, 'Credit role', TRACK_LIMITS.CREDIT_MAX_LENGTH);
+
+    if (!name || !role) {
+      throw new ValidationError('Each credit needs a name and a role');
+    }
+
+    return { name, role };
+  });
+
+  return parsed.length > 0 ? parsed : null;
+};
+
+/**
+ * Validate a release date
+ * @param {string|null} value - YYYY-MM-DD (null or empty clears it)
+ * @returns {string|null} Date
+ */
+const parseReleaseDate = value => {
+  if (value === null || value === '') return null;
+
+  const valid =
+    typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(value)) &&
+    new Date(value).toISOString().startsWith(value);
+
+  if (!valid) {
+    throw new ValidationError('Release date must be a valid date (YYYY-MM-DD)');
+  }
+
+  return value;
+};
+
+/**
+ * Validate the track metadata fields present in a request
+ * Undefined fields are left out; null or empty values clear optional fields.
+ * @param {Object} fields - Request fields
+ * @returns {Object} Column values
+ */
+const parseTrackMetadata = fields => {
+  const data = {};
+
+  if (fields.title !== undefined) {
+    data.title = parseText(fields.title, 'Title', TRACK_LIMITS.TITLE_MAX_LENGTH);
+    if (!data.title) {
+      throw new ValidationError('Track title is required');
+    }
+  }
+
+  if (fields.artist !== undefined) {
+    data.artist = parseText(fields.artist, 'Artist', TRACK_LIMITS.ARTIST_MAX_LENGTH);
+  }
+  if (fields.genre !== undefined) {
+    data.genre = parseText(fields.genre, 'Genre', TRACK_LIMITS.GENRE_MAX_LENGTH);
+  }
+  if (fields.description !== undefined) {
+    data.description = parseText(
+      fields.description,
+      'Description',
+      TRACK_LIMITS.DESCRIPTION_MAX_LENGTH
+    );
+  }
+  if (fields.lyrics !== undefined) {
+    data.lyrics = parseText(fields.lyrics, 'Lyrics', TRACK_LIMITS.LYRICS_MAX_LENGTH);
+  }
+  if (fields.credits !== undefined) {
+    data.credits = parseCredits(fields.credits);
+  }
+  if (fields.release_date !== undefined) {
+    data.release_date = parseReleaseDate(fields.release_date);
+  }
+  if (fields.is_explicit !== undefined) {
+    data.is_explicit = parseBoolean(fields.is_explicit, 'is_explicit');
+  }
+
+  return data;
+};
+
+/**
+ * Confirm a direct audio upload and read its metadata back from storage by range
+ * @param {string} audioPath - Path returned by /api/upload
+ * @param {string} userId - Creator's user ID
+ * @returns {Promise<Object|null>} Result of parseAudioMetadata
+ */
+const readUploadedAudioMetadata = async (audioPath, userId) => {
+  const upload = await storageService.confirmUpload(audioPath, userId, 'audio');
+  return readAudioMetadata(storageService.createRangeReader(upload.path, upload.size));
+};
+
+/**
+ * Audio columns of a track, from parsed file metadata or the client's duration
+ * @param {Object|null} metadata - Result of parseAudioMetadata
+ * @param {number|null} duration - Duration sent by the client (used when the file has none)
+ * @returns {Object} { duration, bitrate, sample_rate, channels }
+ */
+const getAudioColumns = (metadata, duration) => ({
+  duration: metadata?.duration ? Math.round(metadata.duration) : duration || null,
+  bitrate: metadata?.bitrate || null,
+  sample_rate: metadata?.sample_rate || null,
+  channels: metadata?.channels || null,
+});
+
+/**
+ * Store cover art embedded in an audio file
+ * Art that is not an accepted image type, too large or undecodable is skipped
+ * @param {Object} picture - { mimetype, buffer } from the audio metadata
+ * @param {string} userId - Creator's user ID
+ * @returns {Promise<Object|null>} { path, variants } of the cover, or null
+ */
+const storeEmbeddedCover = async (picture, userId) => {
+  try {
+    return await imageService.storeImage(
+      {
+        buffer: picture.buffer,
+        mimetype: picture.mimetype,
+        size: picture.buffer.length,
+      },
+      userId,
+      'embedded_cover'
+    );
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Skipping embedded cover art:', error.message);
+    return null;
+  }
+};
+
 /**
  * Create a new track
+ * Files are either multipart uploads or paths already uploaded through
+ * /api/upload (trackData.audio_path / trackData.cover_path).
+ * The audio (read back from storage by range for direct uploads) is parsed
+ * for duration, bitrate, sample rate and channels; its tags prefill
+ * title/artist/genre and its embedded art becomes the cover when none was
+ * sent. Covers are stored as processed images with thumbnails (see
+ * imageService). Extended metadata (description, lyrics, credits,
+ * release_date, is_explicit) is validated like in updateTrack, and so are
+ * genres, moods and tags (see taxonomyService).
  * @param {string} userId - Creator's user ID
  * @param {Object} trackData - Track information
- * @param {Object} audioFile - Audio file object
+ * @param {Object} audioFile - Audio file object (optional when audio_path is set)
  * @param {Object} coverFile - Optional cover image file
  * @returns {Promise<Object>} Created track
  */
-const createTrack = async (userId, trackData, audioFile, coverFile = null) => {
-  const { title, duration } = trackData;
+const createTrack = async (userId, trackData, audioFile = null, coverFile = null) => {
+  const { duration, audio_path: audioPath, cover_path: coverPath } = trackData;
 
-  if (!title || title.trim().length === 0) {
-    throw new ValidationError('Track title is required');
+  if (!audioFile && !audioPath) {
+    throw new ValidationError('Audio file is required');
   }
 
-  if (!audioFile) {
-    throw new ValidationError('Audio file is required');
+  const details = parseTrackMetadata({
+    description: trackData.description,
+    lyrics: trackData.lyrics,
+    credits: trackData.credits,
+    release_date: trackData.release_date,
+    is_explicit: trackData.is_explicit,
+  });
+
+  const taxonomy = await taxonomyService.resolveTrackTaxonomy({
+    genres: trackData.genres,
+    moods: trackData.moods,
+    tags: trackData.tags,
+  });
+
+  const given = {
+    title: parseText(trackData.title ?? null, 'Title', TRACK_LIMITS.TITLE_MAX_LENGTH),
+    artist: parseText(trackData.artist ?? null, 'Artist', TRACK_LIMITS.ARTIST_MAX_LENGTH),
+    genre: parseText(trackData.genre ?? null, 'Genre', TRACK_LIMITS.GENRE_MAX_LENGTH),
+  };
+
+  const metadata = audioFile
+    ? parseAudioMetadata(audioFile.buffer)
+    : await readUploadedAudioMetadata(audioPath, userId);
+
+  const title = given.title || metadata?.title;
+  const artist = given.artist || metadata?.artist || null;
+  const genre = given.genre || metadata?.genre || null;
+
+  if (!title) {
+    throw new ValidationError('Track title is required');
   }
 
-  // Upload audio file
-  const audioUrl = await storageService.uploadAudio(audioFile, userId);
+  // Upload audio file (a direct upload was confirmed above)
+  const audioKey = audioFile ? await storageService.uploadAudio(audioFile, userId) : audioPath;
 
-  // Upload cover image if provided
-  let coverUrl = null;
-  if (coverFile) {
-    coverUrl = await storageService.uploadImage(coverFile, userId);
+  // Store cover image if provided, falling back to embedded art
+  let cover = null;
+  try {
+    if (coverFile) {
+      cover = await imageService.storeImage(coverFile, userId, 'cover');
+    } else if (coverPath) {
+      cover = await imageService.storeUploadedImage(coverPath, userId, 'cover');
+    } else if (metadata?.picture) {
+      cover = await storeEmbeddedCover(metadata.picture, userId);
+    }
+  } catch (coverError) {
+    await storageService.deleteFile(audioKey);
+    throw coverError;
   }
 
   // Create track record
@@ -48,23 +299,39 @@ const createTrack = async (userId, trackData, audioFile, coverFile = null) => {
     .from('tracks')
     .insert({
       user_id: userId,
-      title: title.trim(),
-      audio_url: audioUrl,
-      cover_url: coverUrl,
-      duration: duration || null,
+      title: title.slice(0, TRACK_LIMITS.TITLE_MAX_LENGTH),
+      artist: artist ? artist.slice(0, TRACK_LIMITS.ARTIST_MAX_LENGTH) : null,
+      genre: genre ? genre.slice(0, TRACK_LIMITS.GENRE_MAX_LENGTH) : null,
+      ...details,
+      audio_url: audioKey,
+      cover_url: cover?.path || null,
+      cover_variants: cover?.variants || null,
+      ...getAudioColumns(metadata, duration),
       is_active: true,
     })
     .select(
       `
       id,
       title,
+      artist,
+      genre,
       audio_url,
       cover_url,
+      cover_variants,
       duration,
+      bitrate,
+      sample_rate,
+      channels,
+      description,
+      lyrics,
+      credits,
+      release_date,
+      is_explicit,
       play_count,
       like_count,
       is_active,
       created_at,
+      updated_at,
       user_id,
       users!inner (
         profiles!inner (
@@ -80,19 +347,129 @@ const createTrack = async (userId, trackData, audioFile, coverFile = null) => {
 
   if (error) {
     // Clean up uploaded files if database insert fails
-    await storageService.deleteFile(audioUrl);
-    if (coverUrl) await storageService.deleteFile(coverUrl);
+    await storageService.deleteFile(audioKey);
+    if (cover) await imageService.deleteImage(cover.path, cover.variants);
 
     // eslint-disable-next-line no-console
     console.error('Error creating track:', error);
     throw new AppError('Failed to create track', 500);
   }
 
-  return flattenTrackResponse(track);
+  // The track exists at this point; missing taxonomy can be set with an update
+  try {
+    await taxonomyService.setContentTaxonomy(CONTENT_TYPES.TRACK, track.id, taxonomy);
+  } catch (taxonomyError) {
+    // eslint-disable-next-line no-console
+    console.error('Error setting track taxonomy:', taxonomyError);
+  }
+
+  await taxonomyService.attachTaxonomy(track, CONTENT_TYPES.TRACK);
+  return storageService.resolveMediaUrls(flattenTrackResponse(track), TRACK_MEDIA_FIELDS);
+};
+
+/**
+ * Get a track row and verify the user owns it
+ * @param {string} trackId - Track ID
+ * @param {string} userId - User ID (for ownership verification)
+ * @param {string} columns - Columns to select
+ * @returns {Promise<Object>} Track row
+ */
+const getOwnedTrack = async (trackId, userId, columns) => {
+  const { data: track } = await supabaseAdmin
+    .from('tracks')
+    .select(columns)
+    .eq('id', trackId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!track) {
+    throw new NotFoundError('Track not found or unauthorized');
+  }
+
+  return track;
+};
+
+/**
+ * Delete stored files (best effort, see storageService.deleteFile)
+ * @param {Array<string>} refs - Storage paths or URLs
+ * @returns {Promise<void>}
+ */
+const deleteFiles = async refs => {
+  for (const ref of refs) {
+    await storageService.deleteFile(ref);
+  }
+};
+
+/**
+ * Record a track's current audio as a previous version
+ * @param {string} trackId - Track ID
+ * @param {Object} audio - Current audio columns (see AUDIO_COLUMNS)
+ * @param {string|null} archivedPath - Where the file was moved to (null if it was not moved)
+ * @returns {Promise<Object>} Version row
+ */
+const archiveAudio = async (trackId, audio, archivedPath) => {
+  const { data: version, error } = await supabaseAdmin
+    .from('track_audio_versions')
+    .insert({
+      track_id: trackId,
+      audio_url: archivedPath || audio.audio_url,
+      duration: audio.duration,
+      bitrate: audio.bitrate,
+      sample_rate: audio.sample_rate,
+      channels: audio.channels,
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error archiving track audio:', error);
+    throw new AppError('Failed to keep the previous audio version', 500);
+  }
+
+  return version;
+};
+
+/**
+ * Delete the oldest audio versions beyond TRACK_LIMITS.MAX_AUDIO_VERSIONS
+ * Failures are logged; leftover files are picked up by the media GC.
+ * @param {string} trackId - Track ID
+ * @returns {Promise<void>}
+ */
+const pruneAudioVersions = async trackId => {
+  const { data: versions } = await supabaseAdmin
+    .from('track_audio_versions')
+    .select('id, audio_url')
+    .eq('track_id', trackId)
+    .order('replaced_at', { ascending: false });
+
+  const expired = (versions || []).slice(TRACK_LIMITS.MAX_AUDIO_VERSIONS);
+  if (expired.length === 0) return;
+
+  // A restored version's row may still exist; its file is the track's audio again
+  const { data: track } = await supabaseAdmin
+    .from('tracks')
+    .select('audio_url')
+    .eq('id', trackId)
+    .maybeSingle();
+
+  const expiredIds = expired.map(version => version.id);
+  const { error } = await supabaseAdmin.from('track_audio_versions').delete().in('id', expiredIds);
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error pruning audio versions:', error);
+    return;
+  }
+
+  await deleteFiles(
+    expired.map(version => version.audio_url).filter(ref => ref !== track?.audio_url)
+  );
 };
 
 /**
  * Get track by ID
+ * Deactivated tracks are only visible to their creator
  * @param {string} trackId - Track ID
  * @param {string} userId - Optional user ID for like status
  * @returns {Promise<Object>} Track with details
@@ -104,13 +481,25 @@ const getTrackById = async (trackId, userId = null) => {
       `
       id,
       title,
+      artist,
+      genre,
       audio_url,
       cover_url,
+      cover_variants,
       duration,
+      bitrate,
+      sample_rate,
+      channels,
+      description,
+      lyrics,
+      credits,
+      release_date,
+      is_explicit,
       play_count,
       like_count,
       is_active,
       created_at,
+      updated_at,
       user_id,
       users!inner (
         profiles!inner (
@@ -125,7 +514,7 @@ const getTrackById = async (trackId, userId = null) => {
     .eq('id', trackId)
     .single();
 
-  if (error || !track) {
+  if (error || !track || (!track.is_active && track.user_id !== userId)) {
     throw new NotFoundError('Track not found');
   }
 
@@ -142,26 +531,39 @@ const getTrackById = async (trackId, userId = null) => {
     track.is_liked = !!like;
   }
 
-  return flattenTrackResponse(track);
+  track.comment_count = await commentService.getCommentCount('track', trackId);
+  await taxonomyService.attachTaxonomy(track, CONTENT_TYPES.TRACK);
+
+  return storageService.resolveMediaUrls(flattenTrackResponse(track), TRACK_MEDIA_FIELDS);
 };
 
 /**
  * Get all tracks (paginated)
- * @param {Object} options - Query options
+ * genre, mood and tag filters take comma-separated lists (any of) and
+ * combine with each other (all of).
+ * @param {Object} options - Query options ({ page, limit, genre, mood, tag })
  * @returns {Promise<Object>} Tracks and pagination info
  */
 const getAllTracks = async (options = {}) => {
-  const { page = 1, limit = 20, userId: _userId = null } = options;
+  const { page = 1, limit = 20, userId: _userId = null, genre, mood, tag } = options;
   const offset = (page - 1) * limit;
 
+  const taxonomyFilter = await taxonomyService.buildContentFilter({ genre, mood, tag });
+
+  if (taxonomyFilter.matchesNothing) {
+    return { tracks: [], pagination: { page, limit, total: 0, totalPages: 0 } };
+  }
+
   // Get total count
-  const { count } = await supabaseAdmin
-    .from('tracks')
-    .select('id', { count: 'exact', head: true })
-    .eq('is_active', true);
+  const { count } = await taxonomyFilter.apply(
+    supabaseAdmin
+      .from('tracks')
+      .select(`id${taxonomyFilter.select}`, { count: 'exact', head: true })
+      .eq('is_active', true)
+  );
 
   // Get tracks
-  const { data: tracks, error } = await supabaseAdmin
+  const listQuery = supabaseAdmin
     .from('tracks')
     .select(
       `
@@ -169,7 +571,10 @@ const getAllTracks = async (options = {}) => {
       title,
       audio_url,
       cover_url,
+      cover_variants,
       duration,
+      genre,
+      is_explicit,
       play_count,
       like_count,
       created_at,
@@ -182,9 +587,13 @@ const getAllTracks = async (options = {}) => {
           avatar_url
         )
       )
+      ${taxonomyFilter.select}
     `
     )
-    .eq('is_active', true)
+    .eq('is_active', true);
+
+  const { data: tracks, error } = await taxonomyFilter
+    .apply(listQuery)
     .order('created_at', { ascending: false })
     .range(offset, offset + limit - 1);
 
@@ -194,8 +603,13 @@ const getAllTracks = async (options = {}) => {
     throw new AppError('Failed to fetch tracks', 500);
   }
 
+  await taxonomyService.attachTaxonomy(tracks, CONTENT_TYPES.TRACK);
+
   return {
-    tracks: tracks.map(flattenTrackResponse),
+    tracks: await storageService.resolveMediaUrls(
+      tracks.map(flattenTrackResponse),
+      TRACK_MEDIA_FIELDS
+    ),
     pagination: {
       page,
       limit,
@@ -206,7 +620,7 @@ const getAllTracks = async (options = {}) => {
 };
 
 /**
- * Search tracks by title
+ * Search tracks by title, artist, tags and creator name, best match first
  * @param {string} query - Search query
  * @param {Object} options - Query options
  * @returns {Promise<Object>} Search results
@@ -219,48 +633,62 @@ const searchTracks = async (query, options = {}) => {
     return getAllTracks({ page, limit });
   }
 
-  const searchTerm = `%${query.trim()}%`;
+  const { ids, total } = await searchService.findMatches(SEARCH_TYPES.TRACKS, query, {
+    limit,
+    offset,
+  });
 
-  const { data: tracks, error } = await supabaseAdmin
-    .from('tracks')
-    .select(
-      `
-      id,
-      title,
-      audio_url,
-      cover_url,
-      duration,
-      play_count,
-      like_count,
-      created_at,
-      user_id,
-      users!inner (
-        profiles!inner (
-          username,
-          display_name,
-          artist_name,
-          avatar_url
+  let tracks = [];
+
+  if (ids.length > 0) {
+    const { data, error } = await supabaseAdmin
+      .from('tracks')
+      .select(
+        `
+        id,
+        title,
+        audio_url,
+        cover_url,
+        cover_variants,
+        duration,
+        genre,
+        is_explicit,
+        play_count,
+        like_count,
+        created_at,
+        user_id,
+        users!inner (
+          profiles!inner (
+            username,
+            display_name,
+            artist_name,
+            avatar_url
+          )
         )
+      `
       )
-    `
-    )
-    .eq('is_active', true)
-    .ilike('title', searchTerm)
-    .order('created_at', { ascending: false })
-    .range(offset, offset + limit - 1);
+      .in('id', ids);
 
-  if (error) {
-    // eslint-disable-next-line no-console
-    console.error('Error searching tracks:', error);
-    throw new AppError('Failed to search tracks', 500);
+    if (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error searching tracks:', error);
+      throw new AppError('Failed to search tracks', 500);
+    }
+
+    tracks = searchService.orderByIds(data, ids);
+    await taxonomyService.attachTaxonomy(tracks, CONTENT_TYPES.TRACK);
   }
 
   return {
-    tracks: tracks.map(flattenTrackResponse),
+    tracks: await storageService.resolveMediaUrls(
+      tracks.map(flattenTrackResponse),
+      TRACK_MEDIA_FIELDS
+    ),
     pagination: {
       page,
       limit,
-      total: tracks.length,
+      total,
+      totalPages: Math.ceil(total / limit),
     },
   };
 };
@@ -281,7 +709,10 @@ const getUserTracks = async (userId, options = {}) => {
       title,
       audio_url,
       cover_url,
+      cover_variants,
       duration,
+      genre,
+      is_explicit,
       play_count,
       like_count,
       is_active,
@@ -305,22 +736,143 @@ const getUserTracks = async (userId, options = {}) => {
     throw new AppError('Failed to fetch user tracks', 500);
   }
 
-  return tracks;
+  await taxonomyService.attachTaxonomy(tracks, CONTENT_TYPES.TRACK);
+
+  return storageService.resolveMediaUrls(tracks, TRACK_MEDIA_FIELDS);
 };
 
 /**
  * Update track
+ * Accepts metadata (see parseTrackMetadata), is_active, replacement audio
+ * (multipart or audio_path) and a new cover (multipart or cover_path) or
+ * remove_cover. New files are stored before the row changes. The replaced
+ * audio is moved to a new path and kept as a version (see
+ * restoreAudioVersion); a replaced cover is deleted once the row points at
+ * the new one. Deactivating a track moves its files to new paths, so URLs
+ * already handed out stop working straight away. genres, moods and tags
+ * replace the current ones when sent (an empty list clears them).
  * @param {string} trackId - Track ID
  * @param {string} userId - User ID (for ownership verification)
  * @param {Object} updates - Track updates
+ * @param {Object} files - { audioFile, coverFile } multipart uploads (optional)
  * @returns {Promise<Object>} Updated track
  */
-const updateTrack = async (trackId, userId, updates) => {
-  const { title, is_active } = updates;
+const updateTrack = async (trackId, userId, updates, files = {}) => {
+  const { audioFile = null, coverFile = null } = files;
+  const { audio_path: audioPath, cover_path: coverPath } = updates;
+  const removeCover =
+    updates.remove_cover !== undefined && parseBoolean(updates.remove_cover, 'remove_cover');
+
+  if (removeCover && (coverFile || coverPath)) {
+    throw new ValidationError('Send either a new cover or remove_cover, not both');
+  }
 
-  const updateData = {};
-  if (title !== undefined) updateData.title = title.trim();
-  if (is_active !== undefined) updateData.is_active = is_active;
+  const updateData = parseTrackMetadata(updates);
+  if (updates.is_active !== undefined) {
+    updateData.is_active = parseBoolean(updates.is_active, 'is_active');
+  }
+
+  const taxonomy = await taxonomyService.resolveTrackTaxonomy({
+    genres: updates.genres,
+    moods: updates.moods,
+    tags: updates.tags,
+  });
+
+  const { data: current } = await supabaseAdmin
+    .from('tracks')
+    .select(`${AUDIO_COLUMNS}, cover_url, cover_variants, is_active, hidden_by_reports`)
+    .eq('id', trackId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!current) {
+    throw new NotFoundError('Track not found or unauthorized');
+  }
+
+  if (updateData.is_active && !current.is_active && current.hidden_by_reports) {
+    throw new AuthorizationError('This track is hidden while its reports are reviewed');
+  }
+
+  const replaceAudio = !!(audioFile || audioPath);
+  const replaceCover = !!(coverFile || coverPath) || (removeCover && !!current.cover_url);
+  const deactivating = updateData.is_active === false && current.is_active;
+
+  // Store the new files first; listeners see no change until the row is updated
+  const stored = [];
+  try {
+    if (replaceAudio) {
+      const metadata = audioFile
+        ? parseAudioMetadata(audioFile.buffer)
+        : await readUploadedAudioMetadata(audioPath, userId);
+      const audioKey = audioFile ? await storageService.uploadAudio(audioFile, userId) : audioPath;
+
+      stored.push(audioKey);
+      updateData.audio_url = audioKey;
+      Object.assign(updateData, getAudioColumns(metadata, parseInt(updates.duration) || null));
+    }
+
+    if (coverFile || coverPath) {
+      const cover = coverFile
+        ? await imageService.storeImage(coverFile, userId, 'cover')
+        : await imageService.storeUploadedImage(coverPath, userId, 'cover');
+
+      stored.push(...imageService.getImageRefs(cover.path, cover.variants));
+      updateData.cover_url = cover.path;
+      updateData.cover_variants = cover.variants;
+    } else if (removeCover) {
+      updateData.cover_url = null;
+      updateData.cover_variants = null;
+    }
+  } catch (uploadError) {
+    await deleteFiles(stored);
+    throw uploadError;
+  }
+
+  // Replaced audio is archived, and a deactivated track's remaining files move
+  const variantNames = Object.keys(current.cover_variants || {});
+  const moveCover = deactivating && !replaceCover;
+  const media = [
+    replaceAudio || deactivating ? current.audio_url : null,
+    ...(moveCover
+      ? [current.cover_url, ...variantNames.map(name => current.cover_variants[name])]
+      : []),
+  ];
+  let relocated = [];
+
+  try {
+    relocated = await storageService.relocateFiles(media);
+  } catch (moveError) {
+    await deleteFiles(stored);
+    throw moveError;
+  }
+
+  if (!replaceAudio && relocated[0]) updateData.audio_url = relocated[0];
+  if (moveCover) {
+    if (relocated[1]) updateData.cover_url = relocated[1];
+    if (variantNames.length > 0) {
+      updateData.cover_variants = Object.fromEntries(
+        variantNames.map((name, i) => [name, relocated[i + 2] || current.cover_variants[name]])
+      );
+    }
+  }
+
+  // Undo everything above when a later step fails
+  const rollback = async () => {
+    await storageService.restoreFiles(media, relocated);
+    await deleteFiles(stored);
+  };
+
+  let version = null;
+  if (replaceAudio) {
+    try {
+      version = await archiveAudio(trackId, current, relocated[0]);
+    } catch (archiveError) {
+      await rollback();
+      throw archiveError;
+    }
+  }
+
+  updateData.updated_at = new Date().toISOString();
 
   const { data: track, error } = await supabaseAdmin
     .from('tracks')
@@ -331,10 +883,177 @@ const updateTrack = async (trackId, userId, updates) => {
     .single();
 
   if (error || !track) {
+    if (version) {
+      await supabaseAdmin.from('track_audio_versions').delete().eq('id', version.id);
+    }
+    await rollback();
     throw new NotFoundError('Track not found or unauthorized');
   }
 
-  return track;
+  if (replaceCover) {
+    await imageService.deleteImage(current.cover_url, current.cover_variants);
+  }
+  if (replaceAudio) {
+    await pruneAudioVersions(trackId);
+  }
+
+  await taxonomyService.setContentTaxonomy(CONTENT_TYPES.TRACK, trackId, taxonomy);
+  await taxonomyService.attachTaxonomy(track, CONTENT_TYPES.TRACK);
+
+  return storageService.resolveMediaUrls(track, TRACK_MEDIA_FIELDS);
+};
+
+/**
+ * Deactivate or reactivate a track for moderation (reports and admins)
+ * Deactivating moves its files like updateTrack does, so URLs already handed
+ * out stop working. With hiddenByReports the change is auto-hide's:
+ * deactivating flags the track hidden_by_reports, and reactivating only
+ * applies while that flag is still set.
+ * @param {string} trackId - Track ID
+ * @param {boolean} active - Whether the track should be active
+ * @param {Object} options - { hiddenByReports }
+ * @returns {Promise<boolean>} True if the track changed
+ */
+const setTrackActive = async (trackId, active, options = {}) => {
+  const { hiddenByReports = false } = options;
+
+  const { data: current } = await supabaseAdmin
+    .from('tracks')
+    .select('audio_url, cover_url, cover_variants, is_active, hidden_by_reports')
+    .eq('id', trackId)
+    .maybeSingle();
+
+  if (!current) return false;
+
+  const changing = current.is_active !== active;
+  if (hiddenByReports && (!changing || (active && !current.hidden_by_reports))) return false;
+
+  const updateData = { is_active: active };
+  if (hiddenByReports) updateData.hidden_by_reports = !active;
+
+  const variantNames = Object.keys(current.cover_variants || {});
+  const media =
+    changing && !active
+      ? [
+          current.audio_url,
+          current.cover_url,
+          ...variantNames.map(name => current.cover_variants[name]),
+        ]
+      : [];
+  const relocated = await storageService.relocateFiles(media);
+
+  if (relocated[0]) updateData.audio_url = relocated[0];
+  if (relocated[1]) updateData.cover_url = relocated[1];
+  if (relocated.length > 0 && variantNames.length > 0) {
+    updateData.cover_variants = Object.fromEntries(
+      variantNames.map((name, i) => [name, relocated[i + 2] || current.cover_variants[name]])
+    );
+  }
+
+  let query = supabaseAdmin
+    .from('tracks')
+    .update(updateData)
+    .eq('id', trackId)
+    .eq('is_active', current.is_active);
+
+  if (hiddenByReports && active) {
+    query = query.eq('hidden_by_reports', true);
+  }
+
+  const { data: updated, error } = await query.select('id');
+
+  if (error || updated.length === 0) {
+    // Put the files back where the unchanged row expects them
+    await storageService.restoreFiles(media, relocated);
+
+    if (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error updating track visibility:', error);
+      throw new AppError('Failed to update track', 500);
+    }
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Get a track's previous audio versions (creator only), newest first
+ * @param {string} trackId - Track ID
+ * @param {string} userId - User ID (for ownership verification)
+ * @returns {Promise<Array>} Versions
+ */
+const getAudioVersions = async (trackId, userId) => {
+  await getOwnedTrack(trackId, userId, 'id');
+
+  const { data: versions, error } = await supabaseAdmin
+    .from('track_audio_versions')
+    .select(`id, ${AUDIO_COLUMNS}, replaced_at`)
+    .eq('track_id', trackId)
+    .order('replaced_at', { ascending: false });
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching audio versions:', error);
+    throw new AppError('Failed to fetch audio versions', 500);
+  }
+
+  return storageService.resolveMediaUrls(versions, ['audio_url']);
+};
+
+/**
+ * Roll a track back to a previous audio version
+ * The current audio becomes a version itself, so the rollback can be undone.
+ * @param {string} trackId - Track ID
+ * @param {string} userId - User ID (for ownership verification)
+ * @param {string} versionId - Version to restore
+ * @returns {Promise<Object>} Updated track
+ */
+const restoreAudioVersion = async (trackId, userId, versionId) => {
+  const current = await getOwnedTrack(trackId, userId, AUDIO_COLUMNS);
+
+  const { data: version } = await supabaseAdmin
+    .from('track_audio_versions')
+    .select(`id, ${AUDIO_COLUMNS}`)
+    .eq('id', versionId)
+    .eq('track_id', trackId)
+    .maybeSingle();
+
+  if (!version) {
+    throw new NotFoundError('Audio version not found');
+  }
+
+  const relocated = await storageService.relocateFiles([current.audio_url]);
+
+  let archived;
+  try {
+    archived = await archiveAudio(trackId, current, relocated[0]);
+  } catch (archiveError) {
+    await storageService.restoreFiles([current.audio_url], relocated);
+    throw archiveError;
+  }
+
+  const { id: _versionId, ...audio } = version;
+
+  const { data: track, error } = await supabaseAdmin
+    .from('tracks')
+    .update({ ...audio, updated_at: new Date().toISOString() })
+    .eq('id', trackId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error || !track) {
+    await supabaseAdmin.from('track_audio_versions').delete().eq('id', archived.id);
+    await storageService.restoreFiles([current.audio_url], relocated);
+    throw new NotFoundError('Track not found or unauthorized');
+  }
+
+  // The restored file is the track's audio again
+  await supabaseAdmin.from('track_audio_versions').delete().eq('id', version.id);
+  await pruneAudioVersions(trackId);
+
+  return storageService.resolveMediaUrls(track, TRACK_MEDIA_FIELDS);
 };
 
 /**
@@ -347,7 +1066,7 @@ const deleteTrack = async (trackId, userId = null) => {
   // Get track to retrieve file URLs
   let query = supabaseAdmin
     .from('tracks')
-    .select('audio_url, cover_url, user_id')
+    .select('audio_url, cover_url, cover_variants, user_id')
     .eq('id', trackId);
 
   // If userId provided, verify ownership
@@ -361,6 +1080,12 @@ const deleteTrack = async (trackId, userId = null) => {
     throw new NotFoundError('Track not found or unauthorized');
   }
 
+  // Versions are removed with the track (ON DELETE CASCADE); keep their files to delete
+  const { data: versions } = await supabaseAdmin
+    .from('track_audio_versions')
+    .select('audio_url')
+    .eq('track_id', trackId);
+
   // Delete from database
   const { error } = await supabaseAdmin.from('tracks').delete().eq('id', trackId);
 
@@ -372,17 +1097,18 @@ const deleteTrack = async (trackId, userId = null) => {
 
   // Delete files from storage
   await storageService.deleteFile(track.audio_url);
-  if (track.cover_url) {
-    await storageService.deleteFile(track.cover_url);
-  }
+  await imageService.deleteImage(track.cover_url, track.cover_variants);
+  await deleteFiles((versions || []).map(version => version.audio_url));
 };
 
 /**
- * Increment play count
+ * Increment play count and push the new count to the creator's event streams
+ * The count is only read back when the creator has a stream to receive it.
  * @param {string} trackId - Track ID
+ * @param {string} ownerId - Creator's user ID
  * @returns {Promise<void>}
  */
-const incrementPlayCount = async trackId => {
+const incrementPlayCount = async (trackId, ownerId) => {
   const { error } = await supabaseAdmin.rpc('increment_track_play_count', {
     track_id: trackId,
   });
@@ -391,6 +1117,23 @@ const incrementPlayCount = async trackId => {
     // eslint-disable-next-line no-console
     console.error('Error incrementing play count:', error);
     // Don't throw error, just log it
+    return;
+  }
+
+  if (!eventService.hasStream(ownerId)) return;
+
+  const { data: track } = await supabaseAdmin
+    .from('tracks')
+    .select('play_count')
+    .eq('id', trackId)
+    .maybeSingle();
+
+  if (track) {
+    eventService.publish(ownerId, EVENT_TYPES.COUNTER, {
+      content_type: CONTENT_TYPES.TRACK,
+      content_id: trackId,
+      play_count: track.play_count,
+    });
   }
 };
 
@@ -401,6 +1144,9 @@ module.exports = {
   searchTracks,
   getUserTracks,
   updateTrack,
+  setTrackActive,
+  getAudioVersions,
+  restoreAudioVersion,
   deleteTrack,
   incrementPlayCount,
 };
@@ -1,7 +1,20 @@
 const { supabaseAdmin } = require('../config/database');
-const { USER_STATUSES } = require('../utils/constants');
-const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const { SEARCH_TYPES, USER_ROLES, USER_STATUSES } = require('../utils/constants');
+const { AppError, NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
 const followService = require('./followService');
+const storageService = require('./storageService');
+const imageService = require('./imageService');
+const searchService = require('./searchService');
+const blockService = require('./blockService');
+
+// Stored avatar references on a user with nested profile (see storageService.resolveMediaUrls)
+const PROFILE_MEDIA_FIELDS = [
+  'profiles.avatar_url',
+  ...imageService.variantFields('profiles.avatar_variants'),
+];
+
+// Stored avatar references on a profile row
+const AVATAR_MEDIA_FIELDS = ['avatar_url', ...imageService.variantFields('avatar_variants')];
 
 /**
  * Get user by ID with profile information
@@ -23,6 +36,7 @@ const getUserById = async userId => {
         display_name,
         bio,
         avatar_url,
+        avatar_variants,
         artist_name,
         created_at
       )
@@ -38,7 +52,7 @@ const getUserById = async userId => {
     throw error;
   }
 
-  return data;
+  return storageService.resolveMediaUrls(data, PROFILE_MEDIA_FIELDS);
 };
 
 /**
@@ -55,6 +69,7 @@ const getUserByUsername = async username => {
       display_name,
       bio,
       avatar_url,
+      avatar_variants,
       artist_name,
       created_at,
       users (
@@ -76,17 +91,20 @@ const getUserByUsername = async username => {
     throw error;
   }
 
-  return {
+  const user = {
     ...data.users,
     profiles: {
       username: data.username,
       display_name: data.display_name,
       bio: data.bio,
       avatar_url: data.avatar_url,
+      avatar_variants: data.avatar_variants,
       artist_name: data.artist_name,
       created_at: data.created_at,
     },
   };
+
+  return storageService.resolveMediaUrls(user, PROFILE_MEDIA_FIELDS);
 };
 
 /**
@@ -124,26 +142,116 @@ const updateUserProfile = async (userId, profileData) => {
     throw error;
   }
 
+  return storageService.resolveMediaUrls(data, AVATAR_MEDIA_FIELDS);
+};
+
+/**
+ * Replace the user's avatar with a processed upload (see imageService)
+ * The previous avatar's files are deleted once the profile points at the new one.
+ * @param {string} userId - User ID
+ * @param {Object} source - { file } multipart image, or { path } direct upload
+ * @returns {Promise<Object>} Updated profile
+ */
+const updateAvatar = async (userId, source) => {
+  const { data: current } = await supabaseAdmin
+    .from('profiles')
+    .select('avatar_url, avatar_variants')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!current) {
+    throw new NotFoundError('User not found');
+  }
+
+  const avatar = source.file
+    ? await imageService.storeImage(source.file, userId, 'avatar')
+    : await imageService.storeUploadedImage(source.path, userId, 'avatar');
+
+  const { data, error } = await supabaseAdmin
+    .from('profiles')
+    .update({ avatar_url: avatar.path, avatar_variants: avatar.variants })
+    .eq('id', userId)
+    .select()
+    .single();
+
+  if (error) {
+    await imageService.deleteImage(avatar.path, avatar.variants);
+
+    // eslint-disable-next-line no-console
+    console.error('Error updating avatar:', error);
+    throw new AppError('Failed to update avatar', 500);
+  }
+
+  await imageService.deleteImage(current.avatar_url, current.avatar_variants);
+
+  return storageService.resolveMediaUrls(data, AVATAR_MEDIA_FIELDS);
+};
+
+/**
+ * Remove the user's avatar and delete its files
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Updated profile
+ */
+const removeAvatar = async userId => {
+  const { data: current } = await supabaseAdmin
+    .from('profiles')
+    .select('avatar_url, avatar_variants')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!current) {
+    throw new NotFoundError('User not found');
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('profiles')
+    .update({ avatar_url: null, avatar_variants: null })
+    .eq('id', userId)
+    .select()
+    .single();
+
+  if (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error removing avatar:', error);
+    throw new AppError('Failed to remove avatar', 500);
+  }
+
+  await imageService.deleteImage(current.avatar_url, current.avatar_variants);
+
   return data;
 };
 
 /**
- * Search users by username or artist name
+ * Search active users by username, artist or display name, best match first
+ * Users on either side of a block with the viewer are left out.
  * @param {string} query - Search query
- * @param {Object} options - Search options (limit, offset)
- * @returns {Promise<Array>} Array of matching users
+ * @param {Object} options - Search options (limit, offset, viewerId)
+ * @returns {Promise<Object>} { users, total } matching users and the total match count
  */
 const searchUsers = async (query, options = {}) => {
-  const { limit = 20, offset = 0 } = options;
+  const { limit = 20, offset = 0, viewerId = null } = options;
+  const blockedIds = await blockService.getBlockedIds(viewerId);
+
+  const { ids, total } = await searchService.findMatches(SEARCH_TYPES.USERS, query, {
+    limit,
+    offset,
+    excludeIds: [...blockedIds],
+  });
+
+  if (ids.length === 0) {
+    return { users: [], total };
+  }
 
   const { data, error } = await supabaseAdmin
     .from('profiles')
     .select(
       `
+      id,
       username,
       display_name,
       bio,
       avatar_url,
+      avatar_variants,
       artist_name,
       created_at,
       users!inner (
@@ -153,26 +261,30 @@ const searchUsers = async (query, options = {}) => {
       )
     `
     )
-    .or(`username.ilike.%${query}%,artist_name.ilike.%${query}%`)
-    .eq('users.status', USER_STATUSES.ACTIVE)
-    .range(offset, offset + limit - 1)
-    .order('created_at', { ascending: false });
+    .in('id', ids)
+    .eq('users.status', USER_STATUSES.ACTIVE);
 
   if (error) {
     throw error;
   }
 
-  return data.map(profile => ({
+  const users = searchService.orderByIds(data, ids).map(profile => ({
     ...profile.users,
     profiles: {
       username: profile.username,
       display_name: profile.display_name,
       bio: profile.bio,
       avatar_url: profile.avatar_url,
+      avatar_variants: profile.avatar_variants,
       artist_name: profile.artist_name,
       created_at: profile.created_at,
     },
   }));
+
+  return {
+    users: await storageService.resolveMediaUrls(users, PROFILE_MEDIA_FIELDS),
+    total,
+  };
 };
 
 /**
@@ -289,6 +401,7 @@ const getUserStats = async () => {
  * @param {string} userId - User ID
  * @param {string} viewerId - Optional viewer ID to check follow status
  * @returns {Promise<Object>} Public user profile with counts
+ * @throws {NotFoundError} If the user does not exist or is on either side of a block with the viewer
  */
 const getPublicProfile = async (userId, viewerId = null) => {
   const { data: user, error } = await supabaseAdmin
@@ -304,6 +417,7 @@ const getPublicProfile = async (userId, viewerId = null) => {
         display_name,
         bio,
         avatar_url,
+        avatar_variants,
         artist_name
       )
     `
@@ -318,6 +432,10 @@ const getPublicProfile = async (userId, viewerId = null) => {
     throw error;
   }
 
+  if (await blockService.isBlocked(viewerId, userId)) {
+    throw new NotFoundError('User not found');
+  }
+
   // Get follower/following counts
   const counts = await followService.getFollowCounts(userId);
 
@@ -327,6 +445,8 @@ const getPublicProfile = async (userId, viewerId = null) => {
     is_following = await followService.isFollowing(viewerId, userId);
   }
 
+  await storageService.resolveMediaUrls(user, PROFILE_MEDIA_FIELDS);
+
   return {
     ...user,
     ...counts,
@@ -334,14 +454,119 @@ const getPublicProfile = async (userId, viewerId = null) => {
   };
 };
 
+/**
+ * Derive a valid username candidate from OAuth provider metadata
+ * @param {Object} authUser - Supabase auth user
+ * @returns {string} Username (3-30 chars, letters, numbers and underscores)
+ */
+const deriveUsername = authUser => {
+  const metadata = authUser.user_metadata || {};
+  const source =
+    metadata.username ||
+    metadata.user_name ||
+    metadata.preferred_username ||
+    metadata.full_name ||
+    metadata.name ||
+    (authUser.email || '').split('@')[0] ||
+    '';
+
+  const base = source
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '')
+    .substring(0, 25);
+
+  return base.length >= 3 ? base : `user_${authUser.id.substring(0, 8)}`;
+};
+
+/**
+ * Check whether a username is already taken
+ * @param {string} username - Username to check
+ * @returns {Promise<boolean>} True if taken
+ */
+const isUsernameTaken = async username => {
+  const { data } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .eq('username', username)
+    .maybeSingle();
+
+  return !!data;
+};
+
+/**
+ * Ensure users/profiles rows exist for an auth user
+ * Mirrors the handle_new_user trigger used by email signup, so OAuth users
+ * end up as waitlisted listeners with a generated username. The provider's
+ * avatar URL is not copied: user_metadata is editable by the user, so it is
+ * no more trustworthy than an avatar_url sent to updateProfile. Avatars are
+ * set through updateAvatar.
+ * @param {Object} authUser - Supabase auth user
+ * @returns {Promise<Object>} { user, isNew }
+ */
+const ensureUserRecords = async authUser => {
+  const { data: existing } = await supabaseAdmin
+    .from('users')
+    .select('id, profiles (username)')
+    .eq('id', authUser.id)
+    .maybeSingle();
+
+  if (existing?.profiles) {
+    return { user: await getUserById(authUser.id), isNew: false };
+  }
+
+  if (!existing) {
+    const { error: userError } = await supabaseAdmin.from('users').upsert(
+      {
+        id: authUser.id,
+        role: USER_ROLES.LISTENER,
+        status: USER_STATUSES.WAITLISTED,
+      },
+      { onConflict: 'id', ignoreDuplicates: true }
+    );
+
+    if (userError) {
+      // eslint-disable-next-line no-console
+      console.error('Error creating user record:', userError);
+      throw new AppError('Failed to create user record', 500);
+    }
+  }
+
+  let username = deriveUsername(authUser);
+  for (let attempt = 0; attempt < 5 && (await isUsernameTaken(username)); attempt++) {
+    username = `${username.substring(0, 25)}_${Math.floor(1000 + Math.random() * 9000)}`;
+  }
+
+  const metadata = authUser.user_metadata || {};
+  const { error: profileError } = await supabaseAdmin.from('profiles').upsert(
+    {
+      id: authUser.id,
+      username,
+      display_name: metadata.display_name || metadata.full_name || metadata.name || username,
+    },
+    { onConflict: 'id', ignoreDuplicates: true }
+  );
+
+  if (profileError) {
+    // eslint-disable-next-line no-console
+    console.error('Error creating profile record:', profileError);
+    throw new AppError('Failed to create profile', 500);
+  }
+
+  return { user: await getUserById(authUser.id), isNew: true };
+};
+
 module.exports = {
   getUserById,
   getUserByUsername,
   updateUserProfile,
+  updateAvatar,
+  removeAvatar,
   searchUsers,
   getWaitlistedUsers,
   approveUsers,
   updateUserStatus,
   getUserStats,
   getPublicProfile,
+  ensureUserRecords,
 };
@@ -0,0 +1,279 @@
+/**
+ * Local filesystem storage driver
+ * Implements the storage driver interface (see config/storage.js) on a
+ * directory, for development and tests without Supabase. Files are served
+ * by routes/storage.js; signed URLs carry an HMAC of method, key and expiry.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { AppError, ValidationError } = require('../utils/errors');
+
+// Signed upload URLs are valid for 2 hours, like Supabase's
+const UPLOAD_URL_TTL_SECONDS = 2 * 60 * 60;
+
+// Content types by extension (the filesystem does not keep the upload's type)
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+};
+
+const encodeKey = key => key.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * Create a local filesystem storage driver
+ * @param {Object} options - { root, baseUrl, secret }
+ * @param {string} options.root - Directory files are stored in
+ * @param {string} options.baseUrl - URL that routes/storage.js is mounted at
+ * @param {string} options.secret - Key for signing URLs
+ * @returns {Object} Storage driver
+ */
+const createLocalDriver = ({ root, baseUrl, secret }) => {
+  const rootDir = path.resolve(root);
+  const base = baseUrl.replace(/\/+$/, '');
+
+  /**
+   * Map a key to a path inside the root directory
+   * @throws {ValidationError} If the key would escape the root
+   */
+  const resolvePath = key => {
+    const segments = typeof key === 'string' ? key.split('/') : [];
+    const valid =
+      segments.length > 0 &&
+      segments.every(segment => segment && segment !== '.' && segment !== '..') &&
+      !key.includes('\\') &&
+      !key.includes('\0');
+
+    if (!valid) {
+      throw new ValidationError('Invalid storage key');
+    }
+
+    return path.join(rootDir, ...segments);
+  };
+
+  const sign = (method, key, expires) =>
+    crypto.createHmac('sha256', secret).update(`${method}\n${key}\n${expires}`).digest('hex');
+
+  const signUrl = (method, key, expiresIn) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = sign(method, key, expires);
+    return {
+      url: `${base}/${encodeKey(key)}?expires=${expires}&signature=${signature}`,
+      signature,
+    };
+  };
+
+  const statFile = async key => {
+    try {
+      const stats = await fs.promises.stat(resolvePath(key));
+      return stats.isFile() ? stats : null;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+      throw error;
+    }
+  };
+
+  /**
+   * Write a stream to a key through a temporary file, so readers never see
+   * partial content
+   */
+  const writeFile = async (key, source, { upsert = false, maxSize = Infinity } = {}) => {
+    const target = resolvePath(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    if (!upsert && (await statFile(key))) {
+      throw new AppError('The resource already exists', 409);
+    }
+
+    const temp = path.join(
+      path.dirname(target),
+      `.${path.basename(target)}.${crypto.randomBytes(4).toString('hex')}.part`
+    );
+
+    let written = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        written += chunk.length;
+        callback(written > maxSize ? new ValidationError('File too large') : null, chunk);
+      },
+    });
+
+    try {
+      await pipeline(source, limit, fs.createWriteStream(temp, { flags: 'wx' }));
+      await fs.promises.rename(temp, target);
+    } catch (error) {
+      await fs.promises.rm(temp, { force: true });
+      throw error;
+    }
+
+    return key;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body, options = {}) {
+      return writeFile(key, [body], options);
+    },
+
+    async get(key, range = null) {
+      const filePath = resolvePath(key);
+      if (!(await statFile(key))) {
+        throw new AppError('Failed to read stored file', 500);
+      }
+
+      if (!range) return fs.promises.readFile(filePath);
+
+      const handle = await fs.promises.open(filePath, 'r');
+      try {
+        const buffer = Buffer.alloc(range.end - range.start + 1);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, range.start);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
+    },
+
+    async stream(key, range = null) {
+      if (!(await statFile(key))) {
+        throw new AppError('Failed to read stored file', 500);
+      }
+
+      return fs.createReadStream(resolvePath(key), range || {});
+    },
+
+    async info(key) {
+      const stats = await statFile(key);
+      if (!stats) return null;
+
+      return {
+        size: stats.size,
+        content_type: CONTENT_TYPES[path.extname(key).toLowerCase()] || null,
+        etag: `${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}`,
+        last_modified: stats.mtime.toISOString(),
+      };
+    },
+
+    async delete(keys) {
+      for (const key of keys) {
+        await fs.promises.rm(resolvePath(key), { force: true });
+      }
+    },
+
+    async move(fromKey, toKey) {
+      const target = resolvePath(toKey);
+
+      if (!(await statFile(fromKey))) {
+        throw new AppError('Failed to move file', 500);
+      }
+
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.rename(resolvePath(fromKey), target);
+    },
+
+    async list(prefix = '', options = {}) {
+      const { limit = 100, offset = 0 } = options;
+      const dir = prefix ? resolvePath(prefix) : rootDir;
+
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return [];
+        throw error;
+      }
+
+      const page = entries
+        // Temporary upload files are hidden
+        .filter(entry => !entry.name.startsWith('.'))
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .slice(offset, offset + limit);
+
+      return Promise.all(
+        page.map(async entry => {
+          const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+          const stats = entry.isDirectory() ? null : await statFile(key);
+
+          return {
+            name: entry.name,
+            key,
+            is_folder: entry.isDirectory(),
+            size: stats ? stats.size : null,
+            last_modified: stats ? stats.mtime.toISOString() : null,
+          };
+        })
+      );
+    },
+
+    publicUrl(key) {
+      return `${base}/${encodeKey(key)}`;
+    },
+
+    async signedUrls(keys, expiresIn) {
+      return Promise.all(
+        keys.map(async key => ((await statFile(key)) ? signUrl('GET', key, expiresIn).url : null))
+      );
+    },
+
+    async createSignedUpload(key) {
+      resolvePath(key);
+      const { url, signature } = signUrl('PUT', key, UPLOAD_URL_TTL_SECONDS);
+      return { key, url, token: signature };
+    },
+
+    keyFromUrl(fileUrl) {
+      if (typeof fileUrl !== 'string' || !fileUrl.startsWith(`${base}/`)) return null;
+
+      try {
+        return decodeURIComponent(fileUrl.slice(base.length + 1).split('?')[0]);
+      } catch {
+        return null;
+      }
+    },
+
+    /**
+     * Check a signed URL's query parameters
+     * @param {string} method - 'GET' or 'PUT'
+     * @param {string} key - Storage key
+     * @param {Object} query - { expires, signature }
+     * @returns {boolean} True if the signature is valid and not expired
+     */
+    verifySignature(method, key, query = {}) {
+      const expires = parseInt(query.expires);
+      if (!expires || expires < Date.now() / 1000 || typeof query.signature !== 'string') {
+        return false;
+      }
+
+      const expected = Buffer.from(sign(method, key, expires));
+      const actual = Buffer.from(query.signature);
+      return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    },
+
+    resolvePath,
+
+    /**
+     * Store a request body at a key (signed uploads)
+     * @param {string} key - Storage key
+     * @param {Readable} source - Body stream
+     * @param {number} maxSize - Largest accepted size in bytes
+     * @returns {Promise<string>} Key
+     */
+    async receive(key, source, maxSize) {
+      return writeFile(key, source, { maxSize });
+    },
+  };
+};
+
+module.exports = {
+  createLocalDriver,
+};
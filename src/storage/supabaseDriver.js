@@ -0,0 +1,203 @@
+/**
+ * Supabase Storage driver
+ * Implements the storage driver interface (see config/storage.js) on a
+ * single Supabase bucket.
+ */
+
+const { Readable } = require('stream');
+const { AppError } = require('../utils/errors');
+
+// Lifetime of the signed URLs used for server-side reads
+const READ_URL_TTL_SECONDS = 60;
+
+/**
+ * Create a Supabase Storage driver
+ * @param {Object} options - { client, bucket, url }
+ * @param {Object} options.client - Supabase client with service role access
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.url - Supabase project URL (used to recognise legacy URLs)
+ * @returns {Object} Storage driver
+ */
+const createSupabaseDriver = ({ client, bucket, url }) => {
+  const from = () => client.storage.from(bucket);
+  // eslint-disable-next-line no-undef
+  const origin = url ? new URL(url).origin : null;
+  // Public, signed and authenticated object URLs of this bucket
+  const escapedBucket = bucket.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const objectPath = new RegExp(
+    `^/storage/v1/object/(?:public|sign|authenticated)/${escapedBucket}/(.+)$`
+  );
+
+  /**
+   * Fetch an object, or a byte range of it, through a short-lived signed URL
+   */
+  const fetchObject = async (key, range = null) => {
+    const { data, error } = await from().createSignedUrl(key, READ_URL_TTL_SECONDS);
+
+    if (error) {
+      throw new AppError('Failed to read stored file', 500);
+    }
+
+    const response = await fetch(
+      data.signedUrl,
+      range ? { headers: { Range: `bytes=${range.start}-${range.end}` } } : undefined
+    );
+
+    if (!response.ok) {
+      throw new AppError('Failed to read stored file', 500);
+    }
+
+    return response;
+  };
+
+  return {
+    name: 'supabase',
+
+    async put(key, body, options = {}) {
+      const { data, error } = await from().upload(key, body, {
+        contentType: options.contentType,
+        cacheControl: options.cacheControl || '3600',
+        upsert: !!options.upsert,
+      });
+
+      if (error) {
+        // eslint-disable-next-line no-console
+        console.error('File upload error:', error);
+        throw new AppError('Failed to upload file', 500);
+      }
+
+      return data.path;
+    },
+
+    async get(key, range = null) {
+      const response = await fetchObject(key, range);
+      const bytes = Buffer.from(await response.arrayBuffer());
+
+      if (!range || response.status === 206) {
+        return range ? bytes.subarray(0, range.end - range.start + 1) : bytes;
+      }
+
+      // Range was ignored and the whole object came back
+      return bytes.subarray(range.start, range.end + 1);
+    },
+
+    async stream(key, range = null) {
+      const response = await fetchObject(key, range);
+
+      if (range && response.status !== 206) {
+        throw new AppError('Storage did not honour the requested range', 502);
+      }
+
+      return Readable.fromWeb(response.body);
+    },
+
+    async info(key) {
+      const { data: info, error } = await from().info(key);
+
+      if (error || !info) {
+        return null;
+      }
+
+      return {
+        size: info.size ?? info.metadata?.size,
+        content_type: info.contentType || info.metadata?.mimetype || null,
+        etag: info.etag || info.metadata?.eTag || null,
+        last_modified: info.lastModified || info.updatedAt || null,
+      };
+    },
+
+    async delete(keys) {
+      const { error } = await from().remove(keys);
+
+      if (error) {
+        // eslint-disable-next-line no-console
+        console.error('File deletion error:', error);
+        throw new AppError('Failed to delete file', 500);
+      }
+    },
+
+    async move(fromKey, toKey) {
+      const { error } = await from().move(fromKey, toKey);
+
+      if (error) {
+        // eslint-disable-next-line no-console
+        console.error('File move error:', error);
+        throw new AppError('Failed to move file', 500);
+      }
+    },
+
+    async list(prefix = '', options = {}) {
+      const { limit = 100, offset = 0 } = options;
+      const { data, error } = await from().list(prefix, {
+        limit,
+        offset,
+        sortBy: { column: 'name', order: 'asc' },
+      });
+
+      if (error) {
+        // eslint-disable-next-line no-console
+        console.error('File list error:', error);
+        throw new AppError('Failed to list files', 500);
+      }
+
+      return data.map(entry => ({
+        name: entry.name,
+        key: prefix ? `${prefix}/${entry.name}` : entry.name,
+        // Folders are returned as placeholders without an ID
+        is_folder: !entry.id,
+        size: entry.metadata?.size ?? null,
+        last_modified: entry.updated_at || entry.created_at || null,
+      }));
+    },
+
+    publicUrl(key) {
+      return from().getPublicUrl(key).data.publicUrl;
+    },
+
+    async signedUrls(keys, expiresIn) {
+      const { data, error } = await from().createSignedUrls(keys, expiresIn);
+
+      if (error) {
+        // eslint-disable-next-line no-console
+        console.error('Signed media URL error:', error);
+        throw new AppError('Failed to resolve media URLs', 500);
+      }
+
+      const urls = new Map(
+        data.map(signed => [signed.path, signed.error ? null : signed.signedUrl])
+      );
+      return keys.map(key => urls.get(key) ?? null);
+    },
+
+    async createSignedUpload(key) {
+      const { data, error } = await from().createSignedUploadUrl(key);
+
+      if (error) {
+        // eslint-disable-next-line no-console
+        console.error('Signed upload URL error:', error);
+        throw new AppError('Failed to create upload URL', 500);
+      }
+
+      return { key: data.path, url: data.signedUrl, token: data.token };
+    },
+
+    keyFromUrl(fileUrl) {
+      let parsed;
+      try {
+        // eslint-disable-next-line no-undef
+        parsed = new URL(fileUrl);
+      } catch {
+        return null;
+      }
+
+      if (origin && parsed.origin !== origin) return null;
+
+      const match = objectPath.exec(parsed.pathname);
+      return match ? decodeURIComponent(match[1]) : null;
+    },
+  };
+};
+
+module.exports = {
+  createSupabaseDriver,
+};
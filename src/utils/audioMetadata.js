@@ -0,0 +1,753 @@
+/**
+ * Audio metadata extraction (pure JavaScript)
+ * Reads duration, bitrate, sample rate, channels, basic tags and embedded
+ * cover art from MP3 (ID3v2/ID3v1 + Xing/VBRI), WAV (RIFF) and OGG
+ * (Vorbis/Opus comments) buffers. Stored files are read by range: the head
+ * holds the headers and tags, the tail holds ID3v1 and the last Ogg page.
+ */
+
+// Audio frames/pages read after the ID3v2 tag (first frame search, Ogg headers)
+const HEAD_BYTES = 1024 * 1024;
+
+// End of file read for ID3v1 and the last Ogg page (pages are at most ~64KB)
+const TAIL_BYTES = 128 * 1024;
+
+// Largest ID3v2 tag we are willing to read (cover art included)
+const MAX_ID3_SIZE = 16 * 1024 * 1024;
+
+// ID3v1 genre list (index -> name), used for numeric TCON values
+// prettier-ignore
+const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+  'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+  'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+  'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40',
+  'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave',
+  'Psychadelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk',
+  'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+];
+
+// MPEG audio bitrates in kbps, indexed by [version][layer][index]
+const MPEG_BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+const MPEG_SAMPLE_RATES = [44100, 48000, 32000];
+
+// ID3v2 frames we read, keyed by v2.3/v2.4 and v2.2 IDs
+const ID3_TEXT_FRAMES = {
+  TIT2: 'title',
+  TT2: 'title',
+  TPE1: 'artist',
+  TP1: 'artist',
+  TCON: 'genre',
+  TCO: 'genre',
+};
+
+/**
+ * Partial view of a file: its leading and trailing bytes
+ * A whole buffer is both the head and the tail.
+ * @param {Buffer} head - Leading bytes
+ * @param {Buffer} tail - Trailing bytes
+ * @param {number} size - File size in bytes
+ * @returns {Object} { head, tail, size, slice(start, end) }
+ */
+const createView = (head, tail, size) => ({
+  head,
+  tail,
+  size,
+  // Bytes [start, end) if the head or tail holds them, otherwise null
+  slice: (start, end) => {
+    if (end <= head.length) return head.subarray(start, end);
+
+    const tailStart = size - tail.length;
+    return start >= tailStart ? tail.subarray(start - tailStart, end - tailStart) : null;
+  },
+});
+
+/**
+ * Decode an ID3v2 / Vorbis text value
+ * @param {Buffer} buffer - Encoded text
+ * @param {number} encoding - ID3 text encoding byte (0 latin1, 1 UTF-16, 2 UTF-16BE, 3 UTF-8)
+ * @returns {string} Decoded text without trailing nulls
+ */
+const decodeText = (buffer, encoding) => {
+  let text;
+
+  if (encoding === 1 || encoding === 2) {
+    let data = buffer;
+    let bigEndian = encoding === 2;
+
+    if (data.length >= 2 && data[0] === 0xfe && data[1] === 0xff) {
+      bigEndian = true;
+      data = data.subarray(2);
+    } else if (data.length >= 2 && data[0] === 0xff && data[1] === 0xfe) {
+      bigEndian = false;
+      data = data.subarray(2);
+    }
+
+    data = Buffer.from(data.subarray(0, data.length - (data.length % 2)));
+    if (bigEndian) data.swap16();
+    text = data.toString('utf16le');
+  } else {
+    text = buffer.toString(encoding === 3 ? 'utf8' : 'latin1');
+  }
+
+  // ID3v2.4 separates multiple values with nulls; keep the first
+  return text.split('\u0000')[0].trim();
+};
+
+/**
+ * Find the end of a null-terminated string in an ID3 frame
+ * @param {Buffer} buffer - Frame data
+ * @param {number} start - Start offset
+ * @param {number} encoding - ID3 text encoding byte
+ * @returns {number} Offset of the terminator (or buffer length)
+ */
+const findTerminator = (buffer, start, encoding) => {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = start; i + 1 < buffer.length; i += 2) {
+      if (buffer[i] === 0 && buffer[i + 1] === 0) return i;
+    }
+    return buffer.length;
+  }
+
+  const index = buffer.indexOf(0, start);
+  return index === -1 ? buffer.length : index;
+};
+
+/**
+ * Resolve ID3 genre references like "(17)", "17" or "(17)Rock"
+ * @param {string} genre - Raw TCON value
+ * @returns {string|null} Genre name
+ */
+const normalizeGenre = genre => {
+  if (!genre) return null;
+
+  const match = genre.match(/^\((\d+)\)(.*)$/) || genre.match(/^(\d+)()$/);
+  if (match) {
+    return match[2].trim() || ID3_GENRES[parseInt(match[1])] || null;
+  }
+
+  return genre;
+};
+
+/**
+ * Read a 28-bit syncsafe integer
+ */
+const readSyncsafe = (buffer, offset) =>
+  (buffer[offset] << 21) |
+  (buffer[offset + 1] << 14) |
+  (buffer[offset + 2] << 7) |
+  buffer[offset + 3];
+
+/**
+ * Parse an ID3v2 APIC (v2.3/v2.4) or PIC (v2.2) frame
+ * @param {Buffer} data - Frame data
+ * @param {boolean} legacy - Whether this is a v2.2 PIC frame
+ * @returns {Object|null} { mimetype, type, buffer }
+ */
+const parsePictureFrame = (data, legacy) => {
+  const encoding = data[0];
+  let offset = 1;
+  let mimetype;
+
+  if (legacy) {
+    const format = data.toString('latin1', 1, 4).toUpperCase();
+    mimetype = format === 'PNG' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const end = findTerminator(data, offset, 0);
+    mimetype = data.toString('latin1', offset, end).toLowerCase() || 'image/jpeg';
+    offset = end + 1;
+  }
+
+  const type = data[offset];
+  offset += 1;
+
+  const descriptionEnd = findTerminator(data, offset, encoding);
+  offset = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+
+  if (offset >= data.length) return null;
+
+  if (mimetype === 'image/jpg') mimetype = 'image/jpeg';
+  if (!mimetype.includes('/')) mimetype = `image/${mimetype}`;
+
+  return { mimetype, type, buffer: Buffer.from(data.subarray(offset)) };
+};
+
+/**
+ * Parse an ID3v2 tag at the start of a buffer
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { size, tags, picture }
+ */
+const parseId3v2 = buffer => {
+  const result = { size: 0, tags: {}, picture: null };
+
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return result;
+  }
+
+  const version = buffer[3];
+  const flags = buffer[5];
+  const footer = version === 4 && flags & 0x10 ? 10 : 0;
+  result.size = 10 + readSyncsafe(buffer, 6) + footer;
+
+  let tag = buffer.subarray(10, Math.min(buffer.length, result.size - footer));
+
+  // Whole-tag unsynchronisation (v2.2/v2.3): 0xFF 0x00 -> 0xFF
+  if (flags & 0x80 && version < 4) {
+    const bytes = [];
+    for (let i = 0; i < tag.length; i++) {
+      bytes.push(tag[i]);
+      if (tag[i] === 0xff && tag[i + 1] === 0x00) i++;
+    }
+    tag = Buffer.from(bytes);
+  }
+
+  let offset = 0;
+
+  // Skip extended header
+  if (flags & 0x40 && version >= 3 && tag.length >= 4) {
+    offset = version === 4 ? readSyncsafe(tag, 0) : tag.readUInt32BE(0) + 4;
+  }
+
+  const legacy = version === 2;
+  const headerSize = legacy ? 6 : 10;
+  let cover = null;
+
+  while (offset + headerSize <= tag.length) {
+    const id = tag.toString('latin1', offset, offset + (legacy ? 3 : 4));
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+    let frameSize;
+    if (legacy) {
+      frameSize = (tag[offset + 3] << 16) | (tag[offset + 4] << 8) | tag[offset + 5];
+    } else if (version === 4) {
+      frameSize = readSyncsafe(tag, offset + 4);
+    } else {
+      frameSize = tag.readUInt32BE(offset + 4);
+    }
+
+    const start = offset + headerSize;
+    const end = start + frameSize;
+    if (frameSize <= 0 || end > tag.length) break;
+
+    const data = tag.subarray(start, end);
+    const field = ID3_TEXT_FRAMES[id];
+
+    if (field && !result.tags[field]) {
+      result.tags[field] = decodeText(data.subarray(1), data[0]) || undefined;
+    } else if (id === 'APIC' || id === 'PIC') {
+      const picture = parsePictureFrame(data, legacy);
+      // Prefer the front cover (type 3), otherwise keep the first picture
+      if (picture && (!cover || (picture.type === 3 && cover.type !== 3))) {
+        cover = picture;
+      }
+    }
+
+    offset = end;
+  }
+
+  if (result.tags.genre) result.tags.genre = normalizeGenre(result.tags.genre);
+  if (cover) result.picture = { mimetype: cover.mimetype, buffer: cover.buffer };
+
+  return result;
+};
+
+/**
+ * Parse an ID3v1 tag at the end of a buffer
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} Tags, or null if there is no ID3v1 tag
+ */
+const parseId3v1 = buffer => {
+  if (buffer.length < 128) return null;
+
+  const tag = buffer.subarray(buffer.length - 128);
+  if (tag.toString('latin1', 0, 3) !== 'TAG') return null;
+
+  const read = (start, length) => decodeText(tag.subarray(start, start + length), 0);
+
+  return {
+    title: read(3, 30) || undefined,
+    artist: read(33, 30) || undefined,
+    genre: ID3_GENRES[tag[127]],
+  };
+};
+
+/**
+ * Parse an MPEG audio frame header
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Header offset
+ * @returns {Object|null} Frame info or null if the bytes are not a valid header
+ */
+const parseFrameHeader = (buffer, offset) => {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = buffer[offset + 3] >> 6;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15) {
+    return null;
+  }
+  if (sampleRateIndex === 3) return null;
+
+  const version = versionBits === 3 ? 1 : 2; // 2.5 uses the MPEG-2 tables
+  const layer = 4 - layerBits;
+  const bitrate = MPEG_BITRATES[version][layer][bitrateIndex];
+  const sampleRate =
+    MPEG_SAMPLE_RATES[sampleRateIndex] / (versionBits === 3 ? 1 : versionBits === 2 ? 2 : 4);
+
+  let samplesPerFrame = 1152;
+  if (layer === 1) samplesPerFrame = 384;
+  else if (layer === 3 && version === 2) samplesPerFrame = 576;
+
+  const frameLength =
+    layer === 1
+      ? Math.floor((12 * bitrate * 1000) / sampleRate + padding) * 4
+      : Math.floor((samplesPerFrame / 8) * ((bitrate * 1000) / sampleRate)) + padding;
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    channels: channelMode === 3 ? 1 : 2,
+    samplesPerFrame,
+    frameLength,
+  };
+};
+
+/**
+ * Find the first valid MPEG frame at or after an offset
+ * A candidate must be followed by another frame header (unless at end of data)
+ * @param {Buffer} buffer - File contents
+ * @param {number} start - Offset to start searching
+ * @returns {Object|null} { offset, frame }
+ */
+const findFirstFrame = (buffer, start) => {
+  const limit = Math.min(buffer.length - 4, start + 64 * 1024);
+
+  for (let offset = start; offset <= limit; offset++) {
+    const frame = parseFrameHeader(buffer, offset);
+    if (!frame || frame.frameLength <= 0) continue;
+
+    const next = offset + frame.frameLength;
+    if (next + 4 > buffer.length || parseFrameHeader(buffer, next)) {
+      return { offset, frame };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Drop undefined/empty tag values
+ */
+const stripEmpty = tags => Object.fromEntries(Object.entries(tags).filter(([, value]) => value));
+
+/**
+ * Parse MP3 metadata
+ * @param {Object} view - File view (see createView)
+ * @returns {Object|null} Metadata
+ */
+const parseMp3 = view => {
+  const buffer = view.head;
+  const id3 = parseId3v2(buffer);
+  const id3v1 = parseId3v1(view.tail);
+  const first = findFirstFrame(buffer, id3.size);
+
+  if (!first) return null;
+
+  const { offset, frame } = first;
+  const audioEnd = view.size - (id3v1 ? 128 : 0);
+  let audioBytes = audioEnd - offset;
+  let duration = null;
+  let bitrate = frame.bitrate;
+
+  // Xing/Info header (VBR, or CBR written by LAME)
+  const sideInfo =
+    frame.version === 1 ? (frame.channels === 1 ? 17 : 32) : frame.channels === 1 ? 9 : 17;
+  const xingOffset = offset + 4 + sideInfo;
+  const xingId = buffer.toString('latin1', xingOffset, xingOffset + 4);
+  const vbriOffset = offset + 36;
+
+  let frameCount = null;
+
+  if ((xingId === 'Xing' || xingId === 'Info') && xingOffset + 8 <= buffer.length) {
+    const flags = buffer.readUInt32BE(xingOffset + 4);
+    let cursor = xingOffset + 8;
+
+    if (flags & 0x01 && cursor + 4 <= buffer.length) {
+      frameCount = buffer.readUInt32BE(cursor);
+      cursor += 4;
+    }
+    if (flags & 0x02 && cursor + 4 <= buffer.length) {
+      audioBytes = buffer.readUInt32BE(cursor) || audioBytes;
+    }
+  } else if (
+    buffer.toString('latin1', vbriOffset, vbriOffset + 4) === 'VBRI' &&
+    vbriOffset + 18 <= buffer.length
+  ) {
+    audioBytes = buffer.readUInt32BE(vbriOffset + 10) || audioBytes;
+    frameCount = buffer.readUInt32BE(vbriOffset + 14);
+  }
+
+  if (frameCount) {
+    duration = (frameCount * frame.samplesPerFrame) / frame.sampleRate;
+    bitrate = Math.round((audioBytes * 8) / duration / 1000);
+  } else {
+    duration = (audioBytes * 8) / (frame.bitrate * 1000);
+  }
+
+  const tags = { ...(id3v1 || {}), ...stripEmpty(id3.tags) };
+
+  return {
+    format: 'mp3',
+    duration,
+    bitrate,
+    sample_rate: frame.sampleRate,
+    channels: frame.channels,
+    title: tags.title || null,
+    artist: tags.artist || null,
+    genre: tags.genre || null,
+    picture: id3.picture,
+  };
+};
+
+/**
+ * Parse RIFF LIST/INFO tags
+ * @param {Buffer} chunk - LIST chunk data (after the list type)
+ * @returns {Object} Tags
+ */
+const parseRiffInfo = chunk => {
+  const fields = { INAM: 'title', IART: 'artist', IGNR: 'genre' };
+  const tags = {};
+  let offset = 0;
+
+  while (offset + 8 <= chunk.length) {
+    const id = chunk.toString('latin1', offset, offset + 4);
+    const size = chunk.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (fields[id]) {
+      tags[fields[id]] = decodeText(chunk.subarray(start, start + size), 3) || undefined;
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  return tags;
+};
+
+/**
+ * Parse WAV metadata
+ * Chunks outside the head and tail (the sample data) are skipped by size.
+ * @param {Object} view - File view (see createView)
+ * @returns {Object|null} Metadata
+ */
+const parseWav = view => {
+  let offset = 12;
+  let fmt = null;
+  let dataSize = null;
+  let tags = {};
+
+  while (offset + 8 <= view.size) {
+    const header = view.slice(offset, offset + 8);
+    if (!header) break;
+
+    const id = header.toString('latin1', 0, 4);
+    const size = header.readUInt32LE(4);
+    const start = offset + 8;
+    const end = Math.min(view.size, start + size);
+
+    if (id === 'fmt ') {
+      const chunk = view.slice(start, start + 16);
+      if (chunk && chunk.length === 16) {
+        fmt = {
+          channels: chunk.readUInt16LE(2),
+          sampleRate: chunk.readUInt32LE(4),
+          byteRate: chunk.readUInt32LE(8),
+        };
+      }
+    } else if (id === 'data') {
+      // Streamed WAVs may report 0 or 0xFFFFFFFF; use what is actually there
+      dataSize = Math.min(size || Infinity, view.size - start);
+    } else if (id === 'LIST') {
+      const chunk = view.slice(start, end);
+      if (chunk && chunk.toString('latin1', 0, 4) === 'INFO') {
+        tags = parseRiffInfo(chunk.subarray(4));
+      }
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  if (!fmt || !fmt.byteRate) return null;
+
+  return {
+    format: 'wav',
+    duration: dataSize !== null ? dataSize / fmt.byteRate : null,
+    bitrate: Math.round((fmt.byteRate * 8) / 1000),
+    sample_rate: fmt.sampleRate,
+    channels: fmt.channels,
+    title: tags.title || null,
+    artist: tags.artist || null,
+    genre: tags.genre || null,
+    picture: null,
+  };
+};
+
+/**
+ * Split the start of an Ogg stream into packets
+ * @param {Buffer} buffer - File contents
+ * @param {number} maxPackets - Number of packets to collect
+ * @returns {Array<Buffer>} Packets
+ */
+const readOggPackets = (buffer, maxPackets) => {
+  const packets = [];
+  let pending = [];
+  let offset = 0;
+
+  while (offset + 27 <= buffer.length && packets.length < maxPackets) {
+    if (buffer.toString('latin1', offset, offset + 4) !== 'OggS') break;
+
+    const segmentCount = buffer[offset + 26];
+    const tableStart = offset + 27;
+    let dataOffset = tableStart + segmentCount;
+
+    for (let i = 0; i < segmentCount && packets.length < maxPackets; i++) {
+      const length = buffer[tableStart + i];
+      pending.push(buffer.subarray(dataOffset, dataOffset + length));
+      dataOffset += length;
+
+      if (length < 255) {
+        packets.push(Buffer.concat(pending));
+        pending = [];
+      }
+    }
+
+    offset = dataOffset;
+  }
+
+  return packets;
+};
+
+/**
+ * Parse a FLAC picture block (used by METADATA_BLOCK_PICTURE)
+ * @param {Buffer} block - Picture block
+ * @returns {Object|null} { mimetype, type, buffer }
+ */
+const parseFlacPicture = block => {
+  if (block.length < 32) return null;
+
+  const type = block.readUInt32BE(0);
+  const mimeLength = block.readUInt32BE(4);
+  const mimetype = block.toString('latin1', 8, 8 + mimeLength);
+  const descriptionLength = block.readUInt32BE(8 + mimeLength);
+  const dataOffset = 8 + mimeLength + 4 + descriptionLength + 16;
+  const dataLength = block.readUInt32BE(dataOffset);
+
+  return {
+    mimetype,
+    type,
+    buffer: Buffer.from(block.subarray(dataOffset + 4, dataOffset + 4 + dataLength)),
+  };
+};
+
+/**
+ * Parse a Vorbis comment block
+ * @param {Buffer} packet - Comment packet with the codec prefix removed
+ * @returns {Object} { tags, picture }
+ */
+const parseVorbisComments = packet => {
+  const tags = {};
+  let picture = null;
+
+  const vendorLength = packet.readUInt32LE(0);
+  let offset = 4 + vendorLength;
+  const count = packet.readUInt32LE(offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= packet.length; i++) {
+    const length = packet.readUInt32LE(offset);
+    const comment = packet.toString('utf8', offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    const separator = comment.indexOf('=');
+    if (separator === -1) continue;
+
+    const key = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1).trim();
+
+    if (key === 'TITLE' && !tags.title) tags.title = value;
+    else if (key === 'ARTIST' && !tags.artist) tags.artist = value;
+    else if (key === 'GENRE' && !tags.genre) tags.genre = value;
+    else if (key === 'METADATA_BLOCK_PICTURE') {
+      const candidate = parseFlacPicture(Buffer.from(value, 'base64'));
+      if (candidate && (!picture || (candidate.type === 3 && picture.type !== 3))) {
+        picture = candidate;
+      }
+    }
+  }
+
+  return {
+    tags,
+    picture: picture ? { mimetype: picture.mimetype, buffer: picture.buffer } : null,
+  };
+};
+
+/**
+ * Parse OGG (Vorbis or Opus) metadata
+ * @param {Object} view - File view (see createView)
+ * @returns {Object|null} Metadata
+ */
+const parseOgg = view => {
+  const [identification, comments] = readOggPackets(view.head, 2);
+  if (!identification) return null;
+
+  let channels;
+  let sampleRate;
+  let granuleRate;
+  let preSkip = 0;
+  let nominalBitrate = 0;
+  let commentData = null;
+
+  if (identification.toString('latin1', 0, 7) === '\u0001vorbis') {
+    channels = identification[11];
+    sampleRate = identification.readUInt32LE(12);
+    granuleRate = sampleRate;
+    nominalBitrate = identification.readInt32LE(20);
+    if (comments && comments.toString('latin1', 0, 7) === '\u0003vorbis') {
+      commentData = comments.subarray(7);
+    }
+  } else if (identification.toString('latin1', 0, 8) === 'OpusHead') {
+    channels = identification[9];
+    preSkip = identification.readUInt16LE(10);
+    sampleRate = identification.readUInt32LE(12) || 48000;
+    granuleRate = 48000; // Opus granule positions are always 48kHz
+    if (comments && comments.toString('latin1', 0, 8) === 'OpusTags') {
+      commentData = comments.subarray(8);
+    }
+  } else {
+    return null;
+  }
+
+  // Duration comes from the granule position of the last page
+  let duration = null;
+  const lastPage = view.tail.lastIndexOf('OggS');
+  if (lastPage !== -1 && lastPage + 14 <= view.tail.length) {
+    const granule = Number(view.tail.readBigInt64LE(lastPage + 6));
+    if (granule > 0) duration = Math.max(0, granule - preSkip) / granuleRate;
+  }
+
+  let bitrate = nominalBitrate > 0 ? Math.round(nominalBitrate / 1000) : null;
+  if (!bitrate && duration) bitrate = Math.round((view.size * 8) / duration / 1000);
+
+  let parsed = { tags: {}, picture: null };
+  if (commentData) {
+    try {
+      parsed = parseVorbisComments(commentData);
+    } catch {
+      // Ignore malformed comment headers
+    }
+  }
+
+  return {
+    format: 'ogg',
+    duration,
+    bitrate,
+    sample_rate: sampleRate,
+    channels,
+    title: parsed.tags.title || null,
+    artist: parsed.tags.artist || null,
+    genre: parsed.tags.genre || null,
+    picture: parsed.picture,
+  };
+};
+
+/**
+ * Detect the format of a file view and parse it
+ * @param {Object} view - File view (see createView)
+ * @returns {Object|null} Metadata
+ */
+const parseView = view => {
+  const { head } = view;
+  if (head.length < 12) return null;
+
+  try {
+    if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WAVE') {
+      return parseWav(view);
+    }
+
+    if (head.toString('latin1', 0, 4) === 'OggS') {
+      return parseOgg(view);
+    }
+
+    return parseMp3(view);
+  } catch {
+    // Truncated or corrupt files: treat as unknown
+    return null;
+  }
+};
+
+/**
+ * Extract metadata from an audio buffer
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { format, duration, bitrate, sample_rate, channels, title, artist,
+ *   genre, picture: { mimetype, buffer } | null }, or null if the format is not recognised
+ */
+const parseAudioMetadata = buffer => {
+  if (!Buffer.isBuffer(buffer)) return null;
+  return parseView(createView(buffer, buffer, buffer.length));
+};
+
+/**
+ * Extract metadata from a stored audio file without downloading it in full
+ * Reads the ID3v2 tag plus HEAD_BYTES from the start and TAIL_BYTES from the end.
+ * @param {Object} source - { size, read(offset, length) } range reader
+ * @returns {Promise<Object|null>} Same shape as parseAudioMetadata
+ */
+const readAudioMetadata = async source => {
+  if (!source || source.size < 12) return null;
+
+  const start = await source.read(0, 10);
+  let headLength = HEAD_BYTES;
+
+  if (start.length === 10 && start.toString('latin1', 0, 3) === 'ID3') {
+    const footer = start[3] === 4 && start[5] & 0x10 ? 10 : 0;
+    headLength += Math.min(10 + readSyncsafe(start, 6) + footer, MAX_ID3_SIZE);
+  }
+
+  if (headLength + TAIL_BYTES >= source.size) {
+    return parseAudioMetadata(await source.read(0, source.size));
+  }
+
+  const head = await source.read(0, headLength);
+  const tail = await source.read(source.size - TAIL_BYTES, TAIL_BYTES);
+
+  return parseView(createView(head, tail, source.size));
+};
+
+module.exports = {
+  parseAudioMetadata,
+  readAudioMetadata,
+};
@@ -19,27 +19,30 @@ const APPLICATION_STATUSES = {
   REJECTED: 'rejected',
 };
 
-// Content types for likes
+// Content types for likes and comments
 const CONTENT_TYPES = {
   TRACK: 'track',
   REEL: 'reel',
 };
 
-// File upload limits
+// File upload limits (single source for multer, storage and direct uploads)
 const FILE_LIMITS = {
   AUDIO: {
-    MAX_SIZE: 15 * 1024 * 1024, // 15MB
-    ALLOWED_TYPES: ['audio/mpeg', 'audio/mp3'],
-    ALLOWED_EXTENSIONS: ['.mp3'],
+    MAX_SIZE: 50 * 1024 * 1024, // 50MB
+    ALLOWED_TYPES: ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg'],
+    ALLOWED_EXTENSIONS: ['.mp3', '.wav', '.ogg'],
   },
   VIDEO: {
-    MAX_SIZE: 50 * 1024 * 1024, // 50MB
+    MAX_SIZE: 100 * 1024 * 1024, // 100MB
     MAX_DURATION: 60, // 60 seconds
-    ALLOWED_TYPES: ['video/mp4'],
-    ALLOWED_EXTENSIONS: ['.mp4'],
+    ALLOWED_TYPES: ['video/mp4', 'video/webm'],
+    ALLOWED_EXTENSIONS: ['.mp4', '.webm'],
   },
   IMAGE: {
     MAX_SIZE: 5 * 1024 * 1024, // 5MB
+    MAX_PIXELS: 40 * 1000 * 1000, // decoded width x height
+    MAX_DIMENSION: 2048, // longest side of the stored image
+    VARIANT_SIZES: { small: 150, medium: 300, large: 600 }, // square thumbnails, by response key
     ALLOWED_TYPES: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
     ALLOWED_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.webp'],
   },
@@ -52,16 +55,235 @@ const PAGINATION = {
   MAX_LIMIT: 100,
 };
 
+// Track metadata limits
+const TRACK_LIMITS = {
+  TITLE_MAX_LENGTH: 200,
+  ARTIST_MAX_LENGTH: 200,
+  GENRE_MAX_LENGTH: 100,
+  DESCRIPTION_MAX_LENGTH: 2000,
+  LYRICS_MAX_LENGTH: 20000,
+  MAX_CREDITS: 50,
+  CREDIT_MAX_LENGTH: 100, // per name and role
+  MAX_AUDIO_VERSIONS: 5, // replaced audio files kept per track
+};
+
+// Admin-curated taxonomy vocabularies
+const TAXONOMY_KINDS = {
+  GENRE: 'genre',
+  MOOD: 'mood',
+};
+
+// Where a content tag came from
+const TAG_SOURCES = {
+  CREATOR: 'creator', // set by the track's creator
+  CAPTION: 'caption', // hashtag in a reel caption
+};
+
+// Taxonomy limits
+const TAXONOMY_LIMITS = {
+  TERM_NAME_MAX_LENGTH: 50,
+  MAX_GENRES: 3, // per track
+  MAX_MOODS: 5, // per track
+  MAX_TAGS: 10, // creator tags per track, hashtags per reel
+  TAG_MIN_LENGTH: 2,
+  TAG_MAX_LENGTH: 30,
+  TRENDING_DEFAULT_DAYS: 7,
+  TRENDING_MAX_DAYS: 90,
+};
+
+// Playlist limits
+const PLAYLIST_LIMITS = {
+  NAME_MAX_LENGTH: 100,
+  DESCRIPTION_MAX_LENGTH: 1000,
+  MAX_TRACKS: 500,
+};
+
+// Comment limits
+const COMMENT_LIMITS = {
+  BODY_MAX_LENGTH: 1000,
+};
+
+// Search result groups (GET /api/search?type=)
+const SEARCH_TYPES = {
+  TRACKS: 'tracks',
+  USERS: 'users',
+  REELS: 'reels',
+};
+
+// Search limits
+const SEARCH_LIMITS = {
+  MIN_QUERY_LENGTH: 2,
+  MAX_QUERY_LENGTH: 100,
+  MAX_TERMS: 8,
+  GROUP_LIMIT: 5,
+  SUGGEST_LIMIT: 8,
+  SUGGEST_MAX_LIMIT: 20,
+  HISTORY_LIMIT: 20,
+};
+
+// Feed limits
+const FEED_LIMITS = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+};
+
+// Reel feed orderings (GET /api/reels/feed?mode=)
+const REEL_FEED_MODES = {
+  LATEST: 'latest',
+  FAIR: 'fair',
+};
+
+// Fair-discovery feed rules
+const FAIR_FEED = {
+  WINDOW_DAYS: 30, // only reels this recent are rotated
+  POOL_SIZE: 500, // newest reels considered per session
+  MAX_PER_CREATOR: 2, // reels per creator on one page
+  BOOSTED_SHARE: 0.3, // share of each page reserved for boosted creators
+  SMALL_CREATOR_FOLLOWERS: 100, // creators below this follower count are boosted
+  NEW_CREATOR_DAYS: 30, // creators approved this recently are boosted
+};
+
+// Notification types
+const NOTIFICATION_TYPES = {
+  FOLLOW: 'follow',
+  LIKE: 'like',
+  APPLICATION_APPROVED: 'application_approved',
+  APPLICATION_REJECTED: 'application_rejected',
+};
+
+// Notification limits
+const NOTIFICATION_LIMITS = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  GROUP_WINDOW_MINUTES: 24 * 60, // unread notifications for the same target are grouped this long
+};
+
+// A participant's view of a direct message conversation
+const CONVERSATION_STATUSES = {
+  ACCEPTED: 'accepted',
+  REQUEST: 'request', // started by someone the participant does not follow
+  DECLINED: 'declined',
+};
+
+// Direct message folders (GET /api/messages/conversations?folder=)
+const CONVERSATION_FOLDERS = {
+  INBOX: 'inbox',
+  REQUESTS: 'requests',
+};
+
+// Direct message limits
+const MESSAGE_LIMITS = {
+  BODY_MAX_LENGTH: 2000,
+  DEFAULT_LIMIT: 30,
+  MAX_LIMIT: 100,
+};
+
+// Real-time event types (GET /api/events/stream)
+const EVENT_TYPES = {
+  NOTIFICATION: 'notification', // a notification was added or grouped
+  COUNTER: 'counter', // like, play or follower count of the user's content changed
+  APPLICATION: 'application', // creator application decided
+  MESSAGE: 'message', // new direct message
+  MESSAGE_READ: 'message_read', // the other participant read a conversation
+  RESYNC: 'resync', // missed events are gone; refetch state
+};
+
+// Real-time event stream limits
+const EVENT_STREAM = {
+  MAX_CONNECTIONS_PER_USER: 3,
+  HEARTBEAT_SECONDS: 25,
+  RETRY_MS: 5000, // client reconnect delay
+  BACKLOG_SIZE: 100, // recent events kept per user for Last-Event-ID resume
+  BACKLOG_TTL_MINUTES: 5, // how long a backlog is kept after the last stream closes
+};
+
+// Reportable content (POST /api/reports)
+const REPORT_TARGET_TYPES = {
+  TRACK: 'track',
+  REEL: 'reel',
+  PROFILE: 'profile',
+  COMMENT: 'comment',
+};
+
+// Report reason categories
+const REPORT_REASONS = {
+  SPAM: 'spam',
+  HARASSMENT: 'harassment',
+  HATE_SPEECH: 'hate_speech',
+  NUDITY: 'nudity',
+  VIOLENCE: 'violence',
+  COPYRIGHT: 'copyright',
+  IMPERSONATION: 'impersonation',
+  OTHER: 'other',
+};
+
+// Moderation queue triage states
+const REPORT_STATUSES = {
+  OPEN: 'open',
+  ACTIONED: 'actioned',
+  DISMISSED: 'dismissed',
+};
+
+// Moderation actions taken on a reported target
+const REPORT_ACTIONS = {
+  DEACTIVATE: 'deactivate', // tracks and reels become inactive, comments hidden
+  DELETE: 'delete',
+  BAN: 'ban', // bans the target's owner (the user, for profiles)
+};
+
+// Report limits
+const REPORT_LIMITS = {
+  DETAILS_MAX_LENGTH: 1000,
+};
+
 // Settings keys
 const SETTINGS_KEYS = {
   ONBOARDING_BATCH_SIZE: 'onboarding_batch_size',
   MAX_ACTIVE_USERS: 'max_active_users',
+  AUTO_ONBOARDING_ENABLED: 'auto_onboarding_enabled',
+  ONBOARDING_INTERVAL_MINUTES: 'onboarding_interval_minutes',
+  PLAY_COUNT_THRESHOLD_SECONDS: 'play_count_threshold_seconds',
+  MEDIA_GC_ENABLED: 'media_gc_enabled',
+  MEDIA_GC_GRACE_HOURS: 'media_gc_grace_hours',
+  MEDIA_GC_INTERVAL_MINUTES: 'media_gc_interval_minutes',
+  REPORT_AUTO_HIDE_THRESHOLD: 'report_auto_hide_threshold',
 };
 
 // Default settings values
 const DEFAULT_SETTINGS = {
   [SETTINGS_KEYS.ONBOARDING_BATCH_SIZE]: '10',
   [SETTINGS_KEYS.MAX_ACTIVE_USERS]: '100',
+  [SETTINGS_KEYS.AUTO_ONBOARDING_ENABLED]: 'false',
+  [SETTINGS_KEYS.ONBOARDING_INTERVAL_MINUTES]: '60',
+  [SETTINGS_KEYS.PLAY_COUNT_THRESHOLD_SECONDS]: '30',
+  [SETTINGS_KEYS.MEDIA_GC_ENABLED]: 'false',
+  [SETTINGS_KEYS.MEDIA_GC_GRACE_HOURS]: '24',
+  [SETTINGS_KEYS.MEDIA_GC_INTERVAL_MINUTES]: '1440',
+  [SETTINGS_KEYS.REPORT_AUTO_HIDE_THRESHOLD]: '5',
+};
+
+// Onboarding run triggers and outcomes
+const ONBOARDING_RUN_TRIGGERS = {
+  SCHEDULED: 'scheduled',
+  MANUAL: 'manual',
+};
+
+const ONBOARDING_RUN_STATUSES = {
+  COMPLETED: 'completed',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+};
+
+// Media garbage collection run triggers and outcomes
+const MEDIA_GC_RUN_TRIGGERS = {
+  SCHEDULED: 'scheduled',
+  MANUAL: 'manual',
+};
+
+const MEDIA_GC_RUN_STATUSES = {
+  COMPLETED: 'completed',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
 };
 
 module.exports = {
@@ -71,6 +293,33 @@ module.exports = {
   CONTENT_TYPES,
   FILE_LIMITS,
   PAGINATION,
+  TRACK_LIMITS,
+  TAXONOMY_KINDS,
+  TAG_SOURCES,
+  TAXONOMY_LIMITS,
+  PLAYLIST_LIMITS,
+  COMMENT_LIMITS,
+  SEARCH_TYPES,
+  SEARCH_LIMITS,
+  FEED_LIMITS,
+  REEL_FEED_MODES,
+  FAIR_FEED,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_LIMITS,
+  CONVERSATION_STATUSES,
+  CONVERSATION_FOLDERS,
+  MESSAGE_LIMITS,
+  EVENT_TYPES,
+  EVENT_STREAM,
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  REPORT_ACTIONS,
+  REPORT_LIMITS,
   SETTINGS_KEYS,
   DEFAULT_SETTINGS,
+  ONBOARDING_RUN_TRIGGERS,
+  ONBOARDING_RUN_STATUSES,
+  MEDIA_GC_RUN_TRIGGERS,
+  MEDIA_GC_RUN_STATUSES,
 };
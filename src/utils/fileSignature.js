@@ -0,0 +1,75 @@
+const { ValidationError } = require('./errors');
+
+// Bytes needed to identify every supported format
+const SIGNATURE_BYTES = 64;
+
+// Declared MIME types that are aliases of a detected type
+const MIME_ALIASES = {
+  'audio/mp3': 'audio/mpeg',
+  'image/jpg': 'image/jpeg',
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+/**
+ * Detect a file type from its leading bytes
+ * @param {Buffer} buffer - File contents (at least the first SIGNATURE_BYTES)
+ * @returns {string|null} Detected MIME type, or null if unrecognised
+ */
+const detectFileType = buffer => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    const format = ascii(buffer, 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+    return null;
+  }
+
+  if (ascii(buffer, 0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(buffer, 4, 8) === 'ftyp') return 'video/mp4';
+
+  // EBML header; WebM declares DocType "webm" (Matroska uses "matroska")
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return ascii(buffer, 4, SIGNATURE_BYTES).includes('webm') ? 'video/webm' : null;
+  }
+
+  // MP3: ID3v2 tag or an MPEG audio frame sync
+  if (ascii(buffer, 0, 3) === 'ID3') return 'audio/mpeg';
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0) {
+    return 'audio/mpeg';
+  }
+
+  return null;
+};
+
+/**
+ * Check that a buffer's content matches its declared MIME type
+ * @param {Buffer} buffer - File contents (at least the first SIGNATURE_BYTES)
+ * @param {string} mimetype - Client-declared MIME type
+ * @throws {ValidationError} If the content is not of the declared type
+ */
+const assertFileType = (buffer, mimetype) => {
+  const declared = MIME_ALIASES[mimetype] || mimetype;
+  const detected = detectFileType(buffer);
+
+  if (detected !== declared) {
+    throw new ValidationError(
+      detected
+        ? `File content is ${detected} but was uploaded as ${mimetype}`
+        : `File content does not match the declared type ${mimetype}`
+    );
+  }
+};
+
+module.exports = {
+  SIGNATURE_BYTES,
+  detectFileType,
+  assertFileType,
+};
@@ -60,6 +60,46 @@ const validatePagination = (query = {}) => {
   return { page, limit, offset };
 };
 
+// Cursor parts are put into PostgREST filter strings, so only exact formats pass
+const CURSOR_TIMESTAMP_PATTERN =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Encode a keyset pagination cursor
+ * @param {string} createdAt - created_at timestamp of the last item
+ * @param {string} id - ID of the last item (tie-breaker)
+ * @returns {string} Opaque cursor string
+ */
+const encodeCursor = (createdAt, id) => {
+  return Buffer.from(`${createdAt}|${id}`).toString('base64url');
+};
+
+/**
+ * Decode a keyset pagination cursor
+ * The timestamp must be ISO 8601 (as Postgres returns it) and the ID a UUID.
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} { createdAt, id } or null when no cursor given
+ * @throws {ValidationError} If the cursor is malformed
+ */
+const decodeCursor = cursor => {
+  if (!cursor) return null;
+
+  const parts = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const [createdAt, id] = parts;
+
+  if (
+    parts.length !== 2 ||
+    !CURSOR_TIMESTAMP_PATTERN.test(createdAt) ||
+    Number.isNaN(Date.parse(createdAt)) ||
+    !UUID_PATTERN.test(id)
+  ) {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+
+  return { createdAt, id };
+};
+
 /**
  * Validate required fields
  * @param {Object} data - Data object to validate
@@ -99,6 +139,8 @@ module.exports = {
   isValidUrl,
   sanitizeString,
   validatePagination,
+  encodeCursor,
+  decodeCursor,
   validateRequired,
   isValidFileType,
   isValidFileSize,
@@ -0,0 +1,302 @@
+/**
+ * Video metadata extraction (pure JavaScript)
+ * Reads duration, resolution and codec from MP4 (moov/mvhd, tkhd, stsd) and
+ * WebM (EBML Info/Tracks) containers. Sources are read by range so files in
+ * storage do not have to be downloaded in full.
+ */
+
+// Largest moov box we are willing to read (index data, not media)
+const MAX_MOOV_SIZE = 16 * 1024 * 1024;
+
+// WebM Info and Tracks come before the first Cluster; read this much
+const WEBM_HEADER_BYTES = 1024 * 1024;
+
+// EBML element IDs (with length marker bits)
+const EBML = {
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  VIDEO: 0xe0,
+  PIXEL_WIDTH: 0xb0,
+  PIXEL_HEIGHT: 0xba,
+  CLUSTER: 0x1f43b675,
+};
+
+/**
+ * Wrap an in-memory buffer as a readable source
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { size, read(offset, length) }
+ */
+const bufferSource = buffer => ({
+  size: buffer.length,
+  read: async (offset, length) => buffer.subarray(offset, offset + length),
+});
+
+/**
+ * Iterate ISO BMFF boxes inside a buffer
+ * @param {Buffer} buffer - Box container contents
+ * @returns {Array<Object>} { type, data } for each child box
+ */
+const readBoxes = buffer => {
+  const boxes = [];
+  let offset = 0;
+
+  while (offset + 8 <= buffer.length) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > buffer.length) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = buffer.length - offset;
+    }
+
+    if (size < headerSize) break;
+
+    boxes.push({ type, data: buffer.subarray(offset + headerSize, offset + size) });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+const findBox = (buffer, ...path) => {
+  let current = buffer;
+  for (const type of path) {
+    const box = readBoxes(current).find(child => child.type === type);
+    if (!box) return null;
+    current = box.data;
+  }
+  return current;
+};
+
+/**
+ * Parse an MP4 moov box
+ * @param {Buffer} moov - moov box contents
+ * @returns {Object|null} Metadata
+ */
+const parseMoov = moov => {
+  const mvhd = findBox(moov, 'mvhd');
+  if (!mvhd) return null;
+
+  const version = mvhd[0];
+  const timescale = version === 1 ? mvhd.readUInt32BE(20) : mvhd.readUInt32BE(12);
+  const units = version === 1 ? Number(mvhd.readBigUInt64BE(24)) : mvhd.readUInt32BE(16);
+
+  const result = {
+    format: 'mp4',
+    duration: timescale ? units / timescale : null,
+    width: null,
+    height: null,
+    codec: null,
+  };
+
+  for (const trak of readBoxes(moov).filter(box => box.type === 'trak')) {
+    const hdlr = findBox(trak.data, 'mdia', 'hdlr');
+    if (!hdlr || hdlr.toString('latin1', 8, 12) !== 'vide') continue;
+
+    const tkhd = findBox(trak.data, 'tkhd');
+    if (tkhd) {
+      // Width and height are 16.16 fixed point at the end of tkhd
+      const sizeOffset = tkhd[0] === 1 ? 88 : 76;
+      result.width = tkhd.readUInt32BE(sizeOffset) >>> 16;
+      result.height = tkhd.readUInt32BE(sizeOffset + 4) >>> 16;
+    }
+
+    const stsd = findBox(trak.data, 'mdia', 'minf', 'stbl', 'stsd');
+    if (stsd && stsd.length >= 16) {
+      result.codec = stsd.toString('latin1', 12, 16);
+    }
+
+    break;
+  }
+
+  return result;
+};
+
+/**
+ * Parse an MP4 file by walking top-level boxes until moov is found
+ * @param {Object} source - { size, read }
+ * @returns {Promise<Object|null>} Metadata
+ */
+const parseMp4 = async source => {
+  let offset = 0;
+
+  while (offset + 8 <= source.size) {
+    const header = await source.read(offset, 16);
+    if (header.length < 8) return null;
+
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = source.size - offset;
+    }
+
+    if (size < headerSize) return null;
+
+    if (type === 'moov') {
+      if (size > MAX_MOOV_SIZE) return null;
+      const moov = await source.read(offset + headerSize, size - headerSize);
+      return parseMoov(moov);
+    }
+
+    offset += size;
+  }
+
+  return null;
+};
+
+/**
+ * Read an EBML variable-length integer
+ * @param {Buffer} buffer - Data
+ * @param {number} offset - Offset of the first byte
+ * @param {boolean} keepMarker - Keep the length marker (element IDs)
+ * @returns {Object|null} { value, length, unknown }
+ */
+const readVint = (buffer, offset, keepMarker) => {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) return null;
+
+  let length = 1;
+  while (!(first & (0x80 >> (length - 1)))) length++;
+  if (offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === 0xff >> length;
+
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) allOnes = false;
+  }
+
+  return { value, length, unknown: !keepMarker && allOnes };
+};
+
+/**
+ * Iterate EBML elements inside a buffer
+ * Stops at the first Cluster (media data follows the headers we need)
+ * @param {Buffer} buffer - Element contents
+ * @returns {Array<Object>} { id, data }
+ */
+const readElements = buffer => {
+  const elements = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const id = readVint(buffer, offset, true);
+    if (!id) break;
+    const size = readVint(buffer, offset + id.length, false);
+    if (!size) break;
+
+    if (id.value === EBML.CLUSTER) break;
+
+    const start = offset + id.length + size.length;
+    const end = size.unknown ? buffer.length : Math.min(buffer.length, start + size.value);
+
+    elements.push({ id: id.value, data: buffer.subarray(start, end) });
+    offset = end;
+  }
+
+  return elements;
+};
+
+const readUnsigned = data => data.reduce((value, byte) => value * 256 + byte, 0);
+
+/**
+ * Parse a WebM file from its leading bytes
+ * @param {Object} source - { size, read }
+ * @returns {Promise<Object|null>} Metadata
+ */
+const parseWebm = async source => {
+  const buffer = await source.read(0, Math.min(source.size, WEBM_HEADER_BYTES));
+  const segment = readElements(buffer).find(element => element.id === EBML.SEGMENT);
+  if (!segment) return null;
+
+  const result = { format: 'webm', duration: null, width: null, height: null, codec: null };
+  const children = readElements(segment.data);
+
+  const info = children.find(element => element.id === EBML.INFO);
+  if (info) {
+    let timecodeScale = 1000000;
+    let duration = null;
+
+    for (const element of readElements(info.data)) {
+      if (element.id === EBML.TIMECODE_SCALE) timecodeScale = readUnsigned(element.data);
+      if (element.id === EBML.DURATION) {
+        duration =
+          element.data.length === 4 ? element.data.readFloatBE(0) : element.data.readDoubleBE(0);
+      }
+    }
+
+    if (duration !== null) result.duration = (duration * timecodeScale) / 1e9;
+  }
+
+  const tracks = children.find(element => element.id === EBML.TRACKS);
+  const entries = tracks
+    ? readElements(tracks.data).filter(element => element.id === EBML.TRACK_ENTRY)
+    : [];
+
+  for (const entry of entries) {
+    const fields = readElements(entry.data);
+    const type = fields.find(element => element.id === EBML.TRACK_TYPE);
+    if (!type || readUnsigned(type.data) !== 1) continue; // 1 = video
+
+    const codec = fields.find(element => element.id === EBML.CODEC_ID);
+    if (codec) result.codec = codec.data.toString('latin1').replace(/\0+$/, '');
+
+    const video = fields.find(element => element.id === EBML.VIDEO);
+    for (const element of video ? readElements(video.data) : []) {
+      if (element.id === EBML.PIXEL_WIDTH) result.width = readUnsigned(element.data);
+      if (element.id === EBML.PIXEL_HEIGHT) result.height = readUnsigned(element.data);
+    }
+
+    break;
+  }
+
+  return result;
+};
+
+/**
+ * Extract metadata from an MP4 or WebM video
+ * @param {Object|Buffer} source - Buffer, or { size, read(offset, length) } range reader
+ * @returns {Promise<Object|null>} { format, duration, width, height, codec }, or null if the
+ *   container is not recognised. duration is null when the container does not record it.
+ */
+const parseVideoMetadata = async source => {
+  const input = Buffer.isBuffer(source) ? bufferSource(source) : source;
+  if (!input || input.size < 12) return null;
+
+  try {
+    const head = await input.read(0, 12);
+
+    if (head.toString('latin1', 4, 8) === 'ftyp') {
+      return await parseMp4(input);
+    }
+
+    if (head.readUInt32BE(0) === 0x1a45dfa3) {
+      return await parseWebm(input);
+    }
+
+    return null;
+  } catch {
+    // Truncated or corrupt files: treat as unknown
+    return null;
+  }
+};
+
+module.exports = {
+  parseVideoMetadata,
+};
@@ -0,0 +1,51 @@
+/**
+ * Shared supabaseAdmin mock for unit tests
+ * Every query builder method is recorded and chains; awaiting a query resolves
+ * the next { data, error } queued for its table (or { data: null, error: null }).
+ *
+ * jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+ * const { mockResults, mockQueries } = require('../helpers/supabaseMock');
+ */
+
+// Queued { data, error } results per table, consumed in query order
+const mockResults = {};
+
+// Every query made: { table, calls: [[method, ...args]] }
+const mockQueries = [];
+
+// Stands in for supabaseAdmin.rpc
+const mockRpc = jest.fn();
+
+const createQuery = table => {
+  const query = { table, calls: [] };
+  mockQueries.push(query);
+
+  const builder = new Proxy(
+    {},
+    {
+      get: (target, method) => {
+        if (method === 'then') {
+          const result = (mockResults[table] || []).shift() || { data: null, error: null };
+          return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+        }
+        return (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      },
+    }
+  );
+
+  return builder;
+};
+
+const database = {
+  supabaseAdmin: { from: jest.fn(createQuery), rpc: (...args) => mockRpc(...args) },
+};
+
+module.exports = {
+  mockResults,
+  mockQueries,
+  mockRpc,
+  database,
+};
@@ -0,0 +1,151 @@
+const request = require('supertest');
+const { createClient } = require('@supabase/supabase-js');
+const userService = require('../../src/services/userService');
+const app = require('../../src/app');
+
+jest.mock('../../src/services/userService', () => ({
+  ensureUserRecords: jest.fn(),
+}));
+
+const session = {
+  access_token: 'new-access-token',
+  refresh_token: 'new-refresh-token',
+  expires_in: 3600,
+};
+
+const authUser = {
+  id: '6f1c2a4e-8b7d-4c3e-9a1f-2b3c4d5e6f70',
+  email: 'artist@example.com',
+  user_metadata: { user_name: 'underground_artist' },
+};
+
+const mockAuthClient = auth => {
+  createClient.mockReturnValueOnce({ auth });
+};
+
+describe('Auth Routes', () => {
+  describe('POST /api/auth/refresh', () => {
+    test('should require a refresh token', async () => {
+      const response = await request(app).post('/api/auth/refresh').send({}).expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.message).toBe('Refresh token is required');
+    });
+
+    test('should return a new session for a valid refresh token', async () => {
+      const refreshSession = jest.fn().mockResolvedValue({
+        data: { session, user: authUser },
+        error: null,
+      });
+      mockAuthClient({ refreshSession });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: 'old-refresh-token' })
+        .expect(200);
+
+      expect(refreshSession).toHaveBeenCalledWith({ refresh_token: 'old-refresh-token' });
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.session).toEqual(session);
+      expect(response.body.data.accessToken).toBe('new-access-token');
+    });
+
+    test('should reject an invalid refresh token', async () => {
+      mockAuthClient({
+        refreshSession: jest.fn().mockResolvedValue({
+          data: { session: null, user: null },
+          error: { message: 'Invalid Refresh Token' },
+        }),
+      });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: 'revoked' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.message).toContain('Invalid or expired refresh token');
+    });
+  });
+
+  describe('POST /api/auth/callback', () => {
+    test('should require code and code_verifier', async () => {
+      const response = await request(app)
+        .post('/api/auth/callback')
+        .send({ code: 'abc' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Missing required fields: code_verifier');
+    });
+
+    test('should exchange the code using the supplied PKCE verifier', async () => {
+      const exchangeCodeForSession = jest.fn().mockResolvedValue({
+        data: { session, user: authUser },
+        error: null,
+      });
+      mockAuthClient({ exchangeCodeForSession });
+      userService.ensureUserRecords.mockResolvedValue({
+        user: {
+          id: authUser.id,
+          status: 'waitlisted',
+          profiles: { username: 'underground_artist', display_name: 'underground_artist' },
+        },
+        isNew: true,
+      });
+
+      const response = await request(app)
+        .post('/api/auth/callback')
+        .send({ code: 'auth-code', code_verifier: 'verifier-123' })
+        .expect(201);
+
+      expect(exchangeCodeForSession).toHaveBeenCalledWith('auth-code');
+      expect(userService.ensureUserRecords).toHaveBeenCalledWith(authUser);
+
+      const { auth } = createClient.mock.calls[createClient.mock.calls.length - 1][2];
+      expect(auth.flowType).toBe('pkce');
+      expect(auth.storage.getItem(`${auth.storageKey}-code-verifier`)).toBe('verifier-123');
+
+      expect(response.body.data.isNewUser).toBe(true);
+      expect(response.body.data.user.username).toBe('underground_artist');
+      expect(response.body.data.accessToken).toBe('new-access-token');
+    });
+
+    test('should sign in returning users without creating records', async () => {
+      mockAuthClient({
+        exchangeCodeForSession: jest.fn().mockResolvedValue({
+          data: { session, user: authUser },
+          error: null,
+        }),
+      });
+      userService.ensureUserRecords.mockResolvedValue({
+        user: { id: authUser.id, status: 'active', profiles: { username: 'existing' } },
+        isNew: false,
+      });
+
+      const response = await request(app)
+        .post('/api/auth/callback')
+        .send({ code: 'auth-code', code_verifier: 'verifier-123' })
+        .expect(200);
+
+      expect(response.body.data.isNewUser).toBe(false);
+      expect(response.body.data.user.status).toBe('active');
+    });
+
+    test('should reject an invalid authorization code', async () => {
+      mockAuthClient({
+        exchangeCodeForSession: jest.fn().mockResolvedValue({
+          data: { session: null, user: null },
+          error: { message: 'invalid flow state' },
+        }),
+      });
+
+      const response = await request(app)
+        .post('/api/auth/callback')
+        .send({ code: 'bad', code_verifier: 'verifier-123' })
+        .expect(401);
+
+      expect(response.body.error.message).toBe('Invalid or expired authorization code');
+      expect(userService.ensureUserRecords).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const request = require('supertest');
+const { verifyToken } = require('../../src/config/auth');
+const trackService = require('../../src/services/trackService');
+const reelService = require('../../src/services/reelService');
+const app = require('../../src/app');
+
+jest.mock('../../src/config/auth', () => ({
+  verifyToken: jest.fn(),
+  extractToken: jest.fn(authHeader => {
+    if (!authHeader) return null;
+    const parts = authHeader.split(' ');
+    return parts.length === 2 && parts[0] === 'Bearer' ? parts[1] : null;
+  }),
+}));
+
+jest.mock('../../src/services/trackService', () => ({
+  ...jest.requireActual('../../src/services/trackService'),
+  getTrackById: jest.fn(),
+}));
+
+jest.mock('../../src/services/reelService', () => ({
+  ...jest.requireActual('../../src/services/reelService'),
+  getReelById: jest.fn(),
+}));
+
+describe('Content Routes', () => {
+  beforeEach(() => {
+    verifyToken.mockResolvedValue({ id: 'owner-1', email: 'owner@example.com' });
+    trackService.getTrackById.mockResolvedValue({ id: 'track-1', is_active: false });
+    reelService.getReelById.mockResolvedValue({ id: 'reel-1', is_active: false });
+  });
+
+  test('GET /api/tracks/:id should pass the signed-in viewer to the service', async () => {
+    const response = await request(app)
+      .get('/api/tracks/track-1')
+      .set('Authorization', 'Bearer token')
+      .expect(200);
+
+    expect(response.body.data.id).toBe('track-1');
+    expect(trackService.getTrackById).toHaveBeenCalledWith('track-1', 'owner-1');
+  });
+
+  test('GET /api/reels/:id should pass the signed-in viewer to the service', async () => {
+    await request(app).get('/api/reels/reel-1').set('Authorization', 'Bearer token').expect(200);
+
+    expect(reelService.getReelById).toHaveBeenCalledWith('reel-1', 'owner-1');
+  });
+
+  test('should still serve anonymous viewers', async () => {
+    await request(app).get('/api/tracks/track-1').expect(200);
+
+    expect(trackService.getTrackById).toHaveBeenCalledWith('track-1', undefined);
+  });
+});
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-storage-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = root;
+process.env.LOCAL_STORAGE_URL = 'http://localhost:3000/api/storage';
+
+const app = require('../../src/app');
+const { getStorageDriver } = require('../../src/config/storage');
+
+const WAV_BYTES = Buffer.from('RIFF\u0000\u0000\u0000\u0000WAVE', 'latin1');
+
+describe('Local storage routes', () => {
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    delete process.env.STORAGE_DRIVER;
+    delete process.env.LOCAL_STORAGE_DIR;
+    delete process.env.LOCAL_STORAGE_URL;
+  });
+
+  test('should accept a signed upload and serve it back by range', async () => {
+    const upload = await getStorageDriver().createSignedUpload('audio/user-1/1_demo.wav');
+    const uploadPath = new URL(upload.url);
+
+    await request(app)
+      .put(`${uploadPath.pathname}${uploadPath.search}`)
+      .set('Content-Type', 'audio/wav')
+      .send(WAV_BYTES)
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/storage/audio/user-1/1_demo.wav')
+      .set('Range', 'bytes=8-11')
+      .expect(206);
+
+    expect(Buffer.from(response.body).toString('latin1')).toBe('WAVE');
+    expect(response.headers['cross-origin-resource-policy']).toBe('cross-origin');
+  });
+
+  test('should reject uploads without a valid signature', async () => {
+    await request(app)
+      .put('/api/storage/audio/user-1/2_demo.wav?expires=9999999999&signature=forged')
+      .send(WAV_BYTES)
+      .expect(403);
+
+    expect(await getStorageDriver().info('audio/user-1/2_demo.wav')).toBeNull();
+  });
+
+  test('should return 404 for missing files and reject traversal', async () => {
+    await request(app).get('/api/storage/audio/user-1/missing.wav').expect(404);
+    await request(app).get('/api/storage/audio/..%2F..%2Fetc/passwd').expect(400);
+  });
+});
@@ -0,0 +1,88 @@
+const request = require('supertest');
+const { Readable } = require('stream');
+const streamService = require('../../src/services/streamService');
+const app = require('../../src/app');
+
+jest.mock('../../src/services/streamService', () => ({
+  ...jest.requireActual('../../src/services/streamService'),
+  getTrackAudio: jest.fn(),
+  openAudioStream: jest.fn(),
+  recordListening: jest.fn(),
+}));
+
+const AUDIO_BYTES = Buffer.from('0123456789abcdefghij');
+
+const audio = {
+  path: 'audio/user-1/1700000000000_song.mp3',
+  size: AUDIO_BYTES.length,
+  contentType: 'audio/mpeg',
+  etag: '"abc123"',
+  lastModified: 'Tue, 14 Nov 2023 22:13:20 GMT',
+  bytesPerSecond: 16000,
+};
+
+describe('GET /api/tracks/:id/stream', () => {
+  beforeEach(() => {
+    streamService.getTrackAudio.mockResolvedValue(audio);
+    streamService.recordListening.mockResolvedValue(false);
+    streamService.openAudioStream.mockImplementation(async (path, start, end) =>
+      Readable.from([AUDIO_BYTES.subarray(start, end + 1)])
+    );
+  });
+
+  test('should serve the whole file with caching headers', async () => {
+    const response = await request(app).get('/api/tracks/track-1/stream').expect(200);
+
+    expect(response.headers['content-type']).toBe('audio/mpeg');
+    expect(response.headers['accept-ranges']).toBe('bytes');
+    expect(response.headers['content-length']).toBe(String(AUDIO_BYTES.length));
+    expect(response.headers.etag).toBe('"abc123"');
+    expect(Buffer.from(response.body).equals(AUDIO_BYTES)).toBe(true);
+  });
+
+  test('should serve a byte range with 206', async () => {
+    const response = await request(app)
+      .get('/api/tracks/track-1/stream')
+      .set('Range', 'bytes=5-9')
+      .expect(206);
+
+    expect(response.headers['content-range']).toBe(`bytes 5-9/${AUDIO_BYTES.length}`);
+    expect(response.headers['content-length']).toBe('5');
+    expect(Buffer.from(response.body).toString()).toBe('56789');
+    expect(streamService.openAudioStream).toHaveBeenCalledWith(audio.path, 5, 9, audio.size);
+  });
+
+  test('should reject ranges past the end with 416', async () => {
+    const response = await request(app)
+      .get('/api/tracks/track-1/stream')
+      .set('Range', 'bytes=100-')
+      .expect(416);
+
+    expect(response.headers['content-range']).toBe(`bytes */${AUDIO_BYTES.length}`);
+    expect(streamService.openAudioStream).not.toHaveBeenCalled();
+  });
+
+  test('should return 304 when the ETag matches', async () => {
+    await request(app)
+      .get('/api/tracks/track-1/stream')
+      .set('If-None-Match', '"abc123"')
+      .expect(304);
+
+    expect(streamService.openAudioStream).not.toHaveBeenCalled();
+  });
+
+  test('should ignore the range when If-Range is stale', async () => {
+    await request(app)
+      .get('/api/tracks/track-1/stream')
+      .set('Range', 'bytes=5-9')
+      .set('If-Range', '"old"')
+      .expect(200);
+  });
+
+  test('should return 404 for unknown tracks', async () => {
+    const { NotFoundError } = require('../../src/utils/errors');
+    streamService.getTrackAudio.mockRejectedValue(new NotFoundError('Track not found'));
+
+    await request(app).get('/api/tracks/missing/stream').expect(404);
+  });
+});
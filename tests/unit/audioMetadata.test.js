@@ -0,0 +1,260 @@
+const { parseAudioMetadata, readAudioMetadata } = require('../../src/utils/audioMetadata');
+
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+// MPEG-1 Layer III, 128kbps, 44.1kHz, stereo: 417 bytes per frame
+const FRAME_HEADER = [0xff, 0xfb, 0x90, 0x00];
+const FRAME_LENGTH = 417;
+
+const mp3Frames = (count, firstFrame = null) => {
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    const frame = Buffer.alloc(FRAME_LENGTH);
+    Buffer.from(FRAME_HEADER).copy(frame);
+    frames.push(frame);
+  }
+  if (firstFrame) firstFrame(frames[0]);
+  return Buffer.concat(frames);
+};
+
+const syncsafe = size =>
+  Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+
+const id3Frame = (id, data) => {
+  const header = Buffer.alloc(10);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32BE(data.length, 4);
+  return Buffer.concat([header, data]);
+};
+
+const id3Tag = frames => {
+  const body = Buffer.concat([...frames, Buffer.alloc(16)]); // trailing padding
+  return Buffer.concat([
+    Buffer.from('ID3\u0003\u0000\u0000', 'latin1'),
+    syncsafe(body.length),
+    body,
+  ]);
+};
+
+const textFrame = (id, text) => id3Frame(id, Buffer.concat([Buffer.from([3]), Buffer.from(text)]));
+
+const riffChunk = (id, data) => {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+};
+
+const oggPage = (granule, packets) => {
+  const lacing = [];
+  for (const packet of packets) {
+    let remaining = packet.length;
+    while (remaining >= 255) {
+      lacing.push(255);
+      remaining -= 255;
+    }
+    lacing.push(remaining);
+  }
+
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0, 'latin1');
+  header.writeBigInt64LE(BigInt(granule), 6);
+  header[26] = lacing.length;
+
+  return Buffer.concat([header, Buffer.from(lacing), ...packets]);
+};
+
+const vorbisComments = comments => {
+  const parts = [Buffer.from('\u0003vorbis', 'latin1')];
+  const vendor = Buffer.from('test');
+  const count = Buffer.alloc(4);
+  count.writeUInt32LE(comments.length);
+  const vendorLength = Buffer.alloc(4);
+  vendorLength.writeUInt32LE(vendor.length);
+  parts.push(vendorLength, vendor, count);
+
+  for (const comment of comments) {
+    const value = Buffer.from(comment);
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(value.length);
+    parts.push(length, value);
+  }
+
+  return Buffer.concat(parts);
+};
+
+describe('Audio Metadata', () => {
+  test('should read duration and bitrate from a CBR MP3', () => {
+    const metadata = parseAudioMetadata(mp3Frames(100));
+
+    expect(metadata.format).toBe('mp3');
+    expect(metadata.bitrate).toBe(128);
+    expect(metadata.sample_rate).toBe(44100);
+    expect(metadata.channels).toBe(2);
+    expect(metadata.duration).toBeCloseTo((100 * FRAME_LENGTH * 8) / 128000, 3);
+    expect(metadata.picture).toBeNull();
+  });
+
+  test('should read ID3v2 tags, cover art and Xing frame count', () => {
+    const apic = id3Frame(
+      'APIC',
+      Buffer.concat([Buffer.from('\u0000image/jpeg\u0000\u0003cover\u0000', 'latin1'), JPEG_BYTES])
+    );
+    const tag = id3Tag([
+      textFrame('TIT2', 'Basement Tapes'),
+      textFrame('TPE1', 'Underground Artist'),
+      id3Frame('TCON', Buffer.from('\u0000(17)', 'latin1')),
+      apic,
+    ]);
+
+    const frames = mp3Frames(10, frame => {
+      // Side info for MPEG-1 stereo is 32 bytes
+      frame.write('Xing', 36, 'latin1');
+      frame.writeUInt32BE(0x03, 40);
+      frame.writeUInt32BE(1000, 44);
+      frame.writeUInt32BE(1000 * FRAME_LENGTH, 48);
+    });
+
+    const metadata = parseAudioMetadata(Buffer.concat([tag, frames]));
+
+    expect(metadata.title).toBe('Basement Tapes');
+    expect(metadata.artist).toBe('Underground Artist');
+    expect(metadata.genre).toBe('Rock');
+    expect(metadata.duration).toBeCloseTo((1000 * 1152) / 44100, 3);
+    expect(metadata.bitrate).toBe(128);
+    expect(metadata.picture.mimetype).toBe('image/jpeg');
+    expect(metadata.picture.buffer.equals(JPEG_BYTES)).toBe(true);
+  });
+
+  test('should read WAV format and INFO tags', () => {
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(1, 0); // PCM
+    fmt.writeUInt16LE(2, 2);
+    fmt.writeUInt32LE(44100, 4);
+    fmt.writeUInt32LE(44100 * 4, 8);
+    fmt.writeUInt16LE(4, 12);
+    fmt.writeUInt16LE(16, 14);
+
+    const info = Buffer.concat([
+      Buffer.from('INFO', 'latin1'),
+      riffChunk('INAM', Buffer.from('Demo\u0000')),
+      riffChunk('IGNR', Buffer.from('Lo-Fi\u0000')),
+    ]);
+
+    const chunks = Buffer.concat([
+      riffChunk('fmt ', fmt),
+      riffChunk('LIST', info),
+      riffChunk('data', Buffer.alloc(44100 * 4 * 2)),
+    ]);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(chunks.length + 4, 4);
+    header.write('WAVE', 8, 'latin1');
+
+    const metadata = parseAudioMetadata(Buffer.concat([header, chunks]));
+
+    expect(metadata).toMatchObject({
+      format: 'wav',
+      duration: 2,
+      bitrate: 1411,
+      sample_rate: 44100,
+      channels: 2,
+      title: 'Demo',
+      artist: null,
+      genre: 'Lo-Fi',
+    });
+  });
+
+  test('should read OGG Vorbis headers, comments and duration', () => {
+    const identification = Buffer.alloc(30);
+    identification.write('\u0001vorbis', 0, 'latin1');
+    identification[11] = 1;
+    identification.writeUInt32LE(48000, 12);
+    identification.writeInt32LE(96000, 20);
+
+    const comments = vorbisComments(['TITLE=Night Drive', 'artist=Nobody Yet', 'GENRE=Synthwave']);
+
+    const metadata = parseAudioMetadata(
+      Buffer.concat([
+        oggPage(0, [identification]),
+        oggPage(0, [comments]),
+        oggPage(48000 * 3, [Buffer.alloc(100)]),
+      ])
+    );
+
+    expect(metadata).toMatchObject({
+      format: 'ogg',
+      duration: 3,
+      bitrate: 96,
+      sample_rate: 48000,
+      channels: 1,
+      title: 'Night Drive',
+      artist: 'Nobody Yet',
+      genre: 'Synthwave',
+    });
+  });
+
+  test('should read stored MP3s by range, including the ID3v1 tag at the end', async () => {
+    const id3v1 = Buffer.alloc(128);
+    id3v1.write('TAG', 0, 'latin1');
+    id3v1.write('Tail Title', 3, 'latin1');
+    id3v1.write('Tail Artist', 33, 'latin1');
+    id3v1[127] = 17;
+
+    const file = Buffer.concat([mp3Frames(6000), id3v1]);
+    const reads = [];
+    const source = {
+      size: file.length,
+      read: async (offset, length) => {
+        reads.push(length);
+        return file.subarray(offset, offset + length);
+      },
+    };
+
+    const metadata = await readAudioMetadata(source);
+
+    expect(metadata).toMatchObject({
+      format: 'mp3',
+      bitrate: 128,
+      title: 'Tail Title',
+      artist: 'Tail Artist',
+      genre: 'Rock',
+    });
+    expect(metadata.duration).toBeCloseTo((6000 * FRAME_LENGTH * 8) / 128000, 3);
+    expect(reads.reduce((total, length) => total + length, 0)).toBeLessThan(file.length);
+  });
+
+  test('should read WAV tags stored after the sample data by range', async () => {
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(1, 0);
+    fmt.writeUInt16LE(2, 2);
+    fmt.writeUInt32LE(44100, 4);
+    fmt.writeUInt32LE(44100 * 4, 8);
+
+    const chunks = Buffer.concat([
+      riffChunk('fmt ', fmt),
+      riffChunk('data', Buffer.alloc(44100 * 4 * 10)),
+      riffChunk(
+        'LIST',
+        Buffer.concat([Buffer.from('INFO'), riffChunk('INAM', Buffer.from('Late'))])
+      ),
+    ]);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(chunks.length + 4, 4);
+    header.write('WAVE', 8, 'latin1');
+    const file = Buffer.concat([header, chunks]);
+
+    const metadata = await readAudioMetadata({
+      size: file.length,
+      read: async (offset, length) => file.subarray(offset, offset + length),
+    });
+
+    expect(metadata).toMatchObject({ format: 'wav', duration: 10, title: 'Late' });
+  });
+
+  test('should return null for unrecognised data', () => {
+    expect(parseAudioMetadata(Buffer.from('definitely not an audio file'))).toBeNull();
+    expect(parseAudioMetadata(null)).toBeNull();
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+
+const { mockResults, mockQueries } = require('../helpers/supabaseMock');
+
+jest.mock('../../src/services/storageService', () => ({
+  resolveMediaUrls: jest.fn(async items => items),
+}));
+
+const blockService = require('../../src/services/blockService');
+
+const callsTo = table => mockQueries.filter(query => query.table === table);
+
+describe('Block Service', () => {
+  beforeEach(() => {
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+  });
+
+  describe('getBlockedIds', () => {
+    test('should return users on the other side of a block in either direction', async () => {
+      mockResults.user_blocks = [
+        {
+          data: [
+            { blocker_id: 'a1', blocked_id: 'b2' },
+            { blocker_id: 'c3', blocked_id: 'a1' },
+          ],
+          error: null,
+        },
+      ];
+
+      const ids = await blockService.getBlockedIds('a1');
+
+      expect([...ids]).toEqual(['b2', 'c3']);
+      expect(callsTo('user_blocks')[0].calls).toContainEqual([
+        'or',
+        'blocker_id.eq.a1,blocked_id.eq.a1',
+      ]);
+    });
+
+    test('should not query without a user', async () => {
+      expect((await blockService.getBlockedIds(null)).size).toBe(0);
+      expect(mockQueries).toHaveLength(0);
+    });
+  });
+
+  describe('getHiddenUserIds', () => {
+    test('should combine blocks and mutes', async () => {
+      mockResults.user_blocks = [{ data: [{ blocker_id: 'b2', blocked_id: 'a1' }], error: null }];
+      mockResults.user_mutes = [{ data: [{ muted_id: 'c3' }], error: null }];
+
+      const ids = await blockService.getHiddenUserIds('a1');
+
+      expect([...ids].sort()).toEqual(['b2', 'c3']);
+    });
+  });
+
+  describe('isBlocked', () => {
+    test('should check both directions', async () => {
+      mockResults.user_blocks = [{ data: [{ blocker_id: 'b2' }], error: null }];
+
+      expect(await blockService.isBlocked('a1', 'b2')).toBe(true);
+      expect(callsTo('user_blocks')[0].calls).toContainEqual([
+        'or',
+        'and(blocker_id.eq.a1,blocked_id.eq.b2),and(blocker_id.eq.b2,blocked_id.eq.a1)',
+      ]);
+    });
+
+    test('should never block a user from themselves or anonymous viewers', async () => {
+      expect(await blockService.isBlocked('a1', 'a1')).toBe(false);
+      expect(await blockService.isBlocked(null, 'a1')).toBe(false);
+      expect(mockQueries).toHaveLength(0);
+    });
+  });
+
+  describe('assertNotBlocked', () => {
+    test('should refuse interactions across a block', async () => {
+      mockResults.user_blocks = [{ data: [{ blocker_id: 'a1' }], error: null }];
+
+      await expect(
+        blockService.assertNotBlocked('b2', 'a1', 'You cannot follow this user')
+      ).rejects.toMatchObject({ statusCode: 403, message: 'You cannot follow this user' });
+    });
+  });
+
+  describe('blockUser', () => {
+    test('should reject blocking yourself or unknown users', async () => {
+      await expect(blockService.blockUser('a1', 'a1')).rejects.toThrow('You cannot block yourself');
+
+      mockResults.users = [{ data: null, error: null }];
+      await expect(blockService.blockUser('a1', 'b2')).rejects.toThrow('User not found');
+    });
+
+    test('should record the block and remove follows both ways', async () => {
+      mockResults.users = [{ data: { id: 'b2' }, error: null }];
+
+      await blockService.blockUser('a1', 'b2');
+
+      expect(callsTo('user_blocks')[0].calls[0]).toEqual([
+        'upsert',
+        { blocker_id: 'a1', blocked_id: 'b2' },
+        { onConflict: 'blocker_id,blocked_id', ignoreDuplicates: true },
+      ]);
+      expect(callsTo('follows')[0].calls).toEqual([
+        ['delete'],
+        [
+          'or',
+          'and(follower_id.eq.a1,following_id.eq.b2),and(follower_id.eq.b2,following_id.eq.a1)',
+        ],
+      ]);
+    });
+  });
+
+  describe('muteUser', () => {
+    test('should record the mute without touching follows', async () => {
+      mockResults.users = [{ data: { id: 'b2' }, error: null }];
+
+      await blockService.muteUser('a1', 'b2');
+
+      expect(callsTo('user_mutes')[0].calls[0][1]).toEqual({ muter_id: 'a1', muted_id: 'b2' });
+      expect(callsTo('follows')).toHaveLength(0);
+    });
+  });
+
+  describe('getBlockedUsers', () => {
+    test('should page blocked users newest first with their profiles', async () => {
+      mockResults.user_blocks = [
+        {
+          data: [
+            { blocked_id: 'c3', created_at: '2026-01-02T00:00:00Z' },
+            { blocked_id: 'b2', created_at: '2026-01-01T00:00:00Z' },
+          ],
+          error: null,
+          count: 3,
+        },
+      ];
+      mockResults.profiles = [
+        {
+          data: [
+            { id: 'b2', username: 'bee' },
+            { id: 'c3', username: 'sea' },
+          ],
+          error: null,
+        },
+      ];
+
+      const result = await blockService.getBlockedUsers('a1', { page: 1, limit: 2 });
+
+      expect(result.users).toEqual([
+        { id: 'c3', username: 'sea', blocked_at: '2026-01-02T00:00:00Z' },
+        { id: 'b2', username: 'bee', blocked_at: '2026-01-01T00:00:00Z' },
+      ]);
+      expect(result.pagination).toEqual({ page: 1, limit: 2, total: 3, totalPages: 2 });
+      expect(callsTo('user_blocks')[0].calls).toContainEqual(['range', 0, 1]);
+    });
+  });
+});
@@ -0,0 +1,321 @@
+jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+
+const { mockResults, mockQueries } = require('../helpers/supabaseMock');
+
+jest.mock('../../src/services/storageService', () => ({
+  resolveMediaUrls: jest.fn(async items => items),
+}));
+
+jest.mock('../../src/services/blockService', () => ({
+  assertNotBlocked: jest.fn(),
+}));
+
+const commentService = require('../../src/services/commentService');
+const storageService = require('../../src/services/storageService');
+const blockService = require('../../src/services/blockService');
+const { encodeCursor } = require('../../src/utils/validation');
+
+const callsTo = table => mockQueries.filter(query => query.table === table);
+
+const findCalls = (table, method) =>
+  callsTo(table).flatMap(query => query.calls.filter(call => call[0] === method));
+
+const commentRow = (id, createdAt, overrides = {}) => ({
+  id,
+  parent_id: null,
+  body: 'Nice',
+  created_at: createdAt,
+  user_id: 'u2',
+  users: { status: 'active', profiles: { username: 'fan' } },
+  ...overrides,
+});
+
+describe('Comment Service', () => {
+  beforeEach(() => {
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+  });
+
+  describe('createComment', () => {
+    test('should attach replies to a reply to the top-level comment', async () => {
+      mockResults.tracks = [{ data: { id: 't1', user_id: 'u1', is_active: true }, error: null }];
+      mockResults.comments = [
+        {
+          data: {
+            id: 'c2',
+            user_id: 'u3',
+            parent_id: 'c1',
+            content_type: 'track',
+            content_id: 't1',
+          },
+          error: null,
+        },
+        { data: commentRow('c3', '2024-01-01T00:00:00.000Z'), error: null },
+      ];
+
+      await commentService.createComment('u2', 'track', 't1', { body: ' Same ', parent_id: 'c2' });
+
+      expect(findCalls('comments', 'insert')[0][1]).toEqual({
+        user_id: 'u2',
+        content_type: 'track',
+        content_id: 't1',
+        parent_id: 'c1',
+        body: 'Same',
+      });
+      expect(blockService.assertNotBlocked).toHaveBeenCalledWith(
+        'u2',
+        'u3',
+        'You cannot reply to this comment'
+      );
+    });
+
+    test('should refuse a parent comment on other content', async () => {
+      mockResults.tracks = [{ data: { id: 't1', user_id: 'u1', is_active: true }, error: null }];
+      mockResults.comments = [
+        {
+          data: { id: 'c2', parent_id: null, content_type: 'track', content_id: 't9' },
+          error: null,
+        },
+      ];
+
+      await expect(
+        commentService.createComment('u2', 'track', 't1', { body: 'Hi', parent_id: 'c2' })
+      ).rejects.toThrow('Parent comment not found');
+      expect(findCalls('comments', 'insert')).toHaveLength(0);
+    });
+
+    test('should refuse comments on deactivated content', async () => {
+      mockResults.reels = [{ data: { id: 'r1', user_id: 'u1', is_active: false }, error: null }];
+
+      await expect(
+        commentService.createComment('u2', 'reel', 'r1', { body: 'Hi' })
+      ).rejects.toThrow('Reel not found');
+      expect(callsTo('comments')).toHaveLength(0);
+    });
+  });
+
+  describe('getComments', () => {
+    test.each([
+      ['missing', null],
+      ['deactivated', { id: 't1', user_id: 'u1', is_active: false }],
+    ])('should report comments on %s tracks as not found', async (label, track) => {
+      mockResults.tracks = [{ data: track, error: null }];
+
+      await expect(commentService.getComments('track', 't1')).rejects.toThrow('Track not found');
+      expect(callsTo('comments')).toHaveLength(0);
+    });
+
+    test('should report comments on deactivated reels as not found', async () => {
+      mockResults.reels = [{ data: { id: 'r1', user_id: 'u1', is_active: false }, error: null }];
+
+      await expect(commentService.getComments('reel', 'r1')).rejects.toThrow('Reel not found');
+    });
+
+    test('should exclude hidden comments and comments by banned users', async () => {
+      mockResults.tracks = [{ data: { id: 't1', user_id: 'u1', is_active: true }, error: null }];
+      mockResults.comments = [{ data: [], error: null }];
+
+      await commentService.getComments('track', 't1');
+
+      const [listQuery] = callsTo('comments');
+      expect(listQuery.calls).toEqual(
+        expect.arrayContaining([
+          ['eq', 'content_type', 'track'],
+          ['eq', 'content_id', 't1'],
+          ['is', 'parent_id', null],
+          ['eq', 'is_hidden', false],
+          ['neq', 'users.status', 'banned'],
+        ])
+      );
+    });
+
+    test('should page with a keyset cursor and count replies', async () => {
+      const cursor = encodeCursor(
+        '2024-01-03T00:00:00.000Z',
+        '0b7e3c1a-5d2f-4e8a-9c6b-1f2e3d4c5b6a'
+      );
+      mockResults.tracks = [{ data: { id: 't1', user_id: 'u1', is_active: true }, error: null }];
+      mockResults.comments = [
+        {
+          data: [
+            commentRow('c8', '2024-01-02T00:00:00.000Z'),
+            commentRow('c7', '2024-01-01T00:00:00.000Z'),
+            commentRow('c6', '2023-12-31T00:00:00.000Z'),
+          ],
+          error: null,
+        },
+        { data: [{ parent_id: 'c8' }, { parent_id: 'c8' }], error: null },
+      ];
+
+      const result = await commentService.getComments('track', 't1', { cursor, limit: 2 });
+
+      const [listQuery, replyQuery] = callsTo('comments');
+      expect(listQuery.calls).toEqual(
+        expect.arrayContaining([
+          [
+            'or',
+            'created_at.lt."2024-01-03T00:00:00.000Z",and(created_at.eq."2024-01-03T00:00:00.000Z",id.lt.0b7e3c1a-5d2f-4e8a-9c6b-1f2e3d4c5b6a)',
+          ],
+          ['order', 'created_at', { ascending: false }],
+          ['order', 'id', { ascending: false }],
+          ['limit', 3],
+        ])
+      );
+      expect(replyQuery.calls).toEqual(
+        expect.arrayContaining([
+          ['in', 'parent_id', ['c8', 'c7']],
+          ['neq', 'users.status', 'banned'],
+        ])
+      );
+      expect(result.comments.map(comment => [comment.id, comment.reply_count])).toEqual([
+        ['c8', 2],
+        ['c7', 0],
+      ]);
+      expect(result.comments[0].author).toEqual({ username: 'fan' });
+      expect(result.pagination.has_more).toBe(true);
+      expect(result.pagination.next_cursor).toBe(encodeCursor('2024-01-01T00:00:00.000Z', 'c7'));
+    });
+
+    test('should reject a malformed cursor', async () => {
+      await expect(
+        commentService.getComments('track', 't1', { cursor: 'not-a-cursor' })
+      ).rejects.toThrow('Invalid pagination cursor');
+      expect(mockQueries).toHaveLength(0);
+    });
+  });
+
+  describe('getReplies', () => {
+    const parentComment = {
+      id: 'c1',
+      parent_id: null,
+      is_hidden: false,
+      content_type: 'track',
+      content_id: 't1',
+    };
+
+    test.each([
+      ['missing', null],
+      ['hidden', { ...parentComment, is_hidden: true }],
+      ['reply', { ...parentComment, parent_id: 'c0' }],
+    ])('should report replies to a %s comment as not found', async (label, parent) => {
+      mockResults.comments = [{ data: parent, error: null }];
+
+      await expect(commentService.getReplies('c1')).rejects.toThrow('Comment not found');
+      expect(callsTo('comments')).toHaveLength(1);
+    });
+
+    test('should report replies on deactivated content as not found', async () => {
+      mockResults.comments = [{ data: { ...parentComment }, error: null }];
+      mockResults.tracks = [{ data: { id: 't1', user_id: 'u1', is_active: false }, error: null }];
+
+      await expect(commentService.getReplies('c1')).rejects.toThrow('Track not found');
+      expect(callsTo('comments')).toHaveLength(1);
+    });
+
+    test('should list replies oldest first after the cursor without banned authors', async () => {
+      const cursor = encodeCursor(
+        '2024-01-01T00:00:00.000Z',
+        '0b7e3c1a-5d2f-4e8a-9c6b-1f2e3d4c5b6a'
+      );
+      mockResults.comments = [
+        { data: { ...parentComment }, error: null },
+        { data: [], error: null },
+      ];
+      mockResults.tracks = [{ data: { id: 't1', user_id: 'u1', is_active: true }, error: null }];
+
+      const result = await commentService.getReplies('c1', { cursor });
+
+      expect(callsTo('comments')[1].calls).toEqual(
+        expect.arrayContaining([
+          ['eq', 'parent_id', 'c1'],
+          ['neq', 'users.status', 'banned'],
+          [
+            'or',
+            'created_at.gt."2024-01-01T00:00:00.000Z",and(created_at.eq."2024-01-01T00:00:00.000Z",id.gt.0b7e3c1a-5d2f-4e8a-9c6b-1f2e3d4c5b6a)',
+          ],
+          ['order', 'created_at', { ascending: true }],
+        ])
+      );
+      expect(result.pagination).toEqual({ limit: 20, has_more: false, next_cursor: null });
+    });
+  });
+
+  describe('updateComment', () => {
+    test('should resolve the author avatar of the edited comment', async () => {
+      mockResults.comments = [
+        {
+          data: commentRow('c1', '2024-01-01T00:00:00.000Z', {
+            users: {
+              status: 'active',
+              profiles: { username: 'fan', avatar_url: 'image/u2/a.webp' },
+            },
+          }),
+          error: null,
+        },
+      ];
+
+      const comment = await commentService.updateComment('c1', 'u2', ' Edited ');
+
+      expect(findCalls('comments', 'update')[0][1]).toMatchObject({ body: 'Edited' });
+      expect(storageService.resolveMediaUrls).toHaveBeenCalledWith(comment, ['author.avatar_url']);
+      expect(comment.author).toEqual({ username: 'fan', avatar_url: 'image/u2/a.webp' });
+    });
+  });
+
+  describe('deleteComment', () => {
+    const queueComment = () => {
+      mockResults.comments = [
+        {
+          data: { id: 'c1', user_id: 'author', content_type: 'track', content_id: 't1' },
+          error: null,
+        },
+        { data: null, error: null },
+      ];
+    };
+
+    test('should let the author delete their comment', async () => {
+      queueComment();
+
+      await commentService.deleteComment('c1', 'author', 'user');
+
+      expect(callsTo('tracks')).toHaveLength(0);
+      expect(findCalls('comments', 'delete')).toHaveLength(1);
+    });
+
+    test('should let an admin delete any comment', async () => {
+      queueComment();
+
+      await commentService.deleteComment('c1', 'admin-1', 'admin');
+
+      expect(callsTo('tracks')).toHaveLength(0);
+      expect(findCalls('comments', 'delete')).toHaveLength(1);
+    });
+
+    test('should let the owner of the content delete comments on it', async () => {
+      queueComment();
+      mockResults.tracks = [{ data: { id: 't1', user_id: 'owner', is_active: true }, error: null }];
+
+      await commentService.deleteComment('c1', 'owner', 'user');
+
+      expect(findCalls('comments', 'delete')).toHaveLength(1);
+    });
+
+    test('should refuse anyone else', async () => {
+      queueComment();
+      mockResults.tracks = [{ data: { id: 't1', user_id: 'owner', is_active: true }, error: null }];
+
+      await expect(commentService.deleteComment('c1', 'stranger', 'user')).rejects.toThrow(
+        'You cannot delete this comment'
+      );
+      expect(findCalls('comments', 'delete')).toHaveLength(0);
+    });
+
+    test('should report a missing comment as not found', async () => {
+      mockResults.comments = [{ data: null, error: null }];
+
+      await expect(commentService.deleteComment('c1', 'author', 'user')).rejects.toThrow(
+        'Comment not found'
+      );
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const eventService = require('../../src/services/eventService');
+
+describe('Event Service', () => {
+  beforeEach(() => {
+    eventService.clearEvents();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('publish and subscribe', () => {
+    test('should deliver events only to the recipient', () => {
+      eventService.openConnection('u1', jest.fn());
+      eventService.openConnection('u2', jest.fn());
+      const first = jest.fn();
+      const second = jest.fn();
+      eventService.subscribe('u1', first);
+      eventService.subscribe('u2', second);
+
+      const event = eventService.publish('u1', 'counter', { like_count: 3 });
+
+      expect(first).toHaveBeenCalledWith(event);
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    test('should drop events for users who never opened a stream', () => {
+      expect(eventService.publish('u1', 'notification', {})).toBeNull();
+    });
+
+    test('should report whether a user has a stream that keeps events', () => {
+      expect(eventService.hasStream('u1')).toBe(false);
+
+      const release = eventService.openConnection('u1', jest.fn());
+      release();
+      expect(eventService.hasStream('u1')).toBe(true);
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 6 * 60 * 1000);
+      expect(eventService.hasStream('u1')).toBe(false);
+    });
+
+    test('should stop delivering after unsubscribe', () => {
+      eventService.openConnection('u1', jest.fn());
+      const listener = jest.fn();
+      const unsubscribe = eventService.subscribe('u1', listener);
+
+      unsubscribe();
+      eventService.publish('u1', 'notification', {});
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getMissedEvents', () => {
+    test('should return events after the last received ID', () => {
+      eventService.openConnection('u1', jest.fn());
+      const first = eventService.publish('u1', 'notification', { n: 1 });
+      const second = eventService.publish('u1', 'notification', { n: 2 });
+      const third = eventService.publish('u1', 'counter', { n: 3 });
+
+      const missed = eventService.getMissedEvents('u1', first.id);
+
+      expect(missed.complete).toBe(true);
+      expect(missed.events).toEqual([second, third]);
+    });
+
+    test('should keep the backlog for a while after the last stream closes', () => {
+      const release = eventService.openConnection('u1', jest.fn());
+      const first = eventService.publish('u1', 'notification', {});
+      release();
+      const second = eventService.publish('u1', 'notification', {});
+
+      expect(eventService.getMissedEvents('u1', first.id).events).toEqual([second]);
+
+      const closedAt = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(closedAt + 6 * 60 * 1000);
+
+      expect(eventService.publish('u1', 'notification', {})).toBeNull();
+      expect(eventService.getMissedEvents('u1', first.id).complete).toBe(false);
+    });
+
+    test('should ask for a resync when missed events were dropped', () => {
+      eventService.openConnection('u1', jest.fn());
+      const first = eventService.publish('u1', 'notification', {});
+      for (let i = 0; i < 101; i++) {
+        eventService.publish('u1', 'notification', {});
+      }
+
+      const missed = eventService.getMissedEvents('u1', first.id);
+
+      expect(missed.complete).toBe(false);
+      expect(missed.events).toHaveLength(100);
+    });
+
+    test('should ask for a resync for unknown or foreign event IDs', () => {
+      eventService.openConnection('u1', jest.fn());
+      eventService.publish('u1', 'notification', {});
+
+      expect(eventService.getMissedEvents('u1', 'deadbeef-1').complete).toBe(false);
+      expect(eventService.getMissedEvents('u1', 'garbage').complete).toBe(false);
+    });
+  });
+
+  describe('openConnection', () => {
+    test('should cap open streams per user', () => {
+      const releases = [1, 2, 3].map(() => eventService.openConnection('u1', jest.fn()));
+
+      expect(() => eventService.openConnection('u1', jest.fn())).toThrow(
+        'Too many open event streams'
+      );
+      expect(() => eventService.openConnection('u2', jest.fn())).not.toThrow();
+
+      releases[0]();
+      releases[0]();
+      expect(() => eventService.openConnection('u1', jest.fn())).not.toThrow();
+      expect(() => eventService.openConnection('u1', jest.fn())).toThrow();
+    });
+
+    test('should close every open stream on shutdown', () => {
+      const close = jest.fn();
+      eventService.openConnection('u1', close);
+
+      eventService.closeAllConnections();
+
+      expect(close).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('formatEvent', () => {
+    test('should format events as SSE messages', () => {
+      expect(
+        eventService.formatEvent({ id: 'a-1', type: 'counter', data: { like_count: 2 } })
+      ).toBe('id: a-1\nevent: counter\ndata: {"like_count":2}\n\n');
+      expect(eventService.formatEvent({ type: 'resync', data: {} })).toBe(
+        'event: resync\ndata: {}\n\n'
+      );
+    });
+  });
+});
@@ -0,0 +1,208 @@
+jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+
+const { mockResults, mockQueries, mockRpc } = require('../helpers/supabaseMock');
+
+jest.mock('../../src/services/storageService', () => ({
+  resolveMediaUrls: jest.fn(async items => items),
+}));
+
+jest.mock('../../src/services/likeService', () => ({
+  getLikedContentIds: jest.fn(async (userId, type) => new Set(type === 'reel' ? ['a1'] : [])),
+}));
+
+jest.mock('../../src/services/taxonomyService', () => ({
+  attachTaxonomy: jest.fn(async items => items),
+}));
+
+jest.mock('../../src/services/blockService', () => ({
+  getHiddenUserIds: jest.fn(async () => new Set()),
+}));
+
+const feedService = require('../../src/services/feedService');
+const { encodeCursor } = require('../../src/utils/validation');
+
+const creator = { status: 'active', profiles: { username: 'ana' } };
+
+describe('Feed Service', () => {
+  beforeEach(() => {
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+  });
+
+  describe('getFollowingFeed', () => {
+    test('should return an empty page when the user follows nobody', async () => {
+      mockResults.follows = [{ data: [], error: null }];
+
+      const result = await feedService.getFollowingFeed('viewer', { limit: 10 });
+
+      expect(result).toEqual({
+        items: [],
+        pagination: { limit: 10, has_more: false, next_cursor: null },
+      });
+      expect(mockQueries.map(query => query.table)).toEqual(['follows']);
+    });
+
+    test('should merge tracks and reels newest first with is_liked', async () => {
+      mockResults.follows = [
+        { data: [{ following_id: 'c1' }, { following_id: 'c2' }], error: null },
+      ];
+      mockResults.tracks = [
+        {
+          data: [
+            { id: 't2', created_at: '2026-03-01T10:00:00.5+00:00', user_id: 'c1', users: creator },
+            { id: 't1', created_at: '2026-02-01T10:00:00+00:00', user_id: 'c2', users: creator },
+          ],
+          error: null,
+        },
+      ];
+      mockResults.reels = [
+        {
+          data: [
+            { id: 'a1', created_at: '2026-03-01T10:00:00.25+00:00', user_id: 'c2', users: creator },
+          ],
+          error: null,
+        },
+      ];
+
+      const result = await feedService.getFollowingFeed('viewer', { limit: 2 });
+
+      expect(result.items.map(item => [item.type, item.id, item.is_liked])).toEqual([
+        ['track', 't2', false],
+        ['reel', 'a1', true],
+      ]);
+      expect(result.items[0].creator).toEqual({ username: 'ana' });
+      expect(result.items[0].users).toBeUndefined();
+      expect(result.pagination.has_more).toBe(true);
+      expect(result.pagination.next_cursor).toBe(
+        encodeCursor('2026-03-01T10:00:00.25+00:00', 'a1')
+      );
+
+      const trackQuery = mockQueries.find(query => query.table === 'tracks').calls;
+      expect(trackQuery).toContainEqual(['in', 'user_id', ['c1', 'c2']]);
+      expect(trackQuery).toContainEqual(['eq', 'users.status', 'active']);
+      expect(trackQuery).toContainEqual(['limit', 3]);
+    });
+
+    test('should continue after the cursor', async () => {
+      mockResults.follows = [{ data: [{ following_id: 'c1' }], error: null }];
+      mockResults.tracks = [{ data: [], error: null }];
+      mockResults.reels = [{ data: [], error: null }];
+
+      const cursor = encodeCursor(
+        '2026-03-01T10:00:00+00:00',
+        '0b7e3c1a-5d2f-4e8a-9c6b-1f2e3d4c5b6a'
+      );
+      const result = await feedService.getFollowingFeed('viewer', { cursor, limit: 5 });
+
+      expect(result.pagination).toEqual({ limit: 5, has_more: false, next_cursor: null });
+      expect(mockQueries.find(query => query.table === 'reels').calls).toContainEqual([
+        'or',
+        'created_at.lt."2026-03-01T10:00:00+00:00",and(created_at.eq."2026-03-01T10:00:00+00:00",id.lt.0b7e3c1a-5d2f-4e8a-9c6b-1f2e3d4c5b6a)',
+      ]);
+    });
+  });
+
+  describe('arrangeFairFeed', () => {
+    // Creator p uploads 8 reels, q and s 2 each, n (boosted) 1
+    const reels = [
+      ...Array.from({ length: 8 }, (_, i) => ({ id: `p${i}`, user_id: 'p' })),
+      { id: 'q0', user_id: 'q' },
+      { id: 'q1', user_id: 'q' },
+      { id: 's0', user_id: 's' },
+      { id: 's1', user_id: 's' },
+      { id: 'n0', user_id: 'n' },
+    ];
+    const options = {
+      seed: 'session-1',
+      pageSize: 4,
+      boosted: new Set(['n']),
+      maxPerCreator: 2,
+      boostedSlots: 1,
+    };
+
+    test('should cap reels per creator on every page and keep every reel', () => {
+      const pages = feedService.arrangeFairFeed(reels, options);
+
+      expect(
+        pages
+          .flat()
+          .map(reel => reel.id)
+          .sort()
+      ).toEqual(reels.map(reel => reel.id).sort());
+      for (const page of pages) {
+        expect(page.length).toBeLessThanOrEqual(4);
+        expect(page.filter(reel => reel.user_id === 'p').length).toBeLessThanOrEqual(2);
+      }
+    });
+
+    test('should give boosted creators a slot on the first page', () => {
+      const [firstPage] = feedService.arrangeFairFeed(reels, options);
+
+      expect(firstPage.map(reel => reel.id)).toContain('n0');
+    });
+
+    test('should produce the same order for the same seed', () => {
+      const ids = seed =>
+        feedService
+          .arrangeFairFeed(reels, { ...options, seed })
+          .flat()
+          .map(reel => reel.id);
+
+      expect(ids('session-1')).toEqual(ids('session-1'));
+      expect(ids('session-1')).not.toEqual(ids('session-2'));
+    });
+  });
+
+  describe('getFairReelFeed', () => {
+    const pool = [
+      { id: 'a1', user_id: 'c1', created_at: '2026-03-03T00:00:00+00:00', users: creator },
+      { id: 'a2', user_id: 'c1', created_at: '2026-03-02T00:00:00+00:00', users: creator },
+      { id: 'a3', user_id: 'c2', created_at: '2026-03-01T00:00:00+00:00', users: creator },
+    ];
+
+    test('should skip seen reels and keep the session order across pages', async () => {
+      mockRpc.mockResolvedValue({
+        data: [
+          { creator_id: 'c1', follower_count: 5000, approved_at: null },
+          { creator_id: 'c2', follower_count: 3, approved_at: null },
+        ],
+        error: null,
+      });
+      mockResults.reels = [
+        { data: pool, error: null },
+        { data: pool, error: null },
+      ];
+      mockResults.reel_views = [
+        { data: [{ reel_id: 'a2' }], error: null },
+        { data: [{ reel_id: 'a2' }], error: null },
+      ];
+
+      const first = await feedService.getFairReelFeed('viewer', { limit: 1, seed: 'abc' });
+
+      expect(first.pagination).toMatchObject({ limit: 1, has_more: true, seed: 'abc' });
+      expect(first.reels[0].creator).toEqual({ username: 'ana' });
+
+      const second = await feedService.getFairReelFeed('viewer', {
+        cursor: first.pagination.next_cursor,
+      });
+
+      const shown = [...first.reels, ...second.reels].map(reel => reel.id);
+      expect(shown.sort()).toEqual(['a1', 'a3']);
+      expect(second.pagination).toMatchObject({ has_more: false, next_cursor: null });
+
+      // Both pages read the pool and views as of the session start
+      const [firstPool, secondPool] = mockQueries
+        .filter(query => query.table === 'reels')
+        .map(query => query.calls.find(call => call[0] === 'lte'));
+      expect(secondPool).toEqual(firstPool);
+    });
+
+    test('should reject a tampered cursor', async () => {
+      const cursor = Buffer.from(JSON.stringify({ seed: 'x', limit: 500 })).toString('base64url');
+
+      await expect(feedService.getFairReelFeed(null, { cursor })).rejects.toThrow(
+        'Invalid pagination cursor'
+      );
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { detectFileType, assertFileType } = require('../../src/utils/fileSignature');
+const { ValidationError } = require('../../src/utils/errors');
+
+const bytes = (...parts) =>
+  Buffer.concat(
+    parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part)))
+  );
+
+describe('File Signature', () => {
+  describe('detectFileType', () => {
+    test.each([
+      ['image/jpeg', bytes([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10])],
+      ['image/png', bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+      ['image/webp', bytes('RIFF', [0x24, 0, 0, 0], 'WEBPVP8 ')],
+      ['audio/wav', bytes('RIFF', [0x24, 0, 0, 0], 'WAVEfmt ')],
+      ['audio/ogg', bytes('OggS', [0x00, 0x02])],
+      ['audio/mpeg', bytes('ID3', [0x03, 0x00, 0x00])],
+      ['audio/mpeg', bytes([0xff, 0xfb, 0x90, 0x00])],
+      ['video/mp4', bytes([0, 0, 0, 0x18], 'ftypmp42')],
+      ['video/webm', bytes([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84], 'webm')],
+    ])('should detect %s', (type, buffer) => {
+      expect(detectFileType(buffer)).toBe(type);
+    });
+
+    test('should not recognise Matroska, text or short buffers', () => {
+      expect(detectFileType(bytes([0x1a, 0x45, 0xdf, 0xa3, 0x42, 0x82, 0x88], 'matroska'))).toBe(
+        null
+      );
+      expect(detectFileType(bytes('hello world'))).toBeNull();
+      expect(detectFileType(bytes([0xff]))).toBeNull();
+    });
+  });
+
+  describe('assertFileType', () => {
+    test('should accept aliases of the detected type', () => {
+      expect(() => assertFileType(bytes('ID3', [3, 0, 0]), 'audio/mp3')).not.toThrow();
+      expect(() => assertFileType(bytes([0xff, 0xd8, 0xff, 0xdb]), 'image/jpg')).not.toThrow();
+    });
+
+    test('should reject content that differs from the declared type', () => {
+      expect(() => assertFileType(bytes([0xff, 0xd8, 0xff, 0xdb]), 'audio/mpeg')).toThrow(
+        ValidationError
+      );
+      expect(() => assertFileType(bytes('MZ', [0x90, 0x00]), 'image/png')).toThrow(
+        'File content does not match the declared type image/png'
+      );
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const sharp = require('sharp');
+
+jest.mock('../../src/services/storageService', () => ({
+  validateFile: jest.fn(),
+  uploadFile: jest.fn(
+    async (file, userId, category) => `${category}/${userId}/${file.originalname}`
+  ),
+  deleteFile: jest.fn(),
+  confirmUpload: jest.fn(),
+  readFile: jest.fn(),
+}));
+
+const storageService = require('../../src/services/storageService');
+const imageService = require('../../src/services/imageService');
+
+// 400x200 JPEG tagged with a camera, GPS position and a 90 degree orientation
+const createPhoto = () =>
+  sharp({ create: { width: 400, height: 200, channels: 3, background: '#336699' } })
+    .jpeg()
+    .withExif({
+      IFD0: { Make: 'TestCam' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' },
+    })
+    .withMetadata({ orientation: 6 })
+    .toBuffer();
+
+describe('Image Service', () => {
+  describe('processImage', () => {
+    test('should apply orientation, drop metadata and create square thumbnails', async () => {
+      const { image, variants } = await imageService.processImage(await createPhoto());
+
+      const info = await sharp(image).metadata();
+      expect(info.format).toBe('webp');
+      expect([info.width, info.height]).toEqual([200, 400]);
+      expect(info.exif).toBeUndefined();
+      expect(info.orientation).toBeUndefined();
+
+      expect(Object.keys(variants)).toEqual(['small', 'medium', 'large']);
+      const large = await sharp(variants.large).metadata();
+      expect([large.width, large.height]).toEqual([600, 600]);
+      expect(large.exif).toBeUndefined();
+    });
+
+    test('should reject data that is not a decodable image', async () => {
+      const buffer = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(64)]);
+
+      await expect(imageService.processImage(buffer)).rejects.toThrow(
+        'Image could not be decoded or is too large'
+      );
+    });
+  });
+
+  describe('storeUploadedImage', () => {
+    test('should store processed files and delete the original upload', async () => {
+      storageService.readFile.mockResolvedValue(await createPhoto());
+
+      const result = await imageService.storeUploadedImage('image/u1/1_raw.jpg', 'u1', 'avatar');
+
+      expect(result).toEqual({
+        path: 'image/u1/avatar.webp',
+        variants: {
+          small: 'image/u1/avatar_small.webp',
+          medium: 'image/u1/avatar_medium.webp',
+          large: 'image/u1/avatar_large.webp',
+        },
+      });
+      expect(storageService.confirmUpload).toHaveBeenCalledWith(
+        'image/u1/1_raw.jpg',
+        'u1',
+        'image'
+      );
+      expect(storageService.deleteFile).toHaveBeenCalledWith('image/u1/1_raw.jpg');
+    });
+
+    test('should remove stored files when an upload fails part way', async () => {
+      storageService.readFile.mockResolvedValue(await createPhoto());
+      storageService.uploadFile
+        .mockResolvedValueOnce('image/u1/cover.webp')
+        .mockRejectedValueOnce(new Error('Failed to upload file'));
+
+      await expect(
+        imageService.storeUploadedImage('image/u1/1_raw.jpg', 'u1', 'cover')
+      ).rejects.toThrow('Failed to upload file');
+
+      expect(storageService.deleteFile).toHaveBeenCalledWith('image/u1/cover.webp');
+      expect(storageService.deleteFile).toHaveBeenCalledWith('image/u1/1_raw.jpg');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalDriver } = require('../../src/storage/localDriver');
+
+const BASE_URL = 'http://localhost:3000/api/storage';
+
+const readStream = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe('Local Storage Driver', () => {
+  let root;
+  let driver;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-storage-'));
+    driver = createLocalDriver({ root, baseUrl: BASE_URL, secret: 'test-secret' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should store, read and describe files', async () => {
+    const key = 'audio/u1/1_song.mp3';
+    await driver.put(key, Buffer.from('0123456789'), { contentType: 'audio/mpeg' });
+
+    expect((await driver.get(key)).toString()).toBe('0123456789');
+    expect((await driver.get(key, { start: 2, end: 4 })).toString()).toBe('234');
+    expect((await readStream(await driver.stream(key, { start: 5, end: 9 }))).toString()).toBe(
+      '56789'
+    );
+
+    const info = await driver.info(key);
+    expect(info).toMatchObject({ size: 10, content_type: 'audio/mpeg' });
+    expect(await driver.info('audio/u1/missing.mp3')).toBeNull();
+  });
+
+  test('should not overwrite existing files unless upserting', async () => {
+    const key = 'image/u1/avatar.png';
+    await driver.put(key, Buffer.from('one'));
+
+    await expect(driver.put(key, Buffer.from('two'))).rejects.toThrow('already exists');
+    await driver.put(key, Buffer.from('two'), { upsert: true });
+
+    expect((await driver.get(key)).toString()).toBe('two');
+  });
+
+  test('should list, move and delete files', async () => {
+    await driver.put('video/u1/b.mp4', Buffer.from('b'));
+    await driver.put('video/u1/a.mp4', Buffer.from('aa'));
+
+    expect(await driver.list('')).toEqual([
+      expect.objectContaining({ name: 'video', key: 'video', is_folder: true }),
+    ]);
+    expect((await driver.list('video/u1')).map(entry => [entry.key, entry.size])).toEqual([
+      ['video/u1/a.mp4', 2],
+      ['video/u1/b.mp4', 1],
+    ]);
+    expect(await driver.list('video/u1', { limit: 1, offset: 1 })).toHaveLength(1);
+
+    await driver.move('video/u1/a.mp4', 'video/u1/c.mp4');
+    await driver.delete(['video/u1/b.mp4']);
+
+    expect((await driver.list('video/u1')).map(entry => entry.name)).toEqual(['c.mp4']);
+  });
+
+  test('should reject keys that escape the storage root', async () => {
+    for (const key of ['../outside.mp3', 'audio/../../x', '/etc/passwd', 'audio//x.mp3']) {
+      await expect(driver.put(key, Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    }
+  });
+
+  test('should build URLs from keys and map them back', async () => {
+    const key = 'image/u1/my cover.png';
+
+    expect(driver.publicUrl(key)).toBe(`${BASE_URL}/image/u1/my%20cover.png`);
+    expect(driver.keyFromUrl(driver.publicUrl(key))).toBe(key);
+    expect(driver.keyFromUrl('https://example.com/image/u1/x.png')).toBeNull();
+  });
+
+  test('should sign URLs and reject tampered or expired ones', async () => {
+    const key = 'audio/u1/1_song.mp3';
+    await driver.put(key, Buffer.from('x'));
+
+    const [url, missing] = await driver.signedUrls([key, 'audio/u1/missing.mp3'], 60);
+    const query = Object.fromEntries(new URL(url).searchParams);
+
+    expect(missing).toBeNull();
+    expect(driver.verifySignature('GET', key, query)).toBe(true);
+    expect(driver.verifySignature('PUT', key, query)).toBe(false);
+    expect(driver.verifySignature('GET', 'audio/u1/other.mp3', query)).toBe(false);
+    expect(driver.verifySignature('GET', key, { ...query, expires: '1' })).toBe(false);
+
+    const upload = await driver.createSignedUpload('audio/u1/2_new.mp3');
+    const uploadQuery = Object.fromEntries(new URL(upload.url).searchParams);
+    expect(driver.verifySignature('PUT', upload.key, uploadQuery)).toBe(true);
+  });
+
+  test('should stop receiving uploads over the size limit', async () => {
+    const key = 'image/u1/big.png';
+
+    await expect(driver.receive(key, [Buffer.alloc(6), Buffer.alloc(6)], 10)).rejects.toThrow(
+      'File too large'
+    );
+
+    expect(await driver.info(key)).toBeNull();
+    expect(fs.readdirSync(path.join(root, 'image/u1'))).toEqual([]);
+  });
+});
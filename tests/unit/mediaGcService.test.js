@@ -0,0 +1,132 @@
+const mockInsert = jest.fn();
+const mockTables = {};
+
+jest.mock('../../src/config/database', () => ({
+  supabaseAdmin: {
+    from: jest.fn(table => ({
+      select: () => ({
+        order: () => ({
+          range: (from, to) =>
+            Promise.resolve({ data: (mockTables[table] || []).slice(from, to + 1), error: null }),
+        }),
+      }),
+      insert: run => {
+        mockInsert(run);
+        return { select: () => ({ single: () => Promise.resolve({ data: run, error: null }) }) };
+      },
+    })),
+  },
+}));
+
+const mockDelete = jest.fn();
+
+jest.mock('../../src/config/storage', () => {
+  const files = {
+    '': [
+      { name: 'audio', key: 'audio', is_folder: true },
+      { name: 'image', key: 'image', is_folder: true },
+    ],
+    audio: [{ name: 'u1', key: 'audio/u1', is_folder: true }],
+    'audio/u1': [
+      { key: 'audio/u1/1_kept.mp3', size: 100, last_modified: '2020-01-01T00:00:00Z' },
+      { key: 'audio/u1/2_orphan.mp3', size: 300, last_modified: '2020-01-01T00:00:00Z' },
+      { key: 'audio/u1/3_recent.mp3', size: 50, last_modified: new Date().toISOString() },
+    ],
+    image: [
+      { key: 'image/avatar_small.webp', size: 7, last_modified: '2020-01-01T00:00:00Z' },
+      { key: 'image/legacy_cover.png', size: 10, last_modified: '2020-01-01T00:00:00Z' },
+      { key: 'image/orphan.png', size: 20, last_modified: '2020-01-01T00:00:00Z' },
+      { key: 'image/unknown_age.png', size: 5, last_modified: null },
+    ],
+  };
+
+  return {
+    STORAGE_CONFIG: jest.requireActual('../../src/config/storage').STORAGE_CONFIG,
+    listFiles: jest.fn(async (prefix, { offset }) =>
+      offset ? [] : files[prefix].map(file => ({ is_folder: false, ...file }))
+    ),
+    getStorageDriver: () => ({
+      delete: mockDelete,
+      keyFromUrl: url => url.split('/uploads/')[1] || null,
+    }),
+  };
+});
+
+jest.mock('../../src/services/settingsService', () => ({
+  getSetting: jest.fn(() => Promise.resolve(24)),
+  getSettings: jest.fn(),
+}));
+
+const mediaGcService = require('../../src/services/mediaGcService');
+
+describe('Media GC Service', () => {
+  beforeEach(() => {
+    mockTables.tracks = [
+      {
+        id: 't1',
+        audio_url: 'audio/u1/1_kept.mp3',
+        cover_url: 'https://storage.example.com/uploads/image/legacy_cover.png',
+      },
+    ];
+    mockTables.reels = [];
+    mockTables.profiles = [
+      {
+        id: 'p1',
+        avatar_url: 'https://lh3.googleusercontent.com/a/x',
+        avatar_variants: { small: 'image/avatar_small.webp' },
+      },
+    ];
+  });
+
+  test('should report unreferenced files past the grace period without deleting', async () => {
+    const run = await mediaGcService.runGc();
+
+    expect(run).toMatchObject({
+      trigger: 'manual',
+      status: 'completed',
+      dry_run: true,
+      grace_hours: 24,
+      scanned_count: 7,
+      referenced_count: 3,
+      orphan_count: 2,
+      orphan_bytes: 320,
+      deleted_count: 0,
+    });
+    expect(run.orphans.map(file => file.key)).toEqual([
+      'image/orphan.png',
+      'audio/u1/2_orphan.mp3',
+    ]);
+    expect(mockDelete).not.toHaveBeenCalled();
+    expect(mockInsert).toHaveBeenCalledTimes(1);
+  });
+
+  test('should delete orphans unless they became referenced during the run', async () => {
+    // The orphaned audio gets attached to a row after the first reference pass
+    let reads = 0;
+    const tracks = mockTables.tracks;
+    Object.defineProperty(mockTables, 'tracks', {
+      configurable: true,
+      get: () =>
+        reads++ === 0 ? tracks : [...tracks, { id: 't2', audio_url: 'audio/u1/2_orphan.mp3' }],
+    });
+    mockDelete.mockResolvedValue();
+
+    const run = await mediaGcService.runGc({ trigger: 'scheduled', dryRun: false });
+
+    expect(mockDelete).toHaveBeenCalledWith(['image/orphan.png']);
+    expect(run).toMatchObject({ status: 'completed', orphan_count: 2, deleted_count: 1 });
+
+    delete mockTables.tracks;
+  });
+
+  test('should record a failed run when the bucket cannot be listed', async () => {
+    const storage = require('../../src/config/storage');
+    storage.listFiles.mockRejectedValueOnce(new Error('Storage unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const run = await mediaGcService.runGc({ dryRun: false });
+
+    expect(run).toMatchObject({ status: 'failed', message: 'Storage unavailable' });
+    expect(mockDelete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,245 @@
+jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+
+const { mockResults, mockQueries } = require('../helpers/supabaseMock');
+
+jest.mock('../../src/services/storageService', () => ({
+  resolveMediaUrls: jest.fn(async items => items),
+}));
+
+jest.mock('../../src/services/followService', () => ({
+  isFollowing: jest.fn(),
+}));
+
+jest.mock('../../src/services/eventService', () => ({
+  publish: jest.fn(),
+}));
+
+jest.mock('../../src/services/blockService', () => ({
+  assertNotBlocked: jest.fn(),
+}));
+
+const messageService = require('../../src/services/messageService');
+const followService = require('../../src/services/followService');
+const eventService = require('../../src/services/eventService');
+const blockService = require('../../src/services/blockService');
+const { AuthorizationError } = require('../../src/utils/errors');
+
+const callsTo = table => mockQueries.filter(query => query.table === table);
+
+describe('Message Service', () => {
+  beforeEach(() => {
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+  });
+
+  describe('sendToUser', () => {
+    test('should reject messages to yourself and empty messages', async () => {
+      await expect(messageService.sendToUser('a1', 'a1', 'hi')).rejects.toThrow(
+        'You cannot message yourself'
+      );
+      await expect(messageService.sendToUser('a1', 'b2', '   ')).rejects.toThrow(
+        'Message body is required'
+      );
+    });
+
+    test('should not message banned users', async () => {
+      mockResults.users = [{ data: { id: 'b2', status: 'banned' }, error: null }];
+
+      await expect(messageService.sendToUser('a1', 'b2', 'hi')).rejects.toThrow('User not found');
+    });
+
+    test('should not message users across a block', async () => {
+      mockResults.users = [{ data: { id: 'b2', status: 'active' }, error: null }];
+      blockService.assertNotBlocked.mockRejectedValueOnce(
+        new AuthorizationError('You cannot message this user')
+      );
+
+      await expect(messageService.sendToUser('a1', 'b2', 'hi')).rejects.toThrow(
+        'You cannot message this user'
+      );
+      expect(blockService.assertNotBlocked).toHaveBeenCalledWith(
+        'a1',
+        'b2',
+        'You cannot message this user'
+      );
+      expect(callsTo('conversations')).toHaveLength(0);
+    });
+
+    test('should start a message request when the recipient does not follow the sender', async () => {
+      followService.isFollowing.mockResolvedValue(false);
+      mockResults.users = [{ data: { id: 'a1', status: 'active' }, error: null }];
+      mockResults.conversations = [
+        { data: null, error: null },
+        { data: { id: 'c1' }, error: null },
+      ];
+      mockResults.conversation_members = [
+        { data: null, error: null },
+        {
+          data: [
+            { conversation_id: 'c1', user_id: 'b2', status: 'accepted' },
+            { conversation_id: 'c1', user_id: 'a1', status: 'request' },
+          ],
+          error: null,
+        },
+      ];
+      const message = { id: 'm1', conversation_id: 'c1', sender_id: 'b2', body: 'hey' };
+      mockResults.messages = [{ data: message, error: null }];
+
+      const result = await messageService.sendToUser('b2', 'a1', '  hey ');
+
+      expect(result).toEqual({ conversation_id: 'c1', status: 'request', message });
+      expect(followService.isFollowing).toHaveBeenCalledWith('a1', 'b2');
+
+      // Pair stored with the smaller ID first
+      expect(callsTo('conversations')[0].calls[0][1]).toEqual({ user_a: 'a1', user_b: 'b2' });
+      expect(callsTo('conversation_members')[0].calls[0][1]).toEqual([
+        { conversation_id: 'c1', user_id: 'b2', status: 'accepted' },
+        { conversation_id: 'c1', user_id: 'a1', status: 'request' },
+      ]);
+      expect(callsTo('messages')[0].calls[0]).toEqual([
+        'insert',
+        { conversation_id: 'c1', sender_id: 'b2', body: 'hey' },
+      ]);
+      expect(eventService.publish).toHaveBeenCalledWith('a1', 'message', {
+        conversation_id: 'c1',
+        status: 'request',
+        message,
+      });
+    });
+  });
+
+  describe('sendMessage', () => {
+    test('should accept a request when its recipient replies', async () => {
+      mockResults.conversation_members = [
+        {
+          data: [
+            { conversation_id: 'c1', user_id: 'a1', status: 'request' },
+            { conversation_id: 'c1', user_id: 'b2', status: 'accepted' },
+          ],
+          error: null,
+        },
+        { data: null, error: null },
+      ];
+      mockResults.messages = [{ data: { id: 'm2' }, error: null }];
+
+      await messageService.sendMessage('a1', 'c1', 'sure');
+
+      expect(callsTo('conversation_members')[1].calls).toEqual([
+        ['update', { status: 'accepted' }],
+        ['eq', 'conversation_id', 'c1'],
+        ['eq', 'user_id', 'a1'],
+      ]);
+    });
+
+    test('should not tell a recipient who declined', async () => {
+      mockResults.conversation_members = [
+        {
+          data: [
+            { conversation_id: 'c1', user_id: 'b2', status: 'accepted' },
+            { conversation_id: 'c1', user_id: 'a1', status: 'declined' },
+          ],
+          error: null,
+        },
+      ];
+      mockResults.messages = [{ data: { id: 'm3' }, error: null }];
+
+      await messageService.sendMessage('b2', 'c1', 'hello?');
+
+      expect(eventService.publish).not.toHaveBeenCalled();
+    });
+
+    test('should reject conversations the sender is not part of', async () => {
+      mockResults.conversation_members = [
+        { data: [{ conversation_id: 'c1', user_id: 'b2', status: 'accepted' }], error: null },
+      ];
+
+      await expect(messageService.sendMessage('e5', 'c1', 'hi')).rejects.toThrow(
+        'Conversation not found'
+      );
+    });
+  });
+
+  describe('getMessages', () => {
+    test('should mark messages read up to the last read time of each side', async () => {
+      mockResults.conversation_members = [
+        {
+          data: [
+            { user_id: 'a1', last_read_at: '2026-03-01T10:00:02.000002+00:00' },
+            { user_id: 'b2', last_read_at: '2026-03-01T10:00:01.000001+00:00' },
+          ],
+          error: null,
+        },
+      ];
+      mockResults.messages = [
+        {
+          data: [
+            { id: 'm3', sender_id: 'b2', created_at: '2026-03-01T10:00:03+00:00' },
+            { id: 'm2', sender_id: 'a1', created_at: '2026-03-01T10:00:01.000002+00:00' },
+            { id: 'm1', sender_id: 'a1', created_at: '2026-03-01T10:00:01.000001+00:00' },
+          ],
+          error: null,
+        },
+      ];
+
+      const result = await messageService.getMessages('a1', 'c1', { limit: 10 });
+
+      expect(result.messages.map(message => [message.id, message.is_read])).toEqual([
+        ['m3', false],
+        ['m2', false],
+        ['m1', true],
+      ]);
+      expect(result.other_last_read_at).toBe('2026-03-01T10:00:01.000001+00:00');
+      expect(result.pagination).toEqual({ limit: 10, has_more: false, next_cursor: null });
+    });
+  });
+
+  describe('markRead', () => {
+    test('should read up to the latest message and send a read receipt', async () => {
+      mockResults.conversation_members = [
+        {
+          data: [
+            { user_id: 'a1', last_read_at: null },
+            { user_id: 'b2', last_read_at: '2026-03-01T10:00:00+00:00' },
+          ],
+          error: null,
+        },
+        { data: null, error: null },
+      ];
+      mockResults.messages = [{ data: { created_at: '2026-03-01T10:00:05+00:00' }, error: null }];
+
+      const result = await messageService.markRead('a1', 'c1');
+
+      expect(result).toEqual({ last_read_at: '2026-03-01T10:00:05+00:00' });
+      expect(callsTo('conversation_members')[1].calls).toContainEqual([
+        'lte',
+        'last_message_at',
+        '2026-03-01T10:00:05+00:00',
+      ]);
+      expect(eventService.publish).toHaveBeenCalledWith('b2', 'message_read', {
+        conversation_id: 'c1',
+        last_read_at: '2026-03-01T10:00:05+00:00',
+      });
+    });
+  });
+
+  describe('getUnreadCounts', () => {
+    test('should count unread inbox messages and requests separately', async () => {
+      mockResults.conversation_members = [
+        {
+          data: [
+            { status: 'accepted', unread_count: 3 },
+            { status: 'accepted', unread_count: 1 },
+            { status: 'request', unread_count: 2 },
+          ],
+          error: null,
+        },
+      ];
+
+      await expect(messageService.getUnreadCounts('a1')).resolves.toEqual({
+        unread_messages: 4,
+        unread_conversations: 2,
+        requests: 1,
+      });
+    });
+  });
+});
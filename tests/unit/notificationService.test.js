@@ -0,0 +1,188 @@
+jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+
+const { mockResults, mockQueries, mockRpc } = require('../helpers/supabaseMock');
+
+jest.mock('../../src/services/storageService', () => ({
+  resolveMediaUrls: jest.fn(async items => items),
+}));
+
+jest.mock('../../src/services/blockService', () => ({
+  isBlocked: jest.fn(async () => false),
+}));
+
+const notificationService = require('../../src/services/notificationService');
+const blockService = require('../../src/services/blockService');
+const { encodeCursor } = require('../../src/utils/validation');
+
+describe('Notification Service', () => {
+  beforeEach(() => {
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+  });
+
+  describe('notify', () => {
+    test('should ignore actions on your own content', async () => {
+      const id = await notificationService.notify({
+        userId: 'u1',
+        type: 'like',
+        actorId: 'u1',
+        contentType: 'track',
+        contentId: 't1',
+      });
+
+      expect(id).toBeNull();
+      expect(mockRpc).not.toHaveBeenCalled();
+      expect(mockQueries).toHaveLength(0);
+    });
+
+    test('should ignore actions by banned users', async () => {
+      mockResults.users = [{ data: { status: 'banned' }, error: null }];
+
+      const id = await notificationService.notify({ userId: 'u1', type: 'follow', actorId: 'u2' });
+
+      expect(id).toBeNull();
+      expect(mockRpc).not.toHaveBeenCalled();
+    });
+
+    test('should ignore actions across a block', async () => {
+      mockResults.users = [{ data: { status: 'active' }, error: null }];
+      blockService.isBlocked.mockResolvedValueOnce(true);
+
+      const id = await notificationService.notify({ userId: 'u1', type: 'follow', actorId: 'u2' });
+
+      expect(id).toBeNull();
+      expect(blockService.isBlocked).toHaveBeenCalledWith('u1', 'u2');
+      expect(mockRpc).not.toHaveBeenCalled();
+    });
+
+    test('should add a groupable notification for an active actor', async () => {
+      mockResults.users = [{ data: { status: 'active' }, error: null }];
+      mockRpc.mockResolvedValue({ data: 'n1', error: null });
+
+      const id = await notificationService.notify({
+        userId: 'u1',
+        type: 'like',
+        actorId: 'u2',
+        contentType: 'track',
+        contentId: 't1',
+        data: { title: 'Song' },
+      });
+
+      expect(id).toBe('n1');
+      expect(mockRpc).toHaveBeenCalledWith('add_notification', {
+        recipient_id: 'u1',
+        notification_type: 'like',
+        actor: 'u2',
+        target_type: 'track',
+        target_id: 't1',
+        payload: { title: 'Song' },
+        group_window_minutes: 1440,
+      });
+    });
+
+    test('should add notifications without an actor without checking users', async () => {
+      mockRpc.mockResolvedValue({ data: 'n2', error: null });
+
+      const id = await notificationService.notify({
+        userId: 'u1',
+        type: 'application_approved',
+        data: { application_id: 'a1' },
+      });
+
+      expect(id).toBe('n2');
+      expect(mockQueries).toHaveLength(0);
+      expect(mockRpc.mock.calls[0][1]).toMatchObject({ actor: null, target_id: null });
+    });
+
+    test('should log and swallow failures', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockResults.users = [{ data: { status: 'active' }, error: null }];
+      mockRpc.mockResolvedValue({ data: null, error: { message: 'boom' } });
+
+      await expect(
+        notificationService.notify({ userId: 'u1', type: 'follow', actorId: 'u2' })
+      ).resolves.toBeNull();
+      expect(consoleError).toHaveBeenCalled();
+
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('getNotifications', () => {
+    test('should flatten the latest actor and page by latest activity', async () => {
+      mockResults.notifications = [
+        {
+          data: [
+            {
+              id: 'b2',
+              type: 'like',
+              actor_count: 12,
+              updated_at: '2026-03-02T10:00:00+00:00',
+              actor_id: 'u2',
+              users: { profiles: { username: 'ana' } },
+            },
+            {
+              id: 'b1',
+              type: 'application_approved',
+              actor_count: 0,
+              updated_at: '2026-03-01T10:00:00+00:00',
+              actor_id: null,
+              users: null,
+            },
+          ],
+          error: null,
+        },
+      ];
+
+      const result = await notificationService.getNotifications('u1', { limit: 1 });
+
+      expect(result.notifications).toEqual([
+        {
+          id: 'b2',
+          type: 'like',
+          actor_count: 12,
+          updated_at: '2026-03-02T10:00:00+00:00',
+          actor: { id: 'u2', username: 'ana' },
+        },
+      ]);
+      expect(result.pagination.has_more).toBe(true);
+      expect(result.pagination.next_cursor).toBe(encodeCursor('2026-03-02T10:00:00+00:00', 'b2'));
+    });
+
+    test('should filter unread notifications and continue after the cursor', async () => {
+      mockResults.notifications = [{ data: [], error: null }];
+      const cursor = encodeCursor(
+        '2026-03-02T10:00:00+00:00',
+        '0b7e3c1a-5d2f-4e8a-9c6b-1f2e3d4c5b6a'
+      );
+
+      await notificationService.getNotifications('u1', { cursor, limit: 10, unreadOnly: true });
+
+      const { calls } = mockQueries[0];
+      expect(calls).toContainEqual(['eq', 'is_read', false]);
+      expect(calls).toContainEqual([
+        'or',
+        'updated_at.lt."2026-03-02T10:00:00+00:00",and(updated_at.eq."2026-03-02T10:00:00+00:00",id.lt.0b7e3c1a-5d2f-4e8a-9c6b-1f2e3d4c5b6a)',
+      ]);
+      expect(calls).toContainEqual(['limit', 11]);
+    });
+  });
+
+  describe('markRead', () => {
+    test('should reject notifications of other users', async () => {
+      mockResults.notifications = [{ data: null, error: null }];
+
+      await expect(notificationService.markRead('u1', 'n1')).rejects.toThrow(
+        'Notification not found'
+      );
+    });
+
+    test('should not update a notification that is already read', async () => {
+      mockResults.notifications = [{ data: { id: 'n1', is_read: true }, error: null }];
+
+      await notificationService.markRead('u1', 'n1');
+
+      expect(mockQueries).toHaveLength(1);
+    });
+  });
+});
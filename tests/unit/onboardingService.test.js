@@ -0,0 +1,82 @@
+const mockInsert = jest.fn();
+
+jest.mock('../../src/config/database', () => ({
+  supabaseAdmin: {
+    from: jest.fn(() => ({
+      insert: run => {
+        mockInsert(run);
+        return { select: () => ({ single: () => Promise.resolve({ data: run, error: null }) }) };
+      },
+    })),
+  },
+}));
+
+jest.mock('../../src/services/adminService', () => ({
+  getActiveUserCapacity: jest.fn(),
+  batchApproveUsers: jest.fn(),
+}));
+
+jest.mock('../../src/services/settingsService', () => ({
+  getSettings: jest.fn(() =>
+    Promise.resolve({ onboarding_batch_size: 10, max_active_users: 100 })
+  ),
+  getSetting: jest.fn(),
+  updateSettings: jest.fn(),
+}));
+
+const adminService = require('../../src/services/adminService');
+const onboardingService = require('../../src/services/onboardingService');
+
+describe('Onboarding Service', () => {
+  test('should approve a batch and record approvals and emails', async () => {
+    adminService.getActiveUserCapacity.mockResolvedValue({
+      maxActiveUsers: 100,
+      activeUsers: 95,
+      remaining: 5,
+    });
+    adminService.batchApproveUsers.mockResolvedValue({
+      approved: [{ id: 'u1' }, { id: 'u2' }],
+      count: 2,
+      emails: { sent: 2, failed: 0 },
+      message: 'Successfully approved 2 user(s)',
+    });
+
+    const run = await onboardingService.runOnboarding('scheduled');
+
+    expect(adminService.batchApproveUsers).toHaveBeenCalledWith(10);
+    expect(run).toMatchObject({
+      trigger: 'scheduled',
+      status: 'completed',
+      approved_count: 2,
+      approved_user_ids: ['u1', 'u2'],
+      emails_sent: 2,
+      batch_size: 10,
+      max_active_users: 100,
+    });
+    expect(mockInsert).toHaveBeenCalledTimes(1);
+  });
+
+  test('should skip without approving when max_active_users is reached', async () => {
+    adminService.getActiveUserCapacity.mockResolvedValue({
+      maxActiveUsers: 100,
+      activeUsers: 100,
+      remaining: 0,
+    });
+
+    const run = await onboardingService.runOnboarding('scheduled');
+
+    expect(adminService.batchApproveUsers).not.toHaveBeenCalled();
+    expect(run.status).toBe('skipped');
+    expect(run.message).toContain('Active user limit reached');
+  });
+
+  test('should record failed runs', async () => {
+    adminService.getActiveUserCapacity.mockRejectedValue(new Error('connection lost'));
+
+    const run = await onboardingService.runOnboarding('manual');
+
+    expect(run.status).toBe('failed');
+    expect(run.message).toBe('connection lost');
+    expect(run.finished_at).toEqual(expect.any(String));
+  });
+});
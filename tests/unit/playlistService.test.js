@@ -0,0 +1,260 @@
+jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+
+const { mockResults, mockQueries } = require('../helpers/supabaseMock');
+
+jest.mock('../../src/services/storageService', () => ({
+  resolveMediaUrls: jest.fn(async items => items),
+}));
+
+jest.mock('../../src/services/imageService', () => ({
+  variantFields: jest.fn(field => [`${field}.small`]),
+}));
+
+const playlistService = require('../../src/services/playlistService');
+
+const callsTo = table => mockQueries.filter(query => query.table === table);
+
+const findCalls = (table, method) =>
+  callsTo(table).flatMap(query => query.calls.filter(call => call[0] === method));
+
+const playlistRow = (overrides = {}) => ({
+  id: 'p1',
+  name: 'Mix',
+  is_public: true,
+  user_id: 'owner-1',
+  users: { profiles: { username: 'owner' } },
+  playlist_follows: [{ count: 0 }],
+  ...overrides,
+});
+
+const entry = (id, position, overrides = {}) => ({
+  position,
+  added_at: '2024-01-01T00:00:00.000Z',
+  tracks: {
+    id,
+    audio_url: `audio/${id}.mp3`,
+    cover_url: null,
+    cover_variants: null,
+    is_active: true,
+    user_id: 'artist-1',
+    users: { profiles: { username: 'artist' } },
+    ...overrides,
+  },
+});
+
+describe('Playlist Service', () => {
+  beforeEach(() => {
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+  });
+
+  describe('getPlaylistById', () => {
+    test('should hide private playlists from everyone but the owner', async () => {
+      mockResults.playlists = [
+        { data: playlistRow({ is_public: false }), error: null },
+        { data: playlistRow({ is_public: false }), error: null },
+      ];
+
+      await expect(playlistService.getPlaylistById('p1', 'user-2')).rejects.toThrow(
+        'Playlist not found'
+      );
+      await expect(playlistService.getPlaylistById('p1')).rejects.toThrow('Playlist not found');
+      expect(callsTo('playlist_tracks')).toHaveLength(0);
+    });
+
+    test('should show a private playlist to its owner with deactivated tracks flagged', async () => {
+      mockResults.playlists = [{ data: playlistRow({ is_public: false }), error: null }];
+      mockResults.playlist_tracks = [
+        {
+          data: [entry('t1', 0), entry('t2', 1, { is_active: false }), entry('t3', 2)],
+          error: null,
+        },
+      ];
+
+      const playlist = await playlistService.getPlaylistById('p1', 'owner-1');
+
+      expect(findCalls('playlist_tracks', 'eq')).toEqual([['eq', 'playlist_id', 'p1']]);
+      expect(findCalls('playlist_tracks', 'order')).toEqual([
+        ['order', 'position', { ascending: true }],
+      ]);
+      expect(playlist.is_owner).toBe(true);
+      expect(playlist.track_count).toBe(3);
+      expect(playlist.tracks.map(track => [track.id, track.position])).toEqual([
+        ['t1', 0],
+        ['t2', 1],
+        ['t3', 2],
+      ]);
+      // Media of another creator's deactivated track stays private
+      expect(playlist.tracks[1]).toMatchObject({ is_active: false, audio_url: null });
+      expect(playlist.tracks[0].audio_url).toBe('audio/t1.mp3');
+      expect(callsTo('playlist_follows')).toHaveLength(0);
+    });
+
+    test('should only return active tracks to other viewers of a public playlist', async () => {
+      mockResults.playlists = [{ data: playlistRow(), error: null }];
+      mockResults.playlist_tracks = [{ data: [entry('t1', 0), entry('t3', 2)], error: null }];
+      mockResults.playlist_follows = [{ data: { id: 'f1' }, error: null }];
+
+      const playlist = await playlistService.getPlaylistById('p1', 'user-2');
+
+      expect(findCalls('playlist_tracks', 'eq')).toEqual([
+        ['eq', 'playlist_id', 'p1'],
+        ['eq', 'tracks.is_active', true],
+      ]);
+      expect(playlist.tracks.map(track => track.position)).toEqual([0, 2]);
+      expect(playlist).toMatchObject({ is_owner: false, is_following: true, track_count: 2 });
+    });
+  });
+
+  describe('getUserPlaylists', () => {
+    test('should only list public playlists to other viewers', async () => {
+      mockResults.playlists = [{ data: [], error: null, count: 0 }];
+
+      await playlistService.getUserPlaylists('owner-1', { viewerId: 'user-2' });
+
+      expect(findCalls('playlists', 'eq')).toEqual([
+        ['eq', 'user_id', 'owner-1'],
+        ['eq', 'is_public', true],
+      ]);
+    });
+
+    test('should include private playlists for the owner', async () => {
+      mockResults.playlists = [{ data: [], error: null, count: 0 }];
+
+      await playlistService.getUserPlaylists('owner-1', { viewerId: 'owner-1' });
+
+      expect(findCalls('playlists', 'eq')).toEqual([['eq', 'user_id', 'owner-1']]);
+    });
+  });
+
+  describe('getFollowedPlaylists', () => {
+    test('should skip followed playlists that were made private', async () => {
+      mockResults.playlist_follows = [{ data: [], error: null, count: 0 }];
+
+      await playlistService.getFollowedPlaylists('user-2');
+
+      expect(findCalls('playlist_follows', 'eq')).toEqual([
+        ['eq', 'user_id', 'user-2'],
+        ['eq', 'playlists.is_public', true],
+      ]);
+    });
+  });
+
+  describe('followPlaylist', () => {
+    test('should report private playlists of others as not found', async () => {
+      mockResults.playlists = [
+        { data: { id: 'p1', user_id: 'owner-1', is_public: false }, error: null },
+      ];
+
+      await expect(playlistService.followPlaylist('p1', 'user-2')).rejects.toThrow(
+        'Playlist not found'
+      );
+      expect(callsTo('playlist_follows')).toHaveLength(0);
+    });
+  });
+
+  describe('addTrack', () => {
+    test('should refuse deactivated tracks', async () => {
+      mockResults.playlists = [{ data: { id: 'p1', user_id: 'owner-1' }, error: null }];
+      mockResults.tracks = [{ data: { id: 't9', is_active: false }, error: null }];
+
+      await expect(playlistService.addTrack('p1', 'owner-1', 't9')).rejects.toThrow(
+        'Track not found'
+      );
+      expect(callsTo('playlist_tracks')).toHaveLength(0);
+    });
+
+    test('should shift following tracks when inserting in the middle', async () => {
+      mockResults.playlists = [{ data: { id: 'p1', user_id: 'owner-1' }, error: null }];
+      mockResults.tracks = [{ data: { id: 't9', is_active: true }, error: null }];
+      mockResults.playlist_tracks = [
+        {
+          data: [
+            { track_id: 't1', position: 0 },
+            { track_id: 't2', position: 1 },
+          ],
+          error: null,
+        },
+        { data: { track_id: 't9', position: 2 }, error: null },
+      ];
+
+      const added = await playlistService.addTrack('p1', 'owner-1', 't9', 1);
+
+      expect(findCalls('playlist_tracks', 'insert')[0][1]).toMatchObject({ position: 2 });
+      expect(findCalls('playlist_tracks', 'upsert')[0][1]).toEqual([
+        { playlist_id: 'p1', track_id: 't1', position: 0 },
+        { playlist_id: 'p1', track_id: 't9', position: 1 },
+        { playlist_id: 'p1', track_id: 't2', position: 2 },
+      ]);
+      expect(added.position).toBe(1);
+    });
+  });
+
+  describe('reorderTracks', () => {
+    const queueEntries = () => {
+      mockResults.playlists = [{ data: { id: 'p1', user_id: 'owner-1' }, error: null }];
+      mockResults.playlist_tracks = [
+        {
+          data: [
+            { track_id: 't1', position: 0 },
+            { track_id: 't2', position: 1 },
+            { track_id: 't3', position: 2 },
+          ],
+          error: null,
+        },
+      ];
+    };
+
+    test('should require an array of track IDs', async () => {
+      await expect(playlistService.reorderTracks('p1', 'owner-1', 't1')).rejects.toThrow(
+        'track_ids array is required'
+      );
+      expect(mockQueries).toHaveLength(0);
+    });
+
+    test.each([
+      ['duplicate', ['t1', 't1', 't3']],
+      ['missing', ['t3', 't1']],
+      ['unknown', ['t1', 't2', 't4']],
+      ['extra', ['t1', 't2', 't3', 't4']],
+    ])('should reject %s track IDs', async (label, trackIds) => {
+      queueEntries();
+
+      await expect(playlistService.reorderTracks('p1', 'owner-1', trackIds)).rejects.toThrow(
+        'track_ids must list every track in the playlist exactly once'
+      );
+      expect(findCalls('playlist_tracks', 'upsert')).toHaveLength(0);
+    });
+
+    test('should rewrite every position to match the new order', async () => {
+      queueEntries();
+
+      const order = await playlistService.reorderTracks('p1', 'owner-1', ['t3', 't1', 't2']);
+
+      expect(findCalls('playlist_tracks', 'upsert')[0]).toEqual([
+        'upsert',
+        [
+          { playlist_id: 'p1', track_id: 't3', position: 0 },
+          { playlist_id: 'p1', track_id: 't1', position: 1 },
+          { playlist_id: 'p1', track_id: 't2', position: 2 },
+        ],
+        { onConflict: 'playlist_id,track_id' },
+      ]);
+      expect(order).toEqual([
+        { track_id: 't3', position: 0 },
+        { track_id: 't1', position: 1 },
+        { track_id: 't2', position: 2 },
+      ]);
+      expect(findCalls('playlists', 'update')).toHaveLength(1);
+    });
+
+    test('should refuse playlists the user does not own', async () => {
+      mockResults.playlists = [{ data: null, error: null }];
+
+      await expect(playlistService.reorderTracks('p1', 'user-2', ['t1'])).rejects.toThrow(
+        'Playlist not found or unauthorized'
+      );
+      expect(callsTo('playlist_tracks')).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+
+const { mockResults, mockQueries } = require('../helpers/supabaseMock');
+
+jest.mock('../../src/services/storageService', () => ({
+  relocateFiles: jest.fn(async refs => refs.map(ref => (ref ? `${ref}.moved` : null))),
+  restoreFiles: jest.fn(),
+  resolveMediaUrls: jest.fn(async items => items),
+}));
+
+jest.mock('../../src/services/taxonomyService', () => ({
+  setContentTaxonomy: jest.fn(),
+  parseHashtags: jest.fn(() => []),
+  attachTaxonomy: jest.fn(async items => items),
+}));
+
+const storageService = require('../../src/services/storageService');
+const reelService = require('../../src/services/reelService');
+
+const findCall = (table, method) =>
+  mockQueries
+    .filter(query => query.table === table)
+    .map(query => query.calls.find(call => call[0] === method))
+    .find(Boolean);
+
+describe('Reel Service', () => {
+  beforeEach(() => {
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+  });
+
+  describe('updateReel', () => {
+    test('should move the video of a reel the owner deactivates', async () => {
+      mockResults.reels = [
+        { data: { video_url: 'video/u1/1_clip.mp4', is_active: true }, error: null },
+        { data: { id: 'r1', video_url: 'video/u1/1_clip.mp4.moved' }, error: null },
+      ];
+
+      await reelService.updateReel('r1', 'u1', { is_active: false });
+
+      expect(findCall('reels', 'update')[1]).toEqual({
+        is_active: false,
+        video_url: 'video/u1/1_clip.mp4.moved',
+      });
+    });
+
+    test('should not let the owner reactivate a reel hidden by reports', async () => {
+      mockResults.reels = [
+        {
+          data: { video_url: 'video/u1/1_clip.mp4', is_active: false, hidden_by_reports: true },
+          error: null,
+        },
+      ];
+
+      await expect(reelService.updateReel('r1', 'u1', { is_active: true })).rejects.toThrow(
+        'This reel is hidden while its reports are reviewed'
+      );
+      expect(findCall('reels', 'update')).toBeUndefined();
+    });
+  });
+
+  describe('setReelActive', () => {
+    test('should move the video of a reel auto-hide deactivates', async () => {
+      mockResults.reels = [
+        {
+          data: { video_url: 'video/u1/1_clip.mp4', is_active: true, hidden_by_reports: false },
+          error: null,
+        },
+        { data: [{ id: 'r1' }], error: null },
+      ];
+
+      const changed = await reelService.setReelActive('r1', false, { hiddenByReports: true });
+
+      expect(changed).toBe(true);
+      expect(findCall('reels', 'update')[1]).toEqual({
+        is_active: false,
+        hidden_by_reports: true,
+        video_url: 'video/u1/1_clip.mp4.moved',
+      });
+    });
+
+    test('should only restore a reel auto-hide still hides', async () => {
+      mockResults.reels = [
+        {
+          data: { video_url: 'video/u1/1_clip.mp4', is_active: false, hidden_by_reports: false },
+          error: null,
+        },
+      ];
+
+      const changed = await reelService.setReelActive('r1', true, { hiddenByReports: true });
+
+      expect(changed).toBe(false);
+      expect(findCall('reels', 'update')).toBeUndefined();
+      expect(storageService.relocateFiles).not.toHaveBeenCalled();
+    });
+
+    test('should restore a reel auto-hide hid', async () => {
+      mockResults.reels = [
+        {
+          data: { video_url: 'video/u1/1_clip.mp4', is_active: false, hidden_by_reports: true },
+          error: null,
+        },
+        { data: [{ id: 'r1' }], error: null },
+      ];
+
+      const changed = await reelService.setReelActive('r1', true, { hiddenByReports: true });
+
+      expect(changed).toBe(true);
+      expect(mockQueries[1].calls).toEqual([
+        ['update', { is_active: true, hidden_by_reports: false }],
+        ['eq', 'id', 'r1'],
+        ['eq', 'is_active', false],
+        ['eq', 'hidden_by_reports', true],
+        ['select', 'id'],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,330 @@
+jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+
+const { mockResults, mockQueries } = require('../helpers/supabaseMock');
+
+jest.mock('../../src/services/storageService', () => ({
+  resolveMediaUrls: jest.fn(async items => items),
+}));
+
+jest.mock('../../src/services/settingsService', () => ({
+  getSetting: jest.fn(async () => 3),
+}));
+
+jest.mock('../../src/services/adminService', () => ({
+  banUser: jest.fn(),
+}));
+
+jest.mock('../../src/services/trackService', () => ({
+  deleteTrack: jest.fn(),
+  setTrackActive: jest.fn(async () => true),
+}));
+
+jest.mock('../../src/services/reelService', () => ({
+  deleteReel: jest.fn(),
+  setReelActive: jest.fn(async () => true),
+}));
+
+jest.mock('../../src/services/commentService', () => ({
+  deleteComment: jest.fn(),
+  setCommentHidden: jest.fn(),
+}));
+
+const reportService = require('../../src/services/reportService');
+const adminService = require('../../src/services/adminService');
+const trackService = require('../../src/services/trackService');
+const reelService = require('../../src/services/reelService');
+
+const callsTo = table => mockQueries.filter(query => query.table === table);
+
+const report = {
+  id: 'r1',
+  target_type: 'track',
+  target_id: 't1',
+  reason: 'spam',
+  details: null,
+  status: 'open',
+};
+
+describe('Report Service', () => {
+  beforeEach(() => {
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+  });
+
+  describe('createReport', () => {
+    test('should reject unknown target types and reasons', async () => {
+      await expect(
+        reportService.createReport('u1', {
+          target_type: 'playlist',
+          target_id: 'p1',
+          reason: 'spam',
+        })
+      ).rejects.toThrow('target_type must be one of: track, reel, profile, comment');
+      await expect(
+        reportService.createReport('u1', { target_type: 'track', target_id: 't1', reason: 'meh' })
+      ).rejects.toThrow('reason must be one of');
+    });
+
+    test('should reject reports on your own content and on hidden content', async () => {
+      mockResults.tracks = [
+        { data: { id: 't1', user_id: 'u1', is_active: true }, error: null },
+        { data: { id: 't1', user_id: 'u2', is_active: false }, error: null },
+      ];
+
+      await expect(
+        reportService.createReport('u1', { target_type: 'track', target_id: 't1', reason: 'spam' })
+      ).rejects.toThrow('You cannot report yourself or your own content');
+      await expect(
+        reportService.createReport('u1', { target_type: 'track', target_id: 't1', reason: 'spam' })
+      ).rejects.toThrow('Track not found');
+    });
+
+    test('should record the target owner and leave the target up below the threshold', async () => {
+      mockResults.tracks = [{ data: { id: 't1', user_id: 'u2', is_active: true }, error: null }];
+      mockResults.reports = [
+        { data: report, error: null },
+        { count: 2, error: null },
+      ];
+
+      const result = await reportService.createReport('u1', {
+        target_type: 'track',
+        target_id: 't1',
+        reason: 'spam',
+        details: '  buy followers  ',
+      });
+
+      expect(result).toEqual({ report, created: true });
+      expect(callsTo('reports')[0].calls[0][1]).toEqual({
+        reporter_id: 'u1',
+        target_type: 'track',
+        target_id: 't1',
+        target_owner_id: 'u2',
+        reason: 'spam',
+        details: 'buy followers',
+      });
+      expect(callsTo('tracks')).toHaveLength(1);
+    });
+
+    test('should hide the target once enough users report it', async () => {
+      mockResults.tracks = [{ data: { id: 't1', user_id: 'u2', is_active: true }, error: null }];
+      mockResults.reports = [
+        { data: report, error: null },
+        { count: 3, error: null },
+      ];
+
+      await reportService.createReport('u1', {
+        target_type: 'track',
+        target_id: 't1',
+        reason: 'spam',
+      });
+
+      // Through the track service, which also moves the track's files
+      expect(trackService.setTrackActive).toHaveBeenCalledWith('t1', false, {
+        hiddenByReports: true,
+      });
+      expect(callsTo('reports')[2].calls).toEqual([
+        ['update', { auto_hidden: true }],
+        ['eq', 'id', 'r1'],
+      ]);
+    });
+
+    test('should not mark the report when the target was hidden meanwhile', async () => {
+      mockResults.comments = [
+        { data: { id: 'c1', user_id: 'u2', is_hidden: false }, error: null },
+        { data: [], error: null },
+      ];
+      mockResults.reports = [
+        { data: { ...report, target_type: 'comment', target_id: 'c1' }, error: null },
+        { count: 3, error: null },
+      ];
+
+      await reportService.createReport('u1', {
+        target_type: 'comment',
+        target_id: 'c1',
+        reason: 'spam',
+      });
+
+      expect(callsTo('comments')[1].calls).toEqual([
+        ['update', { is_hidden: true, hidden_by_reports: true }],
+        ['eq', 'id', 'c1'],
+        ['eq', 'is_hidden', false],
+        ['select', 'id'],
+      ]);
+      expect(callsTo('reports')).toHaveLength(2);
+    });
+
+    test('should not auto-hide profiles', async () => {
+      mockResults.users = [{ data: { id: 'u2', status: 'active' }, error: null }];
+      mockResults.reports = [{ data: { ...report, target_type: 'profile' }, error: null }];
+
+      await reportService.createReport('u1', {
+        target_type: 'profile',
+        target_id: 'u2',
+        reason: 'impersonation',
+      });
+
+      expect(callsTo('reports')).toHaveLength(1);
+    });
+
+    test('should return the open report when the user reports the same target again', async () => {
+      mockResults.tracks = [{ data: { id: 't1', user_id: 'u2', is_active: true }, error: null }];
+      mockResults.reports = [
+        { data: null, error: { code: '23505' } },
+        { data: report, error: null },
+      ];
+
+      const result = await reportService.createReport('u1', {
+        target_type: 'track',
+        target_id: 't1',
+        reason: 'spam',
+      });
+
+      expect(result).toEqual({ report, created: false });
+      expect(callsTo('reports')).toHaveLength(2);
+    });
+  });
+
+  describe('getReports', () => {
+    test('should count open reports per target', async () => {
+      mockResults.reports = [
+        {
+          data: [
+            { ...report, reporter_id: 'u1', reporter: { profiles: { username: 'one' } } },
+            { ...report, id: 'r2', target_id: 't2', reporter_id: 'u3', reporter: null },
+          ],
+          error: null,
+          count: 2,
+        },
+        {
+          data: [
+            { target_type: 'track', target_id: 't1' },
+            { target_type: 'track', target_id: 't1' },
+            { target_type: 'track', target_id: 't2' },
+          ],
+          error: null,
+        },
+      ];
+
+      const result = await reportService.getReports({ page: 1, limit: 20 });
+
+      expect(result.reports.map(item => [item.id, item.open_report_count])).toEqual([
+        ['r1', 2],
+        ['r2', 1],
+      ]);
+      expect(result.reports[0].reporter).toEqual({ id: 'u1', username: 'one' });
+      expect(result.pagination).toEqual({ page: 1, limit: 20, total: 2, totalPages: 1 });
+    });
+
+    test('should reject unknown statuses', async () => {
+      await expect(reportService.getReports({ status: 'closed' })).rejects.toThrow(
+        'status must be one of: open, actioned, dismissed'
+      );
+    });
+  });
+
+  describe('dismissReport', () => {
+    test('should restore an auto-hidden target and resolve its open reports', async () => {
+      mockResults.reports = [
+        { data: report, error: null },
+        { data: [{ id: 'r1' }, { id: 'r3' }], error: null },
+      ];
+
+      const result = await reportService.dismissReport('r1', 'admin1', 'Not spam');
+
+      expect(trackService.setTrackActive).toHaveBeenCalledWith('t1', true, {
+        hiddenByReports: true,
+      });
+      expect(callsTo('reports')[1].calls[0][1]).toMatchObject({
+        status: 'dismissed',
+        action: null,
+        resolution_note: 'Not spam',
+        resolved_by: 'admin1',
+      });
+      expect(result).toEqual({ id: 'r1', status: 'dismissed', action: null, resolved_count: 2 });
+    });
+
+    test('should only restore a comment auto-hide still hides', async () => {
+      mockResults.reports = [
+        { data: { ...report, target_type: 'comment', target_id: 'c1' }, error: null },
+        { data: [{ id: 'r1' }], error: null },
+      ];
+      mockResults.comments = [{ data: [], error: null }];
+
+      await reportService.dismissReport('r1', 'admin1');
+
+      expect(callsTo('comments')[0].calls).toEqual([
+        ['update', { is_hidden: false, hidden_by_reports: false }],
+        ['eq', 'id', 'c1'],
+        ['eq', 'hidden_by_reports', true],
+        ['select', 'id'],
+      ]);
+    });
+
+    test('should leave profiles to admins', async () => {
+      mockResults.reports = [
+        { data: { ...report, target_type: 'profile', target_id: 'u2' }, error: null },
+        { data: [{ id: 'r1' }], error: null },
+      ];
+
+      await reportService.dismissReport('r1', 'admin1');
+
+      expect(callsTo('users')).toHaveLength(0);
+    });
+
+    test('should refuse reports that were already resolved', async () => {
+      mockResults.reports = [{ data: { ...report, status: 'actioned' }, error: null }];
+
+      await expect(reportService.dismissReport('r1', 'admin1')).rejects.toThrow(
+        'Report has already been resolved'
+      );
+    });
+  });
+
+  describe('actionReport', () => {
+    test('should ban the owner of the reported content', async () => {
+      mockResults.reports = [
+        { data: { ...report, target_owner_id: 'u2' }, error: null },
+        { data: [{ id: 'r1' }], error: null },
+      ];
+
+      const result = await reportService.actionReport('r1', 'admin1', { action: 'ban' });
+
+      expect(adminService.banUser).toHaveBeenCalledWith('u2', 'Reported for spam');
+      expect(result).toEqual({ id: 'r1', status: 'actioned', action: 'ban', resolved_count: 1 });
+    });
+
+    test('should delete reported tracks as an admin', async () => {
+      mockResults.reports = [
+        { data: report, error: null },
+        { data: [{ id: 'r1' }], error: null },
+      ];
+
+      await reportService.actionReport('r1', 'admin1', { action: 'delete' });
+
+      expect(trackService.deleteTrack).toHaveBeenCalledWith('t1', null);
+    });
+
+    test('should deactivate reported reels through the reel service', async () => {
+      mockResults.reports = [
+        { data: { ...report, target_type: 'reel', target_id: 'r9' }, error: null },
+        { data: [{ id: 'r1' }], error: null },
+      ];
+
+      await reportService.actionReport('r1', 'admin1', { action: 'deactivate' });
+
+      expect(reelService.setReelActive).toHaveBeenCalledWith('r9', false, {
+        hiddenByReports: false,
+      });
+      expect(callsTo('reels')).toHaveLength(0);
+    });
+
+    test('should only ban for reported profiles', async () => {
+      mockResults.reports = [{ data: { ...report, target_type: 'profile' }, error: null }];
+
+      await expect(
+        reportService.actionReport('r1', 'admin1', { action: 'deactivate' })
+      ).rejects.toThrow('Profiles cannot be deactivated; ban the user instead');
+      expect(callsTo('reports')).toHaveLength(1);
+    });
+  });
+});
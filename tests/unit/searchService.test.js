@@ -0,0 +1,144 @@
+jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+
+const { mockResults, mockQueries, mockRpc } = require('../helpers/supabaseMock');
+
+const searchService = require('../../src/services/searchService');
+
+describe('Search Service', () => {
+  beforeEach(() => {
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+  });
+
+  describe('buildTsQuery', () => {
+    test('should turn words into prefix terms that must all match', () => {
+      expect(searchService.buildTsQuery('Lo-Fi  beats')).toBe('lo:* & fi:* & beats:*');
+      expect(searchService.buildTsQuery('Café Música')).toBe('café:* & música:*');
+    });
+
+    test('should drop tsquery operators and quoting from the input', () => {
+      expect(searchService.buildTsQuery("a' | !b:* <-> (c) & d\\")).toBe('a:* & b:* & c:* & d:*');
+      expect(searchService.buildTsQuery("'&|!")).toBeNull();
+      expect(searchService.buildTsQuery(undefined)).toBeNull();
+    });
+
+    test('should limit the number of terms', () => {
+      const query = Array.from({ length: 12 }, (_, i) => `w${i}`).join(' ');
+
+      expect(searchService.buildTsQuery(query).split(' & ')).toHaveLength(8);
+    });
+  });
+
+  describe('findMatches', () => {
+    test('should return ranked IDs and the total number of matches', async () => {
+      mockRpc.mockResolvedValue({
+        data: [
+          { id: 't2', rank: 0.9, total_count: 42 },
+          { id: 't1', rank: 0.4, total_count: 42 },
+        ],
+        error: null,
+      });
+
+      const result = await searchService.findMatches('tracks', 'night drive', {
+        limit: 2,
+        offset: 10,
+      });
+
+      expect(result).toEqual({ ids: ['t2', 't1'], total: 42 });
+      expect(mockRpc).toHaveBeenCalledWith('search_tracks', {
+        search_query: 'night:* & drive:*',
+        max_results: 2,
+        skip: 10,
+      });
+    });
+
+    test('should keep the total for a page past the last match', async () => {
+      mockRpc.mockResolvedValue({ data: [{ id: null, rank: null, total_count: 3 }], error: null });
+
+      expect(await searchService.findMatches('users', 'ana', { offset: 20 })).toEqual({
+        ids: [],
+        total: 3,
+      });
+    });
+
+    test('should not query without searchable words', async () => {
+      expect(await searchService.findMatches('reels', '!!')).toEqual({ ids: [], total: 0 });
+      expect(mockRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('orderByIds', () => {
+    test('should return rows in match order', () => {
+      const rows = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+      expect(searchService.orderByIds(rows, ['c', 'x', 'a'])).toEqual([{ id: 'c' }, { id: 'a' }]);
+    });
+  });
+
+  describe('getSuggestions', () => {
+    test('should send the normalized text and return scored suggestions', async () => {
+      mockRpc.mockResolvedValue({
+        data: [
+          { type: 'artist', id: 'u1', label: 'Kendrick Lamar', detail: 'kdot', score: '0.58' },
+        ],
+        error: null,
+      });
+
+      const suggestions = await searchService.getSuggestions('  Kendrik   LA ', { limit: 5 });
+
+      expect(mockRpc).toHaveBeenCalledWith('search_suggestions', {
+        search_text: 'kendrik la',
+        max_results: 5,
+      });
+      expect(suggestions).toEqual([
+        { type: 'artist', id: 'u1', label: 'Kendrick Lamar', detail: 'kdot', score: 0.58 },
+      ]);
+    });
+
+    test('should skip the query for blank text', async () => {
+      expect(await searchService.getSuggestions('   ')).toEqual([]);
+      expect(mockRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('search history', () => {
+    test('should record the query and drop entries past the history limit', async () => {
+      mockResults.search_history = [
+        { data: null, error: null },
+        { data: [{ id: 'h21' }, { id: 'h22' }], error: null },
+        { data: null, error: null },
+      ];
+
+      await searchService.recordSearch('u1', ' Night  Drive ');
+
+      const [upsert, expired, removed] = mockQueries.map(query => query.calls);
+      expect(upsert[0][1]).toMatchObject({ user_id: 'u1', query: 'night drive' });
+      expect(expired).toContainEqual(['range', 20, 40]);
+      expect(removed).toContainEqual(['in', 'id', ['h21', 'h22']]);
+    });
+
+    test('should not throw when history cannot be saved', async () => {
+      mockResults.search_history = [{ data: null, error: { message: 'unavailable' } }];
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(searchService.recordSearch('u1', 'lofi')).resolves.toBeUndefined();
+    });
+
+    test('should filter recent searches by prefix', async () => {
+      mockResults.search_history = [
+        {
+          data: [
+            { id: 'h1', query: 'lofi beats' },
+            { id: 'h2', query: 'jazz' },
+            { id: 'h3', query: 'lo-fi' },
+          ],
+          error: null,
+        },
+      ];
+
+      const entries = await searchService.getRecentSearches('u1', { prefix: 'LO' });
+
+      expect(entries.map(entry => entry.id)).toEqual(['h1', 'h3']);
+    });
+  });
+});
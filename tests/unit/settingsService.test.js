@@ -0,0 +1,90 @@
+const mockSelectIn = jest.fn();
+const mockUpsert = jest.fn();
+
+jest.mock('../../src/config/database', () => ({
+  supabaseAdmin: {
+    from: jest.fn(() => ({
+      select: jest.fn(() => ({ in: mockSelectIn })),
+      upsert: mockUpsert,
+    })),
+  },
+}));
+
+const settingsService = require('../../src/services/settingsService');
+
+describe('Settings Service', () => {
+  beforeEach(() => {
+    settingsService.clearCache();
+  });
+
+  test('should fall back to defaults for missing rows', async () => {
+    mockSelectIn.mockResolvedValue({ data: [], error: null });
+
+    const settings = await settingsService.getSettings();
+
+    expect(settings).toEqual({
+      onboarding_batch_size: 10,
+      max_active_users: 100,
+      auto_onboarding_enabled: false,
+      onboarding_interval_minutes: 60,
+      play_count_threshold_seconds: 30,
+      media_gc_enabled: false,
+      media_gc_grace_hours: 24,
+      media_gc_interval_minutes: 1440,
+      report_auto_hide_threshold: 5,
+    });
+  });
+
+  test('should parse stored values and ignore invalid ones', async () => {
+    mockSelectIn.mockResolvedValue({
+      data: [
+        { key: 'max_active_users', value: '500' },
+        { key: 'onboarding_batch_size', value: 'lots' },
+      ],
+      error: null,
+    });
+
+    const settings = await settingsService.getSettings();
+
+    expect(settings.max_active_users).toBe(500);
+    expect(settings.onboarding_batch_size).toBe(10);
+  });
+
+  test('should serve repeated reads from cache', async () => {
+    mockSelectIn.mockResolvedValue({ data: [{ key: 'max_active_users', value: '250' }] });
+
+    await settingsService.getSetting('max_active_users');
+    const value = await settingsService.getSetting('max_active_users');
+
+    expect(value).toBe(250);
+    expect(mockSelectIn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should validate values before writing', async () => {
+    await expect(settingsService.updateSettings({ max_active_users: 0 })).rejects.toThrow(
+      'max_active_users must be between 1 and 10000000'
+    );
+    await expect(settingsService.updateSettings({ onboarding_batch_size: 2.5 })).rejects.toThrow(
+      'onboarding_batch_size must be an integer'
+    );
+    await expect(settingsService.updateSettings({ unknown_key: 1 })).rejects.toThrow(
+      'Unknown setting: unknown_key'
+    );
+    expect(mockUpsert).not.toHaveBeenCalled();
+  });
+
+  test('should store values as text and invalidate the cache', async () => {
+    mockSelectIn.mockResolvedValue({ data: [{ key: 'max_active_users', value: '100' }] });
+    await settingsService.getSettings();
+
+    mockUpsert.mockResolvedValue({ error: null });
+    mockSelectIn.mockResolvedValue({ data: [{ key: 'max_active_users', value: '300' }] });
+
+    const settings = await settingsService.updateSettings({ max_active_users: '300' });
+
+    expect(mockUpsert).toHaveBeenCalledWith([{ key: 'max_active_users', value: '300' }], {
+      onConflict: 'key',
+    });
+    expect(settings.max_active_users).toBe(300);
+  });
+});
@@ -0,0 +1,266 @@
+const mockCreateSignedUploadUrl = jest.fn();
+const mockInfo = jest.fn();
+const mockRemove = jest.fn();
+const mockCreateSignedUrl = jest.fn();
+const mockUpload = jest.fn();
+const mockCreateSignedUrls = jest.fn();
+const mockMove = jest.fn();
+
+jest.mock('../../src/config/database', () => ({
+  supabaseAdmin: {
+    storage: {
+      from: jest.fn(() => ({
+        createSignedUploadUrl: mockCreateSignedUploadUrl,
+        info: mockInfo,
+        remove: mockRemove,
+        createSignedUrl: mockCreateSignedUrl,
+        upload: mockUpload,
+        createSignedUrls: mockCreateSignedUrls,
+        move: mockMove,
+        getPublicUrl: path => ({ data: { publicUrl: `https://cdn.example.com/${path}` } }),
+      })),
+    },
+  },
+}));
+
+const storageService = require('../../src/services/storageService');
+const { ValidationError } = require('../../src/utils/errors');
+
+const userId = '6f1c2a4e-8b7d-4c3e-9a1f-2b3c4d5e6f70';
+
+const MP4_HEAD = Buffer.concat([
+  Buffer.from([0x00, 0x00, 0x00, 0x18]),
+  Buffer.from('ftypisom', 'latin1'),
+  Buffer.alloc(52),
+]);
+
+const mockFileHead = bytes => {
+  mockCreateSignedUrl.mockResolvedValue({
+    data: { signedUrl: 'https://storage.example.com/signed' },
+    error: null,
+  });
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 206,
+    arrayBuffer: async () => bytes,
+  });
+};
+
+describe('Storage Service', () => {
+  describe('uploadFile', () => {
+    test('should reject content that does not match the declared type', async () => {
+      const file = {
+        buffer: Buffer.from('<html><script>alert(1)</script></html>'),
+        mimetype: 'image/png',
+        size: 38,
+        originalname: 'cover.png',
+      };
+
+      await expect(storageService.uploadImage(file, userId)).rejects.toThrow(
+        'File content does not match the declared type image/png'
+      );
+      expect(mockUpload).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createSignedUpload', () => {
+    test('should scope the upload path to category and user', async () => {
+      mockCreateSignedUploadUrl.mockImplementation(async path => ({
+        data: { path, signedUrl: `https://storage.example.com/${path}?token=t`, token: 't' },
+        error: null,
+      }));
+
+      const upload = await storageService.createSignedUpload(userId, 'audio', {
+        filename: 'my song!.mp3',
+        content_type: 'audio/mpeg',
+        size: 1024,
+      });
+
+      expect(upload.path).toMatch(new RegExp(`^audio/${userId}/\\d+_my_song_\\.mp3$`));
+      expect(upload.token).toBe('t');
+      expect(upload.max_size).toBe(storageService.MAX_SIZES.audio);
+    });
+
+    test('should reject disallowed types and oversized files', async () => {
+      await expect(
+        storageService.createSignedUpload(userId, 'image', {
+          filename: 'a.gif',
+          content_type: 'image/gif',
+          size: 10,
+        })
+      ).rejects.toThrow(ValidationError);
+
+      await expect(
+        storageService.createSignedUpload(userId, 'video', {
+          filename: 'a.mp4',
+          content_type: 'video/mp4',
+          size: storageService.MAX_SIZES.video + 1,
+        })
+      ).rejects.toThrow('File size exceeds');
+
+      expect(mockCreateSignedUploadUrl).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmUpload', () => {
+    const path = `video/${userId}/123_clip.mp4`;
+
+    test("should reject paths outside the user's folder", async () => {
+      await expect(
+        storageService.confirmUpload(`video/someone-else/123_clip.mp4`, userId)
+      ).rejects.toThrow('Invalid upload path');
+      await expect(
+        storageService.confirmUpload(`video/${userId}/../x.mp4`, userId)
+      ).rejects.toThrow('Invalid upload path');
+      await expect(storageService.confirmUpload(path, userId, 'audio')).rejects.toThrow(
+        'expected audio'
+      );
+
+      expect(mockInfo).not.toHaveBeenCalled();
+    });
+
+    test('should fail when the object does not exist', async () => {
+      mockInfo.mockResolvedValue({ data: null, error: { message: 'Object not found' } });
+
+      await expect(storageService.confirmUpload(path, userId)).rejects.toThrow(
+        'Uploaded file not found'
+      );
+    });
+
+    test('should remove uploads that break the limits', async () => {
+      mockInfo.mockResolvedValue({
+        data: { size: 2048, contentType: 'application/x-msdownload' },
+        error: null,
+      });
+      mockRemove.mockResolvedValue({ data: [], error: null });
+
+      await expect(storageService.confirmUpload(path, userId)).rejects.toThrow('Invalid file type');
+      expect(mockRemove).toHaveBeenCalledWith([path]);
+    });
+
+    test('should remove uploads whose content does not match their type', async () => {
+      mockInfo.mockResolvedValue({ data: { size: 2048, contentType: 'video/mp4' }, error: null });
+      mockRemove.mockResolvedValue({ data: [], error: null });
+      mockFileHead(Buffer.from('RIFF\u0000\u0000\u0000\u0000WAVEfmt ', 'latin1'));
+
+      await expect(storageService.confirmUpload(path, userId)).rejects.toThrow(
+        'File content is audio/wav but was uploaded as video/mp4'
+      );
+      expect(mockRemove).toHaveBeenCalledWith([path]);
+    });
+
+    test('should return the public URL for a valid upload', async () => {
+      mockInfo.mockResolvedValue({ data: { size: 2048, contentType: 'video/mp4' }, error: null });
+      mockFileHead(MP4_HEAD);
+
+      const upload = await storageService.confirmUpload(path, userId, 'video');
+
+      expect(upload).toEqual({
+        path,
+        url: `https://cdn.example.com/${path}`,
+        category: 'video',
+        size: 2048,
+        content_type: 'video/mp4',
+      });
+      expect(global.fetch).toHaveBeenCalledWith('https://storage.example.com/signed', {
+        headers: { Range: 'bytes=0-63' },
+      });
+      expect(mockRemove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveMediaUrls', () => {
+    test('should resolve stored paths, including nested fields, and keep external URLs', async () => {
+      const tracks = [
+        {
+          audio_url: 'audio/u1/1_song.mp3',
+          cover_url: null,
+          creator: { avatar_url: 'https://lh3.googleusercontent.com/a/avatar' },
+        },
+        {
+          audio_url: `http://localhost:54321/storage/v1/object/public/music-combinators-uploads/audio/u1/2_old.mp3`,
+          cover_url: 'image/u1/2_cover.png',
+          creator: { avatar_url: 'image/u1/avatar.png' },
+        },
+      ];
+
+      await storageService.resolveMediaUrls(tracks, [
+        'audio_url',
+        'cover_url',
+        'creator.avatar_url',
+      ]);
+
+      expect(tracks[0].audio_url).toBe('https://cdn.example.com/audio/u1/1_song.mp3');
+      expect(tracks[0].cover_url).toBeNull();
+      expect(tracks[0].creator.avatar_url).toBe('https://lh3.googleusercontent.com/a/avatar');
+      expect(tracks[1].audio_url).toBe('https://cdn.example.com/audio/u1/2_old.mp3');
+      expect(tracks[1].cover_url).toBe('https://cdn.example.com/image/u1/2_cover.png');
+      expect(tracks[1].creator.avatar_url).toBe('https://cdn.example.com/image/u1/avatar.png');
+    });
+
+    test('should sign all paths in one request in private mode', async () => {
+      process.env.STORAGE_PRIVATE = 'true';
+      let privateStorage;
+      jest.isolateModules(() => {
+        privateStorage = require('../../src/services/storageService');
+      });
+      delete process.env.STORAGE_PRIVATE;
+
+      mockCreateSignedUrls.mockResolvedValue({
+        data: [
+          { path: 'video/u1/1_a.mp4', signedUrl: 'https://storage.example.com/a?token=1' },
+          { path: 'image/u1/avatar.png', signedUrl: 'https://storage.example.com/b?token=2' },
+          { path: 'video/u1/2_gone.mp4', signedUrl: null, error: 'Object not found' },
+        ],
+        error: null,
+      });
+
+      const reels = await privateStorage.resolveMediaUrls(
+        [
+          { video_url: 'video/u1/1_a.mp4', creator: { avatar_url: 'image/u1/avatar.png' } },
+          { video_url: 'video/u1/2_gone.mp4', creator: { avatar_url: 'image/u1/avatar.png' } },
+        ],
+        ['video_url', 'creator.avatar_url']
+      );
+
+      expect(mockCreateSignedUrls).toHaveBeenCalledTimes(1);
+      expect(mockCreateSignedUrls).toHaveBeenCalledWith(
+        ['video/u1/1_a.mp4', 'image/u1/avatar.png', 'video/u1/2_gone.mp4'],
+        privateStorage.SIGNED_URL_TTL_SECONDS
+      );
+      expect(reels[0].video_url).toBe('https://storage.example.com/a?token=1');
+      expect(reels[1].creator.avatar_url).toBe('https://storage.example.com/b?token=2');
+      expect(reels[1].video_url).toBeNull();
+    });
+  });
+
+  describe('relocateFiles', () => {
+    test('should move files to new unguessable paths in the same folder', async () => {
+      mockMove.mockResolvedValue({ data: {}, error: null });
+
+      const [audio, cover] = await storageService.relocateFiles([
+        'audio/u1/1700000000000_song.mp3',
+        null,
+      ]);
+
+      expect(audio).toMatch(/^audio\/u1\/\d+_[0-9a-f]{16}_song\.mp3$/);
+      expect(cover).toBeNull();
+      expect(mockMove).toHaveBeenCalledWith('audio/u1/1700000000000_song.mp3', audio);
+    });
+
+    test('should move files back when a later move fails', async () => {
+      mockMove
+        .mockResolvedValueOnce({ data: {}, error: null })
+        .mockResolvedValueOnce({ data: null, error: { message: 'boom' } })
+        .mockResolvedValueOnce({ data: {}, error: null });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(
+        storageService.relocateFiles(['audio/u1/1_song.mp3', 'image/u1/1_cover.png'])
+      ).rejects.toThrow('Failed to move file');
+
+      const movedTo = mockMove.mock.calls[0][1];
+      expect(mockMove).toHaveBeenLastCalledWith(movedTo, 'audio/u1/1_song.mp3');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../../src/config/database', () => ({ supabaseAdmin: {} }));
+
+jest.mock('../../src/services/settingsService', () => ({
+  getSetting: jest.fn(),
+}));
+
+jest.mock('../../src/services/trackService', () => ({
+  incrementPlayCount: jest.fn(),
+}));
+
+const streamService = require('../../src/services/streamService');
+const settingsService = require('../../src/services/settingsService');
+const trackService = require('../../src/services/trackService');
+
+// 128kbps: 16000 bytes per second
+const audio = { size: 16000 * 180, bytesPerSecond: 16000, ownerId: 'owner-1' };
+const trackId = 'track-1';
+
+describe('Stream Service', () => {
+  beforeEach(() => {
+    streamService.clearSessions();
+    settingsService.getSetting.mockResolvedValue(30);
+  });
+
+  describe('parseRange', () => {
+    test.each([
+      [undefined, null],
+      ['bytes=0-99', { start: 0, end: 99 }],
+      ['bytes=100-', { start: 100, end: 999 }],
+      ['bytes=-100', { start: 900, end: 999 }],
+      ['bytes=900-5000', { start: 900, end: 999 }],
+      ['bytes=0-1,5-9', null],
+      ['items=0-1', null],
+      ['bytes=1000-', { unsatisfiable: true }],
+      ['bytes=50-10', { unsatisfiable: true }],
+    ])('%s', (header, expected) => {
+      expect(streamService.parseRange(header, 1000)).toEqual(expected);
+    });
+  });
+
+  test('etagMatches should handle lists, weak tags and *', () => {
+    expect(streamService.etagMatches('"a", W/"b"', '"b"')).toBe(true);
+    expect(streamService.etagMatches('*', '"b"')).toBe(true);
+    expect(streamService.etagMatches('"a"', '"b"')).toBe(false);
+    expect(streamService.etagMatches(undefined, '"b"')).toBe(false);
+  });
+
+  test('getListenerKey should prefer the user ID and hash anonymous listeners', () => {
+    expect(streamService.getListenerKey({ userId: 'u1', ip: '1.2.3.4' })).toBe('user:u1');
+
+    const anon = streamService.getListenerKey({ ip: '1.2.3.4', userAgent: 'player' });
+    expect(anon).toMatch(/^anon:[0-9a-f]{32}$/);
+    expect(anon).not.toContain('1.2.3.4');
+    expect(streamService.getListenerKey({ ip: '1.2.3.4', userAgent: 'other' })).toBe(anon);
+  });
+
+  describe('recordListening', () => {
+    test('should count one play once the threshold is fetched', async () => {
+      expect(await streamService.recordListening(trackId, 'l1', audio, 0, 16000 * 20)).toBe(false);
+      expect(
+        await streamService.recordListening(trackId, 'l1', audio, 16000 * 20, 16000 * 10)
+      ).toBe(true);
+      expect(
+        await streamService.recordListening(trackId, 'l1', audio, 16000 * 30, 16000 * 60)
+      ).toBe(false);
+
+      expect(trackService.incrementPlayCount).toHaveBeenCalledTimes(1);
+      expect(trackService.incrementPlayCount).toHaveBeenCalledWith(trackId, 'owner-1');
+    });
+
+    test('should not count the same bytes fetched repeatedly', async () => {
+      for (let i = 0; i < 10; i++) {
+        await streamService.recordListening(trackId, 'l1', audio, 0, 16000 * 5);
+      }
+
+      expect(trackService.incrementPlayCount).not.toHaveBeenCalled();
+    });
+
+    test('should count short tracks once fully fetched', async () => {
+      const short = { size: 16000 * 10, bytesPerSecond: 16000 };
+
+      expect(await streamService.recordListening(trackId, 'l1', short, 0, short.size)).toBe(true);
+    });
+
+    test('should track listeners separately', async () => {
+      await streamService.recordListening(trackId, 'l1', audio, 0, 16000 * 30);
+      await streamService.recordListening(trackId, 'l2', audio, 0, 16000 * 30);
+
+      expect(trackService.incrementPlayCount).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  test('should drop the least recently used sessions beyond the cap', async () => {
+    await streamService.recordListening(trackId, 'l0', audio, 0, 16000 * 20);
+    for (let i = 1; i <= streamService.MAX_PLAY_SESSIONS; i++) {
+      await streamService.recordListening(trackId, `l${i}`, audio, 0, 1);
+    }
+
+    // l0's first 20 seconds were forgotten, so 10 more are not enough
+    expect(await streamService.recordListening(trackId, 'l0', audio, 16000 * 20, 16000 * 10)).toBe(
+      false
+    );
+    expect(trackService.incrementPlayCount).not.toHaveBeenCalled();
+  });
+});
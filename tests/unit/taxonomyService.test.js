@@ -0,0 +1,153 @@
+jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+
+const { mockResults, mockQueries } = require('../helpers/supabaseMock');
+
+const taxonomyService = require('../../src/services/taxonomyService');
+
+const findCalls = (table, method) =>
+  mockQueries
+    .filter(query => query.table === table)
+    .flatMap(query => query.calls.filter(call => call[0] === method));
+
+describe('Taxonomy Service', () => {
+  beforeEach(() => {
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+  });
+
+  describe('normalizeTag', () => {
+    test('should strip the hash and lowercase', () => {
+      expect(taxonomyService.normalizeTag('#LoFi')).toBe('lofi');
+      expect(taxonomyService.normalizeTag('  Música_Nueva ')).toBe('música_nueva');
+    });
+
+    test('should reject tags that are too short, too long or contain symbols', () => {
+      expect(taxonomyService.normalizeTag('#a')).toBeNull();
+      expect(taxonomyService.normalizeTag('x'.repeat(31))).toBeNull();
+      expect(taxonomyService.normalizeTag('hip-hop')).toBeNull();
+    });
+  });
+
+  describe('parseHashtags', () => {
+    test('should return unique valid hashtags in order of appearance', () => {
+      const caption = 'New drop #LoFi #chill, mail me@site.com #a #lofi x#notatag ##double';
+
+      expect(taxonomyService.parseHashtags(caption)).toEqual(['lofi', 'chill']);
+    });
+
+    test('should keep at most 10 hashtags', () => {
+      const caption = Array.from({ length: 12 }, (_, i) => `#tag${i}`).join(' ');
+
+      expect(taxonomyService.parseHashtags(caption)).toHaveLength(10);
+      expect(taxonomyService.parseHashtags(null)).toEqual([]);
+    });
+  });
+
+  describe('resolveTrackTaxonomy', () => {
+    test('should resolve active slugs and normalize tags', async () => {
+      mockResults.taxonomy_terms = [
+        { data: [{ id: 'g1', slug: 'jazz' }], error: null },
+        { data: [], error: null },
+      ];
+
+      const resolved = await taxonomyService.resolveTrackTaxonomy({
+        genres: 'Jazz, jazz',
+        moods: [],
+        tags: ['#Late_Night', 'late_night'],
+      });
+
+      expect(resolved).toEqual({ terms: { genre: ['g1'], mood: [] }, tags: ['late_night'] });
+      expect(findCalls('taxonomy_terms', 'in')).toEqual([['in', 'slug', ['jazz']]]);
+    });
+
+    test('should reject unknown slugs, too many terms and invalid tags', async () => {
+      mockResults.taxonomy_terms = [{ data: [{ id: 'g1', slug: 'jazz' }], error: null }];
+
+      await expect(
+        taxonomyService.resolveTrackTaxonomy({ genres: ['jazz', 'polka'] })
+      ).rejects.toThrow('Unknown genre: polka');
+
+      await expect(taxonomyService.resolveTrackTaxonomy({ genres: 'a,b,c,d' })).rejects.toThrow(
+        'A track can have at most 3 genres'
+      );
+
+      await expect(taxonomyService.resolveTrackTaxonomy({ tags: 'ok, no way' })).rejects.toThrow(
+        'Invalid tag "no way"'
+      );
+    });
+
+    test('should leave fields that were not sent unchanged', async () => {
+      expect(await taxonomyService.resolveTrackTaxonomy({})).toEqual({ terms: {} });
+      expect(mockQueries).toHaveLength(0);
+    });
+  });
+
+  describe('buildContentFilter', () => {
+    const fakeQuery = () => {
+      const query = { in: jest.fn(() => query) };
+      return query;
+    };
+
+    test('should leave the query unchanged without filters', async () => {
+      const filter = await taxonomyService.buildContentFilter({});
+      const query = fakeQuery();
+
+      expect(filter).toMatchObject({ matchesNothing: false, select: '' });
+      expect(filter.apply(query)).toBe(query);
+      expect(query.in).not.toHaveBeenCalled();
+      expect(mockQueries).toHaveLength(0);
+    });
+
+    test('should embed one inner join per filter and filter it by term or tag ID', async () => {
+      mockResults.taxonomy_terms = [
+        {
+          data: [
+            { id: 'g1', kind: 'genre', slug: 'jazz' },
+            { id: 'g2', kind: 'genre', slug: 'soul' },
+            { id: 'm1', kind: 'mood', slug: 'chill' },
+          ],
+          error: null,
+        },
+      ];
+      mockResults.tags = [{ data: [{ id: 'tag1' }], error: null }];
+
+      const filter = await taxonomyService.buildContentFilter({
+        genre: 'Jazz,soul',
+        mood: 'chill',
+        tag: '#Late_Night',
+      });
+      const query = fakeQuery();
+      filter.apply(query);
+
+      expect(findCalls('taxonomy_terms', 'in')).toEqual([
+        ['in', 'slug', ['jazz', 'soul', 'chill']],
+      ]);
+      expect(findCalls('tags', 'in')).toEqual([['in', 'name', ['late_night']]]);
+      expect(filter.matchesNothing).toBe(false);
+      expect(filter.select).toBe(
+        ', genre_filter:content_terms!inner(), mood_filter:content_terms!inner(), tag_filter:content_tags!inner()'
+      );
+      expect(query.in.mock.calls).toEqual([
+        ['genre_filter.term_id', ['g1', 'g2']],
+        ['mood_filter.term_id', ['m1']],
+        ['tag_filter.tag_id', ['tag1']],
+      ]);
+    });
+
+    test('should match nothing when a filter has no known value', async () => {
+      mockResults.taxonomy_terms = [
+        { data: [{ id: 'm1', kind: 'mood', slug: 'chill' }], error: null },
+      ];
+
+      const unknownGenre = await taxonomyService.buildContentFilter({
+        genre: 'polka',
+        mood: 'chill',
+      });
+      expect(unknownGenre.matchesNothing).toBe(true);
+
+      const invalidTags = await taxonomyService.buildContentFilter({ tag: 'no way' });
+      expect(invalidTags.matchesNothing).toBe(true);
+      expect(findCalls('tags', 'in')).toHaveLength(0);
+    });
+  });
+});
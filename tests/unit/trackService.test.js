@@ -0,0 +1,329 @@
+jest.mock('../../src/config/database', () => require('../helpers/supabaseMock').database);
+
+const { mockResults, mockQueries, mockRpc } = require('../helpers/supabaseMock');
+
+jest.mock('../../src/services/storageService', () => ({
+  uploadAudio: jest.fn(),
+  confirmUpload: jest.fn(async filePath => ({ path: filePath, size: 4096 })),
+  createRangeReader: jest.fn((filePath, size) => ({ filePath, size })),
+  relocateFiles: jest.fn(async refs => refs.map(ref => (ref ? `${ref}.moved` : null))),
+  restoreFiles: jest.fn(),
+  deleteFile: jest.fn(),
+  resolveMediaUrls: jest.fn(async items => items),
+}));
+
+jest.mock('../../src/services/imageService', () => ({
+  variantFields: () => [],
+  getImageRefs: jest.fn(() => []),
+  deleteImage: jest.fn(),
+  storeImage: jest.fn(),
+  storeUploadedImage: jest.fn(),
+}));
+
+jest.mock('../../src/services/commentService', () => ({
+  getCommentCount: jest.fn(async () => 0),
+}));
+
+jest.mock('../../src/utils/audioMetadata', () => ({
+  parseAudioMetadata: jest.fn(() => null),
+  readAudioMetadata: jest.fn(async () => null),
+}));
+
+jest.mock('../../src/services/taxonomyService', () => ({
+  resolveTrackTaxonomy: jest.fn(async () => ({ terms: {} })),
+  setContentTaxonomy: jest.fn(),
+  attachTaxonomy: jest.fn(async items => items),
+}));
+
+const storageService = require('../../src/services/storageService');
+const imageService = require('../../src/services/imageService');
+const trackService = require('../../src/services/trackService');
+const eventService = require('../../src/services/eventService');
+const { readAudioMetadata } = require('../../src/utils/audioMetadata');
+
+const CURRENT_TRACK = {
+  audio_url: 'audio/u1/1_mix.mp3',
+  duration: 180,
+  bitrate: 320,
+  sample_rate: 44100,
+  channels: 2,
+  cover_url: 'image/u1/1_cover.webp',
+  cover_variants: { small: 'image/u1/1_cover_small.webp' },
+  is_active: true,
+};
+
+const findCall = (table, method) =>
+  mockQueries
+    .filter(query => query.table === table)
+    .map(query => query.calls.find(call => call[0] === method))
+    .find(Boolean);
+
+describe('Track Service', () => {
+  beforeEach(() => {
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+  });
+
+  describe('createTrack', () => {
+    test('should reject a title that is not a string', async () => {
+      await expect(
+        trackService.createTrack('u1', { title: { text: 'x' }, audio_path: 'audio/u1/1_a.mp3' })
+      ).rejects.toThrow('Title must be a string');
+
+      expect(storageService.confirmUpload).not.toHaveBeenCalled();
+    });
+
+    test('should read metadata of direct uploads from storage by range', async () => {
+      const picture = { mimetype: 'image/jpeg', buffer: Buffer.from('art') };
+      readAudioMetadata.mockResolvedValueOnce({
+        title: 'Tagged Title',
+        artist: 'Tagged Artist',
+        duration: 241.6,
+        bitrate: 320,
+        sample_rate: 44100,
+        channels: 2,
+        picture,
+      });
+      imageService.storeImage.mockResolvedValueOnce({ path: 'image/u1/2_cover.webp' });
+      mockResults.tracks = [{ data: { id: 't2', users: { profiles: {} } }, error: null }];
+
+      await trackService.createTrack('u1', { audio_path: 'audio/u1/2_song.mp3', duration: '5' });
+
+      expect(storageService.confirmUpload).toHaveBeenCalledWith(
+        'audio/u1/2_song.mp3',
+        'u1',
+        'audio'
+      );
+      expect(storageService.createRangeReader).toHaveBeenCalledWith('audio/u1/2_song.mp3', 4096);
+      expect(readAudioMetadata).toHaveBeenCalledWith({
+        filePath: 'audio/u1/2_song.mp3',
+        size: 4096,
+      });
+      expect(imageService.storeImage).toHaveBeenCalledWith(
+        expect.objectContaining({ buffer: picture.buffer }),
+        'u1',
+        'embedded_cover'
+      );
+      expect(findCall('tracks', 'insert')[1]).toMatchObject({
+        title: 'Tagged Title',
+        artist: 'Tagged Artist',
+        audio_url: 'audio/u1/2_song.mp3',
+        cover_url: 'image/u1/2_cover.webp',
+        duration: 242,
+        bitrate: 320,
+      });
+    });
+  });
+
+  describe('getTrackById', () => {
+    const row = { id: 't1', user_id: 'u1', is_active: false, users: { profiles: {} } };
+
+    test('should show a deactivated track to its owner', async () => {
+      mockResults.tracks = [{ data: row, error: null }];
+
+      const track = await trackService.getTrackById('t1', 'u1');
+
+      expect(track.id).toBe('t1');
+      expect(track.is_liked).toBe(false);
+    });
+
+    test('should hide a deactivated track from everyone else', async () => {
+      mockResults.tracks = [
+        { data: row, error: null },
+        { data: row, error: null },
+      ];
+
+      await expect(trackService.getTrackById('t1', 'u2')).rejects.toThrow('Track not found');
+      await expect(trackService.getTrackById('t1')).rejects.toThrow('Track not found');
+    });
+  });
+
+  describe('updateTrack', () => {
+    test('should validate extended metadata before touching the track', async () => {
+      await expect(
+        trackService.updateTrack('t1', 'u1', { release_date: '2024-02-30' })
+      ).rejects.toThrow('Release date must be a valid date (YYYY-MM-DD)');
+
+      await expect(
+        trackService.updateTrack('t1', 'u1', { credits: '[{"name":"Ana"}]' })
+      ).rejects.toThrow('Each credit needs a name and a role');
+
+      expect(mockQueries).toHaveLength(0);
+    });
+
+    test('should archive replaced audio, update metadata and prune old versions', async () => {
+      const versions = Array.from({ length: 6 }, (_, i) => ({
+        id: `v${i}`,
+        audio_url: `audio/u1/${i}_old.mp3`,
+      }));
+
+      mockResults.tracks = [
+        { data: CURRENT_TRACK, error: null },
+        { data: { id: 't1', audio_url: 'audio/u1/2_master.mp3' }, error: null },
+        { data: { audio_url: 'audio/u1/2_master.mp3' }, error: null },
+      ];
+      mockResults.track_audio_versions = [
+        { data: { id: 'v-new' }, error: null },
+        { data: versions, error: null },
+        { data: null, error: null },
+      ];
+
+      await trackService.updateTrack('t1', 'u1', {
+        audio_path: 'audio/u1/2_master.mp3',
+        duration: '200',
+        is_explicit: 'true',
+        credits: [{ name: 'Ana', role: 'Producer' }],
+      });
+
+      expect(storageService.relocateFiles).toHaveBeenCalledWith(['audio/u1/1_mix.mp3']);
+      expect(findCall('track_audio_versions', 'insert')[1]).toMatchObject({
+        track_id: 't1',
+        audio_url: 'audio/u1/1_mix.mp3.moved',
+        duration: 180,
+      });
+      expect(findCall('tracks', 'update')[1]).toMatchObject({
+        audio_url: 'audio/u1/2_master.mp3',
+        duration: 200,
+        is_explicit: true,
+        credits: [{ name: 'Ana', role: 'Producer' }],
+      });
+      expect(findCall('track_audio_versions', 'delete')).toBeDefined();
+      expect(storageService.deleteFile).toHaveBeenCalledWith('audio/u1/5_old.mp3');
+      expect(imageService.deleteImage).not.toHaveBeenCalled();
+    });
+
+    test('should delete the old cover once it is removed', async () => {
+      mockResults.tracks = [
+        { data: CURRENT_TRACK, error: null },
+        { data: { id: 't1' }, error: null },
+      ];
+
+      await trackService.updateTrack('t1', 'u1', { remove_cover: 'true' });
+
+      expect(findCall('tracks', 'update')[1]).toMatchObject({
+        cover_url: null,
+        cover_variants: null,
+      });
+      expect(imageService.deleteImage).toHaveBeenCalledWith(
+        CURRENT_TRACK.cover_url,
+        CURRENT_TRACK.cover_variants
+      );
+    });
+
+    test('should roll back files and the version when the update fails', async () => {
+      mockResults.tracks = [
+        { data: CURRENT_TRACK, error: null },
+        { data: null, error: { message: 'update failed' } },
+      ];
+      mockResults.track_audio_versions = [{ data: { id: 'v-new' }, error: null }];
+
+      await expect(
+        trackService.updateTrack('t1', 'u1', { audio_path: 'audio/u1/2_master.mp3' })
+      ).rejects.toThrow('Track not found or unauthorized');
+
+      expect(findCall('track_audio_versions', 'delete')).toEqual(['delete']);
+      expect(storageService.restoreFiles).toHaveBeenCalledWith(
+        ['audio/u1/1_mix.mp3'],
+        ['audio/u1/1_mix.mp3.moved']
+      );
+      expect(storageService.deleteFile).toHaveBeenCalledWith('audio/u1/2_master.mp3');
+    });
+
+    test('should not let the owner reactivate a track hidden by reports', async () => {
+      mockResults.tracks = [
+        { data: { ...CURRENT_TRACK, is_active: false, hidden_by_reports: true }, error: null },
+      ];
+
+      await expect(trackService.updateTrack('t1', 'u1', { is_active: true })).rejects.toThrow(
+        'This track is hidden while its reports are reviewed'
+      );
+      expect(findCall('tracks', 'update')).toBeUndefined();
+    });
+  });
+
+  describe('setTrackActive', () => {
+    test('should move the files of a track auto-hide deactivates', async () => {
+      mockResults.tracks = [
+        { data: { ...CURRENT_TRACK, hidden_by_reports: false }, error: null },
+        { data: [{ id: 't1' }], error: null },
+      ];
+
+      const changed = await trackService.setTrackActive('t1', false, { hiddenByReports: true });
+
+      expect(changed).toBe(true);
+      expect(storageService.relocateFiles).toHaveBeenCalledWith([
+        'audio/u1/1_mix.mp3',
+        'image/u1/1_cover.webp',
+        'image/u1/1_cover_small.webp',
+      ]);
+      expect(findCall('tracks', 'update')[1]).toEqual({
+        is_active: false,
+        hidden_by_reports: true,
+        audio_url: 'audio/u1/1_mix.mp3.moved',
+        cover_url: 'image/u1/1_cover.webp.moved',
+        cover_variants: { small: 'image/u1/1_cover_small.webp.moved' },
+      });
+    });
+
+    test('should only restore a track auto-hide still hides', async () => {
+      mockResults.tracks = [
+        { data: { ...CURRENT_TRACK, is_active: false, hidden_by_reports: false }, error: null },
+      ];
+
+      const changed = await trackService.setTrackActive('t1', true, { hiddenByReports: true });
+
+      expect(changed).toBe(false);
+      expect(findCall('tracks', 'update')).toBeUndefined();
+    });
+
+    test('should move the files back when the track changed meanwhile', async () => {
+      mockResults.tracks = [
+        { data: { ...CURRENT_TRACK, hidden_by_reports: false }, error: null },
+        { data: [], error: null },
+      ];
+
+      const changed = await trackService.setTrackActive('t1', false);
+
+      expect(changed).toBe(false);
+      expect(findCall('tracks', 'update')[1]).not.toHaveProperty('hidden_by_reports');
+      expect(storageService.restoreFiles).toHaveBeenCalledWith(
+        ['audio/u1/1_mix.mp3', 'image/u1/1_cover.webp', 'image/u1/1_cover_small.webp'],
+        [
+          'audio/u1/1_mix.mp3.moved',
+          'image/u1/1_cover.webp.moved',
+          'image/u1/1_cover_small.webp.moved',
+        ]
+      );
+    });
+  });
+
+  describe('incrementPlayCount', () => {
+    beforeEach(() => {
+      eventService.clearEvents();
+      mockRpc.mockResolvedValue({ data: null, error: null });
+    });
+
+    test('should not read the count back when the creator has no stream', async () => {
+      await trackService.incrementPlayCount('t1', 'u1');
+
+      expect(mockRpc).toHaveBeenCalledWith('increment_track_play_count', { track_id: 't1' });
+      expect(mockQueries).toHaveLength(0);
+    });
+
+    test('should publish the new count to the creator stream', async () => {
+      eventService.openConnection('u1', jest.fn());
+      const listener = jest.fn();
+      eventService.subscribe('u1', listener);
+      mockResults.tracks = [{ data: { play_count: 8 }, error: null }];
+
+      await trackService.incrementPlayCount('t1', 'u1');
+
+      expect(findCall('tracks', 'select')[1]).toBe('play_count');
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: { content_type: 'track', content_id: 't1', play_count: 8 },
+        })
+      );
+    });
+  });
+});
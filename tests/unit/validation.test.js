@@ -4,6 +4,8 @@ const {
   isValidUrl,
   sanitizeString,
   validatePagination,
+  encodeCursor,
+  decodeCursor,
   validateRequired,
   isValidFileType,
   isValidFileSize,
@@ -87,6 +89,41 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('encodeCursor / decodeCursor', () => {
+    test('should round-trip timestamp and id', () => {
+      const createdAt = '2026-01-20T18:20:12.345+00:00';
+      const id = '6f1c2a4e-8b7d-4c3e-9a1f-2b3c4d5e6f70';
+      expect(decodeCursor(encodeCursor(createdAt, id))).toEqual({ createdAt, id });
+    });
+
+    test('should return null when no cursor given', () => {
+      expect(decodeCursor(undefined)).toBeNull();
+      expect(decodeCursor('')).toBeNull();
+    });
+
+    test('should reject malformed cursors', () => {
+      expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid pagination cursor');
+      expect(() => decodeCursor(encodeCursor('yesterday', 'abc'))).toThrow(
+        'Invalid pagination cursor'
+      );
+    });
+
+    test('should reject cursors crafted to inject filters', () => {
+      const id = '6f1c2a4e-8b7d-4c3e-9a1f-2b3c4d5e6f70';
+      const crafted = [
+        encodeCursor('2024-01-01 (a"b)', id),
+        encodeCursor('Jan 1 2024 (",x.eq.y)', id),
+        encodeCursor('2024-01-01T00:00:00Z', 'abc-def'),
+        encodeCursor('2024-01-01T00:00:00Z', `${id},x.eq.y`),
+        encodeCursor('2024-01-01T00:00:00Z', `${id}|extra`),
+      ];
+
+      for (const cursor of crafted) {
+        expect(() => decodeCursor(cursor)).toThrow('Invalid pagination cursor');
+      }
+    });
+  });
+
   describe('validateRequired', () => {
     test('should pass when all required fields present', () => {
       expect(() => {
@@ -122,4 +159,4 @@ describe('Validation Utilities', () => {
       expect(isValidFileSize(3000, 2048)).toBe(false);
     });
   });
-});
\ No newline at end of file
+});
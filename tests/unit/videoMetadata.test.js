@@ -0,0 +1,128 @@
+const { parseVideoMetadata } = require('../../src/utils/videoMetadata');
+
+const box = (type, ...children) => {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+const mvhd = (timescale, duration) => {
+  const data = Buffer.alloc(100);
+  data.writeUInt32BE(timescale, 12);
+  data.writeUInt32BE(duration, 16);
+  return box('mvhd', data);
+};
+
+const tkhd = (width, height) => {
+  const data = Buffer.alloc(84);
+  data.writeUInt32BE(width << 16, 76);
+  data.writeUInt32BE(height << 16, 80);
+  return box('tkhd', data);
+};
+
+const hdlr = handler => {
+  const data = Buffer.alloc(24);
+  data.write(handler, 8, 'latin1');
+  return box('hdlr', data);
+};
+
+const stsd = codec => {
+  const data = Buffer.alloc(24);
+  data.writeUInt32BE(1, 4);
+  data.writeUInt32BE(16, 8);
+  data.write(codec, 12, 'latin1');
+  return box('stsd', data);
+};
+
+const mp4 = (timescale, duration, { moovFirst = true } = {}) => {
+  const ftyp = box('ftyp', Buffer.from('isom\u0000\u0000\u0002\u0000isomiso2', 'latin1'));
+  const moov = box(
+    'moov',
+    mvhd(timescale, duration),
+    box('trak', tkhd(0, 0), box('mdia', hdlr('soun'), box('minf', box('stbl', stsd('mp4a'))))),
+    box('trak', tkhd(1080, 1920), box('mdia', hdlr('vide'), box('minf', box('stbl', stsd('avc1')))))
+  );
+  const mdat = box('mdat', Buffer.alloc(4096));
+  return Buffer.concat(moovFirst ? [ftyp, moov, mdat] : [ftyp, mdat, moov]);
+};
+
+// EBML element with a 1-byte (or given) ID and an 8-byte size
+const element = (id, ...children) => {
+  const body = Buffer.concat(children);
+  const size = Buffer.alloc(8);
+  size.writeBigUInt64BE(BigInt(body.length));
+  size[0] |= 0x01;
+  return Buffer.concat([Buffer.from(id), size, body]);
+};
+
+const webm = seconds => {
+  const duration = Buffer.alloc(8);
+  duration.writeDoubleBE(seconds * 1000); // default TimecodeScale is 1ms
+
+  return Buffer.concat([
+    element([0x1a, 0x45, 0xdf, 0xa3], element([0x42, 0x82], Buffer.from('webm'))),
+    element(
+      [0x18, 0x53, 0x80, 0x67],
+      element([0x15, 0x49, 0xa9, 0x66], element([0x44, 0x89], duration)),
+      element(
+        [0x16, 0x54, 0xae, 0x6b],
+        element(
+          [0xae],
+          element([0x83], Buffer.from([1])),
+          element([0x86], Buffer.from('V_VP9')),
+          element(
+            [0xe0],
+            element([0xb0], Buffer.from([0x02, 0xd0])),
+            element([0xba], Buffer.from([0x05, 0x00]))
+          )
+        )
+      ),
+      element([0x1f, 0x43, 0xb6, 0x75], Buffer.alloc(64))
+    ),
+  ]);
+};
+
+describe('Video Metadata', () => {
+  test('should read duration, resolution and codec from an MP4', async () => {
+    const metadata = await parseVideoMetadata(mp4(1000, 45500));
+
+    expect(metadata).toEqual({
+      format: 'mp4',
+      duration: 45.5,
+      width: 1080,
+      height: 1920,
+      codec: 'avc1',
+    });
+  });
+
+  test('should find moov after mdat using range reads', async () => {
+    const file = mp4(600, 600 * 90, { moovFirst: false });
+    const read = jest.fn(async (offset, length) => file.subarray(offset, offset + length));
+
+    const metadata = await parseVideoMetadata({ size: file.length, read });
+
+    expect(metadata.duration).toBe(90);
+    // Never reads the media data itself
+    expect(read.mock.calls.every(([, length]) => length < 4096)).toBe(true);
+  });
+
+  test('should read duration, resolution and codec from a WebM', async () => {
+    const metadata = await parseVideoMetadata(webm(12.25));
+
+    expect(metadata).toEqual({
+      format: 'webm',
+      duration: 12.25,
+      width: 720,
+      height: 1280,
+      codec: 'V_VP9',
+    });
+  });
+
+  test('should return null for other containers', async () => {
+    expect(
+      await parseVideoMetadata(Buffer.from('RIFF\u0000\u0000\u0000\u0000AVI LIST'))
+    ).toBeNull();
+  });
+});